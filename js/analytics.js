@@ -0,0 +1,600 @@
+/**
+ * Analytics - Time-series charts beyond the stat cards
+ * - Headline numbers come from the /stats payload; charts are built from every space in the range,
+ *   paged in from the API (see Dashboard.fetchAllSpaces) rather than what the list has loaded
+ * - Spaces per day, recorded hours, recording success rate, public/private split
+ *   and discovery success by anchor role
+ * - Ranges of 24h (hourly), 7d and 30d (daily) or the whole archive (daily, weekly when long)
+ * - Days and weeks are calendar days, so a DST change doesn't shift bucket edges
+ * - Optionally compares the range with the period just before it
+ */
+
+class AnalyticsView {
+    constructor() {
+        this.ranges = {
+            '24h': { label: '24h', unit: 'hour', count: 24 },
+            '7d': { label: '7d', unit: 'day', count: 7 },
+            '30d': { label: '30d', unit: 'day', count: 30 },
+            all: { label: 'All', unit: 'day', count: null }
+        };
+        this.anchorRoles = ['hosting', 'speaking', 'listening'];
+        this.maxDailyBuckets = 120;   // Longer "all" ranges are bucketed by week
+        this.chartWidth = 600;
+        this.chartHeight = 160;
+
+        this.range = '7d';
+        this.compare = false;
+        this.stats = null;
+        this.spacesByRange = new Map();   // range -> spaces covering it and the period before
+        this.loading = null;              // { range, count, controller } while spaces are paged in
+        this.loadError = null;
+        this.element = null;
+        this.entryElement = null;
+        this.isOpenState = false;
+        this.onChange = null;
+
+        this.init();
+    }
+
+    /**
+     * Initialize the analytics page once the DOM is ready
+     */
+    init() {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.setup());
+        } else {
+            this.setup();
+        }
+    }
+
+    setup() {
+        const spacesContainer = document.querySelector('.spaces-container');
+        if (!spacesContainer) {
+            console.warn('Analytics: Required elements not found');
+            return;
+        }
+
+        spacesContainer.insertAdjacentHTML('beforebegin', `
+            <div class="page-entry">
+                <button class="filter-toggle" id="analyticsToggle">📈 Analytics</button>
+            </div>
+        `);
+        spacesContainer.insertAdjacentHTML('afterend', '<div class="analytics-page" id="analyticsPage"></div>');
+
+        this.entryElement = document.getElementById('analyticsToggle');
+        this.element = document.getElementById('analyticsPage');
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        this.entryElement.addEventListener('click', () => this.show());
+
+        this.element.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-analytics-action]');
+            if (!button) return;
+
+            if (button.dataset.analyticsAction === 'back') {
+                this.close();
+            } else if (button.dataset.analyticsAction === 'range') {
+                this.show(button.dataset.range);
+            }
+        });
+
+        this.element.addEventListener('change', (e) => {
+            if (e.target.id !== 'analyticsCompare') return;
+            this.compare = e.target.checked;
+            this.render();
+        });
+    }
+
+    /**
+     * Set callback for when the page opens, changes range or closes
+     */
+    setOnChange(callback) {
+        this.onChange = callback;
+    }
+
+    /**
+     * Latest /stats payload (from the dashboard or live updates)
+     */
+    setStats(stats) {
+        this.stats = stats;
+        if (this.isOpenState) this.render();
+    }
+
+    /**
+     * Open the page, optionally on a range
+     * @param {string} range - '24h' | '7d' | '30d' | 'all'
+     */
+    show(range = this.range) {
+        if (!this.element) return;
+
+        this.range = this.ranges[range] ? range : this.range;
+        if (!this.isOpenState) {
+            pageNavigator.enter(this);
+            this.isOpenState = true;
+            document.body.classList.add('analytics-open');
+        }
+
+        this.render();
+        if (!this.stats) this.loadStats();
+        this.loadSpaces();
+        if (typeof this.onChange === 'function') this.onChange(this.getState());
+    }
+
+    /**
+     * Page in every space for the selected range, and the period before it for comparisons
+     */
+    async loadSpaces() {
+        const range = this.range;
+        if (this.spacesByRange.has(range) || this.loading?.range === range) return;
+
+        this.cancelLoading();
+        const controller = new AbortController();
+        this.loading = { range, count: 0, controller };
+        this.loadError = null;
+        this.render();
+
+        try {
+            const spaces = await dashboard.fetchAllSpaces(this.getFetchFilters(), {
+                signal: controller.signal,
+                onProgress: (count) => {
+                    this.loading.count = count;
+                    this.updateLoadingNote();
+                }
+            });
+            this.spacesByRange.set(range, spaces);
+        } catch (error) {
+            if (controller.signal.aborted) return;
+            console.warn('⚠️ Failed to load spaces for analytics:', error.message);
+            this.loadError = error.message;
+        } finally {
+            if (this.loading?.controller === controller) {
+                this.loading = null;
+                this.render();
+            }
+        }
+    }
+
+    cancelLoading() {
+        if (this.loading) {
+            this.loading.controller.abort();
+            this.loading = null;
+        }
+    }
+
+    /**
+     * Date filters covering the selected range and the period before it
+     */
+    getFetchFilters() {
+        const periods = this.getPeriods([]);
+        if (!periods.previous) return {};
+
+        return {
+            dateFrom: Utils.formatDateInput(periods.previous.start),
+            dateTo: Utils.formatDateInput(periods.current.end - 1)
+        };
+    }
+
+    async loadStats() {
+        try {
+            const data = await api.getStats();
+            if (data?.data) dashboard.displayStats(data.data);
+        } catch (error) {
+            console.warn('⚠️ Failed to load stats for analytics:', error.message);
+        }
+    }
+
+    /**
+     * Return to the space list where it was left
+     * @param {Object} options - { handOff } when another page is taking over
+     */
+    close(options = {}) {
+        if (!this.isOpenState) return;
+
+        this.isOpenState = false;
+        this.cancelLoading();
+        this.spacesByRange.clear();
+        this.loadError = null;
+        document.body.classList.remove('analytics-open');
+        this.element.innerHTML = '';
+        pageNavigator.leave(this, options);
+
+        if (!options.handOff && typeof this.onChange === 'function') this.onChange(null);
+    }
+
+    isOpen() {
+        return this.isOpenState;
+    }
+
+    /**
+     * What's shown, for URL state
+     * @returns {Object|null} { range }, or null when closed
+     */
+    getState() {
+        return this.isOpenState ? { range: this.range } : null;
+    }
+
+    getSpaceTime(space) {
+        return new Date(space.startedAt || space.createdAt || 0).getTime();
+    }
+
+    /**
+     * Bucket edges counting back from an end time, oldest first
+     * Days and weeks step by calendar date, so 23 and 25 hour days stay one bucket each
+     * @param {Date} end - End of the last bucket
+     * @param {string} unit - 'hour' | 'day' | 'week'
+     * @param {number} count - Number of buckets
+     * @returns {Array<number>} count + 1 times
+     */
+    getBucketEdges(end, unit, count) {
+        const edge = new Date(end);
+        const edges = [edge.getTime()];
+
+        for (let i = 0; i < count; i++) {
+            if (unit === 'hour') {
+                edge.setTime(edge.getTime() - 60 * 60 * 1000);
+            } else {
+                edge.setDate(edge.getDate() - (unit === 'week' ? 7 : 1));
+            }
+            edges.unshift(edge.getTime());
+        }
+
+        return edges;
+    }
+
+    /**
+     * Bucketed time windows for the selected range and the period before it
+     * @returns {Object} { current: { start, end, edges }, previous, unit }
+     */
+    getPeriods(spaces) {
+        const range = this.ranges[this.range];
+        const now = new Date();
+
+        // Buckets end on the next full hour/day so they line up with the clock
+        const end = new Date(now);
+        if (range.unit === 'hour') {
+            end.setMinutes(60, 0, 0);
+        } else {
+            end.setHours(24, 0, 0, 0);
+        }
+
+        const toPeriod = (edges) => ({ start: edges[0], end: edges[edges.length - 1], edges });
+
+        if (range.count) {
+            const current = this.getBucketEdges(end, range.unit, range.count);
+            return {
+                current: toPeriod(current),
+                previous: toPeriod(this.getBucketEdges(current[0], range.unit, range.count)),
+                unit: range.unit
+            };
+        }
+
+        const times = spaces.map(space => this.getSpaceTime(space)).filter(time => time > 0);
+        const first = new Date(times.length > 0 ? Math.min(...times) : now.getTime());
+        first.setHours(0, 0, 0, 0);
+
+        // Rounding absorbs the hour a DST change adds or removes
+        const days = Math.max(1, Math.round((end.getTime() - first.getTime()) / (24 * 60 * 60 * 1000)));
+        const unit = days > this.maxDailyBuckets ? 'week' : 'day';
+        const count = unit === 'week' ? Math.ceil(days / 7) : days;
+
+        return {
+            current: toPeriod(this.getBucketEdges(end, unit, count)),
+            previous: null,
+            unit
+        };
+    }
+
+    /**
+     * Whether a space has audio in the archive
+     */
+    isRecorded(space) {
+        const audioFiles = api.getAudioPlaylistBySpaceId(space._id, space.host, space.createdAt);
+        return !!audioFiles && audioFiles.length > 0;
+    }
+
+    getRecordedSeconds(space) {
+        const audioFiles = api.getAudioPlaylistBySpaceId(space._id, space.host, space.createdAt) || [];
+        const totalSize = audioFiles.reduce((sum, audioFile) => sum + (audioFile.size || 0), 0);
+        return dashboard.estimateAudioSeconds(totalSize);
+    }
+
+    /**
+     * Per-bucket counts for one period
+     * @returns {Object} { buckets: [...], anchorRoles: { role: { total, recorded } }, totals }
+     */
+    computePeriod(spaces, period) {
+        const buckets = Array.from({ length: period.edges.length - 1 }, () => ({
+            spaces: 0, recordedSeconds: 0, eligible: 0, recorded: 0, public: 0, private: 0, unknown: 0
+        }));
+        const anchorRoles = {};
+        this.anchorRoles.forEach(role => {
+            anchorRoles[role] = { total: 0, recorded: 0 };
+        });
+
+        spaces.forEach(space => {
+            const time = this.getSpaceTime(space);
+            if (time < period.start || time >= period.end) return;
+
+            const entry = buckets[period.edges.findIndex(edge => edge > time) - 1];
+            const recorded = this.isRecorded(space);
+            entry.spaces++;
+            entry.recordedSeconds += this.getRecordedSeconds(space);
+
+            // Private spaces are never recorded and live ones aren't finished yet
+            if (space.private !== true && !space.isLive) {
+                entry.eligible++;
+                if (recorded) entry.recorded++;
+            }
+
+            if (space.private === true) {
+                entry.private++;
+            } else if (space.private === false) {
+                entry.public++;
+            } else {
+                entry.unknown++;
+            }
+
+            const role = space.anchor?.role;
+            if (anchorRoles[role]) {
+                anchorRoles[role].total++;
+                if (recorded) anchorRoles[role].recorded++;
+            }
+        });
+
+        const sum = (key) => buckets.reduce((total, entry) => total + entry[key], 0);
+        const totals = {
+            spaces: sum('spaces'),
+            recordedHours: sum('recordedSeconds') / 3600,
+            successRate: sum('eligible') > 0 ? (sum('recorded') / sum('eligible')) * 100 : null,
+            publicShare: sum('public') + sum('private') > 0 ? (sum('public') / (sum('public') + sum('private'))) * 100 : null
+        };
+
+        return { buckets, anchorRoles, totals };
+    }
+
+    /**
+     * Label for the bucket starting at a time
+     */
+    formatBucketLabel(time, unit) {
+        const date = new Date(time);
+        if (unit === 'hour') {
+            return `${String(date.getHours()).padStart(2, '0')}:00`;
+        }
+        return date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+    }
+
+    render() {
+        if (!this.element || !this.isOpenState) return;
+
+        const spaces = this.spacesByRange.get(this.range);
+        const periods = this.getPeriods(spaces || []);
+
+        const rangeButtons = Object.entries(this.ranges).map(([key, range]) => html`
+            <button type="button" class="btn ${key === this.range ? 'btn-primary' : 'btn-secondary'}"
+                    data-analytics-action="range" data-range="${key}">${range.label}</button>
+        `);
+
+        this.element.innerHTML = html`
+            <div class="directory-header">
+                <button type="button" class="btn btn-secondary" data-analytics-action="back">← All spaces</button>
+                <h2>Analytics</h2>
+                <div class="analytics-ranges">${rangeButtons}</div>
+            </div>
+            <div class="filter-switch analytics-compare">
+                <label class="switch">
+                    <input type="checkbox" id="analyticsCompare" ${this.compare ? 'checked' : ''} ${periods.previous ? '' : 'disabled'}>
+                    <span class="slider"></span>
+                </label>
+                <label for="analyticsCompare">Compare with the previous ${this.range === 'all' ? 'period' : this.ranges[this.range].label}</label>
+            </div>
+
+            ${this.stats ? html`<div class="stats-grid">${dashboard.createStatsHTML(this.stats)}</div>` : ''}
+
+            <p class="directory-note" id="analyticsNote">${this.getNote(spaces, periods)}</p>
+
+            ${spaces ? this.createChartsHTML(spaces, periods) : ''}
+        `;
+    }
+
+    /**
+     * What the charts cover, or how far loading has got
+     */
+    getNote(spaces, periods) {
+        if (this.loadError) return `Failed to load spaces: ${this.loadError}`;
+        if (!spaces) return `Loading spaces for this range… ${this.loading ? this.loading.count : 0} so far`;
+
+        const from = new Date(periods.current.start).toLocaleDateString();
+        return this.range === 'all' ?
+            `Charts cover all ${spaces.length} spaces in the archive, back to ${from}.` :
+            `Charts cover every space started since ${from}.`;
+    }
+
+    updateLoadingNote() {
+        const note = document.getElementById('analyticsNote');
+        if (note) note.textContent = this.getNote(null, null);
+    }
+
+    createChartsHTML(spaces, periods) {
+        const current = this.computePeriod(spaces, periods.current);
+        const previous = this.compare && periods.previous ?
+            this.computePeriod(spaces, periods.previous) :
+            null;
+
+        const labels = periods.current.edges.slice(0, -1).map(time => this.formatBucketLabel(time, periods.unit));
+
+        const series = (valueOf) => ({
+            current: current.buckets.map(valueOf),
+            previous: previous ? previous.buckets.map(valueOf) : null
+        });
+
+        return html`
+            <div class="analytics-charts">
+                ${this.createChartCardHTML(`Spaces per ${periods.unit}`, current.totals.spaces, previous?.totals.spaces, value => `${Math.round(value)}`,
+                    this.createLineChartSVG(labels, series(entry => entry.spaces)))}
+                ${this.createChartCardHTML('Live hours recorded', current.totals.recordedHours, previous?.totals.recordedHours, value => `${value.toFixed(1)}h`,
+                    this.createLineChartSVG(labels, series(entry => entry.recordedSeconds / 3600), value => `${value.toFixed(1)}h`))}
+                ${this.createChartCardHTML('Recording success rate', current.totals.successRate, previous?.totals.successRate, value => `${Math.round(value)}%`,
+                    this.createLineChartSVG(labels, series(entry => entry.eligible > 0 ? (entry.recorded / entry.eligible) * 100 : null), value => `${Math.round(value)}%`, 100))}
+                ${this.createChartCardHTML('Public share', current.totals.publicShare, previous?.totals.publicShare, value => `${Math.round(value)}%`,
+                    this.createSplitChartSVG(labels, current.buckets))}
+                ${this.createChartCardHTML('Discovery success by anchor role', null, null, null,
+                    this.createAnchorRolesHTML(current.anchorRoles, previous?.anchorRoles))}
+            </div>
+        `;
+    }
+
+    /**
+     * Chart with a headline total and, when comparing, the change from the previous period
+     */
+    createChartCardHTML(title, value, previousValue, format, chartHTML) {
+        let headline = '';
+        if (format) {
+            headline = value === null || value === undefined ? '—' : format(value);
+            if (previousValue !== null && previousValue !== undefined && value !== null) {
+                const change = value - previousValue;
+                const direction = change > 0 ? 'up' : change < 0 ? 'down' : 'flat';
+                headline = html`${headline} <span class="analytics-change ${direction}">${change > 0 ? '+' : ''}${format(change)} vs ${format(previousValue)}</span>`;
+            }
+        }
+
+        return html`
+            <div class="analytics-chart">
+                <div class="analytics-chart-header">
+                    <h3>${title}</h3>
+                    <div class="analytics-chart-value">${headline}</div>
+                </div>
+                ${chartHTML}
+            </div>
+        `;
+    }
+
+    /**
+     * Line chart of the current period, with the previous period dashed behind it
+     * @param {Array<string>} labels - Bucket labels
+     * @param {Object} series - { current: [], previous: [] | null } (null values leave gaps)
+     */
+    createLineChartSVG(labels, series, format = value => `${Math.round(value)}`, fixedMax = null) {
+        const width = this.chartWidth;
+        const height = this.chartHeight;
+        const padding = { top: 10, right: 10, bottom: 22, left: 40 };
+        const plotWidth = width - padding.left - padding.right;
+        const plotHeight = height - padding.top - padding.bottom;
+
+        const values = [...series.current, ...(series.previous || [])].filter(value => value !== null);
+        const max = fixedMax || Math.max(1, ...values);
+        const x = (i) => padding.left + (labels.length > 1 ? (i / (labels.length - 1)) * plotWidth : plotWidth / 2);
+        const y = (value) => padding.top + plotHeight - (value / max) * plotHeight;
+
+        const path = (points) => {
+            let d = '';
+            let drawing = false;
+            points.forEach((value, i) => {
+                if (value === null) {
+                    drawing = false;
+                    return;
+                }
+                d += `${drawing ? 'L' : 'M'}${x(i).toFixed(1)},${y(value).toFixed(1)} `;
+                drawing = true;
+            });
+            return d.trim();
+        };
+
+        const labelStep = Math.max(1, Math.ceil(labels.length / 8));
+        const xLabels = labels.map((label, i) => i % labelStep === 0 ?
+            html`<text x="${x(i).toFixed(1)}" y="${height - 6}" text-anchor="middle">${label}</text>` : '');
+
+        const points = series.current.map((value, i) => value === null ? '' :
+            html`<circle class="analytics-point" cx="${x(i).toFixed(1)}" cy="${y(value).toFixed(1)}" r="2.5"><title>${labels[i]}: ${format(value)}${series.previous && series.previous[i] !== null ? ` (previous: ${format(series.previous[i])})` : ''}</title></circle>`
+        );
+
+        return html`
+            <svg class="analytics-svg" viewBox="0 0 ${width} ${height}" role="img">
+                <line class="analytics-axis" x1="${padding.left}" y1="${padding.top + plotHeight}" x2="${width - padding.right}" y2="${padding.top + plotHeight}"></line>
+                <text x="${padding.left - 6}" y="${padding.top + 4}" text-anchor="end">${format(max)}</text>
+                <text x="${padding.left - 6}" y="${padding.top + plotHeight}" text-anchor="end">${format(0)}</text>
+                ${series.previous ? html`<path class="analytics-line previous" d="${path(series.previous)}"></path>` : ''}
+                <path class="analytics-line" d="${path(series.current)}"></path>
+                ${points}
+                ${xLabels}
+            </svg>
+        `;
+    }
+
+    /**
+     * Stacked bars of public, private and unknown-privacy spaces per bucket
+     */
+    createSplitChartSVG(labels, buckets) {
+        const width = this.chartWidth;
+        const height = this.chartHeight;
+        const padding = { top: 10, right: 10, bottom: 22, left: 40 };
+        const plotWidth = width - padding.left - padding.right;
+        const plotHeight = height - padding.top - padding.bottom;
+
+        const max = Math.max(1, ...buckets.map(entry => entry.public + entry.private + entry.unknown));
+        const slot = plotWidth / buckets.length;
+        const barWidth = Math.max(1, slot * 0.7);
+        const labelStep = Math.max(1, Math.ceil(labels.length / 8));
+
+        const bars = buckets.map((entry, i) => {
+            let top = padding.top + plotHeight;
+            const left = padding.left + i * slot + (slot - barWidth) / 2;
+
+            return ['public', 'private', 'unknown'].map(kind => {
+                const barHeight = (entry[kind] / max) * plotHeight;
+                if (barHeight === 0) return '';
+                top -= barHeight;
+                return html`<rect class="analytics-bar ${kind}" x="${left.toFixed(1)}" y="${top.toFixed(1)}" width="${barWidth.toFixed(1)}" height="${barHeight.toFixed(1)}"><title>${labels[i]}: ${entry[kind]} ${kind}</title></rect>`;
+            });
+        });
+
+        const xLabels = labels.map((label, i) => i % labelStep === 0 ?
+            html`<text x="${(padding.left + (i + 0.5) * slot).toFixed(1)}" y="${height - 6}" text-anchor="middle">${label}</text>` : '');
+
+        return html`
+            <svg class="analytics-svg" viewBox="0 0 ${width} ${height}" role="img">
+                <line class="analytics-axis" x1="${padding.left}" y1="${padding.top + plotHeight}" x2="${width - padding.right}" y2="${padding.top + plotHeight}"></line>
+                <text x="${padding.left - 6}" y="${padding.top + 4}" text-anchor="end">${max}</text>
+                ${bars}
+                ${xLabels}
+            </svg>
+            <div class="graph-legend">
+                <span><i class="graph-swatch analytics-public"></i>Public</span>
+                <span><i class="graph-swatch analytics-private"></i>Private</span>
+                <span><i class="graph-swatch analytics-unknown"></i>Unknown</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Share of anchored spaces that ended up recorded, per anchor role
+     */
+    createAnchorRolesHTML(anchorRoles, previousRoles) {
+        const labels = { hosting: '🎙️ Hosting', speaking: '🗣️ Speaking', listening: '👂 Listening' };
+        const percent = (entry) => entry.total > 0 ? Math.round((entry.recorded / entry.total) * 100) : null;
+
+        return html`
+            <div class="analytics-roles">
+                ${this.anchorRoles.map(role => {
+                    const value = percent(anchorRoles[role]);
+                    const previousValue = previousRoles ? percent(previousRoles[role]) : null;
+                    return html`
+                        <div class="analytics-role">
+                            <span class="analytics-role-label">${labels[role]}</span>
+                            <span class="analytics-role-bar">
+                                <span class="analytics-role-fill" style="width: ${value || 0}%"></span>
+                                ${previousValue !== null ? html`<span class="analytics-role-previous" style="left: ${previousValue}%" title="Previous: ${previousValue}%"></span>` : ''}
+                            </span>
+                            <span class="analytics-role-value">${value === null ? '—' : `${value}%`} of ${anchorRoles[role].total}</span>
+                        </div>
+                    `;
+                })}
+            </div>
+        `;
+    }
+}
+
+// Create global instance
+const analytics = new AnalyticsView();
+window.analytics = analytics;
@@ -0,0 +1,220 @@
+/**
+ * API Cache - Persistent IndexedDB cache sitting under ApiService
+ * - Every cached response is stored with the time it was fetched
+ * - Per-resource TTLs (CONFIG.CACHE_TTL) decide whether an entry is fresh or stale
+ * - Stale entries are returned immediately and revalidated in the background
+ *   (stale-while-revalidate); callers are told when fresher data lands
+ * - One-off responses (searches, cursor pages, bulk pages) are kept in memory only
+ * - Entries past CONFIG.API_CACHE.MAX_AGE, and the oldest past MAX_ENTRIES, are pruned
+ */
+
+class ApiCache {
+    constructor() {
+        this.dbName = environment.scopedName('audiohub-cache');
+        this.dbVersion = 2;
+        this.storeName = 'responses';
+        this.db = null;
+
+        // Mirrors IndexedDB so repeated reads don't hit storage
+        this.memory = new Map();
+        // Keys with a background revalidation in flight
+        this.revalidating = new Map();
+        this.writesSincePrune = 0;
+
+        this.readyPromise = this.open();
+    }
+
+    async open() {
+        this.db = await IDB.open(this.dbName, this.dbVersion, (db, oldVersion, transaction) => {
+            const store = db.objectStoreNames.contains(this.storeName) ?
+                transaction.objectStore(this.storeName) :
+                db.createObjectStore(this.storeName, { keyPath: 'key' });
+
+            if (!store.indexNames.contains('resource')) store.createIndex('resource', 'resource');
+            if (!store.indexNames.contains('storedAt')) store.createIndex('storedAt', 'storedAt');
+        });
+
+        await this.prune();
+    }
+
+    /**
+     * Whether a response is worth keeping across page loads
+     * Searches and cursor pages are rarely asked for twice, and bulk pages
+     * (see Dashboard.fetchAllSpaces) would fill storage with copies of the list
+     * @param {string} key - Cache key
+     */
+    shouldPersist(key) {
+        if (!key.startsWith('spaces?')) return true;
+
+        const params = new URLSearchParams(key.slice('spaces?'.length));
+        return !params.has('search') &&
+            !params.has('cursor') &&
+            params.get('limit') !== String(CONFIG.BULK_PAGE_SIZE);
+    }
+
+    /**
+     * TTL in milliseconds for a resource type
+     */
+    getTtl(resource) {
+        return CONFIG.CACHE_TTL[resource] ?? CONFIG.CACHE_TTL.default;
+    }
+
+    /**
+     * Read an entry, annotated with whether it's still fresh
+     * @param {string} key - Cache key
+     * @returns {Promise<Object|null>} { key, resource, data, storedAt, isFresh }
+     */
+    async get(key) {
+        await this.readyPromise;
+
+        let entry = this.memory.get(key);
+        if (!entry) {
+            entry = await IDB.get(this.db, this.storeName, key);
+            if (entry) this.memory.set(key, entry);
+        }
+        if (!entry) return null;
+
+        return {
+            ...entry,
+            isFresh: Date.now() - entry.storedAt < this.getTtl(entry.resource)
+        };
+    }
+
+    /**
+     * Read every entry for a resource type
+     * @param {string} resource - Resource type
+     * @returns {Promise<Array<Object>>} Entries annotated with isFresh
+     */
+    async getAllByResource(resource) {
+        await this.readyPromise;
+
+        const entries = await IDB.getAllFromIndex(this.db, this.storeName, 'resource', resource);
+        const ttl = this.getTtl(resource);
+        return entries
+            .map(entry => {
+                this.memory.set(entry.key, entry);
+                return { ...entry, isFresh: Date.now() - entry.storedAt < ttl };
+            });
+    }
+
+    /**
+     * Store an entry
+     */
+    async set(key, resource, data) {
+        await this.readyPromise;
+
+        const entry = { key, resource, data, storedAt: Date.now() };
+        // Re-inserting keeps the memory mirror in write order for pruning
+        this.memory.delete(key);
+        this.memory.set(key, entry);
+        if (this.shouldPersist(key)) {
+            await IDB.put(this.db, this.storeName, entry);
+        }
+
+        if (++this.writesSincePrune >= CONFIG.API_CACHE.PRUNE_EVERY) {
+            await this.prune();
+        }
+        return entry;
+    }
+
+    /**
+     * Drop entries past the maximum age, then the oldest past the entry limit
+     */
+    async prune() {
+        this.writesSincePrune = 0;
+        const { MAX_AGE, MAX_ENTRIES } = CONFIG.API_CACHE;
+        const cutoff = Date.now() - MAX_AGE;
+
+        // Memory also holds the unpersisted entries; set() re-inserts, so it runs oldest first
+        for (const [key, entry] of this.memory) {
+            if (entry.storedAt >= cutoff && this.memory.size <= MAX_ENTRIES) break;
+            this.memory.delete(key);
+        }
+
+        if (!this.db) return;
+
+        const keys = await IDB.getAllKeysFromIndex(this.db, this.storeName, 'storedAt');
+        const expired = await IDB.getAllKeysFromIndex(this.db, this.storeName, 'storedAt', IDBKeyRange.upperBound(cutoff, true));
+        const overflow = Math.max(0, keys.length - expired.length - MAX_ENTRIES);
+        const toDelete = keys.slice(0, expired.length + overflow);
+        if (toDelete.length === 0) return;
+
+        toDelete.forEach(key => this.memory.delete(key));
+        await IDB.deleteMany(this.db, this.storeName, toDelete);
+        console.log(`🧹 Pruned ${toDelete.length} cached responses`);
+    }
+
+    /**
+     * Stale-while-revalidate fetch
+     * @param {string} key - Cache key
+     * @param {string} resource - Resource type, used for the TTL
+     * @param {Function} loader - Fetches fresh data from the network
+     * @param {Object} options - { force, onRevalidated(data) }
+     * @returns {Promise<{data: *, fromCache: boolean, storedAt: number}>}
+     */
+    async fetch(key, resource, loader, options = {}) {
+        const cached = options.force ? null : await this.get(key);
+
+        if (cached && cached.isFresh) {
+            return { data: cached.data, fromCache: true, storedAt: cached.storedAt };
+        }
+
+        if (cached) {
+            // Serve the stale copy now, refresh behind the scenes
+            this.revalidate(key, resource, loader, options.onRevalidated);
+            return { data: cached.data, fromCache: true, storedAt: cached.storedAt, isStale: true };
+        }
+
+        try {
+            const data = await loader();
+            const entry = await this.set(key, resource, data);
+            return { data, fromCache: false, storedAt: entry.storedAt };
+        } catch (error) {
+            // Offline or failing API: any copy at all beats an error
+            const fallback = options.force ? await this.get(key) : null;
+            if (fallback) {
+                console.warn(`⚠️ Serving cached ${resource} after network error:`, error.message);
+                return { data: fallback.data, fromCache: true, storedAt: fallback.storedAt, isStale: true };
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Refresh an entry in the background, once per key at a time
+     */
+    revalidate(key, resource, loader, onRevalidated) {
+        if (this.revalidating.has(key)) return this.revalidating.get(key);
+
+        const promise = (async () => {
+            try {
+                const data = await loader();
+                const entry = await this.set(key, resource, data);
+                console.log(`🔄 Revalidated cached ${resource}: ${key}`);
+                this.revalidating.delete(key);
+                if (typeof onRevalidated === 'function') {
+                    onRevalidated(data, entry.storedAt);
+                }
+            } catch (error) {
+                console.warn(`⚠️ Failed to revalidate ${key}:`, error.message);
+            } finally {
+                this.revalidating.delete(key);
+            }
+        })();
+
+        this.revalidating.set(key, promise);
+        return promise;
+    }
+
+    /**
+     * Drop everything
+     */
+    async clear() {
+        await this.readyPromise;
+        this.memory.clear();
+        await IDB.clear(this.db, this.storeName);
+        console.log('🧹 API cache cleared');
+    }
+}
+
+window.ApiCache = ApiCache;
@@ -1,8 +1,8 @@
 /**
  * Enhanced API Service with decoupled participant loading
  * - Spaces calls are completely independent from participants calls
- * - Participants are loaded serially (one after another)
- * - Background participant loading doesn't block UI updates
+ * - Participants are loaded in the background by ParticipantScheduler
+ * - Spaces, stats, files and participants are cached in IndexedDB (see ApiCache)
  */
 
 class ApiService {
@@ -13,10 +13,11 @@ class ApiService {
         this.transcriptionMap = {};
         this.participantsCache = {};
         
-        // Participant loading state management
-        this.participantQueue = [];
-        this.isLoadingParticipants = false;
-        this.participantLoadingAbortController = null;
+        // Persistent cache and sync tracking
+        this.cache = new ApiCache();
+        this.staleParticipants = new Set(); // Hydrated from cache, due for a refresh
+        this.resourceSyncedAt = {};         // resource -> when the data in use was fetched
+        this.syncListeners = [];
     }
 
     async makeRequest(endpoint, abortSignal = null) {
@@ -33,7 +34,7 @@ class ApiService {
                 options.signal = abortSignal;
             }
             
-            const response = await fetch(this.baseUrl + endpoint, options);
+            const response = await auth.fetch(this.baseUrl + endpoint, options);
             
             if (!response.ok) {
                 let errorDetails = response.statusText;
@@ -45,7 +46,10 @@ class ApiService {
                 } catch (e) {
                     // Ignore JSON parsing error, use statusText
                 }
-                throw new Error(`HTTP ${response.status}: ${errorDetails}`);
+                const error = new Error(`HTTP ${response.status}: ${errorDetails}`);
+                error.status = response.status;
+                error.retryAfter = response.headers.get('Retry-After');
+                throw error;
             }
             
             return await response.json();
@@ -59,33 +63,155 @@ class ApiService {
         }
     }
 
+    /**
+     * GET through the persistent cache with stale-while-revalidate
+     * @param {string} endpoint - API endpoint, also the cache key
+     * @param {string} resource - Resource type for the TTL (see CONFIG.CACHE_TTL)
+     * @param {Object} options - { force, abortSignal }
+     */
+    async cachedRequest(endpoint, resource, options = {}) {
+        const result = await this.cache.fetch(
+            endpoint,
+            resource,
+            () => this.makeRequest(endpoint, options.abortSignal),
+            {
+                force: options.force,
+                onRevalidated: (data, storedAt) => {
+                    this.resourceSyncedAt[resource] = storedAt;
+                    if (resource === 'files') {
+                        this.processFiles(data);
+                    }
+                    this.emitSync({ type: 'revalidated', resource, key: endpoint, data });
+                }
+            }
+        );
+
+        this.resourceSyncedAt[resource] = result.storedAt;
+        this.emitSync({ type: result.fromCache ? 'cache' : 'network', resource, key: endpoint });
+        return result.data;
+    }
+
+    /**
+     * Register a listener for cache/network sync events
+     * @param {Function} callback - Receives { type, resource, key, data }
+     */
+    onSync(callback) {
+        if (typeof callback === 'function') {
+            this.syncListeners.push(callback);
+        }
+    }
+
+    emitSync(event) {
+        this.syncListeners.forEach(callback => {
+            try {
+                callback(event);
+            } catch (error) {
+                console.error('Sync listener failed:', error);
+            }
+        });
+    }
+
+    /**
+     * How fresh the data on screen is
+     * @returns {Object} { syncedAt, isRevalidating }
+     */
+    getSyncStatus() {
+        // The page is only as fresh as the oldest of the core resources it shows
+        const times = ['spaces', 'files']
+            .map(resource => this.resourceSyncedAt[resource])
+            .filter(Boolean);
+
+        return {
+            syncedAt: times.length > 0 ? Math.min(...times) : null,
+            isRevalidating: this.cache.revalidating.size > 0
+        };
+    }
+
+    /**
+     * Load cached participants into memory so cards render avatars right away
+     */
+    async hydrateFromCache() {
+        const entries = await this.cache.getAllByResource('participants');
+        entries.forEach(entry => {
+            const spaceId = entry.key.replace('participants:', '');
+            if (this.participantsCache[spaceId]) return;
+            this.participantsCache[spaceId] = entry.data;
+            if (!entry.isFresh) this.staleParticipants.add(spaceId);
+        });
+
+        console.log(`✅ Hydrated ${entries.length} participant lists from cache`);
+    }
+
+    /**
+     * Keep cached participants on screen but refetch them in the background
+     */
+    markParticipantsStale() {
+        Object.keys(this.participantsCache).forEach(spaceId => {
+            if (this.participantsCache[spaceId]) {
+                this.staleParticipants.add(spaceId);
+            } else {
+                delete this.participantsCache[spaceId];
+            }
+        });
+    }
+
     async getHealth() {
         return await this.makeRequest('health/status');
     }
 
-    async getStats() {
-        return await this.makeRequest('stats');
+    async getStats(options = {}) {
+        return await this.cachedRequest('stats', 'stats', options);
+    }
+
+    /**
+     * Fetch a page of spaces with server-side filtering, sorting and paging.
+     * When a cursor is given it takes precedence over offset.
+     * @param {Object} filters - limit, offset, cursor, status, privacy, host, search,
+     *                           overrideOnly, dateFrom, dateTo (YYYY-MM-DD) and sort
+     */
+    async getSpaces(filters = {}, abortSignal = null) {
+        return await this.cachedRequest(this.buildSpacesEndpoint(filters), 'spaces', {
+            force: filters.force,
+            abortSignal
+        });
     }
 
-    async getSpaces(filters = {}) {
-        let endpoint = 'spaces?';
-        const params = [];
+    /**
+     * Build the spaces endpoint for a set of filters (also the cache key)
+     */
+    buildSpacesEndpoint(filters = {}) {
+        const params = new URLSearchParams();
         
-        if (filters.limit) params.push(`limit=${filters.limit}`);
-        if (filters.offset) params.push(`offset=${filters.offset}`);
-        if (filters.status) params.push(`status=${filters.status}`);
+        if (filters.limit) params.set('limit', filters.limit);
+        if (filters.cursor) {
+            params.set('cursor', filters.cursor);
+        } else if (filters.offset) {
+            params.set('offset', filters.offset);
+        }
+        if (filters.status) params.set('status', filters.status);
+        if (filters.privacy) params.set('privacy', filters.privacy);
+        if (filters.host) params.set('host', filters.host.replace(/^@/, ''));
+        if (filters.search) params.set('search', filters.search);
+        if (filters.overrideOnly) params.set('override', 'true');
+        if (filters.dateFrom) params.set('startDate', new Date(`${filters.dateFrom}T00:00:00`).toISOString());
+        if (filters.dateTo) params.set('endDate', new Date(`${filters.dateTo}T23:59:59.999`).toISOString());
+
+        const sort = CONFIG.SORT_OPTIONS[filters.sort];
+        if (sort) {
+            params.set('sortBy', sort.sortBy);
+            params.set('order', sort.order);
+        }
         
-        endpoint += params.join('&');
-        return await this.makeRequest(endpoint);
+        return `spaces?${params.toString()}`;
     }
 
-    async getSpaceDetails(spaceId) {
-        return await this.makeRequest(`spaces/${spaceId}`);
+    async getSpaceDetails(spaceId, options = {}) {
+        return await this.cachedRequest(`spaces/${spaceId}`, 'spaceDetails', options);
     }
 
     async getSpaceParticipants(spaceId, abortSignal = null) {
-        // Check cache first
-        if (this.participantsCache[spaceId]) {
+        // Check cache first (stale entries hydrated from storage get refetched)
+        if (this.participantsCache[spaceId] && !this.staleParticipants.has(spaceId)) {
             return this.participantsCache[spaceId];
         }
 
@@ -93,8 +219,16 @@ class ApiService {
             const data = await this.makeRequest(`spaces/${spaceId}/participants`, abortSignal);
             // Cache the result
             this.participantsCache[spaceId] = data;
+            this.staleParticipants.delete(spaceId);
+            this.cache.set(`participants:${spaceId}`, 'participants', data);
             return data;
         } catch (error) {
+            // A stale copy is still better than nothing
+            if (this.participantsCache[spaceId] && error.message !== 'Request cancelled') {
+                console.warn(`⚠️ Using cached participants for ${spaceId}:`, error.message);
+                this.staleParticipants.delete(spaceId);
+                return this.participantsCache[spaceId];
+            }
             // If 404 or other error, cache null to avoid repeated requests
             if (error.message.includes('404')) {
                 this.participantsCache[spaceId] = null;
@@ -107,9 +241,9 @@ class ApiService {
      * COMPLETELY DECOUPLED: Load spaces without any participant data
      * This is now the main method used by dashboard
      */
-    async getSpacesOnly(filters = {}) {
+    async getSpacesOnly(filters = {}, abortSignal = null) {
         console.log('🔄 Loading spaces only (no participants)');
-        const spacesData = await this.getSpaces(filters);
+        const spacesData = await this.getSpaces(filters, abortSignal);
         
         if (spacesData.data && spacesData.data.length > 0) {
             console.log(`✅ Loaded ${spacesData.data.length} spaces`);
@@ -119,139 +253,15 @@ class ApiService {
     }
 
     /**
-     * Start background participant loading for a set of spaces
-     * This runs independently and updates the UI as data becomes available
-     */
-    startBackgroundParticipantLoading(spaces, onParticipantLoaded = null) {
-        if (!spaces || spaces.length === 0) return;
-        
-        // Cancel any existing participant loading
-        this.cancelParticipantLoading();
-        
-        // Filter out spaces that already have participant data
-        const spacesToLoad = spaces.filter(space => 
-            !this.participantsCache[space._id] && space._id
-        );
-        
-        if (spacesToLoad.length === 0) {
-            console.log('✅ All spaces already have participant data or are invalid');
-            return;
-        }
-        
-        console.log(`🔄 Starting background participant loading for ${spacesToLoad.length} spaces`);
-        
-        // Set up abort controller for cancellation
-        this.participantLoadingAbortController = new AbortController();
-        
-        // Add to queue and start processing
-        this.participantQueue = spacesToLoad.map(space => ({
-            spaceId: space._id,
-            spaceTitle: space.title,
-            onLoaded: onParticipantLoaded
-        }));
-        
-        // Start serial processing
-        this.processParticipantQueue();
-    }
-
-    /**
-     * Process participant queue serially (one at a time)
-     */
-async processParticipantQueue() {
-    if (this.isLoadingParticipants || this.participantQueue.length === 0) {
-        return;
-    }
-    
-    this.isLoadingParticipants = true;
-    
-    while (this.participantQueue.length > 0) {
-        // Check if loading was cancelled
-        if (this.participantLoadingAbortController?.signal.aborted) {
-            console.log('🛑 Participant loading was cancelled');
-            break;
-        }
-        
-        // Get next batch of 5 items
-        const batch = this.participantQueue.splice(0, 5);
-        console.log(`🔄 Processing batch of ${batch.length} participants`);
-        
-        // Process all 5 simultaneously
-        const batchPromises = batch.map(async (item) => {
-            try {
-                console.log(`🔄 Loading participants for space: ${item.spaceId}`);
-                
-                const participantsData = await this.getSpaceParticipants(
-                    item.spaceId, 
-                    this.participantLoadingAbortController?.signal
-                );
-                
-                console.log(`✅ Loaded participants for space: ${item.spaceId} (${participantsData?.totalParticipants || 0} participants)`);
-                
-                // Notify callback if provided
-                if (item.onLoaded && typeof item.onLoaded === 'function') {
-                    item.onLoaded(item.spaceId, participantsData);
-                }
-                
-            } catch (error) {
-                if (error.message === 'Request cancelled') {
-                    console.log('🛑 Participant loading cancelled');
-                } else {
-                    console.warn(`⚠️ Failed to load participants for space ${item.spaceId}:`, error.message);
-                }
-            }
-        });
-        
-        // Wait for all 5 to complete
-        await Promise.allSettled(batchPromises);
-        
-        // Small delay between batches
-        if (this.participantQueue.length > 0) {
-            await new Promise(resolve => setTimeout(resolve, 200));
-        }
-    }
-    
-    this.isLoadingParticipants = false;
-    console.log('✅ Finished loading participants for all spaces');
-}
-
-    /**
-     * Cancel any ongoing participant loading
+     * Whether a space's participants are known and don't need (re)loading.
+     * A null entry means the API has no participant data for the space.
      */
-    cancelParticipantLoading() {
-        if (this.participantLoadingAbortController) {
-            console.log('🛑 Cancelling participant loading');
-            this.participantLoadingAbortController.abort();
-            this.participantLoadingAbortController = null;
-        }
-        
-        this.participantQueue = [];
-        this.isLoadingParticipants = false;
+    hasFreshParticipants(spaceId) {
+        return spaceId in this.participantsCache && !this.staleParticipants.has(spaceId);
     }
 
-    /**
-     * Check if participant loading is in progress
-     */
-    isLoadingParticipantsInBackground() {
-        return this.isLoadingParticipants;
-    }
-
-    /**
-     * Get participant loading progress
-     */
-    getParticipantLoadingProgress() {
-        const totalQueued = this.participantQueue.length;
-        const cached = Object.keys(this.participantsCache).length;
-        
-        return {
-            isLoading: this.isLoadingParticipants,
-            queueLength: totalQueued,
-            cachedCount: cached,
-            progress: totalQueued > 0 ? `${cached} loaded, ${totalQueued} remaining` : 'Complete'
-        };
-    }
-
-    async getFiles() {
-        return await this.makeRequest('files');
+    async getFiles(options = {}) {
+        return await this.cachedRequest('files', 'files', options);
     }
 
     /**
@@ -264,95 +274,103 @@ async processParticipantQueue() {
 
     /**
      * Loads audio files and transcription files, grouping them by spaceId
+     * @param {Object} options - { force } to bypass the cache
      */
-    async loadAudioFiles() {
+    async loadAudioFiles(options = {}) {
         try {
             console.log('🔄 Loading audio files and transcriptions...');
-            const data = await this.getFiles();
-            this.audioFilesMap = {};
-            this.transcriptionMap = {};
+            const data = await this.getFiles(options);
+            this.processFiles(data);
+        } catch (error) {
+            console.error('Files loading error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Builds audioFilesMap and transcriptionMap from a files response
+     */
+    processFiles(data) {
+        this.audioFilesMap = {};
+        this.transcriptionMap = {};
 
-            if (data.files && Array.isArray(data.files)) {
-                console.log('📁 Processing files:', data.files.length);
+        if (data.files && Array.isArray(data.files)) {
+            console.log('📁 Processing files:', data.files.length);
+            
+            data.files.forEach(file => {
+                const filePath = file.name;
+                const parts = filePath.split('/');
                 
-                data.files.forEach(file => {
-                    const filePath = file.name;
-                    const parts = filePath.split('/');
+                if (parts.length >= 3) {
+                    const hostUsername = parts[0];
+                    const date = parts[1];
+                    const filename = parts[2];
                     
-                    if (parts.length >= 3) {
-                        const hostUsername = parts[0];
-                        const date = parts[1];
-                        const filename = parts[2];
+                    // Process audio files
+                    if (/\.(mp3|aac|m4a|mp4)$/i.test(filename)) {
+                        const spaceId = this.extractSpaceIdFromFilename(filename);
+                        const audioInfo = {
+                            url: this.s3BaseUrl + filePath,
+                            filename: filename,
+                            path: filePath,
+                            size: file.size || null,
+                            lastModified: file.lastModified || null
+                        };
+                        
+                        if (!this.audioFilesMap[spaceId]) {
+                            this.audioFilesMap[spaceId] = [];
+                        }
+                        
+                        const exists = this.audioFilesMap[spaceId].some(existing => 
+                            existing.url === audioInfo.url
+                        );
+                        
+                        if (!exists) {
+                            this.audioFilesMap[spaceId].push(audioInfo);
+                        }
                         
-                        // Process audio files
-                        if (/\.(mp3|aac|m4a|mp4)$/i.test(filename)) {
-                            const spaceId = this.extractSpaceIdFromFilename(filename);
-                            const audioInfo = {
-                                url: this.s3BaseUrl + filePath,
-                                filename: filename,
-                                path: filePath,
-                                size: file.size || null,
-                                lastModified: file.lastModified || null
-                            };
-                            
-                            if (!this.audioFilesMap[spaceId]) {
-                                this.audioFilesMap[spaceId] = [];
-                            }
-                            
-                            const exists = this.audioFilesMap[spaceId].some(existing => 
-                                existing.url === audioInfo.url
-                            );
-                            
-                            if (!exists) {
-                                this.audioFilesMap[spaceId].push(audioInfo);
-                            }
-                            
-                            // Also add with composite key for fallback
-                            const compositeKey = `${hostUsername}/${date}/${spaceId}`;
-                            if (!this.audioFilesMap[compositeKey]) {
-                                this.audioFilesMap[compositeKey] = [];
-                            }
-                            
-                            const compositeExists = this.audioFilesMap[compositeKey].some(existing => 
-                                existing.url === audioInfo.url
-                            );
-                            
-                            if (!compositeExists) {
-                                this.audioFilesMap[compositeKey].push(audioInfo);
-                            }
+                        // Also add with composite key for fallback
+                        const compositeKey = `${hostUsername}/${date}/${spaceId}`;
+                        if (!this.audioFilesMap[compositeKey]) {
+                            this.audioFilesMap[compositeKey] = [];
                         }
                         
-                        // Process transcription files (JSON and CSV)
-                        else if (/\.(json|csv)$/i.test(filename)) {
-                            const spaceId = this.extractSpaceIdFromFilename(filename);
-                            const transcriptionInfo = {
-                                url: this.s3BaseUrl + filePath,
-                                filename: filename,
-                                path: filePath,
-                                size: file.size || null,
-                                lastModified: file.lastModified || null
-                            };
-                            
-                            // Store transcription (one per space)
-                            this.transcriptionMap[spaceId] = transcriptionInfo;
-                            
-                            // Also add with composite key for fallback
-                            const compositeKey = `${hostUsername}/${date}/${spaceId}`;
-                            this.transcriptionMap[compositeKey] = transcriptionInfo;
+                        const compositeExists = this.audioFilesMap[compositeKey].some(existing => 
+                            existing.url === audioInfo.url
+                        );
+                        
+                        if (!compositeExists) {
+                            this.audioFilesMap[compositeKey].push(audioInfo);
                         }
                     }
-                });
-                
-                const spacesWithAudio = Object.keys(this.audioFilesMap).filter(key => !key.includes('/')).length;
-                const totalAudioFiles = Object.values(this.audioFilesMap).reduce((sum, files) => sum + files.length, 0);
-                const spacesWithTranscription = Object.keys(this.transcriptionMap).filter(key => !key.includes('/')).length;
-                
-                console.log(`✅ Loaded ${totalAudioFiles} audio files for ${spacesWithAudio} spaces`);
-                console.log(`✅ Loaded ${spacesWithTranscription} transcription files (JSON/CSV)`);
-            }
-        } catch (error) {
-            console.error('Files loading error:', error);
-            throw error;
+                    
+                    // Process transcription files (JSON and CSV)
+                    else if (/\.(json|csv)$/i.test(filename)) {
+                        const spaceId = this.extractSpaceIdFromFilename(filename);
+                        const transcriptionInfo = {
+                            url: this.s3BaseUrl + filePath,
+                            filename: filename,
+                            path: filePath,
+                            size: file.size || null,
+                            lastModified: file.lastModified || null
+                        };
+                        
+                        // Store transcription (one per space)
+                        this.transcriptionMap[spaceId] = transcriptionInfo;
+                        
+                        // Also add with composite key for fallback
+                        const compositeKey = `${hostUsername}/${date}/${spaceId}`;
+                        this.transcriptionMap[compositeKey] = transcriptionInfo;
+                    }
+                }
+            });
+            
+            const spacesWithAudio = Object.keys(this.audioFilesMap).filter(key => !key.includes('/')).length;
+            const totalAudioFiles = Object.values(this.audioFilesMap).reduce((sum, files) => sum + files.length, 0);
+            const spacesWithTranscription = Object.keys(this.transcriptionMap).filter(key => !key.includes('/')).length;
+            
+            console.log(`✅ Loaded ${totalAudioFiles} audio files for ${spacesWithAudio} spaces`);
+            console.log(`✅ Loaded ${spacesWithTranscription} transcription files (JSON/CSV)`);
         }
     }
 
@@ -381,6 +399,30 @@ async processParticipantQueue() {
         return null;
     }
 
+    /**
+     * Gets all audio files for a space as an ordered playlist of parts
+     * Parts are ordered by their _partN / -N suffix, then by filename
+     */
+    getAudioPlaylistBySpaceId(spaceId, hostUsername = null, createdAt = null) {
+        const audioFiles = this.getAllAudioFilesBySpaceId(spaceId, hostUsername, createdAt);
+        if (!audioFiles) return null;
+
+        return audioFiles.sort((a, b) => {
+            const partA = this.extractPartNumber(a.filename);
+            const partB = this.extractPartNumber(b.filename);
+            if (partA !== partB) return partA - partB;
+            return a.filename.localeCompare(b.filename, undefined, { numeric: true });
+        });
+    }
+
+    /**
+     * Extracts the part number from a filename (1 when there is none)
+     */
+    extractPartNumber(filename) {
+        const match = filename.match(/[_-]part[_-]?(\d+)\.\w+$/i) || filename.match(/[_-](\d{1,3})\.\w+$/);
+        return match ? parseInt(match[1], 10) : 1;
+    }
+
     /**
      * Gets transcription file for a space
      */
@@ -407,10 +449,10 @@ async processParticipantQueue() {
     }
 
     /**
-     * Gets first audio file for backward compatibility
+     * Gets first audio file (first part) for backward compatibility
      */
     getAudioUrlBySpaceId(spaceId, hostUsername = null, createdAt = null) {
-        const audioFiles = this.getAllAudioFilesBySpaceId(spaceId, hostUsername, createdAt);
+        const audioFiles = this.getAudioPlaylistBySpaceId(spaceId, hostUsername, createdAt);
         return audioFiles && audioFiles.length > 0 ? audioFiles[0] : null;
     }
 
@@ -5,6 +5,7 @@
 class App {
     constructor() {
         this.isInitialized = false;
+        this.pauseReasons = new Set(); // 'hidden' and/or 'offline'
         this.init();
     }
 
@@ -40,14 +41,41 @@ class App {
             }
 
             Utils.showMessage('Loading dashboard...', CONFIG.MESSAGE_TYPES.SUCCESS);
+
+            // Cached participants render with the first page instead of trickling in
+            await api.hydrateFromCache();
+
+            // Newer file listings revalidated in the background need reindexing
+            api.onSync((event) => {
+                if (event.type === 'revalidated' && event.resource === 'files') {
+                    transcriptIndex.indexTranscripts(api.getTranscriptionMap()).catch(error => {
+                        console.warn('⚠️ Transcript indexing failed:', error.message);
+                    });
+                }
+            });
             
-            // Load audio files mapping first
+            // Load audio files mapping first (served from cache when available)
             await api.loadAudioFiles();
+
+            // Index new transcripts in the background for full-text search
+            transcriptIndex.indexTranscripts(api.getTranscriptionMap()).catch(error => {
+                console.warn('⚠️ Transcript indexing failed:', error.message);
+            });
             
+            // Filters from a shared link apply before the first page is fetched
+            urlState.restoreFilters();
+
             // Load spaces immediately (without participants)
             // Participants will load in background automatically
             await dashboard.loadSpaces();
 
+            // Reopen the modal, player position and scroll from the URL
+            await urlState.restoreView();
+
+            // Keep live spaces and stats current from here on
+            liveUpdates.start();
+            healthMonitor.start();
+
             this.setupEventListeners();
             this.isInitialized = true;
             
@@ -64,31 +92,60 @@ class App {
      * Set up event listeners for the application
      */
     setupEventListeners() {
-        // Basic connectivity handling
+        // Background work stops while offline and picks up again once back
         window.addEventListener('online', () => {
             Utils.showMessage('Connection restored', CONFIG.MESSAGE_TYPES.SUCCESS);
+            this.resumeBackgroundWork('offline');
         });
 
         window.addEventListener('offline', () => {
             Utils.showMessage('Connection lost - some features may not work');
+            this.pauseBackgroundWork('offline');
         });
 
-        // Handle page visibility changes
+        // ...and while the page is hidden, to save resources
         document.addEventListener('visibilitychange', () => {
             if (document.hidden) {
-                // Page is hidden, cancel participant loading to save resources
-                api.cancelParticipantLoading();
-                console.log('🛑 Page hidden, cancelled participant loading');
+                this.pauseBackgroundWork('hidden');
             } else {
-                // Page is visible again, resume participant loading if needed
                 console.log('👁️ Page visible again');
-                // Optionally restart participant loading for visible spaces
+                this.resumeBackgroundWork('hidden');
             }
         });
 
+        if (!navigator.onLine) this.pauseBackgroundWork('offline');
+        if (document.hidden) this.pauseBackgroundWork('hidden');
+
         console.log('Event listeners set up successfully');
     }
 
+    /**
+     * Workers that run in the background; each implements pause() and resume()
+     */
+    getBackgroundTasks() {
+        return [participantScheduler, liveUpdates, transcriptIndex, healthMonitor];
+    }
+
+    /**
+     * Pause all background work. Queues are kept so nothing restarts from scratch.
+     * @param {string} reason - Why; work resumes once every reason is cleared
+     */
+    pauseBackgroundWork(reason) {
+        const wasPaused = this.pauseReasons.size > 0;
+        this.pauseReasons.add(reason);
+        if (wasPaused) return;
+
+        this.getBackgroundTasks().forEach(task => task.pause());
+        console.log(`⏸️ Background work paused (${reason})`);
+    }
+
+    resumeBackgroundWork(reason) {
+        if (!this.pauseReasons.delete(reason) || this.pauseReasons.size > 0) return;
+
+        this.getBackgroundTasks().forEach(task => task.resume());
+        console.log(`▶️ Background work resumed (${reason} cleared)`);
+    }
+
     /**
      * Handle application errors
      */
@@ -103,7 +160,7 @@ class App {
     getStatus() {
         const audioMap = window.api ? api.getAudioFilesMap() : {};
         const participantsCache = window.api ? api.getParticipantsCache() : {};
-        const participantProgress = window.api ? api.getParticipantLoadingProgress() : {};
+        const participantProgress = window.participantScheduler ? participantScheduler.getProgress() : {};
         const formatCounts = {};
         
         // Count files by format
@@ -125,6 +182,7 @@ class App {
             spacesCount: window.dashboard ? dashboard.allSpaces.length : 0,
             audioFilesCount: Object.keys(audioMap).length,
             formatBreakdown: formatCounts,
+            backgroundWork: this.pauseReasons.size > 0 ? `paused (${[...this.pauseReasons].join(', ')})` : 'running',
             participantLoading: {
                 isLoading: participantProgress.isLoading || false,
                 queueLength: participantProgress.queueLength || 0,
@@ -143,15 +201,19 @@ class App {
         try {
             Utils.showMessage('Refreshing data...', CONFIG.MESSAGE_TYPES.SUCCESS);
             
-            // Cancel any ongoing participant loading
+            // Cancel any ongoing participant loading; cached participants stay
+            // on screen until their refetch lands
             if (window.api) {
-                api.cancelParticipantLoading();
-                api.participantsCache = {};
+                participantScheduler.cancel();
+                api.markParticipantsStale();
             }
             
-            // Reload data
-            await api.loadAudioFiles();
-            await dashboard.loadSpaces(); // This will restart participant loading automatically
+            // Reload data, bypassing the cache
+            await api.loadAudioFiles({ force: true });
+            transcriptIndex.indexTranscripts(api.getTranscriptionMap()).catch(error => {
+                console.warn('⚠️ Transcript indexing failed:', error.message);
+            });
+            await dashboard.loadSpaces({ force: true }); // This will restart participant loading automatically
             
             Utils.showMessage('Data refreshed successfully!', CONFIG.MESSAGE_TYPES.SUCCESS);
         } catch (error) {
@@ -172,10 +234,10 @@ class App {
         Utils.showMessage('Force loading participants...', CONFIG.MESSAGE_TYPES.SUCCESS);
         
         // Cancel existing loading
-        api.cancelParticipantLoading();
+        participantScheduler.cancel();
         
         // Start fresh participant loading
-        dashboard.startBackgroundParticipantLoading(dashboard.allSpaces);
+        dashboard.queueParticipantLoading(dashboard.allSpaces);
         
         Utils.showMessage('Participant loading restarted', CONFIG.MESSAGE_TYPES.SUCCESS);
     }
@@ -184,7 +246,7 @@ class App {
      * Debug method to show participants loading status
      */
     debugParticipantsLoading() {
-        const progress = api.getParticipantLoadingProgress();
+        const progress = participantScheduler.getProgress();
         const cache = api.getParticipantsCache();
         
         const stats = {
@@ -222,8 +284,8 @@ Participant Count: ${stats.sampleCacheEntry.participantCount}` : 'No cache entri
 
 Commands:
 - app.forceLoadParticipants() - Restart participant loading
-- api.cancelParticipantLoading() - Cancel current loading
-- api.getParticipantLoadingProgress() - Get detailed progress
+- participantScheduler.cancel() - Cancel current loading
+- participantScheduler.getProgress() - Get detailed progress
         `;
         
         if (window.modal) {
@@ -252,9 +314,10 @@ const app = new App();
 // Make app globally available for debugging
 window.app = app;
 
-// Expose debug methods for console usage
-window.debugParticipants = () => app.debugParticipantsLoading();
-window.refreshData = () => app.refreshData();
-window.forceLoadParticipants = () => app.forceLoadParticipants();
-window.cancelParticipants = () => api.cancelParticipantLoading();
-window.appStatus = () => console.log(app.getStatus());
\ No newline at end of file
+// Expose debug methods for console usage (admins only)
+window.debugParticipants = auth.adminOnly(() => app.debugParticipantsLoading());
+window.refreshData = auth.adminOnly(() => app.refreshData());
+window.forceLoadParticipants = auth.adminOnly(() => app.forceLoadParticipants());
+window.cancelParticipants = auth.adminOnly(() => participantScheduler.cancel());
+window.appStatus = () => console.log(app.getStatus());
+window.liveStatus = () => console.log(liveUpdates.getStatus());
\ No newline at end of file
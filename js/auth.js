@@ -0,0 +1,376 @@
+/**
+ * Auth - Sign-in and roles for admin actions
+ * - 'token' provider exchanges a username and password for access and refresh tokens
+ * - 'mock' provider signs in locally with any name and a chosen role, for development
+ * - fetch() attaches the bearer token, refreshes it before it expires and retries once on 401
+ * - Marks the body with the current role; elements with .admin-only are hidden from viewers
+ */
+
+class AuthManager {
+    constructor() {
+        this.storageKey = environment.scopedName('audiohub-auth');
+        this.roles = ['admin', 'viewer'];
+
+        this.session = null;        // { accessToken, refreshToken, expiresAt, user: { username, role } }
+        this.refreshPromise = null; // Shared by concurrent requests while a refresh is in flight
+        this.changeListeners = [];
+
+        this.barElement = null;
+
+        this.load();
+        this.init();
+    }
+
+    /**
+     * Initialize the sign-in bar once the DOM is ready
+     */
+    init() {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.setup());
+        } else {
+            this.setup();
+        }
+    }
+
+    setup() {
+        this.createAuthHTML();
+        this.setupEventListeners();
+        this.applyRole();
+    }
+
+    /**
+     * The provider in use; only an environment profile can select 'mock'
+     */
+    getProvider() {
+        return CONFIG.AUTH.PROVIDER || 'token';
+    }
+
+    load() {
+        try {
+            this.session = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+        } catch (error) {
+            console.warn('⚠️ Failed to read session from storage:', error.message);
+        }
+    }
+
+    save() {
+        try {
+            if (this.session) {
+                localStorage.setItem(this.storageKey, JSON.stringify(this.session));
+            } else {
+                localStorage.removeItem(this.storageKey);
+            }
+        } catch (error) {
+            console.warn('⚠️ Failed to save session:', error.message);
+        }
+    }
+
+    /**
+     * Register a listener for sign-in, sign-out and role changes
+     * @param {Function} callback - Receives the signed-in user or null
+     */
+    onChange(callback) {
+        if (typeof callback === 'function') {
+            this.changeListeners.push(callback);
+        }
+    }
+
+    notifyChange() {
+        this.applyRole();
+        this.render();
+        this.changeListeners.forEach(callback => {
+            try {
+                callback(this.getUser());
+            } catch (error) {
+                console.error('Auth listener failed:', error);
+            }
+        });
+    }
+
+    isSignedIn() {
+        return !!this.session;
+    }
+
+    getUser() {
+        return this.session ? this.session.user : null;
+    }
+
+    getRole() {
+        return this.session?.user?.role || 'viewer';
+    }
+
+    isAdmin() {
+        return this.getRole() === 'admin';
+    }
+
+    /**
+     * Wrap a console command so it only runs for admins
+     */
+    adminOnly(command) {
+        return (...args) => {
+            if (!this.isAdmin()) {
+                console.warn('🔒 Sign in as an admin to use this command');
+                return undefined;
+            }
+            return command(...args);
+        };
+    }
+
+    /**
+     * Sign in with the configured provider
+     * @param {Object} credentials - { username, password } for 'token', { username, role } for 'mock'
+     */
+    async signIn(credentials) {
+        const username = String(credentials.username || '').trim();
+        if (!username) throw new Error('Enter a username');
+
+        if (this.getProvider() === 'mock') {
+            this.session = this.createMockSession({
+                username: username,
+                role: this.roles.includes(credentials.role) ? credentials.role : 'viewer'
+            });
+        } else {
+            this.session = await this.requestTokens(CONFIG.AUTH.TOKEN_ENDPOINT, {
+                username: username,
+                password: credentials.password || ''
+            });
+        }
+
+        this.save();
+        console.log(`🔑 Signed in as ${this.session.user.username} (${this.session.user.role})`);
+        this.notifyChange();
+        return this.getUser();
+    }
+
+    signOut(reason = '') {
+        if (!this.session) return;
+
+        this.session = null;
+        this.save();
+        console.log(`🔒 Signed out${reason ? ` (${reason})` : ''}`);
+        this.notifyChange();
+    }
+
+    /**
+     * Local session for development; tokens are opaque and never checked
+     */
+    createMockSession(user) {
+        const token = () => `mock-${Math.random().toString(36).slice(2)}${Date.now().toString(36)}`;
+        return {
+            accessToken: token(),
+            refreshToken: token(),
+            expiresAt: Date.now() + CONFIG.AUTH.MOCK_TOKEN_LIFETIME,
+            user: user
+        };
+    }
+
+    /**
+     * POST to a token endpoint and turn the response into a session.
+     * Accepts camelCase or OAuth-style snake_case fields.
+     */
+    async requestTokens(endpoint, body) {
+        const response = await fetch(api.baseUrl + endpoint, {
+            method: 'POST',
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body)
+        });
+
+        let data = {};
+        try {
+            data = await response.json();
+        } catch (e) {
+            // Ignore JSON parsing error, fall back to the status
+        }
+
+        if (!response.ok) {
+            const error = new Error(data.error || data.message || `HTTP ${response.status}: ${response.statusText}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        const accessToken = data.accessToken || data.access_token;
+        if (!accessToken) throw new Error('No access token in response');
+
+        const expiresIn = Number(data.expiresIn ?? data.expires_in) || 0;
+        const user = data.user || {};
+        return {
+            accessToken: accessToken,
+            refreshToken: data.refreshToken || data.refresh_token || this.session?.refreshToken || null,
+            expiresAt: expiresIn > 0 ? Date.now() + expiresIn * 1000 : null,
+            user: {
+                username: user.username || body.username || this.session?.user?.username,
+                role: this.roles.includes(user.role || data.role) ? (user.role || data.role) : 'viewer'
+            }
+        };
+    }
+
+    /**
+     * Get a new access token; concurrent callers share one request
+     * @returns {Promise<boolean>} Whether the session is still valid
+     */
+    refresh() {
+        if (!this.session) return Promise.resolve(false);
+        if (this.refreshPromise) return this.refreshPromise;
+
+        this.refreshPromise = (async () => {
+            try {
+                if (this.getProvider() === 'mock') {
+                    this.session = this.createMockSession(this.session.user);
+                } else {
+                    if (!this.session.refreshToken) throw new Error('No refresh token');
+                    const role = this.getRole();
+                    this.session = await this.requestTokens(CONFIG.AUTH.REFRESH_ENDPOINT, {
+                        refreshToken: this.session.refreshToken
+                    });
+                    if (this.getRole() !== role) this.notifyChange();
+                }
+                this.save();
+                console.log('🔑 Access token refreshed');
+                return true;
+            } catch (error) {
+                console.warn('⚠️ Token refresh failed:', error.message);
+                this.signOut('session expired');
+                Utils.showMessage('Your session expired - please sign in again');
+                return false;
+            } finally {
+                this.refreshPromise = null;
+            }
+        })();
+
+        return this.refreshPromise;
+    }
+
+    /**
+     * Authorization header for the current session, refreshing first if it is about to expire
+     */
+    async getAuthHeaders() {
+        if (!this.session) return {};
+
+        if (this.session.expiresAt && this.session.expiresAt - Date.now() < CONFIG.AUTH.REFRESH_MARGIN) {
+            if (!await this.refresh()) return {};
+        }
+
+        return { 'Authorization': `Bearer ${this.session.accessToken}` };
+    }
+
+    /**
+     * fetch() with the session's credentials. A 401 refreshes the token and retries once.
+     */
+    async fetch(url, options = {}) {
+        const send = async () => fetch(url, {
+            ...options,
+            headers: { ...(options.headers || {}), ...await this.getAuthHeaders() }
+        });
+
+        const response = await send();
+        if (response.status !== 401 || !this.session) return response;
+
+        return await this.refresh() ? send() : response;
+    }
+
+    /**
+     * Reflect the role on the body so admin-only UI can be hidden with CSS
+     */
+    applyRole() {
+        document.body.classList.toggle('role-admin', this.isAdmin());
+        document.body.classList.toggle('role-viewer', !this.isAdmin());
+    }
+
+    /**
+     * Create the sign-in bar in the header
+     */
+    createAuthHTML() {
+        const header = document.querySelector('.header');
+        if (!header) {
+            console.warn('Auth: Required elements not found');
+            return;
+        }
+
+        header.insertAdjacentHTML('beforeend', '<div class="auth-bar" id="authBar"></div>');
+        this.barElement = document.getElementById('authBar');
+        this.render();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        if (!this.barElement) return;
+
+        this.barElement.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-auth-action]')?.dataset.authAction;
+            if (action === 'toggle') {
+                this.barElement.classList.toggle('open');
+                this.barElement.querySelector('#authUsername')?.focus();
+            } else if (action === 'sign-out') {
+                this.signOut();
+                Utils.showMessage('Signed out', CONFIG.MESSAGE_TYPES.SUCCESS);
+            }
+        });
+
+        this.barElement.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const form = e.target;
+            const submitButton = form.querySelector('button[type="submit"]');
+            submitButton.disabled = true;
+
+            try {
+                const user = await this.signIn({
+                    username: form.elements.username.value,
+                    password: form.elements.password?.value,
+                    role: form.elements.role?.value
+                });
+                Utils.showMessage(`Signed in as ${user.username}`, CONFIG.MESSAGE_TYPES.SUCCESS);
+            } catch (error) {
+                Utils.showMessage(`Sign-in failed: ${error.message}`);
+                submitButton.disabled = false;
+            }
+        });
+
+        // Keep tabs in step when another one signs in or out
+        window.addEventListener('storage', (e) => {
+            if (e.key !== this.storageKey) return;
+            this.load();
+            this.notifyChange();
+        });
+    }
+
+    render() {
+        if (!this.barElement) return;
+
+        const user = this.getUser();
+        if (user) {
+            this.barElement.classList.remove('open');
+            this.barElement.innerHTML = html`
+                <span class="auth-user">Signed in as <strong>${user.username}</strong>
+                    <span class="auth-role">${user.role}</span></span>
+                <button type="button" class="btn btn-secondary" data-auth-action="sign-out">Sign out</button>
+            `;
+            return;
+        }
+
+        const isMock = this.getProvider() === 'mock';
+        this.barElement.innerHTML = html`
+            <button type="button" class="btn btn-secondary" data-auth-action="toggle">Sign in</button>
+            <form class="auth-form">
+                <input type="text" class="filter-input" id="authUsername" name="username" placeholder="Username" autocomplete="username">
+                ${isMock ? html`
+                    <select class="filter-select" name="role" title="Role (mock sign-in)">
+                        ${this.roles.map(role => html`<option value="${role}">${role}</option>`)}
+                    </select>
+                ` : html`
+                    <input type="password" class="filter-input" name="password" placeholder="Password" autocomplete="current-password">
+                `}
+                <button type="submit" class="btn btn-primary">Sign in</button>
+                ${isMock ? html`<span class="auth-note">Development sign-in, no password needed</span>` : ''}
+            </form>
+        `;
+    }
+}
+
+// Create global instance
+const auth = new AuthManager();
+window.auth = auth;
@@ -0,0 +1,393 @@
+/**
+ * Bulk Selection - Select many spaces and act on them at once
+ * - Checkboxes on cards; shift-click selects the range from the last card clicked
+ * - "Select all matching" pages through every space matching the filters, not just the loaded ones
+ * - Batch actions: download audio, export metadata (through the exporter), copy X links, re-submit overrides
+ *   and add to a collection
+ * - Long batches run one item at a time with a progress bar and can be cancelled
+ */
+
+class BulkSelection {
+    constructor() {
+        this.selected = new Map();  // spaceId -> space, in the order selected
+        this.anchorId = null;       // Last card clicked, where shift-click ranges start
+        this.job = null;            // { label, done, total, failed, skipped, cancelled, controller }
+        this.downloadGap = 400;     // ms between downloads, so browsers don't drop any
+
+        this.barElement = null;
+
+        this.init();
+    }
+
+    /**
+     * Initialize the selection bar once the DOM is ready
+     */
+    init() {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.setup());
+        } else {
+            this.setup();
+        }
+    }
+
+    setup() {
+        this.createBarHTML();
+        this.setupEventListeners();
+        this.render();
+    }
+
+    isSelected(spaceId) {
+        return this.selected.has(spaceId);
+    }
+
+    getSelected() {
+        return [...this.selected.values()];
+    }
+
+    /**
+     * Select or deselect a space from its card
+     * @param {Object} space - The space
+     * @param {Object} options - { selected } the new state, { range } to apply it from the last card clicked
+     */
+    toggle(space, options = {}) {
+        const selected = options.selected ?? !this.isSelected(space._id);
+        const items = dashboard.spaceList ? dashboard.spaceList.items : [];
+        const from = options.range ? items.findIndex(item => item._id === this.anchorId) : -1;
+        const to = items.findIndex(item => item._id === space._id);
+
+        if (from !== -1 && to !== -1) {
+            this.setSelected(items.slice(Math.min(from, to), Math.max(from, to) + 1), selected);
+        } else {
+            this.setSelected([space], selected);
+        }
+        this.anchorId = space._id;
+    }
+
+    setSelected(spaces, selected) {
+        spaces.forEach(space => {
+            if (selected) {
+                this.selected.set(space._id, space);
+            } else {
+                this.selected.delete(space._id);
+            }
+        });
+
+        this.syncCards();
+        this.render();
+    }
+
+    selectSpaces(spaces) {
+        this.setSelected(spaces, true);
+    }
+
+    clear() {
+        this.selected.clear();
+        this.anchorId = null;
+        this.syncCards();
+        this.render();
+    }
+
+    /**
+     * Select every space matching the filters, paging through the API
+     */
+    async selectAllMatching() {
+        if (this.job) return;
+
+        const controller = new AbortController();
+        this.job = { label: 'Finding matching spaces', done: 0, total: null, cancelled: false, controller };
+        this.render();
+
+        try {
+            const spaces = await dashboard.fetchAllMatchingSpaces({
+                signal: controller.signal,
+                onProgress: (count) => {
+                    this.job.done = count;
+                    this.render();
+                }
+            });
+            this.selectSpaces(spaces);
+            Utils.showMessage(`Selected ${spaces.length} spaces matching the filters`, CONFIG.MESSAGE_TYPES.SUCCESS);
+        } catch (error) {
+            if (!controller.signal.aborted) {
+                Utils.showMessage(`Failed to find matching spaces: ${error.message}`);
+            }
+        } finally {
+            this.job = null;
+            this.render();
+        }
+    }
+
+    /**
+     * Run a batch one item at a time, showing progress.
+     * The worker returns false for a failure and 'skipped' for an item it left alone.
+     * @returns {Promise<Object|null>} The finished job, or null if another batch is running
+     */
+    async runBatch(label, items, worker) {
+        if (this.job) {
+            Utils.showMessage('Wait for the current batch to finish');
+            return null;
+        }
+
+        const job = { label, done: 0, total: items.length, failed: 0, skipped: 0, cancelled: false };
+        this.job = job;
+        this.render();
+
+        for (const item of items) {
+            if (job.cancelled) break;
+
+            try {
+                const result = await worker(item);
+                if (result === false) job.failed++;
+                if (result === 'skipped') job.skipped++;
+            } catch (error) {
+                console.warn(`⚠️ ${label} failed for an item:`, error.message);
+                job.failed++;
+            }
+
+            job.done++;
+            this.render();
+        }
+
+        this.job = null;
+        this.render();
+        return job;
+    }
+
+    cancel() {
+        if (!this.job) return;
+
+        this.job.cancelled = true;
+        if (this.job.controller) this.job.controller.abort();
+    }
+
+    /**
+     * Tell the user how a batch went
+     * @param {Object} job - Finished job from runBatch
+     * @param {string} doneLabel - What happened to the items that succeeded, e.g. 'downloaded'
+     * @param {string} note - Appended to the message
+     */
+    report(job, doneLabel, note = '') {
+        if (!job) return;
+
+        const succeeded = job.done - job.failed - job.skipped;
+        const parts = [`${succeeded} ${doneLabel}`];
+        if (job.skipped > 0) parts.push(`${job.skipped} skipped`);
+        if (job.failed > 0) parts.push(`${job.failed} failed`);
+        if (job.cancelled) parts.push(`cancelled with ${job.total - job.done} left`);
+
+        Utils.showMessage(`${job.label}: ${parts.join(', ')}${note}`,
+            job.failed > 0 ? CONFIG.MESSAGE_TYPES.ERROR : CONFIG.MESSAGE_TYPES.SUCCESS);
+    }
+
+    /**
+     * Download every audio file of the selected spaces, named like single downloads
+     */
+    async downloadAudio() {
+        const files = [];
+        let withoutAudio = 0;
+
+        this.getSelected().forEach(space => {
+            const audioFiles = api.getAudioPlaylistBySpaceId(space._id, space.host, space.createdAt) || [];
+            if (audioFiles.length === 0) withoutAudio++;
+            audioFiles.forEach((audioFile, index) => files.push({ space, audioFile, index }));
+        });
+
+        if (files.length === 0) {
+            Utils.showMessage('None of the selected spaces have audio');
+            return;
+        }
+
+        const job = await this.runBatch('Downloading audio', files, async ({ space, audioFile, index }) => {
+            const response = await fetch(audioFile.url);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            Utils.downloadBlob(await response.blob(), dashboard.createDownloadFilename(space, audioFile.filename, index));
+            await new Promise(resolve => setTimeout(resolve, this.downloadGap));
+        });
+
+        this.report(job, 'downloaded', withoutAudio > 0 ? ` (${withoutAudio} of the spaces have no audio)` : '');
+    }
+
+    /**
+     * Export the selected spaces in the format picked in the export panel
+     */
+    exportMetadata() {
+        exporter.exportSpaces(this.getSelected(), 'selected');
+    }
+
+    /**
+     * Copy the X links of the selected spaces, one per line
+     */
+    async copyLinks() {
+        const links = this.getSelected()
+            .map(space => dashboard.getSpaceUrl(space))
+            .filter(url => url && url.includes('/i/spaces/'));
+
+        if (links.length === 0) {
+            Utils.showMessage('None of the selected spaces have an X link');
+            return;
+        }
+
+        try {
+            await navigator.clipboard.writeText(links.join('\n'));
+            Utils.showMessage(`Copied ${links.length} link${links.length === 1 ? '' : 's'}`, CONFIG.MESSAGE_TYPES.SUCCESS);
+        } catch (error) {
+            console.warn('⚠️ Failed to copy links:', error.message);
+            Utils.showMessage('Copying was blocked by the browser');
+        }
+    }
+
+    /**
+     * Submit overrides again for the selected spaces; ones already active are skipped
+     */
+    async resubmitOverrides() {
+        if (!auth.isAdmin()) {
+            Utils.showMessage('Sign in as an admin to add overrides');
+            return;
+        }
+
+        const job = await this.runBatch('Re-submitting overrides', this.getSelected(), async (space) => {
+            const spaceId = space.spaceId || space._id;
+            const entry = overrideManager.getEntry(spaceId);
+            if (entry && overrideManager.isActive(entry)) return 'skipped';
+
+            return overrideManager.sendOverride(overrideManager.getSpaceUrl(spaceId), { quiet: true });
+        });
+        this.report(job, 'submitted');
+    }
+
+    addToCollection() {
+        const input = document.getElementById('bulkCollectionName');
+        const name = input ? input.value.trim() : '';
+        if (!name) {
+            Utils.showMessage('Enter a collection name');
+            input?.focus();
+            return;
+        }
+
+        const added = collections.add(name, this.getSelected());
+        if (added === null) {
+            Utils.showMessage(`Couldn't save ${name}: browser storage is full. Remove some collections or add fewer spaces.`);
+            return;
+        }
+        Utils.showMessage(`Added ${added} space${added === 1 ? '' : 's'} to ${name}`, CONFIG.MESSAGE_TYPES.SUCCESS);
+        input.value = '';
+    }
+
+    /**
+     * Match card checkboxes and highlights to the selection
+     */
+    syncCards() {
+        if (!dashboard.spacesContent) return;
+
+        dashboard.spacesContent.querySelectorAll('.space-item').forEach(element => {
+            const selected = this.isSelected(element.dataset.spaceId);
+            element.classList.toggle('is-selected', selected);
+            const checkbox = element.querySelector('.space-select');
+            if (checkbox) checkbox.checked = selected;
+        });
+    }
+
+    /**
+     * Create the selection bar above the space list
+     */
+    createBarHTML() {
+        const spacesContainer = document.querySelector('.spaces-container');
+        if (!spacesContainer) {
+            console.warn('Bulk Selection: Required elements not found');
+            return;
+        }
+
+        spacesContainer.insertAdjacentHTML('beforebegin', `
+            <div class="bulk-bar" id="bulkBar" role="region" aria-label="Selected spaces">
+                <div class="bulk-summary">
+                    <strong id="bulkCount"></strong>
+                    <button type="button" class="btn btn-secondary" data-bulk-action="select-all">Select all matching filters</button>
+                    <button type="button" class="btn btn-secondary" data-bulk-action="clear">Clear selection</button>
+                </div>
+                <div class="bulk-actions">
+                    <button type="button" class="btn btn-secondary" data-bulk-action="download">Download audio</button>
+                    <button type="button" class="btn btn-secondary" data-bulk-action="export">Export metadata</button>
+                    <button type="button" class="btn btn-secondary" data-bulk-action="copy-links">Copy X links</button>
+                    <button type="button" class="btn btn-secondary admin-only" data-bulk-action="resubmit">Re-submit overrides</button>
+                    <span class="bulk-collection">
+                        <input type="text" class="filter-input" id="bulkCollectionName" list="bulkCollectionNames" placeholder="Collection name">
+                        <datalist id="bulkCollectionNames"></datalist>
+                        <button type="button" class="btn btn-secondary" data-bulk-action="collect">Add to collection</button>
+                    </span>
+                </div>
+                <div class="bulk-progress" id="bulkProgress">
+                    <progress id="bulkProgressBar"></progress>
+                    <span id="bulkProgressLabel"></span>
+                    <button type="button" class="btn btn-secondary" data-bulk-action="cancel">Cancel</button>
+                </div>
+            </div>
+        `);
+
+        this.barElement = document.getElementById('bulkBar');
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        if (!this.barElement) return;
+
+        const actions = {
+            'select-all': () => this.selectAllMatching(),
+            'clear': () => this.clear(),
+            'download': () => this.downloadAudio(),
+            'export': () => this.exportMetadata(),
+            'copy-links': () => this.copyLinks(),
+            'resubmit': () => this.resubmitOverrides(),
+            'collect': () => this.addToCollection(),
+            'cancel': () => this.cancel()
+        };
+
+        this.barElement.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-bulk-action]');
+            if (button) actions[button.dataset.bulkAction]();
+        });
+
+        document.getElementById('bulkCollectionName').addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.addToCollection();
+        });
+    }
+
+    render() {
+        if (!this.barElement) return;
+
+        const count = this.selected.size;
+        this.barElement.classList.toggle('has-selection', count > 0);
+        this.barElement.classList.toggle('is-busy', !!this.job);
+        document.getElementById('bulkCount').textContent = count > 0 ? `${count} selected` : '';
+
+        // One batch at a time
+        this.barElement.querySelectorAll('.bulk-summary .btn, .bulk-actions .btn').forEach(button => {
+            button.disabled = !!this.job || (count === 0 && button.dataset.bulkAction !== 'select-all');
+        });
+
+        document.getElementById('bulkCollectionNames').innerHTML = html`${collections.getNames().map(name => html`<option value="${name}">`)}`;
+
+        const progress = document.getElementById('bulkProgress');
+        progress.classList.toggle('open', !!this.job);
+        if (!this.job) return;
+
+        const bar = document.getElementById('bulkProgressBar');
+        if (this.job.total) {
+            bar.max = this.job.total;
+            bar.value = this.job.done;
+        } else {
+            bar.removeAttribute('value');  // Indeterminate until the total is known
+        }
+        document.getElementById('bulkProgressLabel').textContent = this.job.total ?
+            `${this.job.label}: ${this.job.done} of ${this.job.total}` :
+            `${this.job.label}: ${this.job.done} so far`;
+    }
+}
+
+// Create global instance
+const bulkSelection = new BulkSelection();
+window.bulkSelection = bulkSelection;
@@ -0,0 +1,238 @@
+/**
+ * Collections - Named sets of spaces kept in this browser
+ * - Spaces are added from the bulk selection bar
+ * - Each space is stored as a small record (ids, title, host, date), so a collection lists
+ *   without the spaces being loaded and large selections stay within the storage quota
+ * - A collection can be selected again to run batch actions on it
+ */
+
+class CollectionManager {
+    constructor() {
+        this.storageKey = environment.scopedName('audiohub-collections');
+        this.maxListed = 50;        // Spaces listed per collection in the panel
+
+        this.collections = [];      // [{ name, createdAt, updatedAt, spaces: [record] }] (see toRecord)
+
+        this.toggleElement = null;
+        this.panelElement = null;
+
+        this.load();
+        this.init();
+    }
+
+    /**
+     * Initialize the collections panel once the DOM is ready
+     */
+    init() {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.setup());
+        } else {
+            this.setup();
+        }
+    }
+
+    setup() {
+        this.createCollectionsHTML();
+        this.setupEventListeners();
+        this.render();
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            // Collections saved with whole space objects shrink to records on load
+            this.collections = (Array.isArray(stored) ? stored : []).map(collection => ({
+                ...collection,
+                spaces: (collection.spaces || []).map(space => this.toRecord(space))
+            }));
+        } catch (error) {
+            console.warn('⚠️ Failed to read collections from storage:', error.message);
+        }
+    }
+
+    /**
+     * @returns {boolean} Whether the collections were written (false when over the quota)
+     */
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.collections));
+            return true;
+        } catch (error) {
+            console.warn('⚠️ Failed to save collections:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * What a collection keeps of a space: enough to list it and find its recording
+     */
+    toRecord(space) {
+        return {
+            _id: space._id,
+            spaceId: space.spaceId,
+            title: space.title,
+            host: space.host,
+            createdAt: space.createdAt
+        };
+    }
+
+    getNames() {
+        return this.collections.map(collection => collection.name);
+    }
+
+    get(name) {
+        const key = String(name || '').trim().toLowerCase();
+        return this.collections.find(collection => collection.name.toLowerCase() === key) || null;
+    }
+
+    /**
+     * Add spaces to a collection, creating it if needed
+     * @param {string} name - Collection name
+     * @param {Array} spaces - Space objects
+     * @returns {number|null} How many spaces were new to the collection, null if it couldn't be saved
+     */
+    add(name, spaces) {
+        const trimmed = String(name || '').trim();
+        if (!trimmed) return 0;
+
+        let collection = this.get(trimmed);
+        const isNew = !collection;
+        if (isNew) {
+            collection = { name: trimmed, createdAt: new Date().toISOString(), updatedAt: null, spaces: [] };
+            this.collections.push(collection);
+        }
+
+        const existing = new Set(collection.spaces.map(space => space._id));
+        const added = spaces.filter(space => !existing.has(space._id)).map(space => this.toRecord(space));
+        const previousUpdatedAt = collection.updatedAt;
+        collection.spaces.push(...added);
+        collection.updatedAt = new Date().toISOString();
+
+        if (!this.save()) {
+            // Keep memory in line with what's stored, so nothing vanishes on reload
+            collection.spaces.splice(collection.spaces.length - added.length, added.length);
+            collection.updatedAt = previousUpdatedAt;
+            if (isNew) this.collections = this.collections.filter(entry => entry !== collection);
+            return null;
+        }
+
+        this.render();
+        return added.length;
+    }
+
+    removeSpace(name, spaceId) {
+        const collection = this.get(name);
+        if (!collection) return;
+
+        collection.spaces = collection.spaces.filter(space => space._id !== spaceId);
+        collection.updatedAt = new Date().toISOString();
+        this.save();
+        this.render();
+    }
+
+    delete(name) {
+        this.collections = this.collections.filter(collection => collection !== this.get(name));
+        this.save();
+        this.render();
+    }
+
+    /**
+     * Create the collections panel above the space list
+     */
+    createCollectionsHTML() {
+        const spacesContainer = document.querySelector('.spaces-container');
+        if (!spacesContainer) {
+            console.warn('Collections: Required elements not found');
+            return;
+        }
+
+        spacesContainer.insertAdjacentHTML('beforebegin', `
+            <div class="collections-dropdown">
+                <button class="filter-toggle" id="collectionsToggle">📁 Collections</button>
+                <div class="filter-panel" id="collectionsPanel">
+                    <div id="collectionsContent"></div>
+                </div>
+            </div>
+        `);
+
+        this.toggleElement = document.getElementById('collectionsToggle');
+        this.panelElement = document.getElementById('collectionsPanel');
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        if (!this.toggleElement || !this.panelElement) return;
+
+        this.toggleElement.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleElement.classList.toggle('open');
+            this.panelElement.classList.toggle('open');
+        });
+
+        this.panelElement.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-collection-action]');
+            if (!button) return;
+
+            const name = button.closest('[data-collection]').dataset.collection;
+            const collection = this.get(name);
+            if (!collection) return;
+
+            const action = button.dataset.collectionAction;
+            if (action === 'select') {
+                // Loaded spaces carry fresher data than the stored copies
+                bulkSelection.selectSpaces(collection.spaces.map(space => dashboard.findSpaceById(space._id) || space));
+                Utils.showMessage(`Selected ${collection.spaces.length} spaces from ${collection.name}`, CONFIG.MESSAGE_TYPES.SUCCESS);
+            } else if (action === 'details') {
+                dashboard.viewSpaceDetails(button.dataset.spaceId);
+            } else if (action === 'remove-space') {
+                this.removeSpace(name, button.dataset.spaceId);
+            } else if (action === 'delete' && window.confirm(`Delete the collection "${collection.name}"?`)) {
+                this.delete(name);
+            }
+        });
+    }
+
+    render() {
+        const content = document.getElementById('collectionsContent');
+        if (!content) return;
+
+        if (this.collections.length === 0) {
+            content.innerHTML = html`<div class="collections-empty">No collections yet. Select spaces and use "Add to collection".</div>`;
+            return;
+        }
+
+        // Keep expanded collections expanded
+        const expanded = new Set([...content.querySelectorAll('.collection[open]')].map(element => element.dataset.collection));
+
+        content.innerHTML = html`${this.collections.map(collection => html`
+            <details class="collection" data-collection="${collection.name}" ${expanded.has(collection.name) ? 'open' : ''}>
+                <summary>
+                    <span class="collection-name">${collection.name}</span>
+                    <span class="collection-count">${collection.spaces.length} space${collection.spaces.length === 1 ? '' : 's'}</span>
+                </summary>
+                <div class="collection-actions">
+                    <button type="button" class="btn btn-secondary" data-collection-action="select">Select all</button>
+                    <button type="button" class="btn btn-secondary" data-collection-action="delete">Delete collection</button>
+                </div>
+                <ul class="collection-spaces">
+                    ${collection.spaces.slice(0, this.maxListed).map(space => html`
+                        <li>
+                            <span class="collection-space-title">${space.title || 'Untitled Space'}</span>
+                            <span class="collection-space-host">@${String(space.host || 'unknown').replace(/^@/, '')}</span>
+                            <button type="button" class="btn btn-secondary" data-collection-action="details" data-space-id="${space._id}">Details</button>
+                            <button type="button" class="btn btn-secondary" data-collection-action="remove-space" data-space-id="${space._id}">Remove</button>
+                        </li>
+                    `)}
+                </ul>
+                ${collection.spaces.length > this.maxListed ?
+                    html`<div class="collections-empty">+${collection.spaces.length - this.maxListed} more</div>` : ''}
+            </details>
+        `)}`;
+    }
+}
+
+// Create global instance
+const collections = new CollectionManager();
+window.collections = collections;
@@ -0,0 +1,274 @@
+/**
+ * Command Palette - Every dashboard action by name, opened with Ctrl+K (⌘K)
+ * - Type to narrow the list; arrow keys pick, Enter runs, Escape closes
+ * - Covers filters, pages, refresh and participant sync, overrides and debug views
+ *   that were otherwise only reachable as console globals
+ * - Admin commands are only listed for admins
+ * - Pasting a space URL offers to submit an override for it
+ */
+
+class CommandPalette {
+    constructor() {
+        this.commands = [];
+        this.matches = [];
+        this.activeIndex = 0;
+        this.body = null;       // Modal body while the palette is open
+
+        this.registerDefaults();
+    }
+
+    /**
+     * Add a command
+     * @param {Object} command - { id, group, title, run, shortcut, admin, when }
+     *   shortcut is shown next to the title; when() hides the command while it returns false
+     */
+    register(command) {
+        this.commands = this.commands.filter(existing => existing.id !== command.id);
+        this.commands.push(command);
+    }
+
+    registerDefaults() {
+        const selected = () => !!keyboardShortcuts.getSelected();
+        const onSelected = (action) => () => keyboardShortcuts.withSelected(action);
+        const setFilter = (values) => () => filterManager.setFilters({ ...filterManager.getFilters(), ...values });
+
+        [
+            { id: 'space-play', group: 'Selected space', title: 'Play', shortcut: 'p', when: selected, run: onSelected(space => dashboard.playSpace(space)) },
+            { id: 'space-details', group: 'Selected space', title: 'Open details', shortcut: 'o', when: selected, run: onSelected(space => dashboard.viewSpaceDetails(space._id)) },
+            { id: 'space-participants', group: 'Selected space', title: 'Show participants', shortcut: 'a', when: selected, run: onSelected(space => dashboard.showParticipantsModal(space._id, space.title || 'Space')) },
+            { id: 'space-transcript', group: 'Selected space', title: 'Open transcript', shortcut: 't', when: selected, run: onSelected(space => keyboardShortcuts.openTranscript(space)) },
+            { id: 'space-copy-link', group: 'Selected space', title: 'Copy link', shortcut: 'c', when: selected, run: onSelected(space => keyboardShortcuts.copyLink(space)) },
+            { id: 'space-override', group: 'Selected space', title: 'Submit override', admin: true, when: selected, run: onSelected(space => overrideManager.sendOverride(overrideManager.getSpaceUrl(space.spaceId || space._id))) },
+
+            { id: 'bulk-select-all', group: 'Selection', title: 'Select all matching filters', run: () => bulkSelection.selectAllMatching() },
+            { id: 'bulk-clear', group: 'Selection', title: 'Clear selection', when: () => bulkSelection.getSelected().length > 0, run: () => bulkSelection.clear() },
+            { id: 'bulk-download', group: 'Selection', title: 'Download audio of selected spaces', when: () => bulkSelection.getSelected().length > 0, run: () => bulkSelection.downloadAudio() },
+            { id: 'bulk-copy-links', group: 'Selection', title: 'Copy X links of selected spaces', when: () => bulkSelection.getSelected().length > 0, run: () => bulkSelection.copyLinks() },
+
+            { id: 'filters-search', group: 'Filters', title: 'Search spaces', shortcut: '/', run: () => keyboardShortcuts.focusSearch() },
+            { id: 'filters-open', group: 'Filters', title: 'Show filter panel', run: () => filterManager.filterPanel.classList.contains('open') || filterManager.toggleDropdown() },
+            { id: 'filters-clear', group: 'Filters', title: 'Clear all filters', run: () => filterManager.clearFilters() },
+            { id: 'filters-public', group: 'Filters', title: 'Public spaces only', run: setFilter({ privacy: 'public' }) },
+            { id: 'filters-private', group: 'Filters', title: 'Private spaces only', run: setFilter({ privacy: 'private' }) },
+            { id: 'filters-overrides', group: 'Filters', title: 'Overrides only', run: setFilter({ overrideOnly: true }) },
+            ...Object.entries(CONFIG.SORT_OPTIONS).map(([sort, option]) => (
+                { id: `sort-${sort}`, group: 'Sort', title: option.label, run: setFilter({ sort: sort }) }
+            )),
+
+            { id: 'page-people', group: 'Go to', title: 'People', run: () => participantDirectory.showDirectory() },
+            { id: 'page-analytics', group: 'Go to', title: 'Analytics', run: () => analytics.show() },
+            { id: 'page-health', group: 'Go to', title: 'Recording health', admin: true, run: () => this.openPanel('healthToggle', 'healthPanel') },
+
+            { id: 'data-export', group: 'Data', title: 'Export spaces, participants or stats…', run: () => this.openPanel('exportToggle', 'exportPanel') },
+            { id: 'data-refresh', group: 'Data', title: 'Refresh data', admin: true, run: () => app.refreshData() },
+            { id: 'data-force-sync', group: 'Data', title: 'Force participant sync', admin: true, run: () => dashboard.forceParticipantSync() },
+            { id: 'data-reload-participants', group: 'Data', title: 'Restart participant loading', admin: true, run: () => app.forceLoadParticipants() },
+            { id: 'data-cancel-participants', group: 'Data', title: 'Cancel participant loading', admin: true, run: () => participantScheduler.cancel() },
+
+            { id: 'override-submit', group: 'Overrides', title: 'Submit override…', admin: true, run: () => this.focusField('overrideInput') },
+            { id: 'override-bulk', group: 'Overrides', title: 'Submit several overrides…', admin: true, run: () => {
+                overrideManager.toggleQueue(true);
+                this.focusField('overrideBulkInput');
+            } },
+            { id: 'override-queue', group: 'Overrides', title: 'Show override queue', admin: true, run: () => overrideManager.toggleQueue(true) },
+
+            { id: 'debug-participants', group: 'Debug', title: 'Participant loading', admin: true, run: () => app.debugParticipantsLoading() },
+            { id: 'debug-tracking', group: 'Debug', title: 'Participant tracking', admin: true, run: () => dashboard.debugParticipantLoadingStatus() },
+            { id: 'debug-app', group: 'Debug', title: 'App status', run: () => this.showStatus('App status', app.getStatus()) },
+            { id: 'debug-live', group: 'Debug', title: 'Live updates status', run: () => this.showStatus('Live updates status', liveUpdates.getStatus()) },
+            { id: 'debug-transcripts', group: 'Debug', title: 'Transcript index status', run: () => this.showStatus('Transcript index status', transcriptIndex.getStatus()) },
+
+            { id: 'help-shortcuts', group: 'Help', title: 'Keyboard shortcuts', shortcut: '?', run: () => keyboardShortcuts.showCheatSheet() }
+        ].forEach(command => this.register(command));
+    }
+
+    /**
+     * Commands available right now
+     */
+    getCommands() {
+        return this.commands.filter(command =>
+            (!command.admin || auth.isAdmin()) && (!command.when || command.when()));
+    }
+
+    /**
+     * Commands matching a query: every word has to appear in the group or title.
+     * Titles starting with the query come first.
+     */
+    search(query) {
+        const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+        const matches = this.getCommands().filter(command => {
+            const text = `${command.group} ${command.title}`.toLowerCase();
+            return words.every(word => text.includes(word));
+        });
+
+        const lowerQuery = query.trim().toLowerCase();
+        if (lowerQuery) {
+            matches.sort((a, b) =>
+                Number(b.title.toLowerCase().startsWith(lowerQuery)) - Number(a.title.toLowerCase().startsWith(lowerQuery)));
+        }
+
+        return [...this.getQueryCommands(query), ...matches];
+    }
+
+    /**
+     * Commands built from what was typed, e.g. an override for a pasted space URL
+     */
+    getQueryCommands(query) {
+        const value = query.trim();
+        const spaceId = window.overrideManager ? overrideManager.parseSpaceId(value) : null;
+
+        // A bare word could look like an id; only offer it for URLs and ids with digits
+        if (!spaceId || !auth.isAdmin() || !(/\//.test(value) || /\d/.test(value))) return [];
+
+        return [{
+            id: 'override-query',
+            group: 'Overrides',
+            title: `Submit override for ${spaceId}`,
+            run: () => overrideManager.sendOverride(overrideManager.getSpaceUrl(spaceId))
+        }];
+    }
+
+    isOpen() {
+        return !!this.body && window.modal && modal.getTop()?.body === this.body;
+    }
+
+    toggle() {
+        if (this.isOpen()) {
+            modal.close();
+        } else {
+            this.open();
+        }
+    }
+
+    /**
+     * Show the palette, on top of any open modal
+     */
+    open() {
+        this.body = modal.openWithHTML('Command palette', html`
+            <div class="command-palette">
+                <input type="text" class="filter-input command-palette-input" id="commandPaletteInput"
+                       placeholder="Type a command, or paste a space URL…" autocomplete="off"
+                       role="combobox" aria-expanded="true" aria-controls="commandPaletteList" aria-autocomplete="list">
+                <ul class="command-palette-list" id="commandPaletteList" role="listbox" aria-label="Commands"></ul>
+            </div>
+        `, null, { stack: modal.isOpen() });
+
+        const input = this.body.querySelector('#commandPaletteInput');
+        const list = this.body.querySelector('#commandPaletteList');
+
+        input.addEventListener('input', () => this.update(input.value));
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                this.setActive(this.activeIndex + (e.key === 'ArrowDown' ? 1 : -1));
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                this.run(this.matches[this.activeIndex]);
+            }
+        });
+
+        list.addEventListener('click', (e) => {
+            const option = e.target.closest('[data-command-index]');
+            if (option) this.run(this.matches[Number(option.dataset.commandIndex)]);
+        });
+
+        this.update('');
+        input.focus();
+    }
+
+    /**
+     * Re-list the commands for a query
+     */
+    update(query) {
+        const list = this.body?.querySelector('#commandPaletteList');
+        if (!list) return;
+
+        this.matches = this.search(query);
+        this.activeIndex = 0;
+
+        if (this.matches.length === 0) {
+            list.innerHTML = html`<li class="command-palette-empty">No matching commands</li>`;
+        } else {
+            list.innerHTML = html`${this.matches.map((command, index) => html`
+                <li class="command-palette-item" role="option" id="commandPaletteOption-${index}" data-command-index="${index}">
+                    <span class="command-palette-group">${command.group}</span>
+                    <span class="command-palette-title">${command.title}</span>
+                    ${command.shortcut ? html`<kbd>${command.shortcut}</kbd>` : ''}
+                </li>
+            `)}`;
+        }
+
+        this.setActive(0);
+    }
+
+    /**
+     * Highlight one command and keep it in view
+     */
+    setActive(index) {
+        if (this.matches.length === 0) return;
+
+        this.activeIndex = (index + this.matches.length) % this.matches.length;
+
+        const input = this.body.querySelector('#commandPaletteInput');
+        this.body.querySelectorAll('.command-palette-item').forEach((option, optionIndex) => {
+            const isActive = optionIndex === this.activeIndex;
+            option.classList.toggle('active', isActive);
+            option.setAttribute('aria-selected', String(isActive));
+            if (isActive) {
+                input.setAttribute('aria-activedescendant', option.id);
+                option.scrollIntoView({ block: 'nearest' });
+            }
+        });
+    }
+
+    /**
+     * Close the palette, then run the command where it was opened
+     */
+    run(command) {
+        if (!command) return;
+
+        modal.close();
+        this.body = null;
+
+        try {
+            const result = command.run();
+            if (result && typeof result.catch === 'function') {
+                result.catch(error => Utils.showMessage(`${command.title} failed: ${error.message}`));
+            }
+        } catch (error) {
+            console.error(`Command "${command.id}" failed:`, error);
+            Utils.showMessage(`${command.title} failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Open one of the collapsible panels above the space list
+     */
+    openPanel(toggleId, panelId) {
+        const panel = document.getElementById(panelId);
+        if (panel && !panel.classList.contains('open')) {
+            document.getElementById(toggleId)?.click();
+        }
+        panel?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
+    focusField(id) {
+        const field = document.getElementById(id);
+        if (!field) return;
+
+        field.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        field.focus({ preventScroll: true });
+    }
+
+    /**
+     * A status object as text in a modal
+     */
+    showStatus(title, status) {
+        console.log(`${title}:`, status);
+        modal.open(title, JSON.stringify(status, null, 2));
+    }
+}
+
+// Create global instance
+const commandPalette = new CommandPalette();
+window.commandPalette = commandPalette;
@@ -9,10 +9,85 @@ const CONFIG = {
     // S3 Configuration
     S3_BASE_URL: 'https://spaces-api-audio-files-246233008395-us-east-2.s3.us-east-2.amazonaws.com/',
     
+    // Backend profiles (see EnvironmentManager); the chosen one replaces the URLs above
+    DEFAULT_ENVIRONMENT: 'production',
+    ENVIRONMENTS: {
+        production: {
+            label: 'Production',
+            API_BASE_URL: 'https://jv5hzflmnb.execute-api.us-east-2.amazonaws.com/prod/',
+            S3_BASE_URL: 'https://spaces-api-audio-files-246233008395-us-east-2.s3.us-east-2.amazonaws.com/'
+        },
+        mock: {
+            label: 'Mock (offline)',
+            API_BASE_URL: 'https://mock.audiohub.local/api/',
+            S3_BASE_URL: 'https://mock.audiohub.local/audio/',
+            AUTH_PROVIDER: 'mock',
+            MOCK: true          // Served by MockBackend from fixture data
+        }
+    },
+    
     // UI Configuration
     DEFAULT_LIMIT: 10,
+    BULK_PAGE_SIZE: 100,   // Page size when paging through every matching space
     MESSAGE_TIMEOUT: 5000, // 5 seconds
     
+    // Sort options shared by the filter UI and the spaces API
+    DEFAULT_SORT: 'newest',
+    SORT_OPTIONS: {
+        newest: { label: 'Newest first', sortBy: 'lastUpdated', order: 'desc' },
+        oldest: { label: 'Oldest first', sortBy: 'lastUpdated', order: 'asc' },
+        participants: { label: 'Most participants', sortBy: 'participantCount', order: 'desc' }
+    },
+    
+    // Cache freshness per resource (ms); stale entries are shown, then refreshed
+    CACHE_TTL: {
+        default: 5 * 60 * 1000,
+        spaces: 2 * 60 * 1000,
+        spaceDetails: 10 * 60 * 1000,
+        stats: 5 * 60 * 1000,
+        files: 10 * 60 * 1000,
+        participants: 6 * 60 * 60 * 1000
+    },
+    
+    // Limits for the persistent API cache (see ApiCache)
+    API_CACHE: {
+        MAX_AGE: 7 * 24 * 60 * 60 * 1000,      // Entries older than this are dropped
+        MAX_ENTRIES: 2000,                     // Oldest entries go first past this
+        PRUNE_EVERY: 50                        // Writes between prunes
+    },
+    
+    // Background participant loading (see ParticipantScheduler)
+    PARTICIPANT_LOADING: {
+        CONCURRENCY: 4,
+        MAX_ATTEMPTS: 3,
+        RETRY_BASE_DELAY: 1000,
+        RETRY_MAX_DELAY: 30 * 1000
+    },
+    
+    // Live updates for spaces that are on air (SSE when available, polling otherwise)
+    LIVE_UPDATES: {
+        STREAM_ENDPOINT: 'spaces/stream',      // Must be public: EventSource can't send the bearer token
+        POLL_INTERVAL: 20 * 1000,
+        MAX_POLL_INTERVAL: 5 * 60 * 1000,
+        BACKOFF_FACTOR: 2
+    },
+    
+    // Sign-in for admin actions (see AuthManager)
+    AUTH: {
+        PROVIDER: 'token',                     // Set from the environment profile; only the mock profile uses 'mock'
+        TOKEN_ENDPOINT: 'auth/token',
+        REFRESH_ENDPOINT: 'auth/refresh',
+        REFRESH_MARGIN: 60 * 1000,             // Refresh this long before the access token expires
+        MOCK_TOKEN_LIFETIME: 15 * 60 * 1000
+    },
+    
+    // Recording health panel (see HealthMonitor)
+    HEALTH: {
+        POLL_INTERVAL: 60 * 1000,
+        RECORDING_GRACE_PERIOD: 30 * 60 * 1000, // Time the recorder gets to upload after a space ends
+        ORPHAN_WINDOW_DAYS: 7                   // Days of archived files checked for a matching space
+    },
+    
     // Status types
     STATUS_TYPES: {
         LIVE: 'live',
@@ -1,8 +1,8 @@
 /**
  * Enhanced Dashboard with Robust Participant Loading During Scroll
- * - Tracks all spaces that need participant data
- * - Ensures no spaces are missed during rapid scrolling
- * - Implements retry logic for failed participant loads
+ * - Hands every rendered space to ParticipantScheduler for participant data
+ * - Cards on screen are reported to the scheduler so they load first
+ * - Renders through a VirtualList so only cards near the viewport are in the DOM
  * - Provides better visual feedback for loading state
  */
 
@@ -11,20 +11,23 @@ class Dashboard {
         this.allSpaces = [];
         this.statsSection = null;
         this.statsGrid = null;
+        this.latestStats = null;
         this.spacesContent = null;
+        this.spaceList = null;
 
         // Infinite scroll state
         this.currentOffset = 0;
         this.isLoading = false;
         this.hasMore = true;
         this.pageSize = 20;
+        this.nextCursor = null;
+        this.requestToken = 0; // Bumped on every reset so stale pages are dropped
+        this.firstPageKey = null; // Cache key of the first page, to pick up its revalidation
+        this.pagesLoaded = 0;
+        this.maxTranscriptMatches = 20;
 
-        // Enhanced participant loading tracking
+        // Participant loading feedback
         this.participantLoadingIndicator = null;
-        this.spacesNeedingParticipants = new Set(); // Track all spaces that need participants
-        this.participantsLoadingQueue = new Map(); // Track loading status per space
-        this.participantRetryAttempts = new Map(); // Track retry attempts
-        this.maxRetryAttempts = 3;
 
         this.init();
     }
@@ -37,15 +40,153 @@ class Dashboard {
         this.statsGrid = Utils.getElementById('statsGrid');
         this.spacesContent = Utils.getElementById('spacesContent');
 
+        // Windowed rendering of the space cards
+        this.setupSpaceList();
+
         // Set up infinite scroll
         this.setupInfiniteScroll();
         
         // Create participant loading indicator
         this.createParticipantLoadingIndicator();
         
-        // Set up periodic participant queue check
-        this.setupParticipantQueueMonitor();
+        // Patch cards as the participant scheduler delivers data
+        this.setupParticipantScheduler();
         this.setupFilterIntegration();
+        this.setupSpaceActionHandlers();
+        this.setupSyncIntegration();
+    }
+
+    /**
+     * Re-render when cached data shown on screen is revalidated in the background
+     */
+    setupSyncIntegration() {
+        api.onSync((event) => {
+            if (event.type !== 'revalidated' || this.isLoading) return;
+
+            // Only swap the list out while the user hasn't paged past the first page
+            if (event.resource === 'spaces' && event.key === this.firstPageKey && this.pagesLoaded === 1) {
+                console.log('🔄 First page revalidated, re-rendering');
+                this.loadSpaces();
+            } else if (event.resource === 'files') {
+                this.refreshDisplayedSpaces();
+            }
+        });
+    }
+
+    /**
+     * Re-render the spaces already loaded (e.g. after audio files changed)
+     */
+    refreshDisplayedSpaces() {
+        if (this.allSpaces.length === 0) return;
+        this.displaySpaces(this.sortSpaces([...this.allSpaces]), false);
+    }
+
+    /**
+     * Create the virtual list that renders space cards
+     */
+    setupSpaceList() {
+        if (!this.spacesContent) return;
+
+        this.spaceList = new VirtualList(this.spacesContent, {
+            renderItem: (space) => this.renderSpaceItem(space),
+            getKey: (space) => space._id,
+            estimatedHeight: 110,
+            onRender: (cards) => this.onCardsRendered(cards),
+            onRemove: (card) => participantScheduler.unobserve(card)
+        });
+        this.spaceList.setFooter('<div class="loading">Loading spaces data...</div>');
+    }
+
+    /**
+     * Hook up cards as the virtual list brings them into the DOM
+     */
+    onCardsRendered(cards) {
+        cards.forEach(card => {
+            this.setupParticipantClickHandlerForSpace(card);
+            participantScheduler.observe(card);
+        });
+
+        // Keep the now-playing and keyboard highlights on freshly rendered cards
+        if (window.player) {
+            player.markPlayingSpace();
+        }
+        if (window.keyboardShortcuts) {
+            keyboardShortcuts.markSelected();
+        }
+    }
+
+    /**
+     * Show the empty state, or the "more to come" indicator, below the cards
+     */
+    updateListFooter() {
+        if (!this.spaceList) return;
+
+        if (this.spaceList.items.length === 0) {
+            const hasFilters = window.filterManager && filterManager.hasActiveFilters();
+            this.spaceList.setFooter(this.hasMore ?
+                '<div class="loading">Searching more spaces...</div>' :
+                `<div class="loading">${hasFilters ? 'No spaces match the current filters.' : 'No spaces found.'}</div>`);
+        } else {
+            this.spaceList.setFooter(this.hasMore ? '<div class="loading">Loading more spaces...</div>' : '');
+        }
+    }
+
+    /**
+     * Delegated click handling for card action buttons.
+     * Bound once on the container so re-rendered cards keep working.
+     */
+    setupSpaceActionHandlers() {
+        if (!this.spacesContent) return;
+
+        this.spacesContent.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button || !this.spacesContent.contains(button)) return;
+
+            const spaceItem = button.closest('.space-item');
+            const space = spaceItem ? this.findSpaceById(spaceItem.dataset.spaceId) : null;
+            if (!space) return;
+
+            if (button.dataset.action === 'listen') {
+                e.preventDefault();
+                this.playSpace(space);
+            } else if (button.dataset.action === 'details') {
+                e.preventDefault();
+                this.viewSpaceDetails(space._id);
+            } else if (button.dataset.action === 'transcript') {
+                e.preventDefault();
+                transcriptViewer.open(space);
+            } else if (button.dataset.action === 'transcript-hit') {
+                e.preventDefault();
+                const start = parseFloat(button.dataset.start) || 0;
+                transcriptViewer.open(space).then(() => transcriptViewer.seekTo(start));
+            } else if (button.dataset.action === 'download-all') {
+                e.preventDefault();
+                this.downloadAllParts(space);
+            } else if (button.dataset.action === 'select') {
+                // Shift-click selects the range from the last card clicked
+                bulkSelection.toggle(space, { selected: button.checked, range: e.shiftKey });
+            }
+        });
+    }
+
+    /**
+     * Finds a loaded space by its id
+     */
+    findSpaceById(spaceId) {
+        return this.allSpaces.find(space => space._id === spaceId) || null;
+    }
+
+    /**
+     * Plays a space's audio in the player dock
+     */
+    playSpace(space, startAt = 0) {
+        const audioFiles = api.getAudioPlaylistBySpaceId(space._id, space.host, space.createdAt);
+        if (!audioFiles || audioFiles.length === 0) {
+            Utils.showMessage('No audio file available for this space');
+            return;
+        }
+
+        player.play(space, audioFiles, startAt);
     }
     /**
      * Setup filter integration
@@ -62,22 +203,31 @@ class Dashboard {
             }
         };
         waitForFilters();
+
+        // Newly indexed transcripts can change what an active search matches
+        if (window.transcriptIndex) {
+            transcriptIndex.setOnIndexUpdated(Utils.debounce(() => {
+                if (window.filterManager && filterManager.getFilters().search) {
+                    this.applyFilters(filterManager.getFilters());
+                }
+            }, 500));
+        }
     }
 
     /**
      * Apply filters to displayed spaces
      */
     applyFilters(filters) {
-        if (!this.allSpaces || this.allSpaces.length === 0) return;
-        
-        const filteredSpaces = filterManager.applyFiltersToSpaces(this.allSpaces);
-        const sortedSpaces = this.sortSpaces(filteredSpaces);
-        this.displaySpaces(sortedSpaces, false);
-        
-        // Update participant tracking for filtered spaces
-        this.spacesNeedingParticipants.clear();
-        this.trackSpacesNeedingParticipants(sortedSpaces);
-        this.startEnhancedParticipantLoading(sortedSpaces);
+        // Filters are applied server-side, so start paging again from the top
+        const loading = this.loadSpaces();
+
+        if (window.urlState) {
+            urlState.push();
+        }
+        if (window.speakerGraph) {
+            speakerGraph.refresh();
+        }
+        return loading;
     }
     /**
      * Create a comprehensive loading indicator for background participant loading
@@ -113,19 +263,16 @@ class Dashboard {
     /**
      * Enhanced participant loading indicator with detailed progress
      */
-    updateParticipantLoadingIndicator() {
+    updateParticipantLoadingIndicator(progress = participantScheduler.getProgress()) {
         if (!this.participantLoadingIndicator) return;
         
-        const progress = api.getParticipantLoadingProgress();
-        const needingCount = this.spacesNeedingParticipants.size;
-        const loadingCount = this.participantsLoadingQueue.size;
-        
-        if (progress.isLoading || needingCount > 0 || loadingCount > 0) {
-            const pendingText = needingCount > 0 ? ` (${needingCount} pending)` : '';
-            const retryText = this.getRetryStatusText();
+        if (progress.isLoading) {
+            const retryText = progress.retrying > 0 ? ` (${progress.retrying} retrying)` : '';
+            const rateLimitText = progress.isRateLimited ? ' (rate limited)' : '';
             
-            this.participantLoadingIndicator.innerHTML = 
-                `🔄 Loading participants... ${progress.progress}${pendingText}${retryText}`;
+            this.participantLoadingIndicator.innerHTML = progress.isPaused ?
+                `⏸️ Participant loading paused... ${progress.progress}` :
+                `🔄 Loading participants... ${progress.progress}${retryText}${rateLimitText}`;
             this.participantLoadingIndicator.style.display = 'block';
         } else {
             this.participantLoadingIndicator.style.display = 'none';
@@ -133,23 +280,15 @@ class Dashboard {
     }
 
     /**
-     * Get retry status text for display
-     */
-    getRetryStatusText() {
-        const retryCount = Array.from(this.participantRetryAttempts.values())
-            .filter(attempts => attempts > 0).length;
-        
-        return retryCount > 0 ? ` (${retryCount} retrying)` : '';
-    }
-
-    /**
-     * Set up periodic monitoring to ensure no spaces are left without participants
+     * Subscribe to the participant scheduler
      */
-    setupParticipantQueueMonitor() {
-        setInterval(() => {
-            this.processParticipantQueue();
-            this.updateParticipantLoadingIndicator();
-        }, 2000); // Check every 2 seconds
+    setupParticipantScheduler() {
+        participantScheduler.onLoaded((spaceId, participantsData) => {
+            this.onParticipantDataLoaded(spaceId, participantsData);
+        });
+        participantScheduler.onStateChange((progress) => {
+            this.updateParticipantLoadingIndicator(progress);
+        });
     }
 
     /**
@@ -170,74 +309,6 @@ class Dashboard {
         }, 100));
     }
 
-    /**
-     * Process any spaces that still need participant data
-     */
-    async processParticipantQueue() {
-        if (this.spacesNeedingParticipants.size === 0) return;
-
-        // Convert set to array and take first few items
-        const spacesToProcess = Array.from(this.spacesNeedingParticipants).slice(0, 3);
-        
-        for (const spaceId of spacesToProcess) {
-            // Skip if already being processed
-            if (this.participantsLoadingQueue.has(spaceId)) continue;
-            
-            // Skip if we've exceeded retry attempts
-            const retryCount = this.participantRetryAttempts.get(spaceId) || 0;
-            if (retryCount >= this.maxRetryAttempts) {
-                console.warn(`Max retry attempts reached for space ${spaceId}`);
-                this.spacesNeedingParticipants.delete(spaceId);
-                this.participantRetryAttempts.delete(spaceId);
-                continue;
-            }
-
-            // Start loading this space's participants
-            this.loadParticipantsForSpace(spaceId);
-        }
-    }
-
-    /**
-     * Load participants for a specific space with retry logic
-     */
-    async loadParticipantsForSpace(spaceId) {
-        if (this.participantsLoadingQueue.has(spaceId)) return;
-        
-        this.participantsLoadingQueue.set(spaceId, true);
-        
-        try {
-            console.log(`🔄 Loading participants for space: ${spaceId}`);
-            
-            const participantsData = await api.getSpaceParticipants(spaceId);
-            
-            console.log(`✅ Loaded participants for space: ${spaceId} (${participantsData?.totalParticipants || 0} participants)`);
-            
-            // Update UI for this space
-            this.onParticipantDataLoaded(spaceId, participantsData);
-            
-            // Remove from tracking sets
-            this.spacesNeedingParticipants.delete(spaceId);
-            this.participantsLoadingQueue.delete(spaceId);
-            this.participantRetryAttempts.delete(spaceId);
-            
-        } catch (error) {
-            console.warn(`⚠️ Failed to load participants for space ${spaceId}:`, error.message);
-            
-            // Track retry attempt
-            const currentRetries = this.participantRetryAttempts.get(spaceId) || 0;
-            this.participantRetryAttempts.set(spaceId, currentRetries + 1);
-            
-            // Remove from loading queue so it can be retried
-            this.participantsLoadingQueue.delete(spaceId);
-            
-            // If we haven't exceeded max retries, keep it in the needs set
-            if (currentRetries + 1 >= this.maxRetryAttempts) {
-                this.spacesNeedingParticipants.delete(spaceId);
-                console.error(`Max retries exceeded for space ${spaceId}`);
-            }
-        }
-    }
-
     /**
      * Downloads an audio file with proper filename using fetch to force download
      */
@@ -259,17 +330,7 @@ class Dashboard {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
 
-            const blob = await response.blob();
-            const blobUrl = window.URL.createObjectURL(blob);
-            const link = document.createElement('a');
-            link.href = blobUrl;
-            link.download = downloadFilename;
-            link.style.display = 'none';
-
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
-            window.URL.revokeObjectURL(blobUrl);
+            Utils.downloadBlob(await response.blob(), downloadFilename);
 
             Utils.showMessage(`Download started: ${downloadFilename}`, CONFIG.MESSAGE_TYPES.SUCCESS);
         } catch (error) {
@@ -278,14 +339,59 @@ class Dashboard {
         }
     }
 
+    /**
+     * Downloads every part of a space bundled into a single ZIP.
+     * Each part keeps the createDownloadFilename naming, including _partN suffixes.
+     */
+    async downloadAllParts(space) {
+        const audioFiles = api.getAudioPlaylistBySpaceId(space._id, space.host, space.createdAt);
+        if (!audioFiles || audioFiles.length === 0) {
+            Utils.showMessage('No audio files available for this space');
+            return;
+        }
+
+        const bundleFilename = this.createDownloadFilename(space, audioFiles[0].filename).replace(/\.\w+$/, '.zip');
+
+        try {
+            const archive = new ZipArchive();
+
+            for (let index = 0; index < audioFiles.length; index++) {
+                const audioFile = audioFiles[index];
+                Utils.showMessage(`Downloading part ${index + 1} of ${audioFiles.length}...`, CONFIG.MESSAGE_TYPES.SUCCESS);
+
+                const response = await fetch(audioFile.url);
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+
+                const modified = audioFile.lastModified ? new Date(audioFile.lastModified) : new Date();
+                archive.addFile(this.createDownloadFilename(space, audioFile.filename, index), await response.arrayBuffer(), modified);
+            }
+
+            Utils.downloadBlob(archive.toBlob(), bundleFilename);
+
+            Utils.showMessage(`Download started: ${bundleFilename}`, CONFIG.MESSAGE_TYPES.SUCCESS);
+        } catch (error) {
+            console.error('Bundle download failed:', error);
+            Utils.showMessage(`Download failed: ${error.message}`);
+        }
+    }
+
     /**
      * Calculates estimated audio duration from file size
      */
     calculateAudioDuration(fileSizeBytes, bitrateKbps = 96) {
         if (!fileSizeBytes || fileSizeBytes <= 0) return null;
         
-        const durationSeconds = (fileSizeBytes * 8) / (bitrateKbps * 1000);
-        return this.formatDurationFromSeconds(durationSeconds);
+        return this.formatDurationFromSeconds(this.estimateAudioSeconds(fileSizeBytes, bitrateKbps));
+    }
+
+    /**
+     * Estimated seconds of audio in a file of the given size
+     */
+    estimateAudioSeconds(fileSizeBytes, bitrateKbps = 96) {
+        if (!fileSizeBytes || fileSizeBytes <= 0) return 0;
+        return (fileSizeBytes * 8) / (bitrateKbps * 1000);
     }
 
     /**
@@ -320,18 +426,36 @@ class Dashboard {
      * Displays the fetched statistics in the dashboard.
      */
     displayStats(stats) {
-        if (!this.statsGrid) return;
-
-        const totalSpaces = stats.overview.totalSpaces || 0;
-        const liveSpaces = stats.overview.liveSpaces || 0;
-        const recordingSuccessRate = stats.overview.recordingSuccessRate || 0;
-        const avgParticipants = stats.overview.avgParticipants || 0;
-        const publicPercentage = stats.privacy.publicPercentage || 0;
-        const discoverySuccessRate = stats.discovery.discoverySuccessRate || 0;
-        const recentSpaces = stats.activity.recentSpaces || 0;
-        const hostDiversity = stats.activity.hostDiversity || 0;
-
-        this.statsGrid.innerHTML = `
+        if (!stats) return;
+        this.latestStats = stats;
+
+        if (window.analytics) {
+            analytics.setStats(stats);
+        }
+        if (this.statsGrid) {
+            this.statsGrid.innerHTML = this.createStatsHTML(stats);
+        }
+    }
+
+    /**
+     * Stat cards for a /stats payload
+     */
+    createStatsHTML(stats) {
+        const overview = stats.overview || {};
+        const privacy = stats.privacy || {};
+        const discovery = stats.discovery || {};
+        const activity = stats.activity || {};
+
+        const totalSpaces = overview.totalSpaces || 0;
+        const liveSpaces = overview.liveSpaces || 0;
+        const recordingSuccessRate = overview.recordingSuccessRate || 0;
+        const avgParticipants = overview.avgParticipants || 0;
+        const publicPercentage = privacy.publicPercentage || 0;
+        const discoverySuccessRate = discovery.discoverySuccessRate || 0;
+        const recentSpaces = activity.recentSpaces || 0;
+        const hostDiversity = activity.hostDiversity || 0;
+
+        return html`
         <div class="stat-card">
         <div class="stat-number">${totalSpaces}</div>
         <div class="stat-label">Total Spaces</div>
@@ -369,48 +493,187 @@ class Dashboard {
 
     /**
      * Enhanced load spaces with comprehensive participant tracking
+     * @param {Object} options - { force } to bypass the cache
      */
-    async loadSpaces() {
+    async loadSpaces(options = {}) {
         if (!this.spacesContent) return;
 
         // Reset all tracking state
+        const requestToken = ++this.requestToken;
         this.currentOffset = 0;
+        this.nextCursor = null;
         this.hasMore = true;
-        this.allSpaces = [];
-        this.spacesNeedingParticipants.clear();
-        this.participantsLoadingQueue.clear();
-        this.participantRetryAttempts.clear();
+        this.isLoading = true; // Holds off infinite scroll until the first page is in
 
         // Cancel any ongoing participant loading
-        api.cancelParticipantLoading();
+        participantScheduler.cancel();
 
-        this.spacesContent.innerHTML = '<div class="loading">Loading spaces...</div>';
+        // Keep the current cards (and scroll position) until the new page replaces them
+        if (this.spaceList.items.length === 0) {
+            this.spaceList.setFooter('<div class="loading">Loading spaces...</div>');
+        } else {
+            this.spacesContent.classList.add('is-refreshing');
+        }
 
         try {
             const filters = this.getFilterValues();
             filters.offset = 0;
             filters.limit = this.pageSize;
+            filters.force = options.force;
+            this.firstPageKey = api.buildSpacesEndpoint(filters);
 
             // Load ONLY spaces (no participants)
             const data = await api.getSpacesOnly(filters);
+            if (requestToken !== this.requestToken) return;
+
+            this.updatePagingState(data);
+            this.pagesLoaded = 1;
 
-            this.allSpaces = data.data;
-            this.currentOffset = this.pageSize;
-            this.hasMore = data.hasMore;
+            let spaces = this.filterPage(data.data);
+
+            // Spaces that only match through what was said aren't known to the API's search
+            if (filters.search) {
+                const transcriptMatches = await this.loadTranscriptMatches(filters.search, spaces);
+                if (requestToken !== this.requestToken) return;
+                spaces = [...transcriptMatches, ...spaces];
+            }
 
-            // Display spaces immediately
-            const sortedSpaces = this.sortSpaces(data.data);
+            // Swap the new page in together with its cards, so lookups keep finding what's on screen
+            this.allSpaces = spaces;
+            const sortedSpaces = this.sortSpaces([...spaces]);
             this.displaySpaces(sortedSpaces, false);
 
-            // Track spaces that need participant data
-            this.trackSpacesNeedingParticipants(sortedSpaces);
+            // Load participants in the background, visible cards first
+            this.queueParticipantLoading(sortedSpaces);
 
-            // Start enhanced background participant loading
-            this.startEnhancedParticipantLoading(sortedSpaces);
+            this.isLoading = false;
+            this.fillViewportIfNeeded();
 
         } catch (error) {
-            this.spacesContent.innerHTML = `<div class="error">Failed to load spaces: ${error.message}</div>`;
+            if (requestToken !== this.requestToken) return;
+            this.allSpaces = [];
+            this.spaceList.setItems([]);
+            this.spaceList.setFooter(html`<div class="error">Failed to load spaces: ${error.message}</div>`);
             console.error('Spaces error:', error);
+        } finally {
+            if (requestToken === this.requestToken) {
+                this.isLoading = false;
+                this.spacesContent.classList.remove('is-refreshing');
+            }
+        }
+    }
+
+    /**
+     * Every space the API returns for a set of filters, paging past what's loaded
+     * @param {Object} filters - As for api.getSpaces; {} for the whole archive
+     * @param {Object} options - { signal } to stop early, { onProgress } receives the count so far,
+     *                           { filterPage } narrows each page before it is kept
+     * @returns {Promise<Array>} Spaces in the order the API returned them
+     */
+    async fetchAllSpaces(filters = {}, options = {}) {
+        const spaces = [];
+        const fetchedIds = new Set();
+        const usedCursors = new Set();
+        let offset = 0;
+        let cursor = null;
+
+        while (true) {
+            const data = await api.getSpacesOnly({ ...filters, offset, cursor, limit: CONFIG.BULK_PAGE_SIZE }, options.signal);
+            const page = data.data || [];
+            const fresh = page.filter(space => !fetchedIds.has(space._id));
+            fresh.forEach(space => fetchedIds.add(space._id));
+
+            spaces.push(...(options.filterPage ? options.filterPage(fresh) : fresh));
+            if (typeof options.onProgress === 'function') options.onProgress(spaces.length);
+
+            offset += page.length;
+            cursor = data.nextCursor || data.cursor || null;
+            if (!cursor && !(data.hasMore && page.length > 0)) break;
+
+            // A server that keeps handing back the same page would otherwise loop forever
+            if (fresh.length === 0 || (cursor && usedCursors.has(cursor))) {
+                console.warn('⚠️ Stopped paging through spaces: the API returned a page or cursor it had already sent');
+                break;
+            }
+            if (cursor) usedCursors.add(cursor);
+        }
+
+        return spaces;
+    }
+
+    /**
+     * Every space matching the current filters, paging through the API past what's loaded
+     * @param {Object} options - { signal } to stop early, { onProgress } receives the count so far
+     * @returns {Promise<Array>} Spaces in list order
+     */
+    async fetchAllMatchingSpaces(options = {}) {
+        const spaces = await this.fetchAllSpaces(this.getFilterValues(), {
+            ...options,
+            filterPage: (page) => filterManager.applyFiltersToSpaces(page)
+        });
+
+        // Spaces only matched through their transcript come from the loaded list
+        const seen = new Set(spaces.map(space => space._id));
+        this.allSpaces.forEach(space => {
+            if (!seen.has(space._id)) spaces.push(space);
+        });
+
+        return this.sortSpaces(spaces);
+    }
+
+    /**
+     * Records where the next page starts from a spaces response
+     */
+    updatePagingState(data) {
+        const pageLength = data.data ? data.data.length : 0;
+        const previousCursor = this.nextCursor;
+        this.nextCursor = data.nextCursor || data.cursor || null;
+        this.currentOffset += pageLength;
+        this.hasMore = this.nextCursor ? true : !!data.hasMore && pageLength > 0;
+
+        // The same cursor twice would page the same spaces forever
+        if (this.nextCursor && this.nextCursor === previousCursor) this.hasMore = false;
+    }
+
+    /**
+     * Applies the client-side filter check to a page and drops spaces already shown
+     */
+    filterPage(spaces) {
+        const loadedIds = new Set(this.allSpaces.map(space => space._id));
+        const unique = (spaces || []).filter(space => !loadedIds.has(space._id));
+        return window.filterManager ? filterManager.applyFiltersToSpaces(unique) : unique;
+    }
+
+    /**
+     * Fetches spaces whose transcript matches the search but that the API didn't return
+     */
+    async loadTranscriptMatches(search, alreadyLoaded) {
+        if (!window.transcriptIndex) return [];
+
+        const loadedIds = new Set(alreadyLoaded.map(space => space._id));
+        const spaceIds = transcriptIndex.search(search, 0)
+            .map(result => result.spaceId)
+            .filter(spaceId => !loadedIds.has(spaceId))
+            .slice(0, this.maxTranscriptMatches);
+
+        if (spaceIds.length === 0) return [];
+
+        const results = await Promise.allSettled(spaceIds.map(spaceId => api.getSpaceDetails(spaceId)));
+        const spaces = results
+            .filter(result => result.status === 'fulfilled' && result.value?.data)
+            .map(result => result.value.data);
+
+        console.log(`🔎 Added ${spaces.length} spaces matched by transcript`);
+        return filterManager.applyFiltersToSpaces(spaces);
+    }
+
+    /**
+     * Keeps paging while filtered pages are too short to make the list scrollable
+     */
+    fillViewportIfNeeded() {
+        if (!this.hasMore || this.isLoading) return;
+        if (document.documentElement.scrollHeight <= window.innerHeight + 300) {
+            this.loadMoreSpaces();
         }
     }
 
@@ -421,92 +684,54 @@ class Dashboard {
         if (this.isLoading || !this.hasMore) return;
 
         this.isLoading = true;
+        const requestToken = this.requestToken;
+        let loadedPage = false;
 
         try {
             const filters = this.getFilterValues();
             filters.offset = this.currentOffset;
+            filters.cursor = this.nextCursor;
             filters.limit = this.pageSize;
 
             // Load ONLY spaces (no participants)
             const data = await api.getSpacesOnly(filters);
 
-            if (data.data && data.data.length > 0) {
-                this.allSpaces = [...this.allSpaces, ...data.data];
-                this.currentOffset += data.data.length;
-                this.hasMore = data.hasMore;
+            // Filters changed while this page was in flight
+            if (requestToken !== this.requestToken) return;
 
-                // Display new spaces immediately
-                const sortedSpaces = this.sortSpaces(data.data);
-                this.displaySpaces(sortedSpaces, true);
+            if (data.data && data.data.length > 0) {
+                this.updatePagingState(data);
+                this.pagesLoaded++;
+                const newSpaces = this.filterPage(data.data);
+                this.allSpaces = [...this.allSpaces, ...newSpaces];
+                loadedPage = true;
 
-                // Track new spaces that need participant data
-                this.trackSpacesNeedingParticipants(sortedSpaces);
+                // Re-sort the whole list: a live space on this page belongs above earlier pages
+                this.displaySpaces(this.sortSpaces([...this.allSpaces]), false);
 
-                // Add new spaces to enhanced participant loading
-                this.addSpacesToEnhancedParticipantLoading(sortedSpaces);
+                // Queue participant loading for the new spaces
+                this.queueParticipantLoading(this.sortSpaces(newSpaces));
             } else {
                 this.hasMore = false;
+                this.updateListFooter();
             }
         } catch (error) {
+            if (requestToken !== this.requestToken) return;
             console.error('Error loading more spaces:', error);
             Utils.showMessage(`Failed to load more spaces: ${error.message}`);
         } finally {
-            this.isLoading = false;
-        }
-    }
-
-    /**
-     * Track spaces that need participant data
-     */
-    trackSpacesNeedingParticipants(spaces) {
-        spaces.forEach(space => {
-            if (space._id && !api.getCachedParticipants(space._id)) {
-                this.spacesNeedingParticipants.add(space._id);
-                console.log(`📝 Tracking space ${space._id} for participant loading`);
+            if (requestToken === this.requestToken) {
+                this.isLoading = false;
+                if (loadedPage) this.fillViewportIfNeeded();
             }
-        });
-        
-        console.log(`📊 Total spaces needing participants: ${this.spacesNeedingParticipants.size}`);
-    }
-
-    /**
-     * Enhanced participant loading with better coordination
-     */
-    startEnhancedParticipantLoading(spaces) {
-        console.log(`🚀 Starting enhanced participant loading for ${spaces.length} spaces`);
-        
-        // Use the existing API method but with enhanced tracking
-        api.startBackgroundParticipantLoading(spaces, (spaceId, participantsData) => {
-            // Callback when each participant set is loaded
-            this.onParticipantDataLoaded(spaceId, participantsData);
-            
-            // Remove from our tracking
-            this.spacesNeedingParticipants.delete(spaceId);
-            this.participantsLoadingQueue.delete(spaceId);
-            this.participantRetryAttempts.delete(spaceId);
-        });
-        
-        // Update loading indicator
-        this.updateParticipantLoadingIndicator();
+        }
     }
 
     /**
-     * Add more spaces to enhanced participant loading
+     * Queue participant loading for spaces without fresh participant data
      */
-    addSpacesToEnhancedParticipantLoading(spaces) {
-        console.log(`➕ Adding ${spaces.length} more spaces to participant loading`);
-        
-        // This will add to the existing queue and continue serial processing
-        api.startBackgroundParticipantLoading(spaces, (spaceId, participantsData) => {
-            this.onParticipantDataLoaded(spaceId, participantsData);
-            
-            // Remove from our tracking
-            this.spacesNeedingParticipants.delete(spaceId);
-            this.participantsLoadingQueue.delete(spaceId);
-            this.participantRetryAttempts.delete(spaceId);
-        });
-        
-        this.updateParticipantLoadingIndicator();
+    queueParticipantLoading(spaces) {
+        participantScheduler.enqueue(spaces);
     }
 
     /**
@@ -516,12 +741,9 @@ class Dashboard {
     onParticipantDataLoaded(spaceId, participantsData) {
         console.log(`✅ Updating UI for space ${spaceId} with participant data`);
         
-        // Find the space element in the DOM
-        const spaceElement = this.spacesContent.querySelector(`[data-space-id="${spaceId}"]`);
-        if (!spaceElement) {
-            console.warn(`Space element not found for ${spaceId}`);
-            return;
-        }
+        // Cards outside the rendered window pick the data up when they're rendered
+        const spaceElement = this.spaceList.getElement(spaceId);
+        if (!spaceElement) return;
 
         // Update participant avatars for this space
         const participantContainer = spaceElement.querySelector('.participant-avatars, .participant-avatars-empty');
@@ -556,7 +778,17 @@ class Dashboard {
     sortSpaces(spaces) {
         if (!spaces || !Array.isArray(spaces)) return [];
 
+        const sort = window.filterManager ? filterManager.getFilters().sort : CONFIG.DEFAULT_SORT;
+
         return spaces.sort((a, b) => {
+            // Oldest-first and participant sorts follow the server order strictly
+            if (sort === 'oldest') {
+                return new Date(this.getRelevantDate(a)) - new Date(this.getRelevantDate(b));
+            }
+            if (sort === 'participants') {
+                return (b.participantCount || 0) - (a.participantCount || 0);
+            }
+
             // First priority: Live spaces come first
             if (a.isLive && !b.isLive) return -1;
             if (!a.isLive && b.isLive) return 1;
@@ -585,7 +817,9 @@ class Dashboard {
      * Gets current filter values from the UI
      */
     getFilterValues() {
+        const filters = window.filterManager ? filterManager.getFilters() : {};
         return {
+            ...filters,
             limit: this.pageSize
         };
     }
@@ -703,30 +937,32 @@ class Dashboard {
             const profileImage = api.enhanceImageQuality(participant.profileImage) || participant.profileImage;
             
             const normalizedRole = (participant.role || '').toLowerCase().replace('-', '').replace('co-host', 'cohost');
-            const roleClass = normalizedRole || 'listener';
+            const roleClass = /^[a-z]+$/.test(normalizedRole) ? normalizedRole : 'listener';
             
-            const title = `${participant.name} (@${participant.username.replace('@', '')}) - ${participant.role}`;
+            const username = String(participant.username || '').replace('@', '');
+            const title = `${participant.name} (@${username}) - ${participant.role}`;
             
             const baseZIndex = 100;
             const roleZIndex = baseZIndex + (showCount - index) + (roleOrder[participant.role?.toLowerCase()] !== undefined ? (3 - roleOrder[participant.role.toLowerCase()]) * 10 : 0);
             
-            return `
+            return html`
                 <div class="participant-avatar ${roleClass}" 
                      style="z-index: ${roleZIndex};" 
                      title="${title}"
                      data-role="${participant.role}"
-                     data-index="${index}">
-                    <img src="${profileImage}" 
+                     data-index="${index}"
+                     data-person="${username}">
+                    <img src="${Template.url(profileImage, { allowDataImages: true }) || Template.avatar(participant.name)}" 
                          alt="${participant.name}" 
-                         onerror="this.src='data:image/svg+xml,<svg xmlns=%22http://www.w3.org/2000/svg%22 width=%2240%22 height=%2240%22 viewBox=%220 0 40 40%22><rect width=%2240%22 height=%2240%22 fill=%22%23ddd%22/><text x=%2220%22 y=%2225%22 text-anchor=%22middle%22 font-size=%2216%22 fill=%22%23666%22>${participant.name.charAt(0).toUpperCase()}</text></svg>'">
+                         data-fallback="${participant.name || username}">
                 </div>
             `;
-        }).join('');
+        });
 
-        const remainingHTML = remainingCount > 0 ? 
-            `<div class="participant-avatar remaining" title="${remainingCount} more participants">+${remainingCount}</div>` : '';
+        const remainingHTML = remainingCount > 0 && 
+            html`<div class="participant-avatar remaining" title="${remainingCount} more participants">+${remainingCount}</div>`;
 
-        return `
+        return html`
             <div class="participant-avatars" title="Click to view all ${totalCount} participants">
                 ${avatarsHTML}
                 ${remainingHTML}
@@ -736,71 +972,88 @@ class Dashboard {
 
     /**
      * Enhanced space display with participant avatars and better tracking
+     * @param {Array} spaces - Spaces in display order
+     * @param {boolean} append - Add below the current cards instead of replacing them
      */
     displaySpaces(spaces, append = false) {
-        if (!this.spacesContent) return;
+        if (!this.spaceList) return;
 
-        if (!spaces || spaces.length === 0) {
-            if (!append) {
-                this.spacesContent.innerHTML = '<div class="loading">No spaces found.</div>';
-            }
-            return;
+        if (append) {
+            this.spaceList.append(spaces || []);
+        } else {
+            this.spaceList.setItems(spaces || [], { preserveScroll: true });
         }
 
-        const spacesHTML = spaces.map(space => {
-            const audioFiles = api.getAllAudioFilesBySpaceId(space._id, space.host, space.createdAt);
-            const transcription = api.getTranscriptionBySpaceId(space._id, space.host, space.createdAt);
-            const spaceUrl = this.getSpaceUrl(space);
-            const privacyInfo = this.getPrivacyInfo(space);
-            const anchorInfo = this.getAnchorInfo(space);
+        this.updateListFooter();
+    }
 
-            return this.createSpaceItemHTML(space, audioFiles, transcription, spaceUrl, privacyInfo, anchorInfo);
-        }).join('');
+    /**
+     * Builds the card HTML for one space
+     */
+    renderSpaceItem(space) {
+        const audioFiles = api.getAudioPlaylistBySpaceId(space._id, space.host, space.createdAt);
+        const transcription = api.getTranscriptionBySpaceId(space._id, space.host, space.createdAt);
+        const spaceUrl = this.getSpaceUrl(space);
+        const privacyInfo = this.getPrivacyInfo(space);
+        const anchorInfo = this.getAnchorInfo(space);
+
+        return this.createSpaceItemHTML(space, audioFiles, transcription, spaceUrl, privacyInfo, anchorInfo);
+    }
 
-        if (append) {
-            const container = document.createElement('div');
-            container.innerHTML = spacesHTML;
-            // Remove the loading indicator before appending new items
-            const loadingIndicator = this.spacesContent.querySelector('.loading');
-            if (loadingIndicator) {
-                loadingIndicator.remove();
-            }
-            while (container.firstChild) {
-                this.spacesContent.appendChild(container.firstChild);
-            }
-        } else {
-            this.spacesContent.innerHTML = spacesHTML;
-        }
+    /**
+     * Apply a space pushed by live updates.
+     * Known spaces have their card patched in place; spaces that just went live
+     * move to (or are inserted at) the top. Paging state is left alone.
+     * @param {Object} space - Fresh space data
+     * @returns {boolean} Whether the list changed
+     */
+    applyLiveUpdate(space) {
+        if (!space || !space._id || this.isLoading || !this.spaceList) return false;
 
-        // Add a loading indicator if there are more items to fetch
-        if (this.hasMore) {
-            const loadingDiv = document.createElement('div');
-            loadingDiv.className = 'loading';
-            loadingDiv.textContent = 'Loading more spaces...';
-            this.spacesContent.appendChild(loadingDiv);
+        const index = this.allSpaces.findIndex(existing => existing._id === space._id);
+
+        if (index === -1) {
+            // Only newly live spaces are worth interrupting the list for
+            if (!space.isLive) return false;
+            if (window.filterManager && filterManager.applyFiltersToSpaces([space]).length === 0) return false;
+
+            this.allSpaces.unshift(space);
+            this.placeSpaceCard(space, true);
+            this.queueParticipantLoading([space]);
+            return true;
         }
 
-        // Set up click handlers for participant avatars
-        this.setupParticipantClickHandlers();
+        const existing = this.allSpaces[index];
+        if (!this.hasLiveChanges(existing, space)) return false;
+
+        const updated = { ...existing, ...space };
+        this.allSpaces[index] = updated;
+        this.placeSpaceCard(updated, !existing.isLive && updated.isLive);
+        return true;
     }
 
     /**
-     * Sets up click handlers for participant avatars to show participant modal
+     * Whether live-update data differs from what the card shows
      */
-    setupParticipantClickHandlers() {
-        const participantAvatars = this.spacesContent.querySelectorAll('.participant-avatars');
-        participantAvatars.forEach(avatarsContainer => {
-            avatarsContainer.addEventListener('click', (e) => {
-                const spaceItem = avatarsContainer.closest('.space-item');
-                if (spaceItem) {
-                    const spaceId = spaceItem.dataset.spaceId;
-                    const spaceTitle = spaceItem.querySelector('.space-title').textContent;
-                    if (spaceId) {
-                        this.showParticipantsModal(spaceId, spaceTitle);
-                    }
-                }
-            });
-        });
+    hasLiveChanges(existing, space) {
+        const fields = ['isLive', 'participantCount', 'title', 'startedAt', 'endedAt', 'lastUpdated', 'transcriptLink'];
+        return fields.some(field => space[field] !== undefined && space[field] !== existing[field]);
+    }
+
+    /**
+     * Re-render one card, either where it is or at the top of the list
+     */
+    placeSpaceCard(space, moveToTop = false) {
+        const card = moveToTop ? this.spaceList.moveToTop(space) : this.spaceList.updateItem(space);
+        this.updateListFooter();
+        if (!card) return;
+
+        card.classList.add('is-updated');
+        setTimeout(() => card.classList.remove('is-updated'), 2000);
+
+        if (window.player) {
+            player.markPlayingSpace();
+        }
     }
 
     /**
@@ -828,51 +1081,55 @@ class Dashboard {
         // Group participants by role
         const participantsByRole = participantsData.participantsByRole || {};
         
-        let modalContent = `<div class="participants-modal-content">`;
-        modalContent += `<h3>Participants in "${spaceTitle}"</h3>`;
-        modalContent += `<p class="participants-count">Total: ${participantsData.totalParticipants || participantsData.participants.length} participants</p>`;
-        
         // Display by role
-        ['host', 'co-host', 'speaker', 'listener'].forEach(role => {
+        const sectionsHTML = ['host', 'co-host', 'speaker', 'listener'].map(role => {
             const roleParticipants = participantsByRole[role] || [];
-            if (roleParticipants.length > 0) {
-                const roleTitle = role.charAt(0).toUpperCase() + role.slice(1).replace('-', ' ');
-                modalContent += `
-                    <div class="participants-role-section">
-                        <h4>${roleTitle}s (${roleParticipants.length})</h4>
-                        <div class="participants-list">
-                `;
-                
-                roleParticipants.forEach(participant => {
-                    const profileImage = api.enhanceImageQuality(participant.profileImage) || participant.profileImage;
-                    const username = participant.username.replace('@', '');
-                    modalContent += `
-                        <div class="participant-item">
-                            <img src="${profileImage}" 
-                                 alt="${participant.name}" 
-                                 class="participant-modal-avatar"
-                                 onerror="this.src='data:image/svg+xml,<svg xmlns=%22http://www.w3.org/2000/svg%22 width=%2240%22 height=%2240%22 viewBox=%220 0 40 40%22><rect width=%2240%22 height=%2240%22 fill=%22%23ddd%22/><text x=%2220%22 y=%2225%22 text-anchor=%22middle%22 font-size=%2216%22 fill=%22%23666%22>${participant.name.charAt(0).toUpperCase()}</text></svg>'">
-                            <div class="participant-info">
-                                <div class="participant-name">${participant.name}</div>
-                                <div class="participant-username">
-                                    <a href="https://x.com/${username}" target="_blank">@${username}</a>
-                                </div>
-                            </div>
-                        </div>
-                    `;
-                });
-                
-                modalContent += `
-                        </div>
+            if (roleParticipants.length === 0) return '';
+
+            const roleTitle = role.charAt(0).toUpperCase() + role.slice(1).replace('-', ' ');
+            return html`
+                <div class="participants-role-section">
+                    <h4>${roleTitle}s (${roleParticipants.length})</h4>
+                    <div class="participants-list">
+                        ${roleParticipants.map(participant => this.createParticipantItemHTML(participant))}
                     </div>
-                `;
-            }
+                </div>
+            `;
         });
         
-        modalContent += `</div>`;
+        const modalContent = html`
+            <div class="participants-modal-content">
+                <h3>Participants in "${spaceTitle}"</h3>
+                <p class="participants-count">Total: ${participantsData.totalParticipants || participantsData.participants.length} participants</p>
+                ${sectionsHTML}
+            </div>
+        `;
         
         // Show modal with custom content
-        modal.openWithHTML('Participants', modalContent);
+        modal.openWithHTML('Participants', modalContent, { type: 'participants', spaceId });
+    }
+
+    /**
+     * One person in the participants modal
+     */
+    createParticipantItemHTML(participant) {
+        const profileImage = api.enhanceImageQuality(participant.profileImage) || participant.profileImage;
+        const username = String(participant.username || '').replace('@', '');
+
+        return html`
+            <div class="participant-item">
+                <img src="${Template.url(profileImage, { allowDataImages: true }) || Template.avatar(participant.name)}" 
+                     alt="${participant.name}" 
+                     class="participant-modal-avatar"
+                     data-fallback="${participant.name || username}">
+                <div class="participant-info">
+                    <div class="participant-name">${window.participantDirectory ? participantDirectory.createPersonLinkHTML(username, participant.name) : participant.name}</div>
+                    <div class="participant-username">
+                        <a href="https://x.com/${encodeURIComponent(username)}" target="_blank">@${username}</a>
+                    </div>
+                </div>
+            </div>
+        `;
     }
 
     /**
@@ -888,14 +1145,16 @@ class Dashboard {
         const rawTitle = space.title || 'Untitled Space';
         const displayTitle = rawTitle.length > 64 ? rawTitle.substring(0, 60) + '...' : rawTitle;
 
-        // Create a compact metadata string
+        // Create a compact metadata string; text parts are escaped, markup parts come from html``
         const metaParts = [];
 
-        // Add host with a hyperlink to their X.com profile
-        if (space.host) {
+        // Add host with a link to their profile page (or their X.com profile without one)
+        if (space.host && window.hostProfile) {
+            metaParts.push(hostProfile.createHostLinkHTML(space.host));
+        } else if (space.host) {
             const cleanHost = space.host.replace(/[@]/g, '');
-            const hostUrl = `https://x.com/${cleanHost}`;
-            metaParts.push(`<a href="${hostUrl}" target="_blank">${space.host}</a>`);
+            const hostUrl = `https://x.com/${encodeURIComponent(cleanHost)}`;
+            metaParts.push(html`<a href="${hostUrl}" target="_blank">${space.host}</a>`);
         } else {
             metaParts.push('Unknown Host');
         }
@@ -911,65 +1170,77 @@ class Dashboard {
             metaParts.push(`${anchorInfo.icon} via ${anchorInfo.roleIcon} ${anchorInfo.displayText} (${anchorInfo.roleText})`);
         }
 
-        // Add override indicator if applicable
+        // Add override indicator, linked to its override queue entry
         if (space.isOverride) {
-            metaParts.push('<span class="override-icon">⚡ Override</span>');
+            metaParts.push(overrideManager.createOverrideBadgeHTML(space));
         }
 
-        // Add audio duration if available
+        // Add audio duration if available, summed across all parts
         if (audioFiles && audioFiles.length > 0) {
-            const firstAudio = audioFiles[0];
-            if (firstAudio.size) {
-                const duration = this.calculateAudioDuration(firstAudio.size);
-                if (duration) {
-                    metaParts.push(duration);
-                }
+            const totalSize = audioFiles.reduce((sum, audioFile) => sum + (audioFile.size || 0), 0);
+            const duration = this.calculateAudioDuration(totalSize);
+            if (duration) {
+                metaParts.push(duration);
+            }
+            if (audioFiles.length > 1) {
+                metaParts.push(`${audioFiles.length} parts`);
             }
         }
 
         metaParts.push(timeAgo);
-        const metadataText = metaParts.join(' · ');
+        const metadataHTML = Template.join(metaParts, ' · ');
 
-        // Determine which actions to show
+        // Determine which actions to show; links from data only survive if they are http(s)
         const hasAudio = audioFiles && audioFiles.length > 0;
-        const hasTranscriptLink = space.transcriptLink && space.transcriptLink !== null;
+        const transcriptLink = Template.url(space.transcriptLink);
+        const safeSpaceUrl = Template.url(spaceUrl);
 
-        let actionsHTML = '';
+        const actionsHTML = [];
         if (hasAudio) {
-            const firstAudio = audioFiles[0];
-            const staticDownloadFilename = this.createDownloadFilename(space, firstAudio.filename);
-            actionsHTML += `<a href="${firstAudio.url}" target="_blank" rel="noopener noreferrer" class="btn btn-secondary">Listen</a>`;
+            actionsHTML.push(html`<button type="button" class="btn btn-secondary" data-action="listen" title="Play in dashboard">Listen</button>`);
+            if (audioFiles.length > 1) {
+                actionsHTML.push(html`<button type="button" class="btn btn-secondary" data-action="download-all" title="Download all ${audioFiles.length} parts as one ZIP">Download all parts</button>`);
+            }
         }
-        if (hasTranscriptLink) {
-            actionsHTML += `<a href="${space.transcriptLink}" target="_blank" class="btn btn-secondary">Transcript</a>`;
+        if (transcription) {
+            actionsHTML.push(html`<button type="button" class="btn btn-secondary" data-action="transcript" title="Show transcript synced to playback">Transcript</button>`);
+        } else if (transcriptLink) {
+            actionsHTML.push(html`<a href="${transcriptLink}" target="_blank" rel="noopener" class="btn btn-secondary">Transcript</a>`);
         }
-        if (spaceUrl) {
-            actionsHTML += `<a href="${spaceUrl}" target="_blank" class="btn btn-primary">Open on X</a>`;
+        if (safeSpaceUrl) {
+            actionsHTML.push(html`<a href="${safeSpaceUrl}" target="_blank" rel="noopener" class="btn btn-primary">Open on X</a>`);
         }
 
         // Enhanced participant loading state
         const hasParticipantData = api.getCachedParticipants(space._id);
-        const isInLoadingQueue = this.participantsLoadingQueue.has(space._id);
-        const needsParticipants = this.spacesNeedingParticipants.has(space._id);
+        const participantState = participantScheduler.getState(space._id);
         
         let participantAvatarsHTML;
         if (hasParticipantData) {
             participantAvatarsHTML = this.createParticipantAvatarsHTML(hasParticipantData);
-        } else if (isInLoadingQueue) {
-            participantAvatarsHTML = '<div class="participant-avatars-empty">🔄 Loading participants...</div>';
-        } else if (needsParticipants) {
-            participantAvatarsHTML = '<div class="participant-avatars-empty">⏳ Queued for loading...</div>';
+        } else if (participantState === 'loading') {
+            participantAvatarsHTML = html`<div class="participant-avatars-empty">🔄 Loading participants...</div>`;
+        } else if (participantState === 'queued' || participantState === 'retrying') {
+            participantAvatarsHTML = html`<div class="participant-avatars-empty">⏳ Queued for loading...</div>`;
+        } else if (participantState === 'failed') {
+            participantAvatarsHTML = html`<div class="participant-avatars-empty">Participants unavailable</div>`;
         } else {
-            participantAvatarsHTML = '<div class="participant-avatars-empty">Loading participants...</div>';
+            participantAvatarsHTML = html`<div class="participant-avatars-empty">Loading participants...</div>`;
         }
 
-        return `
-        <div class="space-item" data-space-id="${space._id}">
+        const transcriptHitsHTML = this.createTranscriptHitsHTML(space);
+
+        const isSelected = window.bulkSelection && bulkSelection.isSelected(space._id);
+
+        return html`
+        <div class="space-item${isSelected ? ' is-selected' : ''}" data-space-id="${space._id}">
+            <input type="checkbox" class="space-select" data-action="select" aria-label="Select ${rawTitle}" ${isSelected ? 'checked' : ''}>
             <div class="status-indicator ${statusClass}" title="${isLive ? 'Live' : 'Ended'}"></div>
             <div class="space-details">
-                <div class="space-title">${displayTitle}</div>
-                <div class="space-metadata">${metadataText}</div>
+                <div class="space-title" data-action="details" title="View space details">${displayTitle}</div>
+                <div class="space-metadata">${metadataHTML}</div>
                 ${participantAvatarsHTML}
+                ${transcriptHitsHTML}
             </div>
             <div class="space-actions">
                 ${actionsHTML}
@@ -978,6 +1249,31 @@ class Dashboard {
         `;
     }
 
+    /**
+     * Creates HTML for transcript search hits when a search is active
+     */
+    createTranscriptHitsHTML(space) {
+        const search = window.filterManager ? filterManager.getFilters().search : '';
+        if (!search || !window.transcriptIndex) return '';
+
+        const hits = transcriptIndex.searchSpace(space._id, search, 3);
+        if (hits.length === 0) return '';
+
+        const totalHits = transcriptIndex.countHits(space._id, search);
+        const hitsHTML = hits.map(hit => html`
+            <button type="button" class="transcript-hit" data-action="transcript-hit" data-start="${hit.start}" title="Play from ${Utils.formatTimestamp(hit.start)}">
+                <span class="transcript-hit-time">${Utils.formatTimestamp(hit.start)}</span>
+                ${hit.speaker && html`<span class="transcript-hit-speaker">${hit.speaker}:</span>`}
+                <span class="transcript-hit-text">${hit.before}<mark>${hit.match}</mark>${hit.after}</span>
+            </button>
+        `);
+
+        const moreHTML = totalHits > hits.length &&
+            html`<div class="transcript-hits-more">+${totalHits - hits.length} more mentions in transcript</div>`;
+
+        return html`<div class="transcript-hits">${hitsHTML}${moreHTML}</div>`;
+    }
+
     /**
      * Creates a descriptive filename for downloads
      */
@@ -1030,11 +1326,13 @@ class Dashboard {
 
     /**
      * Fetches and displays detailed information for a specific space.
+     * @param {string} spaceId - Space id
+     * @param {Object} options - { stack } to open on top of the current modal
      */
-    async viewSpaceDetails(spaceId) {
+    async viewSpaceDetails(spaceId, options = {}) {
         try {
             const data = await api.getSpaceDetails(spaceId);
-            modal.showSpaceDetails(data.data);
+            modal.showSpaceDetails(data.data, options);
         } catch (error) {
             Utils.showMessage(`Failed to load space details: ${error.message}`);
         }
@@ -1044,14 +1342,12 @@ class Dashboard {
      * Debug method to show comprehensive participant loading status
      */
     debugParticipantLoadingStatus() {
-        const progress = api.getParticipantLoadingProgress();
+        const progress = participantScheduler.getProgress();
         const cache = api.getParticipantsCache();
+        const missing = this.allSpaces.filter(space => space._id && !(space._id in cache)).length;
         
         const debugInfo = {
             loadingProgress: progress,
-            spacesNeedingParticipants: Array.from(this.spacesNeedingParticipants),
-            loadingQueue: Array.from(this.participantsLoadingQueue.entries()),
-            retryAttempts: Array.from(this.participantRetryAttempts.entries()),
             cacheStats: {
                 totalEntries: Object.keys(cache).length,
                 successfulEntries: Object.values(cache).filter(p => p !== null).length,
@@ -1060,9 +1356,9 @@ class Dashboard {
             totalSpacesDisplayed: this.allSpaces.length,
             coverage: {
                 percentage: this.allSpaces.length > 0 ? 
-                    Math.round((Object.keys(cache).length / this.allSpaces.length) * 100) : 0,
-                missing: this.spacesNeedingParticipants.size,
-                loading: this.participantsLoadingQueue.size
+                    Math.round(((this.allSpaces.length - missing) / this.allSpaces.length) * 100) : 0,
+                missing: missing,
+                loading: progress.active
             }
         };
         
@@ -1077,16 +1373,16 @@ Enhanced Participant Loading Status:
 - Still Missing: ${debugInfo.coverage.missing} spaces
 - Currently Loading: ${debugInfo.coverage.loading} spaces
 
-🔄 LOADING STATE:
-- API Loading: ${progress.isLoading ? 'YES' : 'NO'}
+🔄 SCHEDULER:
+- Loading: ${progress.isLoading ? 'YES' : 'NO'}
 - Queue Length: ${progress.queueLength}
+- Concurrency: ${progress.active}/${progress.concurrency}
+- Retrying: ${progress.retrying}
+- Gave Up: ${progress.failed}
+- Visible Cards: ${progress.visible}
+- Rate Limited: ${progress.isRateLimited ? 'YES' : 'NO'}
 - Progress: ${progress.progress}
 
-📝 TRACKING QUEUES:
-- Spaces Needing Participants: ${debugInfo.spacesNeedingParticipants.length}
-- Active Loading Queue: ${debugInfo.loadingQueue.length}
-- Retry Attempts: ${debugInfo.retryAttempts.length}
-
 💾 CACHE STATISTICS:
 - Total Cache Entries: ${debugInfo.cacheStats.totalEntries}
 - Successful API Calls: ${debugInfo.cacheStats.successfulEntries}
@@ -1096,6 +1392,7 @@ Enhanced Participant Loading Status:
 - dashboard.forceParticipantSync() - Force sync all missing
 - dashboard.clearParticipantTracking() - Reset tracking
 - dashboard.debugParticipantLoadingStatus() - Show this info
+- participantScheduler.setConcurrency(n) - Change parallel requests
         `;
         
         if (window.modal) {
@@ -1113,27 +1410,14 @@ Enhanced Participant Loading Status:
     async forceParticipantSync() {
         console.log('🔄 Force synchronizing participant data for all spaces...');
         
-        // Cancel any ongoing loading
-        api.cancelParticipantLoading();
-        
-        // Clear tracking state
-        this.participantsLoadingQueue.clear();
-        this.participantRetryAttempts.clear();
-        
-        // Find all spaces without participant data
-        this.spacesNeedingParticipants.clear();
-        this.allSpaces.forEach(space => {
-            if (space._id && !api.getCachedParticipants(space._id)) {
-                this.spacesNeedingParticipants.add(space._id);
-            }
-        });
-        
-        console.log(`📋 Found ${this.spacesNeedingParticipants.size} spaces needing participant data`);
+        // Start over, including spaces the scheduler had given up on
+        participantScheduler.cancel();
+        this.queueParticipantLoading(this.allSpaces);
         
-        // Start enhanced loading
-        this.startEnhancedParticipantLoading(this.allSpaces);
+        const queued = participantScheduler.getProgress().queueLength;
+        console.log(`📋 Found ${queued} spaces needing participant data`);
         
-        Utils.showMessage(`Force sync started for ${this.spacesNeedingParticipants.size} spaces`, CONFIG.MESSAGE_TYPES.SUCCESS);
+        Utils.showMessage(`Force sync started for ${queued} spaces`, CONFIG.MESSAGE_TYPES.SUCCESS);
     }
 
     /**
@@ -1142,19 +1426,17 @@ Enhanced Participant Loading Status:
     clearParticipantTracking() {
         console.log('🧹 Clearing all participant tracking state...');
         
-        api.cancelParticipantLoading();
-        this.spacesNeedingParticipants.clear();
-        this.participantsLoadingQueue.clear();
-        this.participantRetryAttempts.clear();
+        participantScheduler.cancel();
         
         // Clear API cache
         api.participantsCache = {};
+        api.staleParticipants.clear();
         
         // Re-display all spaces to reset loading states
         if (this.allSpaces.length > 0) {
             const sortedSpaces = this.sortSpaces(this.allSpaces);
+            this.queueParticipantLoading(sortedSpaces);
             this.displaySpaces(sortedSpaces, false);
-            this.trackSpacesNeedingParticipants(sortedSpaces);
         }
         
         Utils.showMessage('Participant tracking cleared and reset', CONFIG.MESSAGE_TYPES.SUCCESS);
@@ -1167,7 +1449,7 @@ const dashboard = new Dashboard();
 // Make dashboard globally available for debugging and access from other scripts
 window.dashboard = dashboard;
 
-// Enhanced debugging methods
-window.debugParticipants = () => dashboard.debugParticipantLoadingStatus();
-window.forceParticipantSync = () => dashboard.forceParticipantSync();
-window.clearParticipantTracking = () => dashboard.clearParticipantTracking();
\ No newline at end of file
+// Enhanced debugging methods (admins only)
+window.debugParticipants = auth.adminOnly(() => dashboard.debugParticipantLoadingStatus());
+window.forceParticipantSync = auth.adminOnly(() => dashboard.forceParticipantSync());
+window.clearParticipantTracking = auth.adminOnly(() => dashboard.clearParticipantTracking());
\ No newline at end of file
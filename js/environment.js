@@ -0,0 +1,256 @@
+/**
+ * Environment - Named backend profiles that can be switched at runtime
+ * - Profiles come from CONFIG.ENVIRONMENTS plus custom ones saved in this browser
+ * - Picked by ?env=<name>, then the last choice, then CONFIG.DEFAULT_ENVIRONMENT
+ * - Applies the profile's URLs to CONFIG before any other script reads them
+ * - Cached data, sessions and overrides are kept apart per environment
+ * - Switching reloads the page so nothing from the previous backend lingers
+ */
+
+class EnvironmentManager {
+    constructor() {
+        this.storageKey = 'audiohub-environment';
+        this.customStorageKey = 'audiohub-environments';
+
+        this.customProfiles = {};
+        this.name = null;
+        this.element = null;
+
+        this.loadCustomProfiles();
+        this.apply(this.resolveName());
+        this.init();
+    }
+
+    /**
+     * Initialize the switcher once the DOM is ready
+     */
+    init() {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.setup());
+        } else {
+            this.setup();
+        }
+    }
+
+    setup() {
+        this.createSwitcherHTML();
+        this.setupEventListeners();
+    }
+
+    loadCustomProfiles() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.customStorageKey) || '{}');
+            this.customProfiles = stored && typeof stored === 'object' ? stored : {};
+        } catch (error) {
+            console.warn('⚠️ Failed to read custom environments from storage:', error.message);
+        }
+    }
+
+    /**
+     * Every available profile by name
+     */
+    getProfiles() {
+        return { ...CONFIG.ENVIRONMENTS, ...this.customProfiles };
+    }
+
+    getProfile(name = this.name) {
+        return this.getProfiles()[name] || null;
+    }
+
+    isDefault() {
+        return this.name === CONFIG.DEFAULT_ENVIRONMENT;
+    }
+
+    /**
+     * Which profile to use: the URL, then the saved choice, then the default
+     */
+    resolveName() {
+        const profiles = this.getProfiles();
+        const fromUrl = new URLSearchParams(window.location.search).get('env');
+        if (fromUrl && profiles[fromUrl]) {
+            this.saveChoice(fromUrl);
+            return fromUrl;
+        }
+
+        let saved = null;
+        try {
+            saved = localStorage.getItem(this.storageKey);
+        } catch (error) {
+            // Storage unavailable, use the default
+        }
+        return saved && profiles[saved] ? saved : CONFIG.DEFAULT_ENVIRONMENT;
+    }
+
+    saveChoice(name) {
+        try {
+            localStorage.setItem(this.storageKey, name);
+        } catch (error) {
+            console.warn('⚠️ Failed to save environment:', error.message);
+        }
+    }
+
+    /**
+     * Point CONFIG at a profile
+     */
+    apply(name) {
+        const profile = this.getProfile(name);
+        this.name = name;
+
+        CONFIG.ENVIRONMENT = name;
+        CONFIG.API_BASE_URL = profile.API_BASE_URL;
+        CONFIG.S3_BASE_URL = profile.S3_BASE_URL;
+        CONFIG.AUTH.PROVIDER = profile.AUTH_PROVIDER || 'token';
+
+        if (!this.isDefault()) {
+            console.log(`🧪 Using the ${profile.label || name} environment (${profile.API_BASE_URL})`);
+        }
+    }
+
+    /**
+     * Storage name scoped to the environment; the default keeps the plain name
+     * @param {string} name - e.g. 'audiohub-cache'
+     */
+    scopedName(name) {
+        return this.isDefault() ? name : `${name}:${this.name}`;
+    }
+
+    /**
+     * Switch to another profile
+     */
+    use(name) {
+        if (!this.getProfile(name) || name === this.name) return;
+
+        this.saveChoice(name);
+
+        // An ?env= in the address would win over the new choice
+        const url = new URL(window.location.href);
+        url.searchParams.delete('env');
+        window.location.replace(url.toString());
+    }
+
+    /**
+     * Save a custom profile, e.g. for a staging deployment
+     * @param {string} name - Profile name
+     * @param {Object} profile - { label, API_BASE_URL, S3_BASE_URL }
+     * @returns {boolean} Whether it was saved
+     */
+    addProfile(name, profile) {
+        const key = String(name || '').trim().toLowerCase().replace(/[^a-z0-9-]/g, '-');
+        if (!key || CONFIG.ENVIRONMENTS[key]) return false;
+
+        const withSlash = (url) => String(url || '').trim().replace(/\/?$/, '/');
+        if (!/^https?:\/\//.test(profile.API_BASE_URL || '') || !/^https?:\/\//.test(profile.S3_BASE_URL || '')) {
+            return false;
+        }
+
+        this.customProfiles[key] = {
+            label: profile.label || name,
+            API_BASE_URL: withSlash(profile.API_BASE_URL),
+            S3_BASE_URL: withSlash(profile.S3_BASE_URL)
+        };
+        this.saveCustomProfiles();
+        this.render();
+        return true;
+    }
+
+    removeProfile(name) {
+        if (!this.customProfiles[name] || name === this.name) return;
+
+        delete this.customProfiles[name];
+        this.saveCustomProfiles();
+        this.render();
+    }
+
+    saveCustomProfiles() {
+        try {
+            localStorage.setItem(this.customStorageKey, JSON.stringify(this.customProfiles));
+        } catch (error) {
+            console.warn('⚠️ Failed to save custom environments:', error.message);
+        }
+    }
+
+    /**
+     * Create the environment switcher at the foot of the header
+     */
+    createSwitcherHTML() {
+        const header = document.querySelector('.header');
+        if (!header) {
+            console.warn('Environment: Required elements not found');
+            return;
+        }
+
+        header.insertAdjacentHTML('beforeend', '<div class="environment-switcher" id="environmentSwitcher"></div>');
+        this.element = document.getElementById('environmentSwitcher');
+        this.render();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        if (!this.element) return;
+
+        this.element.addEventListener('change', (e) => {
+            if (e.target.id === 'environmentSelect') this.use(e.target.value);
+        });
+
+        this.element.addEventListener('click', (e) => {
+            if (e.target.closest('[data-environment-action="toggle"]')) {
+                this.element.classList.toggle('open');
+            }
+
+            const removeButton = e.target.closest('[data-environment-remove]');
+            if (removeButton) {
+                this.removeProfile(removeButton.dataset.environmentRemove);
+            }
+        });
+
+        this.element.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const form = e.target;
+            const added = this.addProfile(form.elements.name.value, {
+                API_BASE_URL: form.elements.api.value,
+                S3_BASE_URL: form.elements.s3.value
+            });
+
+            if (added) {
+                Utils.showMessage('Environment added', CONFIG.MESSAGE_TYPES.SUCCESS);
+            } else {
+                Utils.showMessage('Enter a new name and http(s) URLs for the API and audio files');
+            }
+        });
+    }
+
+    render() {
+        if (!this.element) return;
+
+        const profiles = this.getProfiles();
+        this.element.classList.toggle('is-custom', !this.isDefault());
+        this.element.innerHTML = html`
+            <label for="environmentSelect">Environment</label>
+            <select class="filter-select" id="environmentSelect">
+                ${Object.entries(profiles).map(([name, profile]) => html`
+                    <option value="${name}" ${name === this.name ? 'selected' : ''}>${profile.label || name}</option>
+                `)}
+            </select>
+            <button type="button" class="btn btn-secondary" data-environment-action="toggle" title="Add an environment">+</button>
+            <form class="environment-form">
+                <input type="text" class="filter-input" name="name" placeholder="Name, e.g. staging">
+                <input type="text" class="filter-input" name="api" placeholder="API URL">
+                <input type="text" class="filter-input" name="s3" placeholder="Audio files URL">
+                <button type="submit" class="btn btn-primary">Add</button>
+                ${Object.entries(this.customProfiles).map(([name, profile]) => html`
+                    <span class="environment-custom">
+                        ${profile.label || name}
+                        <button type="button" class="btn btn-secondary" data-environment-remove="${name}"
+                                ${name === this.name ? Template.raw('disabled title="In use"') : ''}>Remove</button>
+                    </span>
+                `)}
+            </form>
+        `;
+    }
+}
+
+// Create global instance
+const environment = new EnvironmentManager();
+window.environment = environment;
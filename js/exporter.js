@@ -0,0 +1,435 @@
+/**
+ * Exporter - Take spaces, participant rosters and stats out of the dashboard
+ * - Spaces: one row per space with privacy, anchor and duration columns
+ * - Participants: the roster of every space (one row per participant in CSV)
+ * - Stats: a snapshot of /stats
+ * - Formats: CSV (opens in Excel as is), JSON and NDJSON
+ * - Scopes: the spaces in view, every space matching the filters, or the whole archive,
+ *   the last two paging through the API
+ */
+
+class Exporter {
+    constructor() {
+        this.controller = null;     // AbortController while an export is running
+
+        this.formats = {
+            csv: { label: 'CSV (Excel)', extension: 'csv', type: 'text/csv;charset=utf-8' },
+            json: { label: 'JSON', extension: 'json', type: 'application/json' },
+            ndjson: { label: 'NDJSON (one record per line)', extension: 'ndjson', type: 'application/x-ndjson' }
+        };
+
+        this.toggleElement = null;
+        this.panelElement = null;
+
+        this.init();
+    }
+
+    /**
+     * Initialize the export panel once the DOM is ready
+     */
+    init() {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.setup());
+        } else {
+            this.setup();
+        }
+    }
+
+    setup() {
+        this.createExportHTML();
+        this.setupEventListeners();
+        this.render();
+    }
+
+    isBusy() {
+        return !!this.controller;
+    }
+
+    /**
+     * Format picked in the panel
+     */
+    getFormat() {
+        const select = document.getElementById('exportFormat');
+        return select && this.formats[select.value] ? select.value : 'csv';
+    }
+
+    /**
+     * Export what the panel is set to
+     */
+    async exportFromPanel() {
+        await this.export(
+            document.getElementById('exportDataset').value,
+            this.getFormat(),
+            document.getElementById('exportScope').value,
+            { loadMissing: document.getElementById('exportLoadParticipants').checked }
+        );
+    }
+
+    /**
+     * Write an export file
+     * @param {string} dataset - 'spaces', 'participants' or 'stats'
+     * @param {string} format - 'csv', 'json' or 'ndjson'
+     * @param {string} scope - 'view', 'matching' or 'archive' (ignored for stats)
+     * @param {Object} options - { loadMissing } fetches rosters that aren't loaded yet
+     */
+    async export(dataset, format, scope, options = {}) {
+        if (this.isBusy()) {
+            Utils.showMessage('Wait for the current export to finish');
+            return;
+        }
+
+        const controller = new AbortController();
+        this.controller = controller;
+        this.render();
+
+        try {
+            let data;
+            let note = '';
+
+            if (dataset === 'stats') {
+                data = await this.buildStats();
+            } else {
+                const spaces = await this.getSpaces(scope, controller.signal);
+                if (dataset === 'participants') {
+                    data = await this.buildParticipants(spaces, { ...options, signal: controller.signal });
+                    if (data.missing > 0) note = ` (${data.missing} without a loaded roster)`;
+                } else {
+                    data = this.buildSpaces(spaces);
+                }
+            }
+
+            const filename = this.download(data, format, dataset === 'stats' ? [dataset] : [dataset, scope]);
+            Utils.showMessage(`Exported ${data.count} ${data.noun} to ${filename}${note}`, CONFIG.MESSAGE_TYPES.SUCCESS);
+        } catch (error) {
+            if (!controller.signal.aborted) {
+                console.error('Export failed:', error);
+                Utils.showMessage(`Export failed: ${error.message}`);
+            }
+        } finally {
+            this.controller = null;
+            this.render();
+        }
+    }
+
+    /**
+     * Export a given list of spaces, e.g. the bulk selection, in the format picked in the panel
+     */
+    exportSpaces(spaces, label) {
+        const format = this.getFormat();
+        const filename = this.download(this.buildSpaces(spaces), format, ['spaces', label]);
+        Utils.showMessage(`Exported ${spaces.length} spaces to ${filename}`, CONFIG.MESSAGE_TYPES.SUCCESS);
+    }
+
+    cancel() {
+        if (this.controller) this.controller.abort();
+    }
+
+    /**
+     * Spaces for a scope
+     */
+    async getSpaces(scope, signal) {
+        const onProgress = (count) => this.setStatus(`Fetching spaces: ${count} so far`);
+
+        if (scope === 'matching') {
+            return await dashboard.fetchAllMatchingSpaces({ signal, onProgress });
+        }
+        if (scope === 'archive') {
+            return await dashboard.fetchAllSpaces({}, { signal, onProgress });
+        }
+        return dashboard.spaceList ? dashboard.spaceList.items.slice() : dashboard.allSpaces.slice();
+    }
+
+    /**
+     * One space as an export record
+     */
+    toSpaceRecord(space) {
+        const audioFiles = api.getAudioPlaylistBySpaceId(space._id, space.host, space.createdAt) || [];
+        const audioBytes = audioFiles.reduce((sum, audioFile) => sum + (audioFile.size || 0), 0);
+        const spaceUrl = dashboard.getSpaceUrl(space);
+        const started = space.startedAt || space.createdAt;
+
+        return {
+            id: space._id,
+            spaceId: space.spaceId || null,
+            title: space.title || null,
+            host: space.host || null,
+            hostName: space.hostName || null,
+            status: space.isLive ? 'live' : 'ended',
+            privacy: typeof space.private === 'boolean' ? (space.private ? 'private' : 'public') : 'unknown',
+            anchor: space.anchor ? space.anchor.username || null : null,
+            anchorName: space.anchor ? space.anchor.displayName || null : null,
+            anchorRole: space.anchor ? space.anchor.role || null : null,
+            startedAt: started || null,
+            endedAt: space.endedAt || null,
+            durationMinutes: started && space.endedAt ?
+                Math.round((new Date(space.endedAt) - new Date(started)) / 60000) : null,
+            audioMinutes: audioBytes > 0 ? Math.round(dashboard.estimateAudioSeconds(audioBytes) / 60) : null,
+            audioFiles: audioFiles.map(audioFile => audioFile.filename),
+            participantCount: space.participantCount || 0,
+            recordingStatus: space.recordingStatus || null,
+            isOverride: !!space.isOverride,
+            url: spaceUrl && spaceUrl.includes('/i/spaces/') ? spaceUrl : null
+        };
+    }
+
+    /**
+     * Each build returns what every format writes:
+     * { json } as a whole, { lines } one per NDJSON line, { rows } flat CSV rows
+     */
+    buildSpaces(spaces) {
+        const records = spaces.map(space => this.toSpaceRecord(space));
+        return { json: records, lines: records, rows: records, count: records.length, noun: 'spaces' };
+    }
+
+    /**
+     * Rosters of the given spaces, from the participant cache
+     * @param {Object} options - { loadMissing } fetches the rest one space at a time, { signal }
+     */
+    async buildParticipants(spaces, options = {}) {
+        if (options.loadMissing) {
+            const missing = spaces.filter(space => !api.hasFreshParticipants(space._id));
+            for (let index = 0; index < missing.length; index++) {
+                if (options.signal && options.signal.aborted) throw new Error('Request cancelled');
+                this.setStatus(`Loading participants: ${index + 1} of ${missing.length}`);
+
+                try {
+                    await api.getSpaceParticipants(missing[index]._id, options.signal);
+                } catch (error) {
+                    if (options.signal && options.signal.aborted) throw error;
+                    console.warn(`⚠️ No participants for ${missing[index]._id}:`, error.message);
+                }
+            }
+        }
+
+        const rosters = spaces.map(space => {
+            const participantsData = api.getCachedParticipants(space._id);
+            const participants = participantsData && Array.isArray(participantsData.participants) ?
+                participantsData.participants.map(participant => ({
+                    username: participant.username ? String(participant.username).replace(/^@/, '') : null,
+                    name: participant.name || null,
+                    role: participant.role || null
+                })) :
+                null;
+
+            return {
+                spaceId: space._id,
+                title: space.title || null,
+                host: space.host || null,
+                startedAt: space.startedAt || space.createdAt || null,
+                participants: participants
+            };
+        });
+
+        const rows = [];
+        rosters.forEach(roster => {
+            (roster.participants || []).forEach(participant => {
+                rows.push({
+                    spaceId: roster.spaceId,
+                    title: roster.title,
+                    host: roster.host,
+                    startedAt: roster.startedAt,
+                    ...participant
+                });
+            });
+        });
+
+        return {
+            json: rosters,
+            lines: rosters,
+            rows: rows,
+            count: rosters.length,
+            noun: 'rosters',
+            missing: rosters.filter(roster => !roster.participants).length
+        };
+    }
+
+    /**
+     * Snapshot of /stats; CSV and NDJSON get one metric per row
+     */
+    async buildStats() {
+        this.setStatus('Fetching stats');
+        const data = await api.getStats();
+        const stats = data.data || dashboard.latestStats;
+        if (!stats) throw new Error('No stats available');
+
+        const exportedAt = new Date().toISOString();
+        const rows = this.flatten(stats).map(([metric, value]) => ({ exportedAt, metric, value }));
+
+        return {
+            json: { exportedAt, environment: environment.name, stats },
+            lines: rows,
+            rows: rows,
+            count: rows.length,
+            noun: 'metrics'
+        };
+    }
+
+    /**
+     * Nested values as [dotted.path, value] pairs
+     */
+    flatten(value, prefix = '') {
+        if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+            return [[prefix, value]];
+        }
+        return Object.entries(value).flatMap(([key, nested]) =>
+            this.flatten(nested, prefix ? `${prefix}.${key}` : key));
+    }
+
+    /**
+     * Rows as CSV that Excel opens correctly: UTF-8 byte order mark and CRLF line endings
+     */
+    toCSV(rows) {
+        const columns = [];
+        rows.forEach(row => Object.keys(row).forEach(column => {
+            if (!columns.includes(column)) columns.push(column);
+        }));
+
+        const lines = [columns, ...rows.map(row => columns.map(column => row[column]))]
+            .map(cells => cells.map(cell => this.toCSVCell(cell)).join(','));
+
+        return `\uFEFF${lines.join('\r\n')}\r\n`;
+    }
+
+    toCSVCell(value) {
+        if (value === null || value === undefined) return '';
+
+        let text = Array.isArray(value) ? value.join('; ') : String(value);
+
+        // Keep spreadsheets from running titles like "=cmd|..." as formulas
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Serialize a build and download it
+     * @param {Array} nameParts - Filename parts after the audiohub- prefix
+     * @returns {string} The filename
+     */
+    download(data, format, nameParts) {
+        const { extension, type } = this.formats[format] || this.formats.csv;
+
+        let content;
+        if (format === 'json') {
+            content = JSON.stringify(data.json, null, 2);
+        } else if (format === 'ndjson') {
+            content = data.lines.map(line => `${JSON.stringify(line)}\n`).join('');
+        } else {
+            content = this.toCSV(data.rows);
+        }
+
+        const parts = ['audiohub', ...nameParts];
+        if (!environment.isDefault()) parts.push(environment.name);
+        parts.push(new Date().toISOString().split('T')[0]);
+
+        const filename = `${parts.join('-')}.${extension}`;
+        Utils.downloadBlob(new Blob([content], { type }), filename);
+        return filename;
+    }
+
+    /**
+     * Create the export panel above the space list
+     */
+    createExportHTML() {
+        const spacesContainer = document.querySelector('.spaces-container');
+        if (!spacesContainer) {
+            console.warn('Exporter: Required elements not found');
+            return;
+        }
+
+        const formatOptions = Object.entries(this.formats)
+            .map(([format, { label }]) => `<option value="${format}">${label}</option>`)
+            .join('');
+
+        spacesContainer.insertAdjacentHTML('beforebegin', `
+            <div class="export-dropdown">
+                <button class="filter-toggle" id="exportToggle">
+                    ⬇️ Export
+                </button>
+                <div class="filter-panel" id="exportPanel">
+                    <div class="filter-group">
+                        <label for="exportDataset">Data</label>
+                        <select class="filter-select" id="exportDataset">
+                            <option value="spaces">Spaces</option>
+                            <option value="participants">Participants per space</option>
+                            <option value="stats">Stats snapshot</option>
+                        </select>
+                    </div>
+
+                    <div class="filter-group">
+                        <label for="exportScope">Spaces</label>
+                        <select class="filter-select" id="exportScope">
+                            <option value="view">In view</option>
+                            <option value="matching">All matching the filters</option>
+                            <option value="archive">Whole archive</option>
+                        </select>
+                    </div>
+
+                    <div class="filter-group">
+                        <label for="exportFormat">Format</label>
+                        <select class="filter-select" id="exportFormat">${formatOptions}</select>
+                    </div>
+
+                    <div class="filter-group" id="exportParticipantsGroup">
+                        <div class="filter-switch">
+                            <label class="switch">
+                                <input type="checkbox" id="exportLoadParticipants">
+                                <span class="slider"></span>
+                            </label>
+                            <label for="exportLoadParticipants">Load rosters that aren't loaded yet</label>
+                        </div>
+                    </div>
+
+                    <div class="filter-group export-actions">
+                        <button type="button" class="btn btn-secondary" id="exportRun">Export</button>
+                        <button type="button" class="btn btn-secondary" id="exportCancel">Cancel</button>
+                        <span class="export-status" id="exportStatus" role="status"></span>
+                    </div>
+                </div>
+            </div>
+        `);
+
+        this.toggleElement = document.getElementById('exportToggle');
+        this.panelElement = document.getElementById('exportPanel');
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        if (!this.toggleElement || !this.panelElement) return;
+
+        this.toggleElement.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleElement.classList.toggle('open');
+            this.panelElement.classList.toggle('open');
+        });
+
+        document.getElementById('exportDataset').addEventListener('change', () => this.render());
+        document.getElementById('exportRun').addEventListener('click', () => this.exportFromPanel());
+        document.getElementById('exportCancel').addEventListener('click', () => this.cancel());
+    }
+
+    setStatus(text) {
+        const status = document.getElementById('exportStatus');
+        if (status) status.textContent = text;
+    }
+
+    render() {
+        if (!this.panelElement) return;
+
+        const dataset = document.getElementById('exportDataset').value;
+        document.getElementById('exportScope').disabled = dataset === 'stats';
+        document.getElementById('exportParticipantsGroup').hidden = dataset !== 'participants';
+
+        document.getElementById('exportRun').disabled = this.isBusy();
+        document.getElementById('exportCancel').hidden = !this.isBusy();
+        if (!this.isBusy()) this.setStatus('');
+    }
+}
+
+// Create global instance
+const exporter = new Exporter();
+window.exporter = exporter;
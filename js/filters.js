@@ -10,7 +10,10 @@ class FilterManager {
             privacy: '',
             host: '',
             search: '',
-            overrideOnly: false
+            overrideOnly: false,
+            dateFrom: '',
+            dateTo: '',
+            sort: CONFIG.DEFAULT_SORT
         };
         this.onFilterChange = null;
         this.init();
@@ -47,6 +50,10 @@ class FilterManager {
             return;
         }
 
+        const sortOptions = Object.entries(CONFIG.SORT_OPTIONS)
+            .map(([value, option]) => `<option value="${value}">${option.label}</option>`)
+            .join('');
+
         const filterHTML = `
             <div class="filter-dropdown">
                 <button class="filter-toggle" id="filterToggle">
@@ -69,7 +76,21 @@ class FilterManager {
                     
                     <div class="filter-group">
                         <label for="searchFilter">Search</label>
-                        <input type="text" class="filter-input" id="searchFilter" placeholder="Search spaces...">
+                        <input type="text" class="filter-input" id="searchFilter" placeholder="Search titles, hosts and transcripts...">
+                    </div>
+                    
+                    <div class="filter-group">
+                        <label for="dateFromFilter">Date Range</label>
+                        <div class="filter-range">
+                            <input type="date" class="filter-input" id="dateFromFilter" title="From">
+                            <span>to</span>
+                            <input type="date" class="filter-input" id="dateToFilter" title="To">
+                        </div>
+                    </div>
+                    
+                    <div class="filter-group">
+                        <label for="sortFilter">Sort By</label>
+                        <select class="filter-select" id="sortFilter">${sortOptions}</select>
                     </div>
                     
                     <div class="filter-group">
@@ -115,15 +136,22 @@ class FilterManager {
         const hostFilter = document.getElementById('hostFilter');
         const searchFilter = document.getElementById('searchFilter');
         const overrideFilter = document.getElementById('overrideFilter');
+        const dateFromFilter = document.getElementById('dateFromFilter');
+        const dateToFilter = document.getElementById('dateToFilter');
+        const sortFilter = document.getElementById('sortFilter');
         
+        // Every change now triggers a server request, so typing waits a little longer
         const applyFilters = Utils.debounce(() => {
             this.updateFilters();
-        }, 300);
+        }, 400);
         
         if (privacyFilter) privacyFilter.addEventListener('change', applyFilters);
         if (hostFilter) hostFilter.addEventListener('input', applyFilters);
         if (searchFilter) searchFilter.addEventListener('input', applyFilters);
         if (overrideFilter) overrideFilter.addEventListener('change', applyFilters);
+        if (dateFromFilter) dateFromFilter.addEventListener('change', applyFilters);
+        if (dateToFilter) dateToFilter.addEventListener('change', applyFilters);
+        if (sortFilter) sortFilter.addEventListener('change', applyFilters);
     }
 
     /**
@@ -150,6 +178,9 @@ class FilterManager {
         this.filters.host = document.getElementById('hostFilter')?.value.toLowerCase().trim() || '';
         this.filters.search = document.getElementById('searchFilter')?.value.toLowerCase().trim() || '';
         this.filters.overrideOnly = document.getElementById('overrideFilter')?.checked || false;
+        this.filters.dateFrom = document.getElementById('dateFromFilter')?.value || '';
+        this.filters.dateTo = document.getElementById('dateToFilter')?.value || '';
+        this.filters.sort = document.getElementById('sortFilter')?.value || CONFIG.DEFAULT_SORT;
         
         if (this.onFilterChange && typeof this.onFilterChange === 'function') {
             this.onFilterChange(this.filters);
@@ -157,7 +188,17 @@ class FilterManager {
     }
 
     /**
-     * Apply filters to a list of spaces
+     * Whether any filter that narrows the result set is active (sort doesn't count)
+     */
+    hasActiveFilters() {
+        const { privacy, host, search, overrideOnly, dateFrom, dateTo } = this.filters;
+        return !!(privacy || host || search || overrideOnly || dateFrom || dateTo);
+    }
+
+    /**
+     * Apply filters to a list of spaces.
+     * The API filters server-side; this re-checks each page in case a deployment
+     * ignores a parameter, and covers spaces merged in from transcript search.
      */
     applyFiltersToSpaces(spaces) {
         if (!spaces || spaces.length === 0) return [];
@@ -175,11 +216,12 @@ class FilterManager {
                 return false;
             }
             
-            // Search filter
+            // Search filter - matches title, host or anything said in the transcript
             if (this.filters.search) {
                 const title = (space.title || '').toLowerCase();
                 const hostName = (space.host || '').toLowerCase();
-                if (!title.includes(this.filters.search) && !hostName.includes(this.filters.search)) {
+                const saidInSpace = window.transcriptIndex && transcriptIndex.matchesSpace(space._id, this.filters.search);
+                if (!title.includes(this.filters.search) && !hostName.includes(this.filters.search) && !saidInSpace) {
                     return false;
                 }
             }
@@ -189,6 +231,13 @@ class FilterManager {
                 return false;
             }
             
+            // Date range filter
+            if (this.filters.dateFrom || this.filters.dateTo) {
+                const date = new Date(space.startedAt || space.createdAt || 0);
+                if (this.filters.dateFrom && date < new Date(`${this.filters.dateFrom}T00:00:00`)) return false;
+                if (this.filters.dateTo && date > new Date(`${this.filters.dateTo}T23:59:59.999`)) return false;
+            }
+            
             return true;
         });
     }
@@ -207,6 +256,45 @@ class FilterManager {
         return { ...this.filters };
     }
 
+    /**
+     * Set filter values programmatically (e.g. from the URL)
+     * @param {Object} values - Partial filter values; missing keys reset to defaults
+     * @param {boolean} notify - Whether to trigger the filter change callback
+     */
+    setFilters(values = {}, notify = true) {
+        const next = {
+            privacy: values.privacy || '',
+            host: (values.host || '').toLowerCase().trim(),
+            search: (values.search || '').toLowerCase().trim(),
+            overrideOnly: !!values.overrideOnly,
+            dateFrom: values.dateFrom || '',
+            dateTo: values.dateTo || '',
+            sort: CONFIG.SORT_OPTIONS[values.sort] ? values.sort : CONFIG.DEFAULT_SORT
+        };
+
+        const changed = Object.keys(next).some(key => next[key] !== this.filters[key]);
+
+        const setValue = (id, value) => {
+            const element = document.getElementById(id);
+            if (element) element.value = value;
+        };
+        setValue('privacyFilter', next.privacy);
+        setValue('hostFilter', next.host);
+        setValue('searchFilter', next.search);
+        setValue('dateFromFilter', next.dateFrom);
+        setValue('dateToFilter', next.dateTo);
+        setValue('sortFilter', next.sort);
+        const overrideFilter = document.getElementById('overrideFilter');
+        if (overrideFilter) overrideFilter.checked = next.overrideOnly;
+
+        this.filters = next;
+
+        if (changed && notify && typeof this.onFilterChange === 'function') {
+            this.onFilterChange(this.filters);
+        }
+        return changed;
+    }
+
     /**
      * Clear all filters
      */
@@ -221,6 +309,13 @@ class FilterManager {
         if (searchFilter) searchFilter.value = '';
         if (overrideFilter) overrideFilter.checked = false;
         
+        const dateFromFilter = document.getElementById('dateFromFilter');
+        const dateToFilter = document.getElementById('dateToFilter');
+        const sortFilter = document.getElementById('sortFilter');
+        if (dateFromFilter) dateFromFilter.value = '';
+        if (dateToFilter) dateToFilter.value = '';
+        if (sortFilter) sortFilter.value = CONFIG.DEFAULT_SORT;
+        
         this.updateFilters();
     }
 }
@@ -0,0 +1,429 @@
+/**
+ * Health Monitor - Watches the recorder and reconciles spaces with the audio archive
+ * - Polls health/status and shows the reported status
+ * - Lists ended public spaces that have no audio file once the grace period has passed
+ * - Flags spaces whose recordingStatus reports a failure
+ * - Flags recent files in the archive that don't belong to any space, checked against every
+ *   space the API has for those days (not the list, which filters and sorts may narrow)
+ * - Every item can be re-submitted as an override in one click
+ */
+
+class HealthMonitor {
+    constructor() {
+        this.maxItemsPerSection = 50;
+
+        this.health = null;
+        this.healthError = null;
+        this.lastChecked = null;
+        this.issues = { missing: [], failed: [], orphaned: [] };
+        this.recentSpaceIds = null;   // Ids of every space in the orphan window, null until fetched
+        this.recentSince = null;      // First file date (YYYY-MM-DD) the orphan window covers
+        this.resubmitted = new Set();
+        this.pending = new Set();
+
+        this.pollTimer = null;
+        this.isRunning = false;
+        this.isPaused = false;
+
+        this.toggleElement = null;
+        this.panelElement = null;
+        this.contentElement = null;
+
+        this.init();
+    }
+
+    /**
+     * Initialize the panel once the DOM is ready
+     */
+    init() {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.setup());
+        } else {
+            this.setup();
+        }
+    }
+
+    setup() {
+        this.createHealthHTML();
+        this.setupEventListeners();
+
+        // New spaces or a fresh file listing can settle (or raise) an issue
+        api.onSync((event) => {
+            if (event.type === 'revalidated' && event.resource === 'files') {
+                this.update();
+            }
+        });
+        if (window.liveUpdates) {
+            liveUpdates.onSpacesUpdated(() => this.update());
+        }
+
+        // Only admins see the panel; check as soon as one signs in
+        auth.onChange(() => {
+            if (this.isRunning && !this.isPaused) this.poll();
+        });
+    }
+
+    /**
+     * Start polling health/status
+     */
+    start() {
+        if (this.isRunning) return;
+        this.isRunning = true;
+        this.poll();
+    }
+
+    /**
+     * Stop polling until resume()
+     */
+    pause() {
+        if (!this.isRunning || this.isPaused) return;
+        this.isPaused = true;
+        clearTimeout(this.pollTimer);
+        this.pollTimer = null;
+        console.log('⏸️ Health checks paused');
+    }
+
+    resume() {
+        if (!this.isPaused) return;
+        this.isPaused = false;
+        console.log('▶️ Health checks resumed');
+        this.poll();
+    }
+
+    /**
+     * Check health/status, reconcile and schedule the next check
+     */
+    async poll() {
+        clearTimeout(this.pollTimer);
+        this.pollTimer = null;
+
+        if (auth.isAdmin()) {
+            try {
+                this.health = await api.getHealth();
+                this.healthError = null;
+            } catch (error) {
+                console.warn('⚠️ Health check failed:', error.message);
+                this.healthError = error.message;
+            }
+            this.lastChecked = new Date();
+            await this.loadRecentSpaces();
+            this.update();
+        }
+
+        if (this.isRunning && !this.isPaused) {
+            this.pollTimer = setTimeout(() => this.poll(), CONFIG.HEALTH.POLL_INTERVAL);
+        }
+    }
+
+    /**
+     * Fetch every space from the last few days, so files can be matched whatever the list shows
+     */
+    async loadRecentSpaces() {
+        const days = CONFIG.HEALTH.ORPHAN_WINDOW_DAYS;
+
+        // File keys carry UTC dates; asking from a day earlier covers any time zone
+        const from = new Date();
+        from.setDate(from.getDate() - days - 1);
+
+        try {
+            const spaces = await dashboard.fetchAllSpaces({ dateFrom: Utils.formatDateInput(from) });
+            this.recentSpaceIds = new Set(spaces.flatMap(space => [space._id, space.spaceId].filter(Boolean)));
+            this.recentSince = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+        } catch (error) {
+            console.warn('⚠️ Failed to load recent spaces for the health check:', error.message);
+        }
+    }
+
+    /**
+     * Reconcile and redraw
+     */
+    update() {
+        this.reconcile();
+        this.render();
+    }
+
+    /**
+     * Whether a space should have a recording by now.
+     * Private spaces are never recorded, and the recorder gets a grace period to upload.
+     */
+    shouldBeRecorded(space, now = Date.now()) {
+        if (space.private === true || space.isLive) return false;
+
+        const endedAt = new Date(space.endedAt || space.lastUpdated || 0).getTime();
+        return endedAt > 0 && now - endedAt >= CONFIG.HEALTH.RECORDING_GRACE_PERIOD;
+    }
+
+    hasAudio(space) {
+        return [space._id, space.spaceId].some(id =>
+            id && api.getAudioPlaylistBySpaceId(id, space.host, space.createdAt)
+        );
+    }
+
+    isFailed(space) {
+        return /fail|error/i.test(space.recordingStatus || '');
+    }
+
+    /**
+     * Compare the loaded spaces with the audio archive
+     */
+    reconcile() {
+        const spaces = dashboard.allSpaces || [];
+        const now = Date.now();
+        const knownIds = new Set();
+        const missing = [];
+        const failed = [];
+
+        spaces.forEach(space => {
+            [space._id, space.spaceId].filter(Boolean).forEach(id => knownIds.add(id));
+
+            if (this.isFailed(space)) {
+                failed.push(this.createSpaceIssue(space, `Recording status: ${space.recordingStatus}`));
+            } else if (this.shouldBeRecorded(space, now) && !this.hasAudio(space)) {
+                missing.push(this.createSpaceIssue(space, 'Ended with no audio file'));
+            }
+        });
+
+        this.issues = {
+            missing: missing,
+            failed: failed,
+            orphaned: this.recentSpaceIds ? this.findOrphanedFiles(knownIds) : []
+        };
+    }
+
+    createSpaceIssue(space, detail) {
+        return {
+            key: `space:${space._id}`,
+            spaceId: space._id,
+            title: space.title || 'Untitled Space',
+            host: space.host || '',
+            date: space.endedAt || space.startedAt || space.createdAt || null,
+            detail: detail,
+            url: dashboard.getSpaceUrl(space)
+        };
+    }
+
+    /**
+     * Archived files from the orphan window that match no space the API has for it
+     * @param {Set<string>} knownIds - Ids of the listed spaces, which may be newer than the fetch
+     */
+    findOrphanedFiles(knownIds) {
+        return Object.entries(api.getAudioFilesMap())
+            .filter(([key]) => key.includes('/'))
+            .map(([key, files]) => {
+                const [host, date, spaceId] = key.split('/');
+                return { host, date, spaceId, files };
+            })
+            .filter(file => file.date >= this.recentSince &&
+                !this.recentSpaceIds.has(file.spaceId) && !knownIds.has(file.spaceId))
+            .map(file => ({
+                key: `file:${file.host}/${file.date}/${file.spaceId}`,
+                spaceId: null,
+                title: file.files[0]?.filename || file.spaceId,
+                host: file.host,
+                date: file.date,
+                detail: `${file.files.length} file${file.files.length === 1 ? '' : 's'} with no matching space`,
+                url: `https://x.com/i/spaces/${file.spaceId}`
+            }));
+    }
+
+    getIssueCount() {
+        return this.issues.missing.length + this.issues.failed.length + this.issues.orphaned.length;
+    }
+
+    /**
+     * Overall status from the health payload: 'ok', 'degraded', 'down' or 'unknown'
+     */
+    getStatus() {
+        if (this.healthError) return 'down';
+        if (!this.health) return 'unknown';
+
+        const status = String(this.health.status ?? this.health.data?.status ?? '').toLowerCase();
+        if (/^(ok|healthy|up|pass)/.test(status)) return 'ok';
+        if (/^(degraded|warn)/.test(status)) return 'degraded';
+        if (status) return 'down';
+        return 'unknown';
+    }
+
+    /**
+     * Flat label/value rows for whatever the health endpoint reports
+     */
+    getHealthRows() {
+        const payload = this.health?.data && typeof this.health.data === 'object' ? this.health.data : this.health;
+        if (!payload || typeof payload !== 'object') return [];
+
+        return Object.entries(payload)
+            .filter(([key]) => key !== 'status')
+            .map(([key, value]) => {
+                if (value && typeof value === 'object') {
+                    value = value.status ?? JSON.stringify(value);
+                }
+                return { label: key, value: String(value) };
+            });
+    }
+
+    /**
+     * Re-submit an item as an override
+     */
+    async resubmit(key) {
+        const issue = Object.values(this.issues).flat().find(item => item.key === key);
+        if (!issue || !issue.url || this.pending.has(key)) return;
+
+        this.pending.add(key);
+        this.render();
+
+        if (await overrideManager.sendOverride(issue.url)) {
+            this.resubmitted.add(key);
+        }
+
+        this.pending.delete(key);
+        this.render();
+    }
+
+    /**
+     * Create the health panel
+     */
+    createHealthHTML() {
+        const spacesContainer = document.querySelector('.spaces-container');
+        if (!spacesContainer) {
+            console.warn('Health Monitor: Required elements not found');
+            return;
+        }
+
+        const healthHTML = `
+            <div class="health-dropdown admin-only">
+                <button class="filter-toggle" id="healthToggle">
+                    🩺 Recording health <span class="health-badge status-unknown" id="healthBadge"></span>
+                </button>
+                <div class="filter-panel" id="healthPanel">
+                    <div id="healthContent"></div>
+                </div>
+            </div>
+        `;
+
+        spacesContainer.insertAdjacentHTML('beforebegin', healthHTML);
+
+        this.toggleElement = document.getElementById('healthToggle');
+        this.panelElement = document.getElementById('healthPanel');
+        this.contentElement = document.getElementById('healthContent');
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        if (!this.toggleElement || !this.panelElement) return;
+
+        this.toggleElement.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleElement.classList.toggle('open');
+            this.panelElement.classList.toggle('open');
+            if (this.panelElement.classList.contains('open')) {
+                this.update();
+            }
+        });
+
+        this.contentElement.addEventListener('click', (e) => {
+            const resubmitButton = e.target.closest('[data-health-resubmit]');
+            if (resubmitButton) {
+                this.resubmit(resubmitButton.dataset.healthResubmit);
+                return;
+            }
+
+            const spaceLink = e.target.closest('[data-health-space]');
+            if (spaceLink) {
+                e.preventDefault();
+                dashboard.viewSpaceDetails(spaceLink.dataset.healthSpace);
+                return;
+            }
+
+            if (e.target.closest('#healthRefresh')) {
+                this.poll();
+            }
+        });
+    }
+
+    /**
+     * Render the badge, and the panel when it is open
+     */
+    render() {
+        const status = this.getStatus();
+        const count = this.getIssueCount();
+
+        const badge = document.getElementById('healthBadge');
+        if (badge) {
+            badge.className = `health-badge status-${count > 0 && status === 'ok' ? 'degraded' : status}`;
+            badge.textContent = count > 0 ? count : '';
+            badge.title = `Recorder ${status}${count > 0 ? `, ${count} issue${count === 1 ? '' : 's'}` : ''}`;
+        }
+
+        if (!this.contentElement || !this.panelElement.classList.contains('open')) return;
+
+        const statusLabels = { ok: 'Healthy', degraded: 'Degraded', down: 'Unavailable', unknown: 'Not checked yet' };
+        const rows = this.getHealthRows();
+
+        this.contentElement.innerHTML = html`
+            <div class="filter-group health-summary">
+                <span class="health-status status-${status}">${statusLabels[status]}</span>
+                <span class="health-checked">${this.lastChecked ? `Checked ${this.lastChecked.toLocaleTimeString()}` : ''}</span>
+                <button type="button" class="btn btn-secondary" id="healthRefresh">Check now</button>
+            </div>
+            ${this.healthError ? html`<div class="health-error">${this.healthError}</div>` : ''}
+            ${rows.length > 0 ? html`
+                <dl class="health-details">
+                    ${rows.map(row => html`
+                        <dt>${row.label}</dt>
+                        <dd>${row.value}</dd>
+                    `)}
+                </dl>
+            ` : ''}
+            ${this.createSectionHTML('Missing recordings', this.issues.missing)}
+            ${this.createSectionHTML('Failed recordings', this.issues.failed)}
+            ${this.createSectionHTML('Unmatched files', this.issues.orphaned,
+                this.recentSpaceIds ?
+                    `Files from the last ${CONFIG.HEALTH.ORPHAN_WINDOW_DAYS} days.` :
+                    'Checking recent files against the archive…')}
+        `;
+    }
+
+    createSectionHTML(title, issues, note = '') {
+        const shown = issues.slice(0, this.maxItemsPerSection);
+        const hidden = issues.length - shown.length;
+
+        return html`
+            <div class="filter-group health-section">
+                <label>${title} (${issues.length})</label>
+                ${note ? html`<div class="health-empty">${note}</div>` : ''}
+                ${!note && issues.length === 0 ? html`<div class="health-empty">Nothing to report.</div>` : ''}
+                ${shown.map(issue => this.createIssueHTML(issue))}
+                ${hidden > 0 ? html`<div class="health-empty">And ${hidden} more</div>` : ''}
+            </div>
+        `;
+    }
+
+    createIssueHTML(issue) {
+        const isPending = this.pending.has(issue.key);
+        const isDone = this.resubmitted.has(issue.key);
+        const date = issue.date ? Utils.formatDate(issue.date) : '';
+        const title = issue.spaceId ?
+            html`<a href="#" class="health-issue-title" data-health-space="${issue.spaceId}">${issue.title}</a>` :
+            html`<span class="health-issue-title">${issue.title}</span>`;
+
+        return html`
+            <div class="health-issue">
+                <div class="health-issue-info">
+                    ${title}
+                    <span class="health-issue-meta">${Template.join([issue.host && `@${issue.host}`, date].filter(Boolean), ' · ')}</span>
+                    <span class="health-issue-detail">${issue.detail}</span>
+                </div>
+                <button type="button" class="btn btn-secondary" data-health-resubmit="${issue.key}"
+                        ${!issue.url || isPending || isDone ? 'disabled' : ''}>
+                    ${isDone ? 'Re-submitted' : isPending ? 'Submitting...' : 'Re-submit override'}
+                </button>
+            </div>
+        `;
+    }
+}
+
+// Create global instance
+const healthMonitor = new HealthMonitor();
+window.healthMonitor = healthMonitor;
@@ -0,0 +1,480 @@
+/**
+ * Host Profile - In-dashboard page with a host's recorded history
+ * - Built from every space the API has for the host, the host/date/spaceId audio file keys
+ *   and cached participants; the spaces already in the list stand in while the rest load
+ * - Lists every recorded space for the host, including recordings whose space isn't loaded
+ * - Totals recorded hours (estimated from file sizes) and finds frequent co-hosts and speakers
+ * - Shows a weekday/hour heatmap of when the host usually goes live
+ */
+
+class HostProfileManager {
+    constructor() {
+        this.element = null;
+        this.handle = null;           // Normalized handle of the open profile, null when closed
+        this.spaces = null;           // The host's spaces from the API, null until loaded
+        this.loading = null;          // { count, controller } while they are paged in
+        this.loadError = null;
+        this.maxPeople = 10;          // Co-hosts/speakers listed at most
+        this.onChange = null;
+
+        this.init();
+    }
+
+    /**
+     * Initialize the profile page once the DOM is ready
+     */
+    init() {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.setup());
+        } else {
+            this.setup();
+        }
+    }
+
+    setup() {
+        const spacesContainer = document.querySelector('.spaces-container');
+        if (!spacesContainer) {
+            console.warn('Host Profile: Required elements not found');
+            return;
+        }
+
+        spacesContainer.insertAdjacentHTML('afterend', '<div class="host-profile" id="hostProfile"></div>');
+        this.element = Utils.getElementById('hostProfile');
+        this.setupEventListeners();
+
+        // Participants arriving in the background fill in co-hosts and speakers
+        const scheduleRender = Utils.debounce(() => this.render(), 500);
+        participantScheduler.onLoaded((spaceId) => {
+            if (this.handle && this.getHostSpaces(this.handle).some(space => space._id === spaceId)) {
+                scheduleRender();
+            }
+        });
+
+        api.onSync((event) => {
+            if (this.handle && event.type === 'revalidated' && event.resource === 'files') {
+                this.render();
+            }
+        });
+    }
+
+    setupEventListeners() {
+        // Host links anywhere in the dashboard open the profile
+        document.addEventListener('click', (e) => {
+            const link = e.target.closest('[data-host-profile]');
+            if (!link || e.ctrlKey || e.metaKey || e.shiftKey) return;
+
+            e.preventDefault();
+            this.show(link.dataset.hostProfile);
+        });
+
+        this.element.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-profile-action]');
+            if (!button) return;
+
+            const action = button.dataset.profileAction;
+            const spaceId = button.dataset.spaceId;
+
+            if (action === 'back') {
+                this.close();
+            } else if (action === 'listen') {
+                this.playEntry(spaceId);
+            } else if (action === 'details') {
+                dashboard.viewSpaceDetails(spaceId);
+            }
+        });
+    }
+
+    /**
+     * Set callback for when a profile opens, changes or closes
+     */
+    setOnChange(callback) {
+        this.onChange = callback;
+    }
+
+    /**
+     * Normalize a handle for comparison
+     */
+    normalizeHandle(handle) {
+        return String(handle || '').replace(/[@=]/g, '').trim().toLowerCase();
+    }
+
+    /**
+     * Link markup that opens a host's profile (plain clicks stay in the dashboard)
+     */
+    createHostLinkHTML(host) {
+        const handle = this.normalizeHandle(host);
+        return html`<a href="?profile=${encodeURIComponent(handle)}" data-host-profile="${handle}" title="View host profile">${host}</a>`;
+    }
+
+    /**
+     * Open the profile page for a host
+     * @param {string} host - Username, with or without @
+     * @returns {Promise} Resolves once the host's spaces have loaded
+     */
+    show(host) {
+        const handle = this.normalizeHandle(host);
+        if (!handle || !this.element) return Promise.resolve();
+
+        pageNavigator.enter(this);
+        this.cancelLoading();
+        this.handle = handle;
+        this.spaces = null;
+        this.loadError = null;
+        this.render();
+        document.body.classList.add('host-profile-open');
+
+        if (typeof this.onChange === 'function') this.onChange(handle);
+        return this.loadSpaces(handle);
+    }
+
+    /**
+     * Page in every space the API has for the host
+     */
+    async loadSpaces(handle) {
+        const controller = new AbortController();
+        this.loading = { count: 0, controller };
+        this.updateStatus();
+
+        try {
+            const spaces = await dashboard.fetchAllSpaces({ host: handle }, {
+                signal: controller.signal,
+                onProgress: (count) => {
+                    this.loading.count = count;
+                    this.updateStatus();
+                }
+            });
+            if (this.handle !== handle) return;
+
+            this.spaces = spaces.filter(space => this.normalizeHandle(space.host) === handle);
+            participantScheduler.enqueue(this.spaces);
+        } catch (error) {
+            if (controller.signal.aborted) return;
+            console.warn(`⚠️ Failed to load spaces for @${handle}:`, error.message);
+            this.loadError = error.message;
+        } finally {
+            if (this.loading?.controller === controller) {
+                this.loading = null;
+                this.render();
+            }
+        }
+    }
+
+    cancelLoading() {
+        if (this.loading) {
+            this.loading.controller.abort();
+            this.loading = null;
+        }
+    }
+
+    /**
+     * Whether the profile covers everything or only the spaces already in the list
+     */
+    getStatus() {
+        if (this.loadError) return `Failed to load every space for @${this.handle} (${this.loadError}); showing the ones already listed.`;
+        if (this.loading) return `Loading every space for @${this.handle}… ${this.loading.count} so far`;
+        return '';
+    }
+
+    updateStatus() {
+        const status = document.getElementById('hostProfileStatus');
+        if (status) status.textContent = this.getStatus();
+    }
+
+    /**
+     * Return to the space list where it was left
+     * @param {Object} options - { handOff } when another page is taking over
+     */
+    close(options = {}) {
+        if (!this.handle) return;
+
+        this.handle = null;
+        this.cancelLoading();
+        this.spaces = null;
+        this.loadError = null;
+        document.body.classList.remove('host-profile-open');
+        if (this.element) this.element.innerHTML = '';
+        pageNavigator.leave(this, options);
+
+        if (!options.handOff && typeof this.onChange === 'function') this.onChange(null);
+    }
+
+    isOpen() {
+        return this.handle !== null;
+    }
+
+    getHandle() {
+        return this.handle;
+    }
+
+    /**
+     * Spaces hosted by a handle: from the API once loaded, the listed ones until then
+     */
+    getHostSpaces(handle) {
+        if (this.spaces && handle === this.handle) return this.spaces;
+        return dashboard.allSpaces.filter(space => this.normalizeHandle(space.host) === handle);
+    }
+
+    /**
+     * Every recorded space for a host: their spaces first, then recordings
+     * found only through the host/date/spaceId file keys
+     * @returns {Array<Object>} [{ spaceId, space, date, audioFiles }] newest first
+     */
+    getHistory(handle) {
+        const entries = this.getHostSpaces(handle).map(space => ({
+            spaceId: space._id,
+            space: space,
+            date: space.startedAt || space.createdAt || null,
+            audioFiles: api.getAudioPlaylistBySpaceId(space._id, space.host, space.createdAt) || []
+        }));
+
+        const knownIds = new Set();
+        entries.forEach(entry => {
+            knownIds.add(entry.space._id);
+            if (entry.space.spaceId) knownIds.add(entry.space.spaceId);
+        });
+
+        Object.entries(api.getAudioFilesMap()).forEach(([key, audioFiles]) => {
+            const [host, date, spaceId] = key.split('/');
+            if (!spaceId || host.toLowerCase() !== handle || knownIds.has(spaceId)) return;
+
+            knownIds.add(spaceId);
+            entries.push({ spaceId, space: null, date, audioFiles: [...audioFiles] });
+        });
+
+        return entries.sort((a, b) => new Date(b.date || 0) - new Date(a.date || 0));
+    }
+
+    /**
+     * Co-hosts and speakers across the host's spaces, by how many spaces they appeared in
+     * @returns {Object} { coHosts, speakers, spacesWithData }
+     */
+    getFrequentPeople(handle, spaces) {
+        const counts = { 'co-host': new Map(), speaker: new Map() };
+        let spacesWithData = 0;
+
+        spaces.forEach(space => {
+            const participantsData = api.getCachedParticipants(space._id);
+            if (!participantsData || !participantsData.participants) return;
+            spacesWithData++;
+
+            const seen = new Set();
+            participantsData.participants.forEach(participant => {
+                const username = this.normalizeHandle(participant.username);
+                const byRole = counts[participant.role];
+                if (!byRole || !username || username === handle || seen.has(`${participant.role}:${username}`)) return;
+                seen.add(`${participant.role}:${username}`);
+
+                const person = byRole.get(username) || { username, name: participant.name || username, count: 0 };
+                person.count++;
+                byRole.set(username, person);
+            });
+        });
+
+        const top = (byRole) => [...byRole.values()]
+            .sort((a, b) => b.count - a.count || a.username.localeCompare(b.username))
+            .slice(0, this.maxPeople);
+
+        return {
+            coHosts: top(counts['co-host']),
+            speakers: top(counts.speaker),
+            spacesWithData
+        };
+    }
+
+    /**
+     * Count of spaces started in each weekday/hour slot, in local time
+     * @returns {Array<Array<number>>} 7 rows (Sunday first) of 24 hours
+     */
+    getSchedule(spaces) {
+        const grid = Array.from({ length: 7 }, () => new Array(24).fill(0));
+
+        spaces.forEach(space => {
+            const started = space.startedAt || space.createdAt;
+            if (!started) return;
+
+            const date = new Date(started);
+            if (isNaN(date)) return;
+            grid[date.getDay()][date.getHours()]++;
+        });
+
+        return grid;
+    }
+
+    render() {
+        if (!this.element || !this.handle) return;
+
+        const handle = this.handle;
+        const spaces = this.getHostSpaces(handle);
+        const history = this.getHistory(handle);
+        const people = this.getFrequentPeople(handle, spaces);
+        const schedule = this.getSchedule(spaces);
+
+        const recorded = history.filter(entry => entry.audioFiles.length > 0);
+        const totalBytes = recorded.reduce((sum, entry) =>
+            sum + entry.audioFiles.reduce((size, audioFile) => size + (audioFile.size || 0), 0), 0);
+        const totalDuration = dashboard.calculateAudioDuration(totalBytes) || '—';
+        const listenerCounts = spaces.map(space => space.participantCount || 0).filter(count => count > 0);
+        const averageListeners = listenerCounts.length > 0 ?
+            Math.round(listenerCounts.reduce((sum, count) => sum + count, 0) / listenerCounts.length) :
+            '—';
+
+        this.element.innerHTML = html`
+            <div class="host-profile-header">
+                <button type="button" class="btn btn-secondary" data-profile-action="back">← All spaces</button>
+                <h2>@${handle}</h2>
+                <a href="https://x.com/${encodeURIComponent(handle)}" target="_blank" class="btn btn-primary">Open on X</a>
+            </div>
+
+            <p class="host-profile-note" id="hostProfileStatus">${this.getStatus()}</p>
+
+            <div class="host-profile-stats">
+                ${this.createStatHTML(history.length, 'Spaces')}
+                ${this.createStatHTML(recorded.length, 'Recorded')}
+                ${this.createStatHTML(totalDuration, 'Recorded time')}
+                ${this.createStatHTML(averageListeners, 'Avg. listeners')}
+            </div>
+
+            <div class="host-profile-section">
+                <h3>When they go live</h3>
+                ${this.createHeatmapHTML(schedule)}
+            </div>
+
+            <div class="host-profile-section host-profile-people">
+                <div>
+                    <h3>Frequent co-hosts</h3>
+                    ${this.createPeopleHTML(people.coHosts)}
+                </div>
+                <div>
+                    <h3>Frequent speakers</h3>
+                    ${this.createPeopleHTML(people.speakers)}
+                </div>
+                <p class="host-profile-note">Based on participants loaded for ${people.spacesWithData} of ${spaces.length} spaces.</p>
+            </div>
+
+            <div class="host-profile-section">
+                <h3>History</h3>
+                ${this.createHistoryHTML(history)}
+            </div>
+        `;
+    }
+
+    createStatHTML(value, label) {
+        return html`
+            <div class="host-profile-stat">
+                <div class="host-profile-stat-value">${value}</div>
+                <div class="host-profile-stat-label">${label}</div>
+            </div>
+        `;
+    }
+
+    createHeatmapHTML(schedule) {
+        const max = Math.max(...schedule.flat());
+        if (max === 0) {
+            return html`<p class="host-profile-empty">No start times known yet.</p>`;
+        }
+
+        const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        const hourLabels = Array.from({ length: 24 }, (_, hour) =>
+            html`<div class="heatmap-hour">${hour % 6 === 0 ? hour : ''}</div>`);
+
+        const rows = schedule.map((hours, day) => {
+            const cells = hours.map((count, hour) => {
+                const level = count === 0 ? 0 : Math.ceil((count / max) * 4);
+                const title = `${days[day]} ${String(hour).padStart(2, '0')}:00 · ${count} space${count === 1 ? '' : 's'}`;
+                return html`<div class="heatmap-cell level-${level}" title="${title}"></div>`;
+            });
+            return html`<div class="heatmap-day">${days[day]}</div>${cells}`;
+        });
+
+        return html`
+            <div class="host-heatmap">
+                <div></div>${hourLabels}
+                ${rows}
+            </div>
+        `;
+    }
+
+    createPeopleHTML(people) {
+        if (people.length === 0) {
+            return html`<p class="host-profile-empty">None found yet.</p>`;
+        }
+
+        return html`
+            <ul class="host-profile-people-list">
+                ${people.map(person => html`
+                    <li>
+                        ${this.createHostLinkHTML(`@${person.username}`)}
+                        <span class="host-profile-count">${person.count} space${person.count === 1 ? '' : 's'}</span>
+                    </li>
+                `)}
+            </ul>
+        `;
+    }
+
+    createHistoryHTML(history) {
+        if (history.length === 0) {
+            return html`<p class="host-profile-empty">No spaces from this host have been loaded or recorded.</p>`;
+        }
+
+        return html`
+            <div class="host-profile-history">
+                ${history.map(entry => this.createHistoryItemHTML(entry))}
+            </div>
+        `;
+    }
+
+    createHistoryItemHTML(entry) {
+        const space = entry.space;
+        const title = space ? (space.title || 'Untitled Space') : `Recording ${entry.spaceId}`;
+        const date = entry.date ? new Date(entry.date).toLocaleDateString() : 'Unknown date';
+
+        const metaParts = [date];
+        if (space?.isLive) metaParts.push('🔴 Live');
+        if (space?.participantCount > 0) metaParts.push(`${space.participantCount} listeners`);
+        if (entry.audioFiles.length > 0) {
+            const totalSize = entry.audioFiles.reduce((sum, audioFile) => sum + (audioFile.size || 0), 0);
+            const duration = dashboard.calculateAudioDuration(totalSize);
+            if (duration) metaParts.push(duration);
+            if (entry.audioFiles.length > 1) metaParts.push(`${entry.audioFiles.length} parts`);
+        } else {
+            metaParts.push('Not recorded');
+        }
+
+        return html`
+            <div class="host-profile-history-item">
+                <div class="host-profile-history-details">
+                    <div class="host-profile-history-title">${title}</div>
+                    <div class="space-metadata">${Template.join(metaParts, ' · ')}</div>
+                </div>
+                <div class="space-actions">
+                    ${entry.audioFiles.length > 0 ? html`<button type="button" class="btn btn-secondary" data-profile-action="listen" data-space-id="${entry.spaceId}">Listen</button>` : ''}
+                    ${space ? html`<button type="button" class="btn btn-secondary" data-profile-action="details" data-space-id="${entry.spaceId}">Details</button>` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Play a history entry; recordings without a loaded space play under a stand-in space
+     */
+    playEntry(spaceId) {
+        const entry = this.getHistory(this.handle).find(item => item.spaceId === spaceId);
+        if (!entry || entry.audioFiles.length === 0) {
+            Utils.showMessage('No audio file available for this space');
+            return;
+        }
+
+        if (entry.space) {
+            dashboard.playSpace(entry.space);
+            return;
+        }
+
+        const space = { _id: entry.spaceId, title: `Recording ${entry.spaceId}`, host: this.handle, createdAt: entry.date };
+        const audioFiles = api.getAudioPlaylistBySpaceId(space._id, space.host, space.createdAt) || entry.audioFiles;
+        player.play(space, audioFiles);
+    }
+}
+
+// Create global instance
+const hostProfile = new HostProfileManager();
+window.hostProfile = hostProfile;
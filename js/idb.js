@@ -0,0 +1,126 @@
+/**
+ * IndexedDB helpers - Promise wrappers around the bits of IndexedDB we use
+ * Every method resolves to null/[] instead of throwing when IndexedDB is unavailable
+ * (private browsing, old browsers) so callers can fall back to memory only.
+ */
+
+const IDB = {
+    connections: {},
+
+    /**
+     * Open (and upgrade) a database once per page
+     * @param {string} name - Database name
+     * @param {number} version - Schema version
+     * @param {Function} upgrade - Receives (db, oldVersion, transaction) during upgrades
+     * @returns {Promise<IDBDatabase|null>} Database or null if unavailable
+     */
+    open(name, version, upgrade) {
+        if (this.connections[name]) return this.connections[name];
+
+        this.connections[name] = new Promise((resolve) => {
+            if (!window.indexedDB) {
+                console.warn('IndexedDB not available, falling back to memory only');
+                resolve(null);
+                return;
+            }
+
+            // open() itself throws in some sandboxed frames and privacy modes
+            try {
+                const request = indexedDB.open(name, version);
+                request.onupgradeneeded = (event) => upgrade(request.result, event.oldVersion, request.transaction);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn(`Failed to open IndexedDB '${name}':`, request.error);
+                    resolve(null);
+                };
+                request.onblocked = () => console.warn(`IndexedDB '${name}' upgrade blocked by another tab`);
+            } catch (error) {
+                console.warn(`Failed to open IndexedDB '${name}':`, error);
+                resolve(null);
+            }
+        });
+
+        return this.connections[name];
+    },
+
+    /**
+     * Run a single request against a store
+     */
+    request(db, storeName, mode, makeRequest) {
+        if (!db) return Promise.resolve(null);
+
+        return new Promise((resolve) => {
+            try {
+                const tx = db.transaction(storeName, mode);
+                const request = makeRequest(tx.objectStore(storeName));
+                tx.oncomplete = () => resolve(request.result);
+                tx.onerror = () => {
+                    console.warn(`IndexedDB ${mode} on '${storeName}' failed:`, tx.error);
+                    resolve(null);
+                };
+                // Quota errors abort the transaction without a request error
+                tx.onabort = () => {
+                    console.warn(`IndexedDB ${mode} on '${storeName}' aborted:`, tx.error);
+                    resolve(null);
+                };
+            } catch (error) {
+                console.warn(`IndexedDB ${mode} on '${storeName}' failed:`, error);
+                resolve(null);
+            }
+        });
+    },
+
+    get(db, storeName, key) {
+        return this.request(db, storeName, 'readonly', store => store.get(key))
+            .then(result => result === undefined ? null : result);
+    },
+
+    getAll(db, storeName) {
+        return this.request(db, storeName, 'readonly', store => store.getAll())
+            .then(result => result || []);
+    },
+
+    /**
+     * Every value in an index matching a key or key range, in index order
+     */
+    getAllFromIndex(db, storeName, indexName, query) {
+        return this.request(db, storeName, 'readonly', store => store.index(indexName).getAll(query))
+            .then(result => result || []);
+    },
+
+    /**
+     * Primary keys of the records in an index matching a key or key range, in index order
+     */
+    getAllKeysFromIndex(db, storeName, indexName, query) {
+        return this.request(db, storeName, 'readonly', store => store.index(indexName).getAllKeys(query))
+            .then(result => result || []);
+    },
+
+    put(db, storeName, value, key) {
+        return this.request(db, storeName, 'readwrite', store => key === undefined ? store.put(value) : store.put(value, key));
+    },
+
+    delete(db, storeName, key) {
+        return this.request(db, storeName, 'readwrite', store => store.delete(key));
+    },
+
+    /**
+     * Delete several keys in one transaction
+     */
+    deleteMany(db, storeName, keys) {
+        if (keys.length === 0) return Promise.resolve(null);
+        return this.request(db, storeName, 'readwrite', store => {
+            let request = null;
+            keys.forEach(key => {
+                request = store.delete(key);
+            });
+            return request;
+        });
+    },
+
+    clear(db, storeName) {
+        return this.request(db, storeName, 'readwrite', store => store.clear());
+    }
+};
+
+window.IDB = IDB;
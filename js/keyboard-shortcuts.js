@@ -0,0 +1,220 @@
+/**
+ * Keyboard Shortcuts - Drive the space list from the keyboard
+ * - j / k move a selection between space cards, scrolling it into view
+ * - Keys act on the selected card: play, details, participants, transcript, copy link,
+ *   and x adds it to (or takes it out of) the bulk selection
+ * - / jumps to the search filter, ? shows the cheat sheet, Ctrl+K (⌘K) the command palette
+ * - Single-key shortcuts are ignored while typing, while a modal is open and with modifiers held
+ */
+
+class KeyboardShortcuts {
+    constructor() {
+        this.selectedId = null;
+
+        // Listed in this order on the cheat sheet
+        this.bindings = [
+            { keys: ['j'], description: 'Select the next space', run: () => this.move(1) },
+            { keys: ['k'], description: 'Select the previous space', run: () => this.move(-1) },
+            { keys: ['p'], description: 'Play the selected space', run: () => this.withSelected(space => dashboard.playSpace(space)) },
+            { keys: ['Enter', 'o'], description: 'Open details of the selected space', run: () => this.withSelected(space => dashboard.viewSpaceDetails(space._id)) },
+            { keys: ['a'], description: 'Show participants of the selected space', run: () => this.withSelected(space => dashboard.showParticipantsModal(space._id, space.title || 'Space')) },
+            { keys: ['t'], description: 'Open the transcript of the selected space', run: () => this.withSelected(space => this.openTranscript(space)) },
+            { keys: ['c'], description: 'Copy a link to the selected space', run: () => this.withSelected(space => this.copyLink(space)) },
+            { keys: ['x'], description: 'Add the selected space to the bulk selection, or take it out', run: () => this.withSelected(space => bulkSelection.toggle(space)) },
+            { keys: ['/'], description: 'Search spaces', run: () => this.focusSearch() },
+            { keys: ['?'], description: 'Show keyboard shortcuts', run: () => this.showCheatSheet() }
+        ];
+
+        this.init();
+    }
+
+    /**
+     * Initialize key handling once the DOM is ready
+     */
+    init() {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.setupEventListeners());
+        } else {
+            this.setupEventListeners();
+        }
+    }
+
+    setupEventListeners() {
+        document.addEventListener('keydown', (e) => this.handleKeydown(e));
+    }
+
+    /**
+     * Whether focus is in a field that takes text
+     */
+    isTyping(target) {
+        return target instanceof HTMLElement &&
+            (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+    }
+
+    handleKeydown(e) {
+        if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'k') {
+            e.preventDefault();
+            commandPalette.toggle();
+            return;
+        }
+
+        if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey || this.isTyping(e.target)) return;
+        if (window.modal && modal.isOpen()) return;
+
+        // Enter on a focused button or link is theirs
+        if (e.key === 'Enter' && e.target !== document.body) return;
+
+        const binding = this.bindings.find(entry => entry.keys.includes(e.key));
+        if (!binding) return;
+
+        e.preventDefault();
+        binding.run();
+    }
+
+    /**
+     * Spaces in the list, in the order shown
+     */
+    getSpaces() {
+        return dashboard.spaceList ? dashboard.spaceList.items : [];
+    }
+
+    getSelected() {
+        return this.selectedId ? dashboard.findSpaceById(this.selectedId) : null;
+    }
+
+    /**
+     * Run an action on the selected space, selecting the first one if none is
+     */
+    withSelected(action) {
+        let space = this.getSelected();
+        if (!space) {
+            space = this.getSpaces()[0] || null;
+            if (!space) return;
+            this.select(space);
+        }
+        action(space);
+    }
+
+    /**
+     * Move the selection up or down the list
+     * @param {number} delta - 1 for the next space, -1 for the previous one
+     */
+    move(delta) {
+        const spaces = this.getSpaces();
+        if (spaces.length === 0) return;
+
+        const index = spaces.findIndex(space => space._id === this.selectedId);
+        const next = index === -1 ?
+            (delta > 0 ? 0 : spaces.length - 1) :
+            Math.min(spaces.length - 1, Math.max(0, index + delta));
+
+        this.select(spaces[next]);
+    }
+
+    /**
+     * Select a space and bring its card on screen
+     */
+    select(space) {
+        this.selectedId = space._id;
+
+        let element = dashboard.spaceList.getElement(space._id);
+        if (!element) {
+            // Not rendered yet: scroll to where it sits so the list renders it
+            dashboard.spaceList.scrollToKey(space._id, window.innerHeight / 3);
+            element = dashboard.spaceList.getElement(space._id);
+        }
+
+        this.markSelected();
+        if (element) element.scrollIntoView({ block: 'nearest' });
+    }
+
+    /**
+     * Highlight the selected card; called again whenever cards are re-rendered
+     */
+    markSelected() {
+        document.querySelectorAll('.space-item.keyboard-selected').forEach(element => {
+            if (element.dataset.spaceId !== this.selectedId) {
+                element.classList.remove('keyboard-selected');
+                element.removeAttribute('aria-current');
+            }
+        });
+
+        const element = this.selectedId && dashboard.spaceList ? dashboard.spaceList.getElement(this.selectedId) : null;
+        if (element) {
+            element.classList.add('keyboard-selected');
+            element.setAttribute('aria-current', 'true');
+        }
+    }
+
+    openTranscript(space) {
+        if (!api.getTranscriptionBySpaceId(space._id, space.host, space.createdAt)) {
+            Utils.showMessage('No transcript available for this space');
+            return;
+        }
+        transcriptViewer.open(space);
+    }
+
+    /**
+     * Copy a link that opens the space's details
+     */
+    async copyLink(space) {
+        const query = urlState.serialize({ view: { type: 'details', spaceId: space._id } });
+        const link = `${window.location.origin}${window.location.pathname}${query}`;
+
+        try {
+            await navigator.clipboard.writeText(link);
+            Utils.showMessage('Link copied', CONFIG.MESSAGE_TYPES.SUCCESS);
+        } catch (error) {
+            console.warn('⚠️ Failed to copy link:', error.message);
+            Utils.showMessage(`Copy this link: ${link}`);
+        }
+    }
+
+    focusSearch() {
+        const search = document.getElementById('searchFilter');
+        if (!search) return;
+
+        if (window.filterManager && !filterManager.filterPanel.classList.contains('open')) {
+            filterManager.toggleDropdown();
+        }
+        search.focus();
+        search.select();
+    }
+
+    /**
+     * Format a key for display
+     */
+    formatKey(key) {
+        return key === 'Enter' ? '↵ Enter' : key;
+    }
+
+    /**
+     * Every shortcut, in a modal
+     */
+    showCheatSheet() {
+        const isMac = /Mac|iPhone|iPad/.test(navigator.platform);
+        const rows = [
+            ...this.bindings.map(binding => ({ keys: binding.keys.map(key => this.formatKey(key)), description: binding.description })),
+            { keys: [isMac ? '⌘K' : 'Ctrl+K'], description: 'Open the command palette' },
+            { keys: ['Esc'], description: 'Close the top modal' },
+            { keys: ['Tab'], description: 'Move between controls' }
+        ];
+
+        modal.openWithHTML('Keyboard shortcuts', html`
+            <table class="shortcut-table">
+                <tbody>
+                    ${rows.map(row => html`
+                        <tr>
+                            <td>${row.keys.map(key => html`<kbd>${key}</kbd>`)}</td>
+                            <td>${row.description}</td>
+                        </tr>
+                    `)}
+                </tbody>
+            </table>
+        `, null, { stack: modal.isOpen() });
+    }
+}
+
+// Create global instance
+const keyboardShortcuts = new KeyboardShortcuts();
+window.keyboardShortcuts = keyboardShortcuts;
@@ -0,0 +1,266 @@
+/**
+ * Live Updates - Keeps live spaces and stats current without a manual refresh
+ * - Subscribes to the API's server-sent event stream when it offers one. EventSource can't send
+ *   the bearer token (see AuthManager), so the stream only works on deployments that serve it
+ *   without sign-in; elsewhere it fails to open and polling takes over
+ * - Falls back to polling live spaces and stats, backing off while requests fail
+ * - Hands changed spaces to the dashboard, which patches their cards in place
+ * - pause()/resume() drop the connection and catch up when work may continue
+ */
+
+class LiveUpdater {
+    constructor() {
+        this.eventSource = null;
+        this.mode = null;          // 'sse' | 'polling' | null when stopped
+        this.pollTimer = null;
+        this.pollInterval = CONFIG.LIVE_UPDATES.POLL_INTERVAL;
+        this.isPolling = false;
+        this.isPaused = false;
+        this.lastUpdate = null;
+        this.spacesListeners = [];
+    }
+
+    /**
+     * Register a listener for every batch of spaces received
+     * @param {Function} callback - Receives an array of spaces and where they came from:
+     *                              'poll' (every live space) or 'stream' (just what changed)
+     */
+    onSpacesUpdated(callback) {
+        if (typeof callback === 'function') {
+            this.spacesListeners.push(callback);
+        }
+    }
+
+    /**
+     * Start receiving updates, preferring the event stream
+     */
+    start() {
+        if (this.mode) return;
+
+        if (typeof EventSource === 'undefined') {
+            this.startPolling();
+            return;
+        }
+
+        this.connectStream();
+    }
+
+    /**
+     * Stop all updates
+     */
+    stop() {
+        this.closeStream();
+        clearTimeout(this.pollTimer);
+        this.pollTimer = null;
+        this.mode = null;
+        this.isPaused = false;
+        console.log('🛑 Live updates stopped');
+    }
+
+    /**
+     * Disconnect until resume(), remembering whether we were streaming or polling
+     */
+    pause() {
+        if (!this.mode || this.isPaused) return;
+        this.isPaused = true;
+
+        this.closeStream();
+        clearTimeout(this.pollTimer);
+        this.pollTimer = null;
+        console.log('⏸️ Live updates paused');
+    }
+
+    /**
+     * Reconnect and catch up on anything missed while paused
+     */
+    resume() {
+        if (!this.isPaused) return;
+        this.isPaused = false;
+        console.log('▶️ Live updates resumed');
+
+        if (this.mode === 'sse') {
+            this.connectStream();
+        } else {
+            this.pollInterval = CONFIG.LIVE_UPDATES.POLL_INTERVAL;
+            this.scheduleNextPoll(0);
+        }
+    }
+
+    /**
+     * Open the SSE stream; if it never opens, the API doesn't offer one (or needs a token it can't send)
+     */
+    connectStream() {
+        this.mode = 'sse';
+        let hasOpened = false;
+
+        try {
+            this.eventSource = new EventSource(`${api.baseUrl}${CONFIG.LIVE_UPDATES.STREAM_ENDPOINT}`);
+        } catch (error) {
+            console.warn('⚠️ Live update stream unavailable:', error.message);
+            this.startPolling();
+            return;
+        }
+
+        this.eventSource.onopen = () => {
+            hasOpened = true;
+            console.log('✅ Live updates connected via event stream');
+            // Catch up on anything missed while connecting
+            this.poll();
+        };
+
+        this.eventSource.addEventListener('space', (event) => this.onStreamEvent('space', event));
+        this.eventSource.addEventListener('stats', (event) => this.onStreamEvent('stats', event));
+        this.eventSource.onmessage = (event) => this.onStreamEvent(null, event);
+
+        this.eventSource.onerror = () => {
+            // EventSource reconnects by itself unless the server refused outright
+            if (this.isPaused) return;
+            if (hasOpened && this.eventSource.readyState !== EventSource.CLOSED) return;
+
+            console.warn('⚠️ Live update stream failed, falling back to polling');
+            this.closeStream();
+            this.startPolling();
+        };
+    }
+
+    closeStream() {
+        if (this.eventSource) {
+            this.eventSource.close();
+            this.eventSource = null;
+        }
+    }
+
+    /**
+     * Handle one stream event; unnamed messages carry { type, data }
+     */
+    onStreamEvent(type, event) {
+        let payload;
+        try {
+            payload = JSON.parse(event.data);
+        } catch (error) {
+            console.warn('⚠️ Ignoring malformed live update:', event.data);
+            return;
+        }
+
+        const eventType = type || payload.type;
+        const data = type ? payload : payload.data;
+        this.lastUpdate = Date.now();
+
+        if (eventType === 'space' && data?._id) {
+            this.applySpaces([data], 'stream');
+        } else if (eventType === 'spaces' && Array.isArray(data)) {
+            this.applySpaces(data, 'stream');
+        } else if (eventType === 'stats' && data) {
+            dashboard.displayStats(data);
+        }
+    }
+
+    /**
+     * Poll on a timer that stretches while the API keeps failing
+     */
+    startPolling() {
+        this.mode = 'polling';
+        this.pollInterval = CONFIG.LIVE_UPDATES.POLL_INTERVAL;
+        console.log(`🔄 Live updates polling every ${this.pollInterval / 1000}s`);
+        this.scheduleNextPoll();
+    }
+
+    scheduleNextPoll(delay = this.pollInterval) {
+        clearTimeout(this.pollTimer);
+        if (this.mode !== 'polling' || this.isPaused) return;
+
+        this.pollTimer = setTimeout(async () => {
+            const succeeded = await this.poll();
+
+            this.pollInterval = succeeded ?
+                CONFIG.LIVE_UPDATES.POLL_INTERVAL :
+                Math.min(this.pollInterval * CONFIG.LIVE_UPDATES.BACKOFF_FACTOR, CONFIG.LIVE_UPDATES.MAX_POLL_INTERVAL);
+
+            if (!succeeded) {
+                console.warn(`⚠️ Live update poll failed, retrying in ${Math.round(this.pollInterval / 1000)}s`);
+            }
+            this.scheduleNextPoll();
+        }, delay);
+    }
+
+    /**
+     * Fetch every live space, spaces that were live on screen, and stats
+     * @returns {Promise<boolean>} Whether the poll succeeded
+     */
+    async poll() {
+        if (this.isPolling) return true;
+        this.isPolling = true;
+
+        try {
+            // Every page, so a space past the first one isn't mistaken for one that ended
+            const liveSpaces = await dashboard.fetchAllSpaces({ status: CONFIG.STATUS_TYPES.LIVE, force: true });
+            const liveIds = new Set(liveSpaces.map(space => space._id));
+
+            // Spaces shown as live that dropped out of the live list have probably ended
+            const endedIds = dashboard.allSpaces
+                .filter(space => space.isLive && !liveIds.has(space._id))
+                .map(space => space._id);
+
+            const endedResults = await Promise.allSettled(
+                endedIds.map(spaceId => api.getSpaceDetails(spaceId, { force: true }))
+            );
+            const endedSpaces = endedResults
+                .filter(result => result.status === 'fulfilled' && result.value?.data)
+                .map(result => result.value.data);
+
+            this.applySpaces([...liveSpaces, ...endedSpaces], 'poll');
+
+            try {
+                const stats = await api.getStats({ force: true });
+                if (stats?.data) dashboard.displayStats(stats.data);
+            } catch (error) {
+                console.warn('⚠️ Failed to refresh stats:', error.message);
+            }
+
+            this.lastUpdate = Date.now();
+            return true;
+        } catch (error) {
+            console.warn('⚠️ Live update poll failed:', error.message);
+            return false;
+        } finally {
+            this.isPolling = false;
+        }
+    }
+
+    /**
+     * Pass changed spaces to the dashboard and any listeners
+     * @param {Array<Object>} spaces - Spaces received
+     * @param {string} source - 'poll' or 'stream'
+     */
+    applySpaces(spaces, source) {
+        let patched = 0;
+        spaces.forEach(space => {
+            if (dashboard.applyLiveUpdate(space)) patched++;
+        });
+
+        if (patched > 0) {
+            console.log(`🔴 Live update patched ${patched} spaces`);
+        }
+
+        this.spacesListeners.forEach(callback => {
+            try {
+                callback(spaces, source);
+            } catch (error) {
+                console.error('Live update listener failed:', error);
+            }
+        });
+    }
+
+    getStatus() {
+        return {
+            mode: this.mode,
+            isPaused: this.isPaused,
+            pollInterval: this.pollInterval,
+            lastUpdate: this.lastUpdate ? new Date(this.lastUpdate).toISOString() : null
+        };
+    }
+}
+
+// Create global instance
+const liveUpdates = new LiveUpdater();
+window.liveUpdates = liveUpdates;
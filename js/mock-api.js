@@ -0,0 +1,291 @@
+/**
+ * Mock Backend - Serves the API from fixture data so the dashboard runs with no network
+ * - Installed only when the current environment sets MOCK (e.g. ?env=mock)
+ * - Answers fetch() calls under the environment's API URL; everything else passes through
+ * - Serves spaces, spaces/:id, spaces/:id/participants, stats, files, health/status
+ *   and spaces/override, with paging, filtering and sorting like the real API
+ * - Overrides are kept in memory until the page reloads
+ * - Audio files are listed but have no content, so playback isn't available
+ */
+
+class MockBackend {
+    constructor() {
+        this.latency = 150;     // ms, so loading states still show
+        this.loadedAt = Date.now();
+        this.spaces = [];
+        this.participants = {};
+        this.files = [];
+        this.nativeFetch = null;
+    }
+
+    /**
+     * Build the data set from the fixtures and start answering API requests
+     */
+    install() {
+        if (this.nativeFetch) return;
+
+        this.load(MOCK_FIXTURES);
+        this.nativeFetch = window.fetch.bind(window);
+        window.fetch = (input, options = {}) => this.handleFetch(input, options);
+        console.log(`🧪 Mock backend serving ${this.spaces.length} spaces at ${CONFIG.API_BASE_URL}`);
+    }
+
+    minutesAgo(minutes) {
+        return new Date(this.loadedAt - minutes * 60 * 1000).toISOString();
+    }
+
+    /**
+     * Letter avatar that works offline
+     */
+    createAvatar(name) {
+        const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="40" height="40"><rect width="40" height="40" fill="#3498db"/><text x="20" y="26" text-anchor="middle" font-size="16" fill="#fff">${name.charAt(0).toUpperCase()}</text></svg>`;
+        return `data:image/svg+xml,${encodeURIComponent(svg)}`;
+    }
+
+    /**
+     * Turn the fixtures into API-shaped spaces, participant lists and files
+     */
+    load(fixtures) {
+        const people = new Map(fixtures.people.map(person => [person.username, person]));
+        const toParticipant = (username, role) => {
+            const person = people.get(username) || { username: username, name: username };
+            return {
+                username: `@${person.username}`,
+                name: person.name,
+                role: role,
+                profileImage: this.createAvatar(person.name)
+            };
+        };
+
+        this.spaces = fixtures.spaces.map(fixture => {
+            const startedAt = this.minutesAgo(fixture.startedMinutesAgo);
+            const endedAt = fixture.live ? null : this.minutesAgo(fixture.startedMinutesAgo - fixture.durationMinutes);
+            const host = people.get(fixture.host);
+            const anchor = fixture.anchor ? people.get(fixture.anchor[0]) : null;
+
+            const participants = [toParticipant(fixture.host, 'host')]
+                .concat(fixture.participants.map(([username, role]) => toParticipant(username, role)));
+            const participantsByRole = {};
+            participants.forEach(participant => {
+                (participantsByRole[participant.role] = participantsByRole[participant.role] || []).push(participant);
+            });
+            this.participants[fixture.id] = {
+                participants: participants,
+                participantsByRole: participantsByRole,
+                totalParticipants: participants.length
+            };
+
+            if (fixture.recorded) {
+                const date = startedAt.split('T')[0];
+                const parts = fixture.parts || 1;
+                for (let part = 1; part <= parts; part++) {
+                    this.files.push({
+                        name: `${fixture.host}/${date}/${fixture.id}${parts > 1 ? `-part${part}` : ''}.mp3`,
+                        size: Math.round(fixture.durationMinutes / parts * 60 * 12000),  // ~96 kbps
+                        lastModified: endedAt
+                    });
+                }
+            }
+
+            return {
+                _id: fixture.id,
+                spaceId: fixture.id,
+                title: fixture.title,
+                host: fixture.host,
+                hostName: host ? host.name : fixture.host,
+                isLive: !!fixture.live,
+                private: fixture.private,
+                participantCount: participants.length,
+                createdAt: startedAt,
+                startedAt: startedAt,
+                endedAt: endedAt,
+                lastUpdated: endedAt || this.minutesAgo(1),
+                recordingStatus: fixture.recordingStatus || (fixture.recorded ? 'completed' : null),
+                isOverride: !!fixture.override,
+                anchor: anchor ? {
+                    username: anchor.username,
+                    displayName: anchor.name,
+                    role: fixture.anchor[1]
+                } : null
+            };
+        });
+
+        fixtures.orphanedFiles.forEach(file => {
+            const date = this.minutesAgo(file.minutesAgo).split('T')[0];
+            this.files.push({
+                name: `${file.host}/${date}/${file.spaceId}.mp3`,
+                size: 30 * 60 * 12000,
+                lastModified: this.minutesAgo(file.minutesAgo)
+            });
+        });
+    }
+
+    /**
+     * fetch() replacement: API URLs are answered here, anything else goes to the network
+     */
+    async handleFetch(input, options) {
+        const url = typeof input === 'string' ? input : input.url;
+        if (!url.startsWith(CONFIG.API_BASE_URL)) {
+            return this.nativeFetch(input, options);
+        }
+
+        await new Promise(resolve => setTimeout(resolve, this.latency));
+        if (options.signal?.aborted) {
+            throw new DOMException('The operation was aborted.', 'AbortError');
+        }
+
+        const requestUrl = new URL(url);
+        const path = url.slice(CONFIG.API_BASE_URL.length).split('?')[0].replace(/\/$/, '');
+        let body = null;
+        try {
+            body = options.body ? JSON.parse(options.body) : null;
+        } catch (e) {
+            return this.respond(400, { error: 'Invalid JSON body' });
+        }
+
+        const [status, data] = this.route((options.method || 'GET').toUpperCase(), path, requestUrl.searchParams, body);
+        return this.respond(status, data);
+    }
+
+    respond(status, data) {
+        return new Response(JSON.stringify(data), {
+            status: status,
+            statusText: status === 200 ? 'OK' : 'Error',
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+
+    /**
+     * @returns {Array} [status, body]
+     */
+    route(method, path, params, body) {
+        const segments = path.split('/');
+
+        if (method === 'GET' && path === 'spaces') return [200, this.listSpaces(params)];
+        if (method === 'GET' && path === 'stats') return [200, this.getStats()];
+        if (method === 'GET' && path === 'files') return [200, { files: this.files }];
+        if (method === 'GET' && path === 'health/status') return [200, this.getHealth()];
+        if (path === 'spaces/override' && (method === 'POST' || method === 'DELETE')) {
+            return this.setOverride(body?.url, method === 'POST');
+        }
+
+        if (method === 'GET' && segments[0] === 'spaces' && segments.length === 2) {
+            const space = this.findSpace(segments[1]);
+            return space ? [200, { data: space }] : [404, { message: 'Space not found' }];
+        }
+        if (method === 'GET' && segments[0] === 'spaces' && segments[2] === 'participants' && segments.length === 3) {
+            const participants = this.participants[segments[1]];
+            return participants ? [200, participants] : [404, { message: 'No participants for this space' }];
+        }
+
+        return [404, { message: `No mock for ${method} ${path}` }];
+    }
+
+    findSpace(spaceId) {
+        return this.spaces.find(space => space._id === spaceId || space.spaceId === spaceId) || null;
+    }
+
+    /**
+     * Page of spaces for the same parameters ApiService.buildSpacesEndpoint sends
+     */
+    listSpaces(params) {
+        const search = (params.get('search') || '').toLowerCase();
+        const host = (params.get('host') || '').toLowerCase();
+        const startDate = params.get('startDate') ? new Date(params.get('startDate')) : null;
+        const endDate = params.get('endDate') ? new Date(params.get('endDate')) : null;
+
+        let spaces = this.spaces.filter(space => {
+            if (params.get('status') === 'live' && !space.isLive) return false;
+            if (params.get('status') === 'ended' && space.isLive) return false;
+            if (params.get('privacy') === 'private' && space.private !== true) return false;
+            if (params.get('privacy') === 'public' && space.private === true) return false;
+            if (params.get('override') === 'true' && !space.isOverride) return false;
+            if (host && !space.host.toLowerCase().includes(host)) return false;
+            if (search && !`${space.title} ${space.host}`.toLowerCase().includes(search)) return false;
+
+            const date = new Date(space.startedAt);
+            if (startDate && date < startDate) return false;
+            if (endDate && date > endDate) return false;
+            return true;
+        });
+
+        const sortBy = params.get('sortBy') || 'lastUpdated';
+        const direction = params.get('order') === 'asc' ? 1 : -1;
+        spaces = spaces.slice().sort((a, b) => {
+            const valueA = sortBy === 'participantCount' ? a.participantCount : new Date(a[sortBy]).getTime();
+            const valueB = sortBy === 'participantCount' ? b.participantCount : new Date(b[sortBy]).getTime();
+            return (valueA - valueB) * direction;
+        });
+
+        const limit = parseInt(params.get('limit'), 10) || CONFIG.DEFAULT_LIMIT;
+        const offset = parseInt(params.get('offset'), 10) || 0;
+        const page = spaces.slice(offset, offset + limit);
+
+        return {
+            data: page,
+            total: spaces.length,
+            hasMore: offset + page.length < spaces.length
+        };
+    }
+
+    /**
+     * The /stats payload, computed from the fixtures
+     */
+    getStats() {
+        const percentage = (part, whole) => whole > 0 ? Math.round(part / whole * 100) : 0;
+        const ended = this.spaces.filter(space => !space.isLive && space.private !== true);
+        const recorded = ended.filter(space => this.files.some(file => file.name.includes(`/${space._id}`)));
+        const recent = this.spaces.filter(space => this.loadedAt - new Date(space.startedAt).getTime() < 24 * 60 * 60 * 1000);
+
+        return {
+            overview: {
+                totalSpaces: this.spaces.length,
+                liveSpaces: this.spaces.filter(space => space.isLive).length,
+                recordingSuccessRate: percentage(recorded.length, ended.length),
+                avgParticipants: Math.round(this.spaces.reduce((sum, space) => sum + space.participantCount, 0) / this.spaces.length)
+            },
+            privacy: {
+                publicPercentage: percentage(this.spaces.filter(space => space.private === false).length, this.spaces.length)
+            },
+            discovery: {
+                discoverySuccessRate: percentage(this.spaces.filter(space => space.anchor).length, this.spaces.length)
+            },
+            activity: {
+                recentSpaces: recent.length,
+                hostDiversity: new Set(recent.map(space => space.host)).size
+            }
+        };
+    }
+
+    getHealth() {
+        return {
+            status: 'ok',
+            environment: 'mock',
+            activeRecordings: this.spaces.filter(space => space.isLive && space.isOverride).length,
+            filesIndexed: this.files.length,
+            checkedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Add or cancel an override for a space URL
+     */
+    setOverride(url, enabled) {
+        const spaceId = (String(url || '').match(/\/i\/spaces\/([A-Za-z0-9]+)/) || [])[1];
+        if (!spaceId) return [400, { error: 'A space URL is required' }];
+
+        const space = this.findSpace(spaceId);
+        if (!space) return enabled ? [200, { success: true, spaceId: spaceId, status: 'pending' }] : [404, { error: 'No override for this space' }];
+
+        space.isOverride = enabled;
+        return [200, { success: true, spaceId: spaceId, status: enabled ? 'pending' : 'cancelled' }];
+    }
+}
+
+// Create global instance; only answers requests in a mock environment
+const mockBackend = new MockBackend();
+window.mockBackend = mockBackend;
+
+if (environment.getProfile().MOCK) {
+    mockBackend.install();
+}
@@ -0,0 +1,102 @@
+/**
+ * Fixture data for the mock backend (see MockBackend)
+ * Times are minutes before page load so the data always looks recent.
+ */
+
+const MOCK_FIXTURES = {
+    people: [
+        { username: 'ada_lovelace', name: 'Ada Lovelace' },
+        { username: 'grace_hopper', name: 'Grace Hopper' },
+        { username: 'alan_turing', name: 'Alan Turing' },
+        { username: 'katherine_j', name: 'Katherine Johnson' },
+        { username: 'linus_t', name: 'Linus Torvalds' },
+        { username: 'margaret_h', name: 'Margaret Hamilton' },
+        { username: 'dennis_r', name: 'Dennis Ritchie' },
+        { username: 'barbara_l', name: 'Barbara Liskov' },
+        { username: 'ken_t', name: 'Ken Thompson' },
+        { username: 'radia_p', name: 'Radia Perlman' },
+        { username: 'tim_bl', name: 'Tim Berners-Lee' },
+        { username: 'frances_a', name: 'Frances Allen' }
+    ],
+
+    // participants: [username, role] pairs; the host is added automatically
+    spaces: [
+        {
+            id: '1mockLiveAAAA', title: 'Compilers office hours', host: 'grace_hopper',
+            startedMinutesAgo: 35, live: true, private: false, recorded: false, override: true,
+            anchor: ['ada_lovelace', 'speaking'],
+            participants: [['frances_a', 'co-host'], ['ada_lovelace', 'speaker'], ['dennis_r', 'listener'], ['ken_t', 'listener']]
+        },
+        {
+            id: '1mockLiveBBBB', title: 'Open source maintainers AMA', host: 'linus_t',
+            startedMinutesAgo: 80, live: true, private: false, recorded: false,
+            anchor: ['linus_t', 'hosting'],
+            participants: [['ken_t', 'speaker'], ['dennis_r', 'speaker'], ['radia_p', 'listener'], ['tim_bl', 'listener'], ['barbara_l', 'listener']]
+        },
+        {
+            id: '1mockEndCCCC', title: 'Apollo guidance software retrospective', host: 'margaret_h',
+            startedMinutesAgo: 180, durationMinutes: 95, private: false, recorded: true, parts: 2,
+            anchor: ['katherine_j', 'speaking'],
+            participants: [['katherine_j', 'speaker'], ['ada_lovelace', 'listener'], ['alan_turing', 'listener']]
+        },
+        {
+            id: '1mockEndDDDD', title: 'Spanning trees and other networking stories', host: 'radia_p',
+            startedMinutesAgo: 300, durationMinutes: 60, private: false, recorded: true,
+            anchor: ['tim_bl', 'listening'],
+            participants: [['tim_bl', 'speaker'], ['barbara_l', 'listener'], ['linus_t', 'listener']]
+        },
+        {
+            id: '1mockEndEEEE', title: 'Private design review', host: 'barbara_l',
+            startedMinutesAgo: 420, durationMinutes: 45, private: true, recorded: false,
+            participants: [['alan_turing', 'speaker']]
+        },
+        {
+            id: '1mockEndFFFF', title: 'Unix at fifty', host: 'ken_t',
+            startedMinutesAgo: 600, durationMinutes: 120, private: false, recorded: false, recordingStatus: 'failed',
+            anchor: ['dennis_r', 'speaking'],
+            participants: [['dennis_r', 'co-host'], ['linus_t', 'speaker'], ['grace_hopper', 'listener']]
+        },
+        {
+            id: '1mockEndGGGG', title: 'Computable numbers reading group', host: 'alan_turing',
+            startedMinutesAgo: 1500, durationMinutes: 75, private: false, recorded: true,
+            anchor: ['ada_lovelace', 'listening'],
+            participants: [['ada_lovelace', 'speaker'], ['katherine_j', 'listener'], ['frances_a', 'listener'], ['margaret_h', 'listener']]
+        },
+        {
+            id: '1mockEndHHHH', title: 'The web, thirty-five years on', host: 'tim_bl',
+            startedMinutesAgo: 2900, durationMinutes: 50, private: false, recorded: false,
+            anchor: ['radia_p', 'speaking'],
+            participants: [['radia_p', 'speaker'], ['grace_hopper', 'listener']]
+        },
+        {
+            id: '1mockEndIIII', title: 'Orbital mechanics by hand', host: 'katherine_j',
+            startedMinutesAgo: 4400, durationMinutes: 90, private: false, recorded: true, parts: 3,
+            anchor: ['margaret_h', 'speaking'],
+            participants: [['margaret_h', 'co-host'], ['alan_turing', 'speaker'], ['ada_lovelace', 'listener']]
+        },
+        {
+            id: '1mockEndJJJJ', title: 'Optimizing compilers Q&A', host: 'frances_a',
+            startedMinutesAgo: 7300, durationMinutes: 40, private: null, recorded: true,
+            participants: [['grace_hopper', 'speaker'], ['dennis_r', 'listener']]
+        },
+        {
+            id: '1mockEndKKKK', title: 'C, then and now', host: 'dennis_r',
+            startedMinutesAgo: 10100, durationMinutes: 65, private: false, recorded: true,
+            anchor: ['ken_t', 'hosting'],
+            participants: [['ken_t', 'co-host'], ['linus_t', 'listener'], ['barbara_l', 'listener']]
+        },
+        {
+            id: '1mockEndLLLL', title: 'Data abstraction for everyone', host: 'barbara_l',
+            startedMinutesAgo: 20000, durationMinutes: 55, private: false, recorded: true,
+            anchor: ['barbara_l', 'hosting'],
+            participants: [['alan_turing', 'speaker'], ['frances_a', 'listener'], ['radia_p', 'listener']]
+        }
+    ],
+
+    // Audio in the archive with no matching space
+    orphanedFiles: [
+        { host: 'ada_lovelace', minutesAgo: 700, spaceId: '1mockLostMMMM' }
+    ]
+};
+
+window.MOCK_FIXTURES = MOCK_FIXTURES;
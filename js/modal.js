@@ -1,131 +1,316 @@
 /**
  * Enhanced Modal management with HTML content support and participant modal functionality
+ * - Each open modal is a role="dialog" level on a stack; { stack: true } opens on top of the current one
+ * - Escape, the close button and the backdrop close the top level only, returning to the one below
+ * - Focus moves into the dialog, Tab stays inside it, and closing gives focus back to what opened it
+ * - The page behind doesn't scroll while a modal is open
  */
 
 class ModalManager {
     constructor() {
-        this.modalElement = null;
-        this.modalTitle = null;
-        this.modalContent = null;
+        this.stack = [];            // Open levels, bottom first: { element, dialog, title, body, view, opener }
+        this.levelCount = 0;        // For unique element ids
+        this.currentView = null;    // e.g. { type: 'details', spaceId } for URL state
+        this.onViewChange = null;
+        this.focusableSelector = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
         this.init();
     }
 
     /**
-     * Initialize modal elements and event listeners
+     * Initialize event listeners shared by every level
      */
     init() {
-        // Create modal if it doesn't exist
-        this.createModalElement();
-        
-        this.modalElement = Utils.getElementById('detailModal');
-        this.modalTitle = document.querySelector('#detailModal h2');
-        this.modalContent = Utils.getElementById('modalContent');
-
-        // Close modal when clicking outside of it
+        // Close the top level when clicking its backdrop
         window.addEventListener('click', (event) => {
-            if (event.target === this.modalElement) {
+            const top = this.getTop();
+            if (top && event.target === top.element) {
                 this.close();
             }
         });
 
-        // Close modal with Escape key
         document.addEventListener('keydown', (event) => {
-            if (event.key === 'Escape' && this.isOpen()) {
+            if (!this.isOpen()) return;
+
+            if (event.key === 'Escape') {
+                event.preventDefault();
+                event.stopPropagation();
                 this.close();
+            } else if (event.key === 'Tab') {
+                this.trapFocus(event);
+            }
+        });
+
+        // Focus that escapes the top dialog (e.g. a click on the page behind) is brought back
+        document.addEventListener('focusin', (event) => {
+            const top = this.getTop();
+            if (top && !top.dialog.contains(event.target)) {
+                top.dialog.focus();
             }
         });
     }
 
     /**
-     * Creates the modal HTML structure if it doesn't exist
+     * Creates the element for a new level
+     * @returns {Object} The level
      */
-    createModalElement() {
-        if (document.getElementById('detailModal')) return;
-
+    createLevel() {
+        const id = `modal-${++this.levelCount}`;
         const modalHTML = `
-            <div id="detailModal" class="modal">
-                <div class="modal-content">
-                    <span class="modal-close">&times;</span>
-                    <h2>Modal Title</h2>
-                    <div id="modalContent">Modal content goes here</div>
+            <div class="modal" id="${id}">
+                <div class="modal-content" role="dialog" aria-modal="true" aria-labelledby="${id}-title" tabindex="-1">
+                    <button type="button" class="btn btn-secondary modal-back" hidden></button>
+                    <button type="button" class="modal-close" aria-label="Close">&times;</button>
+                    <h2 id="${id}-title"></h2>
+                    <div class="modal-body"></div>
                 </div>
             </div>
         `;
 
         document.body.insertAdjacentHTML('beforeend', modalHTML);
 
-        // Add click handler for close button
-        const closeBtn = document.querySelector('#detailModal .modal-close');
-        if (closeBtn) {
-            closeBtn.addEventListener('click', () => this.close());
+        const element = document.getElementById(id);
+        const level = {
+            element: element,
+            dialog: element.querySelector('.modal-content'),
+            title: element.querySelector('h2'),
+            body: element.querySelector('.modal-body'),
+            view: null,
+            opener: document.activeElement
+        };
+
+        element.querySelector('.modal-close').addEventListener('click', () => this.close());
+        element.querySelector('.modal-back').addEventListener('click', () => this.close());
+        return level;
+    }
+
+    /**
+     * Show content in the top level, or in a new one
+     * @param {string} title - Dialog title
+     * @param {Function} fill - Receives the body element and fills it
+     * @param {Object} view - Optional descriptor of what is shown, for URL state
+     * @param {Object} options - { stack } to open on top of the current level instead of replacing it
+     * @returns {HTMLElement|null} The dialog body
+     */
+    show(title, fill, view, options = {}) {
+        let level = this.getTop();
+        const isNew = !level || options.stack;
+
+        if (isNew) {
+            if (this.stack.length === 0) this.lockScroll();
+
+            const below = level;
+            level = this.createLevel();
+            level.element.style.zIndex = 1000 + this.stack.length * 10;
+            if (below) {
+                below.element.inert = true;
+                const back = level.element.querySelector('.modal-back');
+                back.hidden = false;
+                back.textContent = `← ${below.title.textContent}`;
+            }
+            this.stack.push(level);
         }
+
+        level.title.textContent = title;
+        fill(level.body);
+        level.view = view;
+        level.element.classList.add('open');
+
+        // Focus the first control in the content, or the dialog itself
+        const first = this.getFocusable(level.body)[0];
+        (first || level.dialog).focus({ preventScroll: true });
+        if (!isNew) level.body.scrollTop = 0;
+
+        this.updateView();
+        return level.body;
     }
 
     /**
      * Opens the modal with the given title and content.
      * @param {string} title - The title for the modal.
      * @param {string} content - The content to display in the modal.
+     * @param {Object} view - Optional descriptor of what is shown, for URL state
+     * @param {Object} options - { stack } to open on top of the current modal
+     * @returns {HTMLElement|null} The dialog body
      */
-    open(title, content) {
-        if (!this.modalElement) {
-            console.error('Modal element not found');
-            return;
+    open(title, content, view = null, options = {}) {
+        return this.show(title, (body) => {
+            body.classList.add('is-text');
+            body.textContent = content;
+        }, view, options);
+    }
+
+    /**
+     * Opens the modal with HTML content instead of plain text
+     * @param {string} title - The title for the modal
+     * @param {string|SafeHTML} htmlContent - The HTML content to display, ideally built with html``
+     * @param {Object} view - Optional descriptor of what is shown, for URL state
+     * @param {Object} options - { stack } to open on top of the current modal
+     * @returns {HTMLElement|null} The dialog body
+     */
+    openWithHTML(title, htmlContent, view = null, options = {}) {
+        return this.show(title, (body) => {
+            body.classList.remove('is-text');
+            body.innerHTML = htmlContent;
+        }, view, options);
+    }
+
+    /**
+     * Closes the top level, going back to the one below it
+     * @param {Object} options - { restoreFocus: false } when something else takes focus
+     */
+    close(options = {}) {
+        const level = this.stack.pop();
+        if (!level) return;
+
+        level.element.remove();
+
+        const below = this.getTop();
+        if (below) {
+            below.element.inert = false;
+        } else {
+            this.unlockScroll();
         }
 
-        if (this.modalTitle) {
-            this.modalTitle.textContent = title;
+        if (options.restoreFocus !== false) {
+            const target = level.opener && document.contains(level.opener) ? level.opener : below?.dialog;
+            if (target) target.focus({ preventScroll: true });
         }
 
-        if (this.modalContent) {
-            this.modalContent.textContent = content;
+        this.updateView();
+    }
+
+    /**
+     * Closes every level
+     * @param {Object} options - { restoreFocus: false } when something else takes focus
+     */
+    closeAll(options = {}) {
+        while (this.stack.length > 1) {
+            this.close({ restoreFocus: false });
         }
+        this.close(options);
+    }
 
-        this.modalElement.style.display = 'flex';
-        
-        // Focus management for accessibility
-        this.modalElement.focus();
+    /**
+     * Close levels above the one showing a view
+     * @param {Object} view - View descriptor
+     * @returns {boolean} Whether a level shows it
+     */
+    closeTo(view) {
+        const index = this.stack.findIndex(level => this.isSameView(level.view, view));
+        if (index === -1) return false;
+
+        while (this.stack.length > index + 1) {
+            this.close();
+        }
+        return true;
+    }
+
+    getTop() {
+        return this.stack[this.stack.length - 1] || null;
     }
 
     /**
-     * Opens the modal with HTML content instead of plain text
-     * @param {string} title - The title for the modal
-     * @param {string} htmlContent - The HTML content to display
+     * Controls that can take focus within an element
      */
-    openWithHTML(title, htmlContent) {
-        if (!this.modalElement) {
-            console.error('Modal element not found');
+    getFocusable(container) {
+        return [...container.querySelectorAll(this.focusableSelector)]
+            .filter(element => !element.hidden && element.getClientRects().length > 0);
+    }
+
+    /**
+     * Keep Tab and Shift+Tab cycling within the top dialog
+     */
+    trapFocus(event) {
+        const dialog = this.getTop().dialog;
+        const focusable = this.getFocusable(dialog);
+        if (focusable.length === 0) {
+            event.preventDefault();
+            dialog.focus();
             return;
         }
 
-        if (this.modalTitle) {
-            this.modalTitle.textContent = title;
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const active = document.activeElement;
+
+        if (event.shiftKey && (active === first || active === dialog || !dialog.contains(active))) {
+            event.preventDefault();
+            last.focus();
+        } else if (!event.shiftKey && (active === last || !dialog.contains(active))) {
+            event.preventDefault();
+            first.focus();
         }
+    }
 
-        if (this.modalContent) {
-            this.modalContent.innerHTML = htmlContent;
+    /**
+     * Stop the page behind from scrolling, keeping its width while the scrollbar is hidden
+     */
+    lockScroll() {
+        const scrollbarWidth = window.innerWidth - document.documentElement.clientWidth;
+        if (scrollbarWidth > 0) {
+            document.body.style.paddingRight = `${scrollbarWidth}px`;
         }
+        document.body.classList.add('modal-open');
+    }
 
-        this.modalElement.style.display = 'flex';
-        
-        // Focus management for accessibility
-        this.modalElement.focus();
+    unlockScroll() {
+        document.body.classList.remove('modal-open');
+        document.body.style.paddingRight = '';
+    }
+
+    isSameView(a, b) {
+        return (a?.type === b?.type) && (a?.spaceId === b?.spaceId);
+    }
+
+    /**
+     * Report the view of the highest level that has one and notify listeners if it changed
+     */
+    updateView() {
+        const level = [...this.stack].reverse().find(entry => entry.view);
+        this.setView(level ? level.view : null);
     }
 
     /**
-     * Closes the currently open modal.
+     * Record what the modal is showing and notify listeners
+     * @param {Object|null} view - View descriptor or null when closed
      */
-    close() {
-        if (this.modalElement) {
-            this.modalElement.style.display = 'none';
+    setView(view) {
+        const previous = this.currentView;
+        this.currentView = view;
+
+        if (!this.isSameView(previous, view) && typeof this.onViewChange === 'function') {
+            this.onViewChange(view);
         }
     }
 
+    /**
+     * Set callback for when the modal view opens, changes or closes
+     */
+    setOnViewChange(callback) {
+        this.onViewChange = callback;
+    }
+
+    /**
+     * Gets the descriptor of what the modal is showing
+     * @returns {Object|null} View descriptor
+     */
+    getView() {
+        return this.currentView;
+    }
+
     /**
      * Checks if modal is currently open
      * @returns {boolean} True if modal is open
      */
     isOpen() {
-        return this.modalElement && this.modalElement.style.display === 'flex';
+        return this.stack.length > 0;
+    }
+
+    /**
+     * How many levels are open
+     */
+    getDepth() {
+        return this.stack.length;
     }
 
     /**
@@ -171,8 +356,9 @@ class ModalManager {
      * Opens modal with space details including privacy and anchor information
      * Updated to handle host as string and include anchor data
      * @param {Object} space - Space object
+     * @param {Object} options - { stack } to open on top of the current modal
      */
-    showSpaceDetails(space) {
+    showSpaceDetails(space, options = {}) {
         const privacyStatus = this.getPrivacyDisplayInfo(space);
         const anchorInfo = this.getAnchorDisplayInfo(space);
         
@@ -201,7 +387,7 @@ ${space.anchor ? `\nAnchor Details:
   Explanation: This space was recorded because you follow ${space.anchor.displayName} who was ${space.anchor.role}` : '\nAnchor Details: No anchor information (discovery method unknown)'}
         `.trim();
         
-        this.open('Space Details', details);
+        this.open('Space Details', details, { type: 'details', spaceId: space._id }, options);
     }
 
     /**
@@ -236,52 +422,48 @@ ${space.anchor ? `\nAnchor Details:
         // Group participants by role
         const participantsByRole = participantsData.participantsByRole || {};
         
-        let modalContent = `<div class="participants-modal-content">`;
-        modalContent += `<h3>Participants in "${spaceTitle}"</h3>`;
-        modalContent += `<p class="participants-count">Total: ${participantsData.totalParticipants || participantsData.participants.length} participants</p>`;
-        
         // Display by role with proper ordering
         const roleOrder = ['host', 'co-host', 'speaker', 'listener'];
-        roleOrder.forEach(role => {
+        const sectionsHTML = roleOrder.map(role => {
             const roleParticipants = participantsByRole[role] || [];
-            if (roleParticipants.length > 0) {
-                const roleTitle = role === 'co-host' ? 'Co-host' : 
-                                role.charAt(0).toUpperCase() + role.slice(1);
-                modalContent += `
-                    <div class="participants-role-section">
-                        <h4>${roleTitle}s (${roleParticipants.length})</h4>
-                        <div class="participants-list">
-                `;
-                
-                roleParticipants.forEach(participant => {
-                    const profileImage = api.enhanceImageQuality(participant.profileImage) || participant.profileImage;
-                    const username = participant.username.replace('@', '');
-                    const fallbackAvatar = `data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" width="40" height="40" viewBox="0 0 40 40"><rect width="40" height="40" fill="%23ddd"/><text x="20" y="25" text-anchor="middle" font-size="16" fill="%23666">${participant.name.charAt(0).toUpperCase()}</text></svg>`;
-                    
-                    modalContent += `
-                        <div class="participant-item">
-                            <img src="${profileImage || fallbackAvatar}" 
-                                 alt="${participant.name}" 
-                                 class="participant-modal-avatar"
-                                 onerror="this.src='${fallbackAvatar}'">
-                            <div class="participant-info">
-                                <div class="participant-name">${participant.name}</div>
-                                <div class="participant-username">
-                                    <a href="https://x.com/${username}" target="_blank">@${username}</a>
+            if (roleParticipants.length === 0) return '';
+
+            const roleTitle = role === 'co-host' ? 'Co-host' : 
+                            role.charAt(0).toUpperCase() + role.slice(1);
+            return html`
+                <div class="participants-role-section">
+                    <h4>${roleTitle}s (${roleParticipants.length})</h4>
+                    <div class="participants-list">
+                        ${roleParticipants.map(participant => {
+                            const profileImage = api.enhanceImageQuality(participant.profileImage) || participant.profileImage;
+                            const username = String(participant.username || '').replace('@', '');
+                            return html`
+                                <div class="participant-item">
+                                    <img src="${Template.url(profileImage, { allowDataImages: true }) || Template.avatar(participant.name)}" 
+                                         alt="${participant.name}" 
+                                         class="participant-modal-avatar"
+                                         data-fallback="${participant.name || username}">
+                                    <div class="participant-info">
+                                        <div class="participant-name">${participant.name}</div>
+                                        <div class="participant-username">
+                                            <a href="https://x.com/${encodeURIComponent(username)}" target="_blank">@${username}</a>
+                                        </div>
+                                    </div>
                                 </div>
-                            </div>
-                        </div>
-                    `;
-                });
-                
-                modalContent += `
-                        </div>
+                            `;
+                        })}
                     </div>
-                `;
-            }
+                </div>
+            `;
         });
         
-        modalContent += `</div>`;
+        const modalContent = html`
+            <div class="participants-modal-content">
+                <h3>Participants in "${spaceTitle}"</h3>
+                <p class="participants-count">Total: ${participantsData.totalParticipants || participantsData.participants.length} participants</p>
+                ${sectionsHTML}
+            </div>
+        `;
         
         // Show modal with custom HTML content
         this.openWithHTML('Participants', modalContent);
@@ -1,11 +1,28 @@
 /**
  * Override Manager - Handles admin space override functionality
+ * - Validates pasted space URLs and extracts the space ID; many can be pasted at once
+ * - Keeps a queue of submitted overrides in localStorage with the history of each
+ * - Tracks each override through pending, recording and done (or failed) from the spaces
+ *   and files the dashboard loads
+ * - Overrides can be cancelled while active and retried once failed or cancelled
+ * - Override badges in the space list link to their entry in the queue
  */
 
 class OverrideManager {
     constructor() {
+        this.storageKey = environment.scopedName('audiohub-overrides');
+        this.maxEntries = 200;
+        this.maxLookups = 20;          // Space details fetched per refresh for overrides not in the list
+
+        this.entries = [];             // [{ spaceId, url, status, submittedAt, updatedAt, history }]
+        this.pending = new Set();      // Space IDs with a request in flight
+
         this.overrideElement = null;
         this.inputElement = null;
+        this.queueElement = null;
+        this.queueToggleElement = null;
+
+        this.load();
         this.init();
     }
 
@@ -27,19 +44,76 @@ class OverrideManager {
     waitForDependencies() {
         if (window.Utils && window.CONFIG) {
             this.createOverrideUI();
+            this.setupTracking();
         } else {
             // Retry after a short delay
             setTimeout(() => this.waitForDependencies(), 100);
         }
     }
 
+    /**
+     * Read the queue from localStorage
+     */
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            this.entries = Array.isArray(stored) ? stored : [];
+        } catch (error) {
+            console.warn('⚠️ Failed to read override queue from storage:', error.message);
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.entries.slice(0, this.maxEntries)));
+        } catch (error) {
+            console.warn('⚠️ Failed to save override queue:', error.message);
+        }
+    }
+
+    /**
+     * Extract the space ID from a space URL (or a bare ID)
+     * @param {string} input - e.g. https://x.com/i/spaces/1YqKDqWqdPjKV
+     * @returns {string|null} Space ID, or null when it isn't a space
+     */
+    parseSpaceId(input) {
+        const value = String(input || '').trim();
+        const urlMatch = value.match(/^(?:https?:\/\/)?(?:www\.|mobile\.)?(?:x|twitter)\.com\/i\/spaces\/([A-Za-z0-9]+)(?:[/?#].*)?$/i);
+        if (urlMatch) return urlMatch[1];
+
+        return /^[A-Za-z0-9]{10,20}$/.test(value) ? value : null;
+    }
+
+    getSpaceUrl(spaceId) {
+        return `https://x.com/i/spaces/${spaceId}`;
+    }
+
+    getEntry(spaceId) {
+        return this.entries.find(entry => entry.spaceId === spaceId) || null;
+    }
+
+    isActive(entry) {
+        return entry.status === 'pending' || entry.status === 'recording';
+    }
+
+    /**
+     * Move an entry to a new status and record it in its history
+     */
+    setStatus(entry, status, note = '') {
+        if (entry.status === status && !note) return;
+
+        entry.status = status;
+        entry.updatedAt = new Date().toISOString();
+        entry.history.push({ status: status, at: entry.updatedAt, note: note });
+    }
+
     /**
      * Create and inject the override UI
      */
     createOverrideUI() {
         const container = document.querySelector('.container');
         const spacesContainer = document.querySelector('.spaces-container');
-        
+
         if (!container || !spacesContainer) {
             console.warn('Override Manager: Required elements not found');
             return;
@@ -47,13 +121,26 @@ class OverrideManager {
 
         // Create override section HTML
         const overrideHTML = `
-            <div class="admin-override-section">
+            <div class="admin-override-section admin-only">
                 <div class="override-container">
-                    <input type="text" 
-                           id="overrideInput" 
-                           placeholder="https://x.com/i/spaces/..." 
+                    <input type="text"
+                           id="overrideInput"
+                           placeholder="https://x.com/i/spaces/..."
                            class="override-input">
                     <button class="btn btn-secondary override-btn">Add Override</button>
+                    <button class="btn btn-secondary override-queue-toggle" id="overrideQueueToggle"></button>
+                </div>
+                <div class="override-queue" id="overrideQueue">
+                    <div class="override-bulk">
+                        <textarea id="overrideBulkInput" class="override-input" rows="3"
+                                  placeholder="Paste several space URLs, one per line"></textarea>
+                        <button class="btn btn-secondary" id="overrideBulkAdd">Add All</button>
+                    </div>
+                    <div class="override-queue-header">
+                        <button class="btn btn-secondary" data-override-action="refresh">Refresh status</button>
+                        <button class="btn btn-secondary" data-override-action="clear">Clear finished</button>
+                    </div>
+                    <div class="override-entries" id="overrideEntries"></div>
                 </div>
             </div>
         `;
@@ -64,6 +151,8 @@ class OverrideManager {
         // Get references to elements
         this.overrideElement = document.querySelector('.admin-override-section');
         this.inputElement = document.getElementById('overrideInput');
+        this.queueElement = document.getElementById('overrideQueue');
+        this.queueToggleElement = document.getElementById('overrideQueueToggle');
         const buttonElement = document.querySelector('.override-btn');
 
         // Set up event listeners
@@ -78,57 +167,435 @@ class OverrideManager {
                 }
             });
         }
+
+        this.queueToggleElement.addEventListener('click', () => this.toggleQueue());
+
+        document.getElementById('overrideBulkAdd').addEventListener('click', () => this.submitBulk());
+
+        document.getElementById('overrideEntries').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-override-action]');
+            if (button) {
+                const { spaceId } = button.closest('.override-entry').dataset;
+                if (button.dataset.overrideAction === 'cancel') this.cancel(spaceId);
+                if (button.dataset.overrideAction === 'retry') this.sendOverride(this.getSpaceUrl(spaceId));
+                if (button.dataset.overrideAction === 'remove') this.remove(spaceId);
+                return;
+            }
+
+            const spaceLink = e.target.closest('[data-override-view]');
+            if (spaceLink) {
+                e.preventDefault();
+                dashboard.viewSpaceDetails(spaceLink.dataset.overrideView);
+            }
+        });
+
+        this.queueElement.querySelector('.override-queue-header').addEventListener('click', (e) => {
+            const action = e.target.closest('[data-override-action]')?.dataset.overrideAction;
+            if (action === 'refresh') this.refreshStatuses({ lookup: true });
+            if (action === 'clear') this.clearFinished();
+        });
+
+        // Override badges in the space list open their queue entry
+        document.addEventListener('click', (e) => {
+            const badge = e.target.closest('[data-override-space]');
+            if (!badge) return;
+
+            e.preventDefault();
+            e.stopPropagation();
+            if (!auth.isAdmin()) return;
+            this.showEntry(badge.dataset.overrideSpace);
+        }, true);
+
+        this.render();
     }
 
     /**
-     * Submit override to API
+     * Follow the spaces and files the dashboard loads to move overrides along
+     */
+    setupTracking() {
+        auth.onChange(() => this.render());
+        if (window.liveUpdates) {
+            liveUpdates.onSpacesUpdated(() => this.refreshStatuses());
+        }
+        if (window.api) {
+            api.onSync((event) => {
+                if (event.type === 'revalidated' && (event.resource === 'files' || event.resource === 'spaces')) {
+                    this.refreshStatuses();
+                }
+            });
+        }
+    }
+
+    toggleQueue(open = !this.queueElement.classList.contains('open')) {
+        this.queueElement.classList.toggle('open', open);
+        this.queueToggleElement.classList.toggle('open', open);
+        if (open) this.refreshStatuses({ lookup: true });
+    }
+
+    /**
+     * Open the queue scrolled to one override
+     */
+    showEntry(spaceId) {
+        if (!this.queueElement) return;
+
+        this.toggleQueue(true);
+        const element = this.queueElement.querySelector(`.override-entry[data-space-id="${CSS.escape(spaceId)}"]`);
+        if (!element) {
+            Utils.showMessage('This override was not submitted from this browser');
+            return;
+        }
+
+        element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        element.classList.add('highlighted');
+        setTimeout(() => element.classList.remove('highlighted'), 2000);
+    }
+
+    /**
+     * Submit the override in the input
      */
     async submitOverride() {
         if (!this.inputElement) return;
 
         const url = this.inputElement.value.trim();
-        
+
         if (!url) return;
-        
+
+        if (await this.sendOverride(url)) {
+            this.inputElement.value = '';
+        }
+    }
+
+    /**
+     * Submit every space URL pasted into the bulk input, one at a time
+     */
+    async submitBulk() {
+        const bulkInput = document.getElementById('overrideBulkInput');
+        const lines = bulkInput.value.split(/[\s,]+/).filter(Boolean);
+        if (lines.length === 0) return;
+
+        const invalid = lines.filter(line => !this.parseSpaceId(line));
+        const spaceIds = [...new Set(lines.map(line => this.parseSpaceId(line)).filter(Boolean))];
+        let added = 0;
+        let failed = 0;
+
+        for (const spaceId of spaceIds) {
+            const entry = this.getEntry(spaceId);
+            if (entry && this.isActive(entry)) continue;
+
+            if (await this.sendOverride(this.getSpaceUrl(spaceId), { quiet: true })) {
+                added++;
+            } else {
+                failed++;
+            }
+        }
+
+        const summary = [`Added ${added} override${added === 1 ? '' : 's'}`];
+        if (failed > 0) summary.push(`${failed} failed`);
+        if (invalid.length > 0) summary.push(`${invalid.length} not a space URL`);
+        Utils.showMessage(summary.join(', '), failed + invalid.length > 0 ? CONFIG.MESSAGE_TYPES.ERROR : CONFIG.MESSAGE_TYPES.SUCCESS);
+
+        // Keep whatever couldn't be added so it can be fixed up
+        bulkInput.value = invalid.concat(spaceIds
+            .filter(spaceId => this.getEntry(spaceId)?.status === 'failed')
+            .map(spaceId => this.getSpaceUrl(spaceId))).join('\n');
+    }
+
+    /**
+     * Submit an override to the API and track it in the queue
+     * @param {string} url - Space URL
+     * @param {Object} options - { quiet } to skip the result message
+     * @returns {Promise<boolean>} Whether the override was accepted
+     */
+    async sendOverride(url, options = {}) {
+        if (!auth.isAdmin()) {
+            Utils.showMessage('Sign in as an admin to add overrides');
+            return false;
+        }
+
+        const spaceId = this.parseSpaceId(url);
+        if (!spaceId) {
+            Utils.showMessage(`Not a space URL: ${url}`);
+            return false;
+        }
+
+        const existing = this.getEntry(spaceId);
+        if (existing && this.isActive(existing)) {
+            if (!options.quiet) Utils.showMessage('This space already has an active override');
+            return false;
+        }
+        if (this.pending.has(spaceId)) return false;
+
+        const entry = existing || {
+            spaceId: spaceId,
+            url: this.getSpaceUrl(spaceId),
+            status: null,
+            submittedAt: null,
+            updatedAt: null,
+            history: []
+        };
+        if (!existing) this.entries.unshift(entry);
+
+        this.pending.add(spaceId);
+        this.render();
+
+        const result = await this.requestOverride('POST', entry.url);
+        this.pending.delete(spaceId);
+
+        if (result.ok) {
+            entry.submittedAt = new Date().toISOString();
+            this.setStatus(entry, 'pending', existing ? 'Retried' : 'Submitted');
+            this.updateStatus(entry, this.findSpace(spaceId));
+            if (!options.quiet) Utils.showMessage('Override added successfully', CONFIG.MESSAGE_TYPES.SUCCESS);
+        } else {
+            this.setStatus(entry, 'failed', result.error);
+            if (!options.quiet) Utils.showMessage(`Failed to add override${result.error ? ` (${result.error})` : ''}`);
+        }
+
+        this.save();
+        this.render();
+        this.refreshSpaceCard(spaceId);
+        return result.ok;
+    }
+
+    /**
+     * Cancel an active override
+     */
+    async cancel(spaceId) {
+        if (!auth.isAdmin()) return;
+
+        const entry = this.getEntry(spaceId);
+        if (!entry || !this.isActive(entry) || this.pending.has(spaceId)) return;
+
+        this.pending.add(spaceId);
+        this.render();
+
+        const result = await this.requestOverride('DELETE', entry.url);
+        this.pending.delete(spaceId);
+
+        if (result.ok) {
+            this.setStatus(entry, 'cancelled', 'Cancelled');
+            this.save();
+            Utils.showMessage('Override cancelled', CONFIG.MESSAGE_TYPES.SUCCESS);
+        } else {
+            Utils.showMessage(`Failed to cancel override${result.error ? ` (${result.error})` : ''}`);
+        }
+
+        this.render();
+        this.refreshSpaceCard(spaceId);
+    }
+
+    remove(spaceId) {
+        this.entries = this.entries.filter(entry => entry.spaceId !== spaceId);
+        this.save();
+        this.render();
+    }
+
+    clearFinished() {
+        this.entries = this.entries.filter(entry => this.isActive(entry) || this.pending.has(entry.spaceId));
+        this.save();
+        this.render();
+    }
+
+    /**
+     * Send a request to the override endpoint
+     * @param {string} method - 'POST' to add, 'DELETE' to cancel
+     * @param {string} url - Space URL
+     * @returns {Promise<Object>} { ok, error }
+     */
+    async requestOverride(method, url) {
         try {
-            const response = await fetch('https://jv5hzflmnb.execute-api.us-east-2.amazonaws.com/prod/spaces/override', {
-                method: 'POST',
+            const response = await auth.fetch(`${api.baseUrl}spaces/override`, {
+                method: method,
                 headers: {
                     'Content-Type': 'application/json'
                 },
                 body: JSON.stringify({ url: url })
             });
-            
+
             // Try to get response text regardless of status
             const responseText = await response.text();
-            
+
             if (response.ok) {
-                Utils.showMessage('Override added successfully', CONFIG.MESSAGE_TYPES.SUCCESS);
-                this.inputElement.value = '';
-            } else {
-                // Show the actual error from the server
-                let errorMessage = `Failed to add override (${response.status})`;
-                try {
-                    const errorData = JSON.parse(responseText);
-                    if (errorData.error) {
-                        errorMessage += `: ${errorData.error}`;
-                    }
-                } catch (e) {
-                    // If response isn't JSON, show raw text
-                    if (responseText) {
-                        errorMessage += `: ${responseText}`;
-                    }
+                return { ok: true, error: null };
+            }
+
+            // Keep the actual error from the server
+            let errorMessage = `${response.status}`;
+            try {
+                const errorData = JSON.parse(responseText);
+                if (errorData.error) {
+                    errorMessage += `: ${errorData.error}`;
+                }
+            } catch (e) {
+                // If response isn't JSON, keep raw text
+                if (responseText) {
+                    errorMessage += `: ${responseText}`;
                 }
-                Utils.showMessage(errorMessage);
             }
+            return { ok: false, error: errorMessage };
         } catch (error) {
-            Utils.showMessage(`Network error: ${error.message}`);
+            return { ok: false, error: `Network error: ${error.message}` };
         }
     }
+
+    /**
+     * The loaded space an override is for, if any
+     */
+    findSpace(spaceId) {
+        if (!window.dashboard) return null;
+        return dashboard.allSpaces.find(space => space.spaceId === spaceId || space._id === spaceId) || null;
+    }
+
+    /**
+     * Move an active override along based on its space and the audio archive
+     * A re-submitted override starts from a space that already ended without audio or
+     * with a failed status, so failures only count once they postdate the submission
+     * @returns {boolean} Whether the status changed
+     */
+    updateStatus(entry, space) {
+        if (!this.isActive(entry)) return false;
+        const before = entry.status;
+
+        const hasAudio = space ?
+            healthMonitor.hasAudio(space) :
+            !!api.getAudioPlaylistBySpaceId(entry.spaceId);
+        const submittedAt = new Date(entry.submittedAt || 0).getTime();
+        const updatedAt = new Date(space?.lastUpdated || 0).getTime();
+
+        if (hasAudio) {
+            this.setStatus(entry, 'done', 'Audio file found');
+        } else if (space && healthMonitor.isFailed(space) && (!entry.submittedAt || updatedAt > submittedAt)) {
+            this.setStatus(entry, 'failed', `Recording status: ${space.recordingStatus}`);
+        } else if (space?.isLive) {
+            this.setStatus(entry, 'recording');
+        } else if (space && healthMonitor.shouldBeRecorded(space) &&
+            Date.now() - submittedAt >= CONFIG.HEALTH.RECORDING_GRACE_PERIOD) {
+            this.setStatus(entry, 'failed', 'Ended with no audio file');
+        }
+
+        return entry.status !== before;
+    }
+
+    /**
+     * Update active overrides from the loaded spaces
+     * @param {Object} options - { lookup } to fetch details for spaces that aren't loaded
+     */
+    async refreshStatuses(options = {}) {
+        const active = this.entries.filter(entry => this.isActive(entry));
+        let changed = false;
+        let lookups = 0;
+
+        for (const entry of active) {
+            let space = this.findSpace(entry.spaceId);
+
+            if (!space && options.lookup && lookups < this.maxLookups) {
+                lookups++;
+                try {
+                    const response = await api.getSpaceDetails(entry.spaceId, { force: true });
+                    space = response?.data || null;
+                } catch (error) {
+                    console.warn(`⚠️ Could not look up override ${entry.spaceId}:`, error.message);
+                }
+            }
+
+            if (this.updateStatus(entry, space)) {
+                changed = true;
+                this.refreshSpaceCard(entry.spaceId);
+            }
+        }
+
+        if (changed) this.save();
+        this.render();
+    }
+
+    /**
+     * Redraw a space's card so its override badge shows the new status
+     */
+    refreshSpaceCard(spaceId) {
+        const space = this.findSpace(spaceId);
+        if (space && dashboard.spaceList) {
+            dashboard.spaceList.updateItem(space);
+        }
+    }
+
+    /**
+     * Override badge for a space card; links to the queue entry when there is one
+     */
+    createOverrideBadgeHTML(space) {
+        const entry = this.getEntry(space.spaceId) || this.getEntry(space._id);
+        if (!entry) {
+            return html`<span class="override-icon">⚡ Override</span>`;
+        }
+
+        return html`<a href="#" class="override-icon" data-override-space="${entry.spaceId}" title="Show in override queue">⚡ Override · ${this.getStatusLabel(entry.status)}</a>`;
+    }
+
+    getStatusLabel(status) {
+        const labels = { pending: 'Pending', recording: 'Recording', done: 'Done', failed: 'Failed', cancelled: 'Cancelled' };
+        return labels[status] || 'Submitting';
+    }
+
+    /**
+     * Render the queue toggle and entries
+     */
+    render() {
+        const entriesElement = document.getElementById('overrideEntries');
+        if (!entriesElement) return;
+
+        const activeCount = this.entries.filter(entry => this.isActive(entry)).length;
+        this.queueToggleElement.textContent = `Queue (${activeCount})`;
+
+        entriesElement.innerHTML = this.entries.length === 0 ?
+            html`<div class="override-empty">No overrides submitted from this browser yet.</div>` :
+            html`${this.entries.map(entry => this.createEntryHTML(entry))}`;
+    }
+
+    createEntryHTML(entry) {
+        const isBusy = this.pending.has(entry.spaceId);
+        const space = this.findSpace(entry.spaceId);
+        const status = isBusy ? 'busy' : entry.status || 'busy';
+        const title = space ?
+            html`<a href="#" class="override-entry-title" data-override-view="${space._id}">${space.title || 'Untitled Space'}</a>` :
+            html`<a href="${Template.url(entry.url)}" class="override-entry-title" target="_blank">${entry.spaceId}</a>`;
+
+        let actions = '';
+        if (!isBusy && this.isActive(entry)) {
+            actions = html`<button class="btn btn-secondary" data-override-action="cancel">Cancel</button>`;
+        } else if (!isBusy) {
+            actions = html`
+                <button class="btn btn-secondary" data-override-action="retry">Retry</button>
+                <button class="btn btn-secondary" data-override-action="remove">Remove</button>
+            `;
+        }
+
+        return html`
+            <div class="override-entry" data-space-id="${entry.spaceId}">
+                <div class="override-entry-main">
+                    <span class="override-status status-${status}">${isBusy ? 'Sending...' : this.getStatusLabel(entry.status)}</span>
+                    ${title}
+                    ${space?.host ? html`<span class="override-entry-host">@${space.host}</span>` : ''}
+                    <span class="override-entry-actions">${actions}</span>
+                </div>
+                ${entry.history.length > 0 ? html`
+                    <details class="override-history">
+                        <summary>History (${entry.history.length})</summary>
+                        <ul>
+                            ${entry.history.slice().reverse().map(item => html`
+                                <li>
+                                    <span class="override-history-time">${new Date(item.at).toLocaleString()}</span>
+                                    ${this.getStatusLabel(item.status)}${item.note ? ` – ${item.note}` : ''}
+                                </li>
+                            `)}
+                        </ul>
+                    </details>
+                ` : ''}
+            </div>
+        `;
+    }
 }
 
 // Initialize override manager
 const overrideManager = new OverrideManager();
 
 // Make globally available for debugging
-window.overrideManager = overrideManager;
\ No newline at end of file
+window.overrideManager = overrideManager;
@@ -0,0 +1,58 @@
+/**
+ * Page Navigator - Coordinates the pages shown in place of the space list
+ * - One page is open at a time; opening another hands over without a trip back to the list
+ * - Remembers where the list was scrolled and returns there when the page closes
+ *
+ * Pages call enter(this) when they open and leave(this, options) from close(options).
+ * close({ handOff: true }) must close without notifying, as another page is taking over.
+ */
+
+class PageNavigator {
+    constructor() {
+        this.current = null;
+        this.returnScrollY = 0;
+    }
+
+    /**
+     * Show a page in place of the space list
+     * @param {Object} page - Page with a close(options) method
+     */
+    enter(page) {
+        if (this.current && this.current !== page) {
+            this.current.close({ handOff: true });
+        } else if (!this.current) {
+            this.returnScrollY = window.scrollY;
+        }
+
+        this.current = page;
+        if (window.modal && modal.isOpen()) {
+            modal.closeAll({ restoreFocus: false });
+        }
+
+        document.body.classList.add('page-open');
+        window.scrollTo(0, 0);
+    }
+
+    /**
+     * A page closed; go back to the list unless another page is taking over
+     * @param {Object} page - The closing page
+     * @param {Object} options - { handOff }
+     */
+    leave(page, options = {}) {
+        if (this.current !== page) return;
+        this.current = null;
+
+        if (!options.handOff) {
+            document.body.classList.remove('page-open');
+            window.scrollTo(0, this.returnScrollY);
+        }
+    }
+
+    isPageOpen() {
+        return this.current !== null;
+    }
+}
+
+// Create global instance
+const pageNavigator = new PageNavigator();
+window.pageNavigator = pageNavigator;
@@ -0,0 +1,493 @@
+/**
+ * Participant Directory - People index across every cached space
+ * - Indexes the participant lists in api's participants cache (loaded or hydrated from storage)
+ * - Ranks people by how many spaces they appeared in for each role
+ * - Person pages answer "which spaces did @user host/speak/listen in"
+ * - Avatars on cards link to person pages; names in the participants modal open the
+ *   person on top of it, and their spaces' details on top of that
+ */
+
+class ParticipantDirectory {
+    constructor() {
+        this.roles = ['host', 'co-host', 'speaker', 'listener'];
+        this.roleLabels = { host: 'Hosts', 'co-host': 'Co-hosts', speaker: 'Speakers', listener: 'Listeners' };
+        this.pageSize = 50;           // People listed per role in the directory
+
+        this.people = new Map();      // username -> { username, name, profileImage, spaces: { role: [spaceIds] } }
+        this.isDirty = true;          // Rebuilt on next read after participants change
+
+        this.element = null;
+        this.entryElement = null;
+        this.isOpenState = false;
+        this.person = null;           // Username of the person page, null for the directory
+        this.role = 'speaker';        // Role the directory is ranked by
+        this.query = '';
+        this.renderToken = 0;
+        this.onChange = null;
+
+        this.init();
+    }
+
+    /**
+     * Initialize the directory once the DOM is ready
+     */
+    init() {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.setup());
+        } else {
+            this.setup();
+        }
+    }
+
+    setup() {
+        const spacesContainer = document.querySelector('.spaces-container');
+        if (!spacesContainer) {
+            console.warn('Participant Directory: Required elements not found');
+            return;
+        }
+
+        spacesContainer.insertAdjacentHTML('beforebegin', `
+            <div class="page-entry">
+                <button class="filter-toggle" id="peopleToggle">👥 People</button>
+            </div>
+        `);
+        spacesContainer.insertAdjacentHTML('afterend', '<div class="participant-directory" id="participantDirectory"></div>');
+
+        this.entryElement = document.getElementById('peopleToggle');
+        this.element = document.getElementById('participantDirectory');
+        this.setupEventListeners();
+
+        const scheduleRender = Utils.debounce(() => this.render(), 500);
+        participantScheduler.onLoaded(() => {
+            this.isDirty = true;
+            if (this.isOpenState) scheduleRender();
+        });
+    }
+
+    setupEventListeners() {
+        this.entryElement.addEventListener('click', () => this.showDirectory());
+
+        // Person links anywhere in the dashboard (avatars, participant lists)
+        document.addEventListener('click', (e) => {
+            const link = e.target.closest('[data-person]');
+            if (!link || e.ctrlKey || e.metaKey || e.shiftKey) return;
+
+            e.preventDefault();
+            e.stopPropagation();
+            if (link.closest('.modal')) {
+                this.showPersonModal(link.dataset.person);
+            } else {
+                this.showPerson(link.dataset.person);
+            }
+        }, true);
+
+        this.element.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-directory-action]');
+            if (!button) return;
+
+            const action = button.dataset.directoryAction;
+            if (action === 'back') {
+                this.close();
+            } else if (action === 'directory') {
+                this.showDirectory();
+            } else if (action === 'role') {
+                this.role = button.dataset.role;
+                this.render();
+            } else if (action === 'details') {
+                dashboard.viewSpaceDetails(button.dataset.spaceId);
+            }
+        });
+
+        this.element.addEventListener('input', Utils.debounce((e) => {
+            if (e.target.id !== 'peopleSearch') return;
+            this.query = e.target.value.trim().toLowerCase();
+            this.renderRanking();
+        }, 200));
+    }
+
+    /**
+     * Set callback for when the directory opens, changes page or closes
+     */
+    setOnChange(callback) {
+        this.onChange = callback;
+    }
+
+    /**
+     * Normalize a username for comparison
+     */
+    normalizeHandle(handle) {
+        return String(handle || '').replace(/[@=]/g, '').trim().toLowerCase();
+    }
+
+    /**
+     * Rebuild the index from every cached participant list
+     */
+    buildIndex() {
+        this.people.clear();
+
+        Object.entries(api.getParticipantsCache()).forEach(([spaceId, participantsData]) => {
+            if (!participantsData || !Array.isArray(participantsData.participants)) return;
+
+            participantsData.participants.forEach(participant => {
+                const username = this.normalizeHandle(participant.username);
+                if (!username) return;
+
+                const role = this.roles.includes((participant.role || '').toLowerCase()) ?
+                    participant.role.toLowerCase() :
+                    'listener';
+
+                let person = this.people.get(username);
+                if (!person) {
+                    person = { username, name: participant.name || username, profileImage: participant.profileImage || null, spaces: {} };
+                    this.roles.forEach(key => {
+                        person.spaces[key] = [];
+                    });
+                    this.people.set(username, person);
+                }
+
+                if (!person.spaces[role].includes(spaceId)) {
+                    person.spaces[role].push(spaceId);
+                }
+            });
+        });
+
+        this.isDirty = false;
+        console.log(`👥 Indexed ${this.people.size} people across cached spaces`);
+    }
+
+    getIndex() {
+        if (this.isDirty) this.buildIndex();
+        return this.people;
+    }
+
+    /**
+     * @param {string} username - With or without @
+     * @returns {Object|null} Person entry
+     */
+    getPerson(username) {
+        return this.getIndex().get(this.normalizeHandle(username)) || null;
+    }
+
+    /**
+     * Spaces a person appeared in
+     * @param {string} username - With or without @
+     * @param {string} role - Only this role, or every role when omitted
+     * @returns {Array<string>} Space ids
+     */
+    getSpacesFor(username, role = null) {
+        const person = this.getPerson(username);
+        if (!person) return [];
+        if (role) return [...(person.spaces[role] || [])];
+        return [...new Set(this.roles.flatMap(key => person.spaces[key]))];
+    }
+
+    /**
+     * People ranked by appearances in a role
+     * @returns {Array<Object>} [{ person, count }]
+     */
+    rank(role, limit = this.pageSize, query = '') {
+        return [...this.getIndex().values()]
+            .filter(person => person.spaces[role].length > 0)
+            .filter(person => !query || person.username.includes(query) || person.name.toLowerCase().includes(query))
+            .map(person => ({ person, count: person.spaces[role].length }))
+            .sort((a, b) => b.count - a.count || a.person.username.localeCompare(b.person.username))
+            .slice(0, limit);
+    }
+
+    /**
+     * Space objects for ids: loaded spaces first, then cached pages and details
+     * @returns {Promise<Map>} spaceId -> space (spaces not found anywhere are missing)
+     */
+    async resolveSpaces(spaceIds) {
+        const resolved = new Map();
+        spaceIds.forEach(spaceId => {
+            const space = dashboard.findSpaceById(spaceId);
+            if (space) resolved.set(spaceId, space);
+        });
+
+        if (resolved.size === spaceIds.length) return resolved;
+
+        try {
+            const wanted = new Set(spaceIds.filter(spaceId => !resolved.has(spaceId)));
+            const pages = await api.cache.getAllByResource('spaces');
+            const details = await api.cache.getAllByResource('spaceDetails');
+
+            const cachedSpaces = [
+                ...pages.flatMap(entry => entry.data?.data || []),
+                ...details.map(entry => entry.data?.data).filter(Boolean)
+            ];
+            cachedSpaces.forEach(space => {
+                if (wanted.has(space._id) && !resolved.has(space._id)) {
+                    resolved.set(space._id, space);
+                }
+            });
+        } catch (error) {
+            console.warn('⚠️ Failed to read cached spaces:', error.message);
+        }
+
+        return resolved;
+    }
+
+    /**
+     * Link markup that opens a person's page
+     */
+    createPersonLinkHTML(username, text = null) {
+        const handle = this.normalizeHandle(username);
+        return html`<a href="?person=${encodeURIComponent(handle)}" data-person="${handle}">${text || `@${handle}`}</a>`;
+    }
+
+    /**
+     * Show the directory in place of the space list
+     */
+    open() {
+        if (!this.element) return false;
+
+        pageNavigator.enter(this);
+        this.isOpenState = true;
+        document.body.classList.add('participant-directory-open');
+        return true;
+    }
+
+    showDirectory() {
+        if (!this.open()) return;
+
+        this.person = null;
+        this.render();
+        if (typeof this.onChange === 'function') this.onChange(this.getState());
+    }
+
+    /**
+     * @param {string} username - With or without @
+     */
+    showPerson(username) {
+        const handle = this.normalizeHandle(username);
+        if (!handle || !this.open()) return;
+
+        this.person = handle;
+        this.render();
+        if (typeof this.onChange === 'function') this.onChange(this.getState());
+    }
+
+    /**
+     * Show a person's spaces in a modal on top of the current one
+     * @param {string} username - With or without @
+     */
+    async showPersonModal(username) {
+        const handle = this.normalizeHandle(username);
+        if (!handle) return;
+
+        const depth = modal.getDepth();
+        const person = this.getPerson(handle);
+        const spaces = person ? await this.resolveSpaces(this.getSpacesFor(handle)) : new Map();
+        if (modal.getDepth() !== depth) return;  // Closed or moved on while the spaces loaded
+
+        const body = modal.openWithHTML(person?.name || `@${handle}`, html`
+            <div class="directory-modal">
+                <p class="directory-note">
+                    ${person ? this.createAvatarHTML(person) : ''} @${handle}
+                    <button type="button" class="btn btn-secondary" data-directory-action="page">Person page</button>
+                </p>
+                ${person ?
+                    this.createPersonSummaryHTML(person, spaces) :
+                    html`<p class="directory-empty">@${handle} doesn't appear in any cached participant list.</p>`}
+            </div>
+        `, null, { stack: true });
+
+        body.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-directory-action]');
+            if (!button) return;
+
+            if (button.dataset.directoryAction === 'page') {
+                this.showPerson(handle);
+            } else if (button.dataset.directoryAction === 'details') {
+                dashboard.viewSpaceDetails(button.dataset.spaceId, { stack: true });
+            }
+        });
+    }
+
+    /**
+     * Return to the space list where it was left
+     * @param {Object} options - { handOff } when another page is taking over
+     */
+    close(options = {}) {
+        if (!this.isOpenState) return;
+
+        this.isOpenState = false;
+        this.person = null;
+        document.body.classList.remove('participant-directory-open');
+        this.element.innerHTML = '';
+        pageNavigator.leave(this, options);
+
+        if (!options.handOff && typeof this.onChange === 'function') this.onChange(null);
+    }
+
+    isOpen() {
+        return this.isOpenState;
+    }
+
+    /**
+     * What's shown, for URL state
+     * @returns {Object|null} { person } (null person for the directory), or null when closed
+     */
+    getState() {
+        return this.isOpenState ? { person: this.person } : null;
+    }
+
+    render() {
+        if (!this.element || !this.isOpenState) return;
+
+        if (this.person) {
+            this.renderPerson(this.person);
+        } else {
+            this.renderDirectory();
+        }
+    }
+
+    renderDirectory() {
+        const people = this.getIndex();
+        const spaceCount = Object.values(api.getParticipantsCache()).filter(Boolean).length;
+
+        this.element.innerHTML = html`
+            <div class="directory-header">
+                <button type="button" class="btn btn-secondary" data-directory-action="back">← All spaces</button>
+                <h2>People</h2>
+            </div>
+            <p class="directory-note">${people.size} people across ${spaceCount} spaces with cached participants.</p>
+            <div class="directory-controls">
+                <input type="text" class="filter-input" id="peopleSearch" placeholder="Search people..." value="${this.query}">
+                <div class="directory-tabs">
+                    ${this.roles.map(role => html`
+                        <button type="button" class="btn ${role === this.role ? 'btn-primary' : 'btn-secondary'}"
+                                data-directory-action="role" data-role="${role}">${this.roleLabels[role]}</button>
+                    `)}
+                </div>
+            </div>
+            <div id="peopleRanking"></div>
+        `;
+
+        this.renderRanking();
+    }
+
+    renderRanking() {
+        const container = this.element.querySelector('#peopleRanking');
+        if (!container) return;
+
+        const ranking = this.rank(this.role, this.pageSize, this.query);
+        if (ranking.length === 0) {
+            container.innerHTML = html`<p class="directory-empty">No one found.</p>`;
+            return;
+        }
+
+        container.innerHTML = html`
+            <ol class="directory-ranking">
+                ${ranking.map(({ person, count }) => html`
+                    <li>
+                        ${this.createAvatarHTML(person)}
+                        <span class="directory-person">
+                            ${this.createPersonLinkHTML(person.username, person.name)}
+                            <span class="directory-username">@${person.username}</span>
+                        </span>
+                        <span class="directory-count">${count} space${count === 1 ? '' : 's'}</span>
+                    </li>
+                `)}
+            </ol>
+        `;
+    }
+
+    async renderPerson(username) {
+        const token = ++this.renderToken;
+        const person = this.getPerson(username);
+
+        const headerHTML = html`
+            <div class="directory-header">
+                <button type="button" class="btn btn-secondary" data-directory-action="back">← All spaces</button>
+                <button type="button" class="btn btn-secondary" data-directory-action="directory">All people</button>
+                <h2>${person ? this.createAvatarHTML(person) : ''} ${person?.name || `@${username}`}</h2>
+                <a href="https://x.com/${encodeURIComponent(username)}" target="_blank" class="btn btn-primary">Open on X</a>
+            </div>
+        `;
+
+        if (!person) {
+            this.element.innerHTML = html`${headerHTML}
+                <p class="directory-empty">@${username} doesn't appear in any cached participant list.</p>`;
+            return;
+        }
+
+        const spaces = await this.resolveSpaces(this.getSpacesFor(username));
+        if (token !== this.renderToken || this.person !== username) return;
+
+        this.element.innerHTML = html`${headerHTML}
+            ${this.createPersonSummaryHTML(person, spaces)}
+        `;
+    }
+
+    /**
+     * Role counts and the spaces for each role, for the person page and modal
+     */
+    createPersonSummaryHTML(person, spaces) {
+        return html`
+            <div class="host-profile-stats">
+                ${this.roles.map(role => html`
+                    <div class="host-profile-stat">
+                        <div class="host-profile-stat-value">${person.spaces[role].length}</div>
+                        <div class="host-profile-stat-label">${this.roleLabels[role]}</div>
+                    </div>
+                `)}
+            </div>
+            ${person.spaces.host.length > 0 && window.hostProfile ?
+                html`<p class="directory-note">See ${hostProfile.createHostLinkHTML(`@${person.username}`)}'s host profile for recordings and schedule.</p>` :
+                ''}
+            ${this.roles
+                .filter(role => person.spaces[role].length > 0)
+                .map(role => html`
+                    <div class="host-profile-section">
+                        <h3>${role === 'listener' ? 'Listened in' : `As ${role}`} (${person.spaces[role].length})</h3>
+                        ${this.createSpaceListHTML(person.spaces[role], spaces)}
+                    </div>
+                `)}
+        `;
+    }
+
+    createAvatarHTML(person) {
+        const profileImage = api.enhanceImageQuality(person.profileImage) || person.profileImage;
+        const src = Template.url(profileImage, { allowDataImages: true });
+        if (!src) return '';
+        return html`<img src="${src}" alt="" class="directory-avatar" data-fallback="${person.name || person.username}">`;
+    }
+
+    createSpaceListHTML(spaceIds, spaces) {
+        const items = spaceIds
+            .map(spaceId => ({ spaceId, space: spaces.get(spaceId) || null }))
+            .sort((a, b) => new Date(this.getSpaceDate(b.space) || 0) - new Date(this.getSpaceDate(a.space) || 0));
+
+        return html`
+            <div class="host-profile-history">
+                ${items.map(({ spaceId, space }) => {
+                    const date = this.getSpaceDate(space);
+                    const metaParts = [date ? new Date(date).toLocaleDateString() : 'Unknown date'];
+                    if (space?.host) metaParts.push(window.hostProfile ? hostProfile.createHostLinkHTML(space.host) : space.host);
+
+                    return html`
+                        <div class="host-profile-history-item">
+                            <div class="host-profile-history-details">
+                                <div class="host-profile-history-title">${space?.title || `Space ${spaceId}`}</div>
+                                <div class="space-metadata">${Template.join(metaParts, ' · ')}</div>
+                            </div>
+                            <div class="space-actions">
+                                <button type="button" class="btn btn-secondary" data-directory-action="details" data-space-id="${spaceId}">Details</button>
+                            </div>
+                        </div>
+                    `;
+                })}
+            </div>
+        `;
+    }
+
+    getSpaceDate(space) {
+        return space ? (space.startedAt || space.createdAt || null) : null;
+    }
+}
+
+// Create global instance
+const participantDirectory = new ParticipantDirectory();
+window.participantDirectory = participantDirectory;
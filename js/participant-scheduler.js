@@ -0,0 +1,347 @@
+/**
+ * Participant Scheduler - The single background queue for participant requests
+ * - Runs up to CONFIG.PARTICIPANT_LOADING.CONCURRENCY requests at once
+ * - Cards reported on screen by an IntersectionObserver jump the queue
+ * - Failed requests retry with exponential backoff and jitter
+ * - HTTP 429 pauses the whole queue for the server's Retry-After
+ * - pause()/resume() stop and restart work without losing queue positions
+ */
+
+class ParticipantScheduler {
+    constructor() {
+        this.concurrency = CONFIG.PARTICIPANT_LOADING.CONCURRENCY;
+        this.maxAttempts = CONFIG.PARTICIPANT_LOADING.MAX_ATTEMPTS;
+        this.retryBaseDelay = CONFIG.PARTICIPANT_LOADING.RETRY_BASE_DELAY;
+        this.retryMaxDelay = CONFIG.PARTICIPANT_LOADING.RETRY_MAX_DELAY;
+
+        // spaceId -> { spaceId, attempts, status: 'queued'|'loading', notBefore }
+        this.jobs = new Map();
+        this.failed = new Set();
+        this.visible = new Set();
+        this.active = 0;
+        this.pausedUntil = 0;
+        this.isPaused = false;
+        this.wakeTimer = null;
+        this.abortController = new AbortController();
+
+        this.loadedListeners = [];
+        this.stateListeners = [];
+
+        this.observer = typeof IntersectionObserver !== 'undefined' ?
+            new IntersectionObserver((entries) => this.onIntersection(entries), { rootMargin: '200px 0px' }) :
+            null;
+    }
+
+    /**
+     * Register a listener for each space whose participants finish loading
+     * @param {Function} callback - Receives (spaceId, participantsData)
+     */
+    onLoaded(callback) {
+        if (typeof callback === 'function') {
+            this.loadedListeners.push(callback);
+        }
+    }
+
+    /**
+     * Register a listener for queue changes (for progress indicators)
+     */
+    onStateChange(callback) {
+        if (typeof callback === 'function') {
+            this.stateListeners.push(callback);
+        }
+    }
+
+    notifyState() {
+        this.stateListeners.forEach(callback => callback(this.getProgress()));
+    }
+
+    /**
+     * Queue participant loading for spaces that don't have fresh data yet
+     * @param {Array<Object>} spaces - Space objects
+     */
+    enqueue(spaces) {
+        let added = 0;
+
+        (spaces || []).forEach(space => {
+            const spaceId = space?._id;
+            if (!spaceId || this.jobs.has(spaceId) || api.hasFreshParticipants(spaceId)) return;
+
+            this.failed.delete(spaceId);
+            this.jobs.set(spaceId, { spaceId, attempts: 0, status: 'queued', notBefore: 0 });
+            added++;
+        });
+
+        if (added > 0) {
+            console.log(`➕ Queued participant loading for ${added} spaces (${this.jobs.size} pending)`);
+            this.notifyState();
+            this.pump();
+        }
+    }
+
+    /**
+     * Drop everything queued and abort requests in flight
+     */
+    cancel() {
+        if (this.jobs.size > 0) {
+            console.log('🛑 Cancelling participant loading');
+        }
+
+        this.abortController.abort();
+        this.abortController = new AbortController();
+        this.jobs.clear();
+        this.failed.clear();
+        this.active = 0;
+        clearTimeout(this.wakeTimer);
+        this.wakeTimer = null;
+        this.notifyState();
+    }
+
+    /**
+     * Stop sending requests; requests in flight are aborted and go back in the queue
+     */
+    pause() {
+        if (this.isPaused) return;
+        this.isPaused = true;
+
+        this.abortController.abort();
+        this.abortController = new AbortController();
+        this.jobs.forEach(job => {
+            if (job.status === 'loading') {
+                job.status = 'queued';
+                job.attempts--;
+            }
+        });
+        this.active = 0;
+        clearTimeout(this.wakeTimer);
+        this.wakeTimer = null;
+
+        console.log(`⏸️ Participant loading paused (${this.jobs.size} queued)`);
+        this.notifyState();
+    }
+
+    resume() {
+        if (!this.isPaused) return;
+        this.isPaused = false;
+
+        console.log(`▶️ Participant loading resumed (${this.jobs.size} queued)`);
+        this.notifyState();
+        this.pump();
+    }
+
+    /**
+     * Watch a card so it's prioritised while on screen
+     */
+    observe(element) {
+        if (this.observer && element) {
+            this.observer.observe(element);
+        }
+    }
+
+    /**
+     * Stop watching a card that left the DOM
+     */
+    unobserve(element) {
+        if (this.observer && element) {
+            this.observer.unobserve(element);
+        }
+        if (element?.dataset.spaceId) {
+            this.visible.delete(element.dataset.spaceId);
+        }
+    }
+
+    onIntersection(entries) {
+        let becameVisible = false;
+
+        entries.forEach(entry => {
+            const spaceId = entry.target.dataset.spaceId;
+            if (!spaceId) return;
+
+            if (entry.isIntersecting) {
+                this.visible.add(spaceId);
+                becameVisible = becameVisible || this.jobs.has(spaceId);
+            } else {
+                this.visible.delete(spaceId);
+            }
+        });
+
+        if (becameVisible) this.pump();
+    }
+
+    /**
+     * Next job to run: visible cards first, otherwise in queue order
+     */
+    pickNextJob(now) {
+        let fallback = null;
+
+        for (const job of this.jobs.values()) {
+            if (job.status !== 'queued' || job.notBefore > now) continue;
+            if (this.visible.has(job.spaceId)) return job;
+            if (!fallback) fallback = job;
+        }
+
+        return fallback;
+    }
+
+    /**
+     * Start as many jobs as the concurrency limit allows
+     */
+    pump() {
+        if (this.isPaused) return;
+
+        const now = Date.now();
+
+        if (now < this.pausedUntil) {
+            this.scheduleWake(this.pausedUntil - now);
+            return;
+        }
+
+        while (this.active < this.concurrency) {
+            const job = this.pickNextJob(now);
+            if (!job) break;
+            this.run(job);
+        }
+
+        // Jobs backing off need a wake-up once their delay is over
+        const waiting = [...this.jobs.values()].filter(job => job.status === 'queued' && job.notBefore > now);
+        if (waiting.length > 0 && this.active < this.concurrency) {
+            this.scheduleWake(Math.min(...waiting.map(job => job.notBefore)) - now);
+        }
+    }
+
+    scheduleWake(delay) {
+        clearTimeout(this.wakeTimer);
+        this.wakeTimer = setTimeout(() => {
+            this.wakeTimer = null;
+            this.pump();
+        }, Math.max(0, delay));
+    }
+
+    async run(job) {
+        const signal = this.abortController.signal;
+        job.status = 'loading';
+        job.attempts++;
+        this.active++;
+        this.notifyState();
+
+        try {
+            const participantsData = await api.getSpaceParticipants(job.spaceId, signal);
+            if (signal.aborted) return;
+
+            this.jobs.delete(job.spaceId);
+            this.loadedListeners.forEach(callback => callback(job.spaceId, participantsData));
+        } catch (error) {
+            if (signal.aborted || error.message === 'Request cancelled') return;
+            this.handleFailure(job, error);
+        } finally {
+            if (!signal.aborted) {
+                this.active--;
+                this.notifyState();
+                this.pump();
+            }
+        }
+    }
+
+    /**
+     * Decide whether and when a failed job runs again
+     */
+    handleFailure(job, error) {
+        // The API has no participants for this space; getSpaceParticipants cached that
+        if (error.status === 404) {
+            this.jobs.delete(job.spaceId);
+            this.loadedListeners.forEach(callback => callback(job.spaceId, null));
+            return;
+        }
+
+        if (error.status === 429) {
+            // Rate limited: hold the whole queue, and don't count it against the job
+            const delay = this.parseRetryAfter(error.retryAfter) ?? this.getBackoffDelay(job.attempts);
+            this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delay);
+            job.attempts--;
+            job.status = 'queued';
+            console.warn(`⚠️ Participants rate limited, pausing for ${Math.round(delay / 1000)}s`);
+            return;
+        }
+
+        if (job.attempts >= this.maxAttempts) {
+            console.error(`Max retries exceeded for space ${job.spaceId}:`, error.message);
+            this.jobs.delete(job.spaceId);
+            this.failed.add(job.spaceId);
+            return;
+        }
+
+        const delay = this.getBackoffDelay(job.attempts);
+        job.status = 'queued';
+        job.notBefore = Date.now() + delay;
+        console.warn(`⚠️ Failed to load participants for space ${job.spaceId}, retrying in ${Math.round(delay)}ms:`, error.message);
+    }
+
+    /**
+     * Exponential backoff with jitter: a random delay between half and all of base * 2^(attempt-1)
+     */
+    getBackoffDelay(attempts) {
+        const ceiling = Math.min(this.retryMaxDelay, this.retryBaseDelay * Math.pow(2, Math.max(0, attempts - 1)));
+        return ceiling / 2 + Math.random() * ceiling / 2;
+    }
+
+    /**
+     * Retry-After is either delta-seconds or an HTTP date
+     * @returns {number|null} Delay in milliseconds
+     */
+    parseRetryAfter(value) {
+        if (value === null || value === undefined || value === '') return null;
+
+        const seconds = Number(value);
+        if (isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+        const date = Date.parse(value);
+        return isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    /**
+     * Loading state of one space, for card placeholders
+     * @returns {string|null} 'loading' | 'queued' | 'retrying' | 'failed' | null
+     */
+    getState(spaceId) {
+        const job = this.jobs.get(spaceId);
+        if (job) {
+            if (job.status === 'loading') return 'loading';
+            return job.attempts > 0 ? 'retrying' : 'queued';
+        }
+        return this.failed.has(spaceId) ? 'failed' : null;
+    }
+
+    /**
+     * Summary for indicators and debug output
+     */
+    getProgress() {
+        const jobs = [...this.jobs.values()];
+        const retrying = jobs.filter(job => job.status === 'queued' && job.attempts > 0).length;
+        const cached = Object.keys(api.getParticipantsCache()).length;
+
+        return {
+            isLoading: this.jobs.size > 0,
+            isPaused: this.isPaused,
+            queueLength: this.jobs.size,
+            active: this.active,
+            retrying: retrying,
+            failed: this.failed.size,
+            visible: this.visible.size,
+            isRateLimited: Date.now() < this.pausedUntil,
+            concurrency: this.concurrency,
+            cachedCount: cached,
+            progress: this.jobs.size > 0 ? `${cached} loaded, ${this.jobs.size} remaining` : 'Complete'
+        };
+    }
+
+    /**
+     * Change how many requests run at once
+     */
+    setConcurrency(concurrency) {
+        this.concurrency = Math.max(1, parseInt(concurrency, 10) || 1);
+        this.pump();
+    }
+}
+
+// Create global instance
+const participantScheduler = new ParticipantScheduler();
+window.participantScheduler = participantScheduler;
@@ -0,0 +1,829 @@
+/**
+ * Audio Player - In-page playback dock for recorded spaces
+ * - Lives outside #spacesContent so playback survives scrolling, paging and filtering
+ * - Treats every part of a multi-part recording as one ordered playlist on a single timeline
+ * - Hands off between parts on two alternating audio elements so there is no gap
+ * - Draws a waveform from the decoded audio files, skipping parts too large to decode
+ *   and keeping recent waveforms so replays don't download the files again
+ * - Supports seeking, speed presets and skipping silent stretches
+ */
+
+class AudioPlayer {
+    constructor() {
+        this.dockElement = null;
+        this.audioElements = [];
+        this.activeElementIndex = 0;
+        this.canvas = null;
+
+        // Currently loaded space and its ordered parts
+        this.space = null;
+        this.tracks = [];
+        this.currentTrackIndex = 0;
+
+        // Waveform state derived from the decoded files, one entry per part
+        this.partWaveforms = [];
+        this.silentRegions = [];
+        this.waveformToken = 0;
+
+        this.speedPresets = [0.5, 0.75, 1, 1.25, 1.5, 1.75, 2, 2.5, 3];
+        this.playbackRate = 1;
+        this.skipSilence = false;
+        this.tickHandle = null;
+
+        // Silence detection tuning
+        this.decodeSampleRate = 8000;   // Low rate keeps decoded buffers small for multi-hour files
+        this.maxWaveformBytes = 40 * 1024 * 1024;   // Larger parts decode to hundreds of MB; they get no waveform
+        this.maxCachedWaveforms = 20;   // Waveforms kept by file URL, so replays don't download again
+        this.waveformCache = new Map();
+        this.silenceThreshold = 0.02;   // RMS level treated as silence
+        this.minSilenceSeconds = 1.5;   // Shorter gaps are left alone
+        this.silencePadding = 0.25;     // Keep a little of each gap so speech isn't clipped
+
+        // Part hand-off tuning
+        this.preloadNextSeconds = 30;   // Start buffering the next part this close to the end
+        this.handoffSeconds = 0.05;     // Start the next part this close to the end
+
+        this.timeUpdateCallbacks = [];
+
+        this.init();
+    }
+
+    /**
+     * Initialize the player once the DOM is ready
+     */
+    init() {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.setup());
+        } else {
+            this.setup();
+        }
+    }
+
+    /**
+     * Create the dock and wire up its controls
+     */
+    setup() {
+        this.createDockHTML();
+        this.setupEventListeners();
+    }
+
+    /**
+     * The audio element currently producing sound
+     */
+    get audio() {
+        return this.audioElements[this.activeElementIndex] || null;
+    }
+
+    /**
+     * The idle audio element used to buffer the next part
+     */
+    get standbyAudio() {
+        return this.audioElements[1 - this.activeElementIndex] || null;
+    }
+
+    /**
+     * Create the player dock HTML
+     */
+    createDockHTML() {
+        if (document.getElementById('audioPlayerDock')) return;
+
+        const speedOptions = this.speedPresets
+            .map(rate => `<option value="${rate}"${rate === 1 ? ' selected' : ''}>${rate}x</option>`)
+            .join('');
+
+        const dockHTML = `
+            <div class="player-dock" id="audioPlayerDock">
+                <audio id="playerAudioA" preload="auto"></audio>
+                <audio id="playerAudioB" preload="auto"></audio>
+                <div class="player-info">
+                    <div class="player-title" id="playerTitle"></div>
+                    <div class="player-subtitle" id="playerSubtitle"></div>
+                </div>
+                <div class="player-controls">
+                    <button class="player-btn" id="playerBack" title="Back 15 seconds">⏪</button>
+                    <button class="player-btn player-btn-main" id="playerToggle" title="Play/Pause">▶️</button>
+                    <button class="player-btn" id="playerForward" title="Forward 30 seconds">⏩</button>
+                </div>
+                <div class="player-timeline">
+                    <span class="player-time" id="playerCurrentTime">0:00</span>
+                    <canvas class="player-waveform" id="playerWaveform"></canvas>
+                    <span class="player-time" id="playerDuration">0:00</span>
+                </div>
+                <div class="player-options">
+                    <select class="player-speed" id="playerSpeed" title="Playback speed">${speedOptions}</select>
+                    <label class="player-skip" title="Skip silent stretches">
+                        <input type="checkbox" id="playerSkipSilence"> Skip silence
+                    </label>
+                    <button class="player-btn" id="playerClose" title="Close player">✕</button>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', dockHTML);
+
+        this.dockElement = document.getElementById('audioPlayerDock');
+        this.audioElements = [
+            document.getElementById('playerAudioA'),
+            document.getElementById('playerAudioB')
+        ];
+        this.canvas = document.getElementById('playerWaveform');
+    }
+
+    /**
+     * Setup event listeners for controls and the audio elements
+     */
+    setupEventListeners() {
+        if (!this.audio) return;
+
+        document.getElementById('playerToggle')?.addEventListener('click', () => this.toggle());
+        document.getElementById('playerBack')?.addEventListener('click', () => this.skip(-15));
+        document.getElementById('playerForward')?.addEventListener('click', () => this.skip(30));
+        document.getElementById('playerClose')?.addEventListener('click', () => this.close());
+
+        document.getElementById('playerSpeed')?.addEventListener('change', (e) => {
+            this.setPlaybackRate(parseFloat(e.target.value));
+        });
+
+        document.getElementById('playerSkipSilence')?.addEventListener('change', (e) => {
+            this.skipSilence = e.target.checked;
+        });
+
+        // Click anywhere on the waveform to seek
+        this.canvas?.addEventListener('click', (e) => {
+            const rect = this.canvas.getBoundingClientRect();
+            const ratio = (e.clientX - rect.left) / rect.width;
+            if (this.getDuration() > 0) {
+                this.seek(ratio * this.getDuration());
+            }
+        });
+
+        // Both elements share handlers; events from the standby element are ignored
+        this.audioElements.forEach(element => {
+            const isActive = () => element === this.audio;
+
+            element.addEventListener('timeupdate', () => isActive() && this.onTimeUpdate());
+            element.addEventListener('loadedmetadata', () => {
+                this.onPartMetadata(element);
+                if (isActive()) this.updateTimeDisplay();
+            });
+            element.addEventListener('play', () => {
+                if (!isActive()) return;
+                this.updatePlayState();
+                this.startTick();
+            });
+            element.addEventListener('pause', () => isActive() && this.updatePlayState());
+            element.addEventListener('ended', () => isActive() && this.onPartEnded());
+            element.addEventListener('error', () => {
+                if (isActive() && element.getAttribute('src')) {
+                    Utils.showMessage('Failed to load audio for playback');
+                }
+            });
+        });
+
+        window.addEventListener('resize', Utils.debounce(() => this.drawWaveform(), 150));
+    }
+
+    /**
+     * Load a space's recording into the dock and start playing
+     * @param {Object} space - Space object
+     * @param {Array<Object>|Object} tracks - Ordered audio file info from api.audioFilesMap
+     * @param {number} startAt - Optional position in seconds on the combined timeline
+     */
+    play(space, tracks, startAt = 0) {
+        const playlist = (Array.isArray(tracks) ? tracks : [tracks]).filter(Boolean);
+        if (!this.audio || playlist.length === 0) return;
+
+        if (this.isSamePlaylist(playlist)) {
+            if (startAt) this.seek(startAt);
+            this.startPlayback();
+            return;
+        }
+
+        this.resetElements();
+
+        this.space = space;
+        this.tracks = playlist.map(track => ({
+            ...track,
+            duration: this.estimateDuration(track)
+        }));
+        this.currentTrackIndex = 0;
+        this.partWaveforms = [];
+        this.silentRegions = [];
+
+        this.updateTrackInfo();
+        this.show();
+        this.markPlayingSpace();
+
+        this.seek(startAt, true);
+        this.drawWaveform();
+
+        this.loadWaveforms();
+    }
+
+    /**
+     * Checks whether the given parts are already loaded
+     */
+    isSamePlaylist(playlist) {
+        return this.tracks.length === playlist.length &&
+            this.tracks.every((track, index) => track.url === playlist[index].url);
+    }
+
+    /**
+     * Size-based duration guess used until real metadata arrives
+     */
+    estimateDuration(track, bitrateKbps = 96) {
+        return track.size ? (track.size * 8) / (bitrateKbps * 1000) : 0;
+    }
+
+    /**
+     * Start offset of each part on the combined timeline
+     */
+    getPartOffset(index) {
+        let offset = 0;
+        for (let i = 0; i < index; i++) {
+            offset += this.tracks[i].duration || 0;
+        }
+        return offset;
+    }
+
+    /**
+     * Map a combined-timeline position to a part and a position within it
+     */
+    locate(seconds) {
+        let offset = 0;
+        for (let i = 0; i < this.tracks.length; i++) {
+            const duration = this.tracks[i].duration || 0;
+            if (seconds < offset + duration || i === this.tracks.length - 1) {
+                return { index: i, position: Math.max(0, seconds - offset) };
+            }
+            offset += duration;
+        }
+        return { index: 0, position: 0 };
+    }
+
+    /**
+     * Point an audio element at a part
+     */
+    loadPartInto(element, index) {
+        const track = this.tracks[index];
+        if (!track) return;
+        if (element.dataset.trackIndex !== String(index) || element.getAttribute('src') !== track.url) {
+            element.src = track.url;
+            element.dataset.trackIndex = String(index);
+        }
+        element.playbackRate = this.playbackRate;
+    }
+
+    /**
+     * Record a part's real duration once its metadata is known
+     */
+    onPartMetadata(element) {
+        const index = parseInt(element.dataset.trackIndex, 10);
+        const track = this.tracks[index];
+        if (track && isFinite(element.duration) && element.duration > 0) {
+            track.duration = element.duration;
+            this.drawWaveform();
+        }
+    }
+
+    /**
+     * Toggle between play and pause
+     */
+    toggle() {
+        if (!this.audio || this.tracks.length === 0) return;
+        if (this.audio.paused) {
+            this.startPlayback();
+        } else {
+            this.audio.pause();
+        }
+    }
+
+    /**
+     * Start an element playing; a rejected play() resets the button and says why
+     * @param {HTMLAudioElement} element - Defaults to the active element
+     */
+    startPlayback(element = this.audio) {
+        element.play().catch(error => {
+            this.updatePlayState();
+
+            // Interrupted by a pause or a new source, or a load failure the error listener reports
+            if (error.name === 'AbortError' || error.name === 'NotSupportedError') return;
+
+            console.warn('Playback failed:', error.message);
+            if (error.name === 'NotAllowedError') {
+                Utils.showMessage('The browser blocked playback; press play to start listening');
+            } else {
+                Utils.showMessage(`Failed to start playback: ${error.message}`);
+            }
+        });
+    }
+
+    /**
+     * Pause playback
+     */
+    pause() {
+        if (this.audio) this.audio.pause();
+    }
+
+    /**
+     * Seek to an absolute position on the combined timeline
+     * @param {number} seconds - Target position in seconds
+     * @param {boolean} autoplay - Start playing after seeking
+     */
+    seek(seconds, autoplay = null) {
+        if (!this.audio || this.tracks.length === 0) return;
+
+        // Durations may still be size estimates; the last part absorbs any overshoot
+        const { index, position } = this.locate(Math.max(0, seconds));
+        const shouldPlay = autoplay !== null ? autoplay : this.isPlaying();
+
+        if (index !== this.currentTrackIndex || !this.audio.getAttribute('src')) {
+            this.audio.pause();
+            this.currentTrackIndex = index;
+            this.loadPartInto(this.audio, index);
+            this.standbyAudio.pause();
+        }
+
+        this.setElementTime(this.audio, position);
+
+        if (shouldPlay) {
+            this.startPlayback();
+        }
+
+        this.updateTimeDisplay();
+        this.drawWaveform();
+    }
+
+    /**
+     * Set currentTime, deferring until metadata is loaded if needed
+     */
+    setElementTime(element, position) {
+        if (element.readyState >= 1) {
+            element.currentTime = position;
+        } else {
+            element.addEventListener('loadedmetadata', () => {
+                element.currentTime = position;
+            }, { once: true });
+        }
+    }
+
+    /**
+     * Move the playhead relative to its current position
+     * @param {number} delta - Seconds to move (negative to go back)
+     */
+    skip(delta) {
+        this.seek(this.getCurrentTime() + delta);
+    }
+
+    /**
+     * Set the playback rate
+     * @param {number} rate - Playback rate between 0.5 and 3
+     */
+    setPlaybackRate(rate) {
+        if (!rate) return;
+        this.playbackRate = Math.min(3, Math.max(0.5, rate));
+        this.audioElements.forEach(element => {
+            element.playbackRate = this.playbackRate;
+        });
+    }
+
+    /**
+     * Position on the combined timeline
+     */
+    getCurrentTime() {
+        if (!this.audio || this.tracks.length === 0) return 0;
+        return this.getPartOffset(this.currentTrackIndex) + (this.audio.currentTime || 0);
+    }
+
+    /**
+     * Length of the combined timeline
+     */
+    getDuration() {
+        return this.getPartOffset(this.tracks.length);
+    }
+
+    isPlaying() {
+        return !!this.audio && !this.audio.paused && !this.audio.ended;
+    }
+
+    /**
+     * Register a callback fired on every playback position change
+     * @param {Function} callback - Receives (currentTime, duration)
+     */
+    onTimeUpdateCallback(callback) {
+        if (typeof callback === 'function') {
+            this.timeUpdateCallbacks.push(callback);
+        }
+    }
+
+    /**
+     * Handle audio time updates
+     */
+    onTimeUpdate() {
+        if (this.skipSilence && this.isPlaying()) {
+            this.skipCurrentSilence();
+        }
+
+        this.preloadNextPart();
+        this.updateTimeDisplay();
+        this.drawWaveform();
+
+        const currentTime = this.getCurrentTime();
+        const duration = this.getDuration();
+        this.timeUpdateCallbacks.forEach(callback => {
+            try {
+                callback(currentTime, duration);
+            } catch (error) {
+                console.error('Player time update callback failed:', error);
+            }
+        });
+    }
+
+    /**
+     * Per-frame loop while playing; timeupdate is too coarse for gapless hand-off
+     */
+    startTick() {
+        if (this.tickHandle) return;
+
+        const tick = () => {
+            this.tickHandle = null;
+            if (!this.isPlaying()) return;
+
+            const remaining = (this.audio.duration || Infinity) - this.audio.currentTime;
+            if (remaining <= this.handoffSeconds * this.playbackRate) {
+                this.advanceToNextPart();
+            }
+
+            this.tickHandle = requestAnimationFrame(tick);
+        };
+
+        this.tickHandle = requestAnimationFrame(tick);
+    }
+
+    /**
+     * Buffer the next part on the standby element ahead of the hand-off
+     */
+    preloadNextPart() {
+        const nextIndex = this.currentTrackIndex + 1;
+        if (nextIndex >= this.tracks.length) return;
+
+        const remaining = (this.audio.duration || Infinity) - this.audio.currentTime;
+        if (remaining <= this.preloadNextSeconds) {
+            this.loadPartInto(this.standbyAudio, nextIndex);
+        }
+    }
+
+    /**
+     * Swap to the standby element playing the next part
+     * @returns {boolean} True if there was a next part
+     */
+    advanceToNextPart() {
+        const nextIndex = this.currentTrackIndex + 1;
+        if (nextIndex >= this.tracks.length) return false;
+
+        const previous = this.audio;
+        const next = this.standbyAudio;
+
+        this.loadPartInto(next, nextIndex);
+        this.setElementTime(next, 0);
+        this.startPlayback(next);
+
+        this.activeElementIndex = 1 - this.activeElementIndex;
+        this.currentTrackIndex = nextIndex;
+        previous.pause();
+
+        console.log(`⏭️ Playing part ${nextIndex + 1} of ${this.tracks.length}`);
+        return true;
+    }
+
+    /**
+     * Fallback for when the tick loop didn't run (e.g. background tab)
+     */
+    onPartEnded() {
+        if (!this.advanceToNextPart()) {
+            this.updatePlayState();
+        }
+    }
+
+    /**
+     * Jump past the silent region the playhead is in, if any
+     */
+    skipCurrentSilence() {
+        const currentTime = this.getCurrentTime();
+        const region = this.silentRegions.find(r => currentTime >= r.start && currentTime < r.end);
+        if (region) {
+            this.seek(region.end);
+        }
+    }
+
+    /**
+     * Build the waveform and silence map one part at a time, from the cache where possible
+     */
+    async loadWaveforms() {
+        const token = ++this.waveformToken;
+
+        for (let index = 0; index < this.tracks.length; index++) {
+            const track = this.tracks[index];
+            let waveform = this.waveformCache.get(track.url) || null;
+
+            if (!waveform) {
+                try {
+                    waveform = await this.buildWaveform(track);
+                } catch (error) {
+                    if (token !== this.waveformToken) return;
+                    console.warn(`⚠️ Failed to build waveform for ${track.filename}:`, error.message);
+                }
+                if (waveform) this.cacheWaveform(track.url, waveform);
+            }
+
+            // A different recording may have been loaded while we were decoding
+            if (token !== this.waveformToken) return;
+
+            if (waveform) track.duration = waveform.duration;
+            this.partWaveforms[index] = waveform;
+            this.rebuildSilentRegions();
+            this.drawWaveform();
+        }
+
+        console.log(`✅ Waveform ready (${this.silentRegions.length} silent regions)`);
+    }
+
+    /**
+     * Download and decode one part down to its peaks and silent regions.
+     * Only the small summary is returned, so the file and decoded samples can be freed
+     * before the next part starts.
+     * @returns {Promise<Object|null>} { peaks, silentRegions, duration }, or null if the part is too large
+     */
+    async buildWaveform(track) {
+        if (track.size > this.maxWaveformBytes) {
+            console.log(`⏭️ Skipping the waveform for ${track.filename}: the file is too large to decode`);
+            return null;
+        }
+
+        console.log(`🔄 Decoding waveform for ${track.filename}`);
+
+        const response = await fetch(track.url);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        if (Number(response.headers.get('Content-Length')) > this.maxWaveformBytes) {
+            if (response.body) response.body.cancel();
+            console.log(`⏭️ Skipping the waveform for ${track.filename}: the file is too large to decode`);
+            return null;
+        }
+
+        // Decoding through an OfflineAudioContext resamples to a low rate
+        const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        const context = new OfflineContext(1, 1, this.decodeSampleRate);
+        const audioBuffer = await context.decodeAudioData(await response.arrayBuffer());
+
+        const samples = audioBuffer.getChannelData(0);
+        return {
+            peaks: this.computePeaks(samples, 2000),
+            silentRegions: this.computeSilentRegions(samples, audioBuffer.sampleRate),
+            duration: audioBuffer.duration
+        };
+    }
+
+    cacheWaveform(url, waveform) {
+        this.waveformCache.delete(url);
+        this.waveformCache.set(url, waveform);
+        if (this.waveformCache.size > this.maxCachedWaveforms) {
+            this.waveformCache.delete(this.waveformCache.keys().next().value);
+        }
+    }
+
+    /**
+     * Shift each part's silent regions onto the combined timeline
+     */
+    rebuildSilentRegions() {
+        this.silentRegions = [];
+        this.partWaveforms.forEach((waveform, index) => {
+            if (!waveform) return;
+            const offset = this.getPartOffset(index);
+            waveform.silentRegions.forEach(region => {
+                this.silentRegions.push({ start: region.start + offset, end: region.end + offset });
+            });
+        });
+    }
+
+    /**
+     * Reduce raw samples to normalized peak values
+     * @param {Float32Array} samples - Decoded samples
+     * @param {number} bucketCount - Number of peaks to produce
+     * @returns {Array<number>} Peaks between 0 and 1
+     */
+    computePeaks(samples, bucketCount) {
+        const bucketSize = Math.max(1, Math.floor(samples.length / bucketCount));
+        const peaks = [];
+        let max = 0;
+
+        for (let i = 0; i < samples.length; i += bucketSize) {
+            let peak = 0;
+            const end = Math.min(i + bucketSize, samples.length);
+            for (let j = i; j < end; j++) {
+                const value = Math.abs(samples[j]);
+                if (value > peak) peak = value;
+            }
+            peaks.push(peak);
+            if (peak > max) max = peak;
+        }
+
+        return max > 0 ? peaks.map(p => p / max) : peaks;
+    }
+
+    /**
+     * Find stretches of silence long enough to skip
+     * @param {Float32Array} samples - Decoded samples
+     * @param {number} sampleRate - Sample rate of the decoded buffer
+     * @returns {Array<{start: number, end: number}>} Regions in seconds
+     */
+    computeSilentRegions(samples, sampleRate) {
+        const frameSize = Math.floor(sampleRate * 0.1);
+        const regions = [];
+        let silenceStart = null;
+
+        for (let i = 0; i < samples.length; i += frameSize) {
+            const end = Math.min(i + frameSize, samples.length);
+            let sum = 0;
+            for (let j = i; j < end; j++) {
+                sum += samples[j] * samples[j];
+            }
+            const rms = Math.sqrt(sum / (end - i));
+            const time = i / sampleRate;
+
+            if (rms < this.silenceThreshold) {
+                if (silenceStart === null) silenceStart = time;
+            } else if (silenceStart !== null) {
+                this.pushSilentRegion(regions, silenceStart, time);
+                silenceStart = null;
+            }
+        }
+
+        if (silenceStart !== null) {
+            this.pushSilentRegion(regions, silenceStart, samples.length / sampleRate);
+        }
+
+        return regions;
+    }
+
+    pushSilentRegion(regions, start, end) {
+        if (end - start < this.minSilenceSeconds) return;
+        regions.push({
+            start: start + this.silencePadding,
+            end: end - this.silencePadding
+        });
+    }
+
+    /**
+     * Peak value at a position on the combined timeline, or null if not decoded yet
+     */
+    getPeakAt(seconds) {
+        const { index, position } = this.locate(seconds);
+        const waveform = this.partWaveforms[index];
+        const duration = this.tracks[index]?.duration;
+        if (!waveform || !duration) return null;
+
+        const peakIndex = Math.min(waveform.peaks.length - 1, Math.floor((position / duration) * waveform.peaks.length));
+        return waveform.peaks[peakIndex];
+    }
+
+    /**
+     * Draw the waveform with the played portion highlighted
+     */
+    drawWaveform() {
+        if (!this.canvas || !this.dockElement?.classList.contains('open')) return;
+
+        const ratio = window.devicePixelRatio || 1;
+        const width = this.canvas.clientWidth * ratio;
+        const height = this.canvas.clientHeight * ratio;
+        if (!width || !height) return;
+
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+
+        const ctx = this.canvas.getContext('2d');
+        ctx.clearRect(0, 0, width, height);
+
+        const duration = this.getDuration();
+        const progress = duration > 0 ? this.getCurrentTime() / duration : 0;
+        const playedX = progress * width;
+        const styles = getComputedStyle(this.canvas);
+        const playedColor = styles.getPropertyValue('--waveform-played').trim() || '#3498db';
+        const pendingColor = styles.getPropertyValue('--waveform-pending').trim() || '#bdc3c7';
+        const dividerColor = styles.getPropertyValue('--waveform-divider').trim() || '#95a5a6';
+
+        const barWidth = 2 * ratio;
+        const gap = 1 * ratio;
+        const barCount = Math.floor(width / (barWidth + gap));
+        const mid = height / 2;
+        const flatHeight = 4 * ratio;
+
+        for (let i = 0; i < barCount; i++) {
+            const x = i * (barWidth + gap);
+            const peak = duration > 0 ? this.getPeakAt((i / barCount) * duration) : null;
+            // Parts that aren't decoded yet show as a flat progress bar
+            const barHeight = peak === null ? flatHeight : Math.max(ratio, peak * height * 0.9);
+            ctx.fillStyle = x < playedX ? playedColor : pendingColor;
+            ctx.fillRect(x, mid - barHeight / 2, barWidth, barHeight);
+        }
+
+        // Mark the boundaries between parts
+        if (duration > 0 && this.tracks.length > 1) {
+            ctx.fillStyle = dividerColor;
+            for (let index = 1; index < this.tracks.length; index++) {
+                const x = (this.getPartOffset(index) / duration) * width;
+                ctx.fillRect(x, 0, ratio, height);
+            }
+        }
+    }
+
+    /**
+     * Update the time labels
+     */
+    updateTimeDisplay() {
+        const current = document.getElementById('playerCurrentTime');
+        const duration = document.getElementById('playerDuration');
+        if (current) current.textContent = Utils.formatTimestamp(this.getCurrentTime());
+        if (duration) duration.textContent = Utils.formatTimestamp(this.getDuration());
+        this.updateTrackInfo();
+    }
+
+    /**
+     * Update the play/pause button
+     */
+    updatePlayState() {
+        const toggle = document.getElementById('playerToggle');
+        if (toggle) toggle.textContent = this.isPlaying() ? '⏸️' : '▶️';
+    }
+
+    /**
+     * Update the title, host and part shown in the dock
+     */
+    updateTrackInfo() {
+        const title = document.getElementById('playerTitle');
+        const subtitle = document.getElementById('playerSubtitle');
+        if (title) title.textContent = this.space?.title || 'Untitled Space';
+        if (subtitle) {
+            const host = this.space?.host || 'Unknown Host';
+            subtitle.textContent = this.tracks.length > 1 ?
+                `${host} · Part ${this.currentTrackIndex + 1} of ${this.tracks.length}` :
+                host;
+        }
+    }
+
+    /**
+     * Highlight the card of the space being played, if it's rendered
+     */
+    markPlayingSpace() {
+        document.querySelectorAll('.space-item.is-playing').forEach(el => el.classList.remove('is-playing'));
+        if (!this.space) return;
+        const spaceElement = document.querySelector(`.space-item[data-space-id="${CSS.escape(this.space._id)}"]`);
+        if (spaceElement) spaceElement.classList.add('is-playing');
+    }
+
+    show() {
+        if (!this.dockElement) return;
+        this.dockElement.classList.add('open');
+        document.body.classList.add('player-open');
+    }
+
+    /**
+     * Stop and unload both audio elements
+     */
+    resetElements() {
+        this.waveformToken++;
+        this.audioElements.forEach(element => {
+            element.pause();
+            element.removeAttribute('src');
+            delete element.dataset.trackIndex;
+            element.load();
+        });
+        this.activeElementIndex = 0;
+    }
+
+    /**
+     * Stop playback and hide the dock
+     */
+    close() {
+        if (!this.audio) return;
+        this.resetElements();
+
+        this.space = null;
+        this.tracks = [];
+        this.currentTrackIndex = 0;
+        this.partWaveforms = [];
+        this.silentRegions = [];
+
+        this.dockElement.classList.remove('open');
+        document.body.classList.remove('player-open');
+        this.markPlayingSpace();
+        this.updatePlayState();
+    }
+}
+
+// Create global instance
+const player = new AudioPlayer();
+window.player = player;
@@ -0,0 +1,402 @@
+/**
+ * Speaker Graph - Who shares the stage with whom
+ * - Nodes are hosts, co-hosts and speakers from cached participant lists
+ * - Edges join people who were on stage in the same space, weighted by how many spaces they shared
+ * - Only spaces matching the current filters (and the graph's own date range) are counted
+ * - Anchors (the followed accounts behind recordings) are highlighted, optionally with only their neighbours
+ * - Laid out with a small force-directed simulation and drawn as SVG
+ */
+
+class SpeakerGraph {
+    constructor() {
+        this.stageRoles = ['host', 'co-host', 'speaker'];
+        this.maxNodes = 150;          // Most connected people drawn at most
+        this.iterations = 300;        // Layout simulation steps
+        this.width = 900;
+        this.height = 560;
+
+        this.options = { dateFrom: '', dateTo: '', minShared: 1, anchorsOnly: false };
+        this.toggleElement = null;
+        this.panelElement = null;
+        this.renderToken = 0;
+
+        this.init();
+    }
+
+    /**
+     * Initialize the graph panel once the DOM is ready
+     */
+    init() {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.setup());
+        } else {
+            this.setup();
+        }
+    }
+
+    setup() {
+        this.createGraphHTML();
+        this.setupEventListeners();
+
+        const scheduleRefresh = Utils.debounce(() => this.refresh(), 1000);
+        participantScheduler.onLoaded(() => scheduleRefresh());
+    }
+
+    createGraphHTML() {
+        const spacesContainer = document.querySelector('.spaces-container');
+        if (!spacesContainer) {
+            console.warn('Speaker Graph: Required elements not found');
+            return;
+        }
+
+        const graphHTML = `
+            <div class="graph-dropdown">
+                <button class="filter-toggle" id="graphToggle">
+                    🕸️ Speaker network
+                </button>
+                <div class="filter-panel" id="graphPanel">
+                    <div class="graph-controls">
+                        <div class="filter-group">
+                            <label>Date range</label>
+                            <div class="filter-range">
+                                <input type="date" class="filter-input" id="graphDateFrom" title="From">
+                                <span>to</span>
+                                <input type="date" class="filter-input" id="graphDateTo" title="To">
+                            </div>
+                        </div>
+                        <div class="filter-group">
+                            <label for="graphMinShared">Shared at least</label>
+                            <select class="filter-select" id="graphMinShared">
+                                <option value="1">1 space</option>
+                                <option value="2">2 spaces</option>
+                                <option value="3">3 spaces</option>
+                                <option value="5">5 spaces</option>
+                            </select>
+                        </div>
+                        <div class="filter-group">
+                            <div class="filter-switch">
+                                <label class="switch">
+                                    <input type="checkbox" id="graphAnchorsOnly">
+                                    <span class="slider"></span>
+                                </label>
+                                <label for="graphAnchorsOnly">Only around anchors</label>
+                            </div>
+                        </div>
+                    </div>
+                    <p class="graph-summary" id="graphSummary"></p>
+                    <div class="graph-canvas" id="graphCanvas"></div>
+                    <div class="graph-legend">
+                        <span><i class="graph-swatch host"></i>Host</span>
+                        <span><i class="graph-swatch speaker"></i>Co-host / speaker</span>
+                        <span><i class="graph-swatch anchor"></i>Anchor</span>
+                        <span>Applies the current filters · click a person for their page</span>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        spacesContainer.insertAdjacentHTML('beforebegin', graphHTML);
+
+        this.toggleElement = document.getElementById('graphToggle');
+        this.panelElement = document.getElementById('graphPanel');
+    }
+
+    setupEventListeners() {
+        if (!this.toggleElement || !this.panelElement) return;
+
+        this.toggleElement.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleElement.classList.toggle('open');
+            this.panelElement.classList.toggle('open');
+            this.refresh();
+        });
+
+        const dateFrom = document.getElementById('graphDateFrom');
+        const dateTo = document.getElementById('graphDateTo');
+        const minShared = document.getElementById('graphMinShared');
+        const anchorsOnly = document.getElementById('graphAnchorsOnly');
+        const updateOptions = () => {
+            this.options = {
+                dateFrom: dateFrom.value,
+                dateTo: dateTo.value,
+                minShared: parseInt(minShared.value, 10) || 1,
+                anchorsOnly: anchorsOnly.checked
+            };
+            this.refresh();
+        };
+
+        [dateFrom, dateTo, minShared, anchorsOnly].forEach(element => {
+            element?.addEventListener('change', updateOptions);
+        });
+
+        document.getElementById('graphCanvas')?.addEventListener('click', (e) => {
+            const node = e.target.closest('[data-graph-person]');
+            if (node && window.participantDirectory) {
+                participantDirectory.showPerson(node.dataset.graphPerson);
+            }
+        });
+    }
+
+    isOpen() {
+        return !!this.panelElement && this.panelElement.classList.contains('open');
+    }
+
+    normalizeHandle(handle) {
+        return String(handle || '').replace(/[@=]/g, '').trim().toLowerCase();
+    }
+
+    /**
+     * Spaces with cached participants, narrowed by the current filters and the graph's date range
+     * @returns {Promise<Array<Object>>} Spaces
+     */
+    async getSpaces() {
+        const spaceIds = Object.entries(api.getParticipantsCache())
+            .filter(([, participantsData]) => participantsData)
+            .map(([spaceId]) => spaceId);
+
+        const resolved = await participantDirectory.resolveSpaces(spaceIds);
+        let spaces = [...resolved.values()];
+
+        if (window.filterManager) {
+            spaces = filterManager.applyFiltersToSpaces(spaces);
+        }
+
+        const { dateFrom, dateTo } = this.options;
+        if (dateFrom || dateTo) {
+            spaces = spaces.filter(space => {
+                const date = new Date(space.startedAt || space.createdAt || 0);
+                if (dateFrom && date < new Date(`${dateFrom}T00:00:00`)) return false;
+                if (dateTo && date > new Date(`${dateTo}T23:59:59.999`)) return false;
+                return true;
+            });
+        }
+
+        return spaces;
+    }
+
+    /**
+     * People on stage in a space, from participantsByRole (or the flat list without it)
+     * @returns {Array<Object>} [{ id, name, role }]
+     */
+    getStagePeople(participantsData) {
+        const byRole = participantsData.participantsByRole;
+        const participants = byRole ?
+            this.stageRoles.flatMap(role => (byRole[role] || []).map(participant => ({ ...participant, role }))) :
+            (participantsData.participants || []).filter(participant => this.stageRoles.includes(participant.role));
+
+        const seen = new Map();
+        participants.forEach(participant => {
+            const id = this.normalizeHandle(participant.username);
+            if (!id) return;
+            // Someone listed twice keeps the most prominent role
+            if (!seen.has(id) || participant.role === 'host') {
+                seen.set(id, { id, name: participant.name || id, role: participant.role });
+            }
+        });
+
+        return [...seen.values()];
+    }
+
+    /**
+     * Build the weighted co-occurrence graph for a set of spaces
+     * @returns {Object} { nodes, edges } with nodes { id, name, spaces, hosted, isAnchor, weight }
+     */
+    buildGraph(spaces) {
+        const nodes = new Map();
+        const edges = new Map();
+        const anchors = new Set();
+
+        spaces.forEach(space => {
+            if (space.anchor) {
+                [space.anchor.username, space.anchor.handle, space.anchor.displayName]
+                    .map(value => this.normalizeHandle(value))
+                    .filter(Boolean)
+                    .forEach(value => anchors.add(value));
+            }
+
+            const participantsData = api.getCachedParticipants(space._id);
+            if (!participantsData) return;
+
+            const people = this.getStagePeople(participantsData);
+            people.forEach(person => {
+                const node = nodes.get(person.id) || { id: person.id, name: person.name, spaces: 0, hosted: 0, isAnchor: false, weight: 0 };
+                node.spaces++;
+                if (person.role === 'host') node.hosted++;
+                nodes.set(person.id, node);
+            });
+
+            for (let i = 0; i < people.length; i++) {
+                for (let j = i + 1; j < people.length; j++) {
+                    const [source, target] = [people[i].id, people[j].id].sort();
+                    const key = `${source}|${target}`;
+                    const edge = edges.get(key) || { source, target, weight: 0 };
+                    edge.weight++;
+                    edges.set(key, edge);
+                }
+            }
+        });
+
+        nodes.forEach(node => {
+            node.isAnchor = anchors.has(node.id) || anchors.has(this.normalizeHandle(node.name));
+        });
+
+        return this.pruneGraph(nodes, [...edges.values()]);
+    }
+
+    /**
+     * Apply the minimum shared spaces and anchors-only options and cap the node count
+     */
+    pruneGraph(nodes, edges) {
+        let kept = edges.filter(edge => edge.weight >= this.options.minShared);
+
+        if (this.options.anchorsOnly) {
+            kept = kept.filter(edge => nodes.get(edge.source).isAnchor || nodes.get(edge.target).isAnchor);
+        }
+
+        const weights = new Map();
+        kept.forEach(edge => {
+            weights.set(edge.source, (weights.get(edge.source) || 0) + edge.weight);
+            weights.set(edge.target, (weights.get(edge.target) || 0) + edge.weight);
+        });
+
+        const keptNodes = [...weights.entries()]
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, this.maxNodes)
+            .map(([id, weight]) => ({ ...nodes.get(id), weight }));
+
+        const ids = new Set(keptNodes.map(node => node.id));
+        return {
+            nodes: keptNodes,
+            edges: kept.filter(edge => ids.has(edge.source) && ids.has(edge.target))
+        };
+    }
+
+    /**
+     * Fruchterman-Reingold layout; nodes start on a circle so the result is stable between renders
+     */
+    layout(nodes, edges) {
+        const count = nodes.length;
+        if (count === 0) return;
+
+        const area = this.width * this.height;
+        const k = Math.sqrt(area / count) * 0.75;
+        const index = new Map(nodes.map((node, i) => [node.id, i]));
+
+        nodes.forEach((node, i) => {
+            const angle = (2 * Math.PI * i) / count;
+            node.x = this.width / 2 + Math.cos(angle) * this.width / 3;
+            node.y = this.height / 2 + Math.sin(angle) * this.height / 3;
+        });
+
+        let temperature = this.width / 10;
+        const cooling = temperature / (this.iterations + 1);
+
+        for (let step = 0; step < this.iterations; step++) {
+            const dx = new Float64Array(count);
+            const dy = new Float64Array(count);
+
+            // Every pair repels
+            for (let i = 0; i < count; i++) {
+                for (let j = i + 1; j < count; j++) {
+                    const x = nodes[i].x - nodes[j].x;
+                    const y = nodes[i].y - nodes[j].y;
+                    const distance = Math.max(0.01, Math.sqrt(x * x + y * y));
+                    const force = (k * k) / distance;
+                    dx[i] += (x / distance) * force;
+                    dy[i] += (y / distance) * force;
+                    dx[j] -= (x / distance) * force;
+                    dy[j] -= (y / distance) * force;
+                }
+            }
+
+            // Connected people attract, more strongly the more spaces they shared
+            edges.forEach(edge => {
+                const i = index.get(edge.source);
+                const j = index.get(edge.target);
+                const x = nodes[i].x - nodes[j].x;
+                const y = nodes[i].y - nodes[j].y;
+                const distance = Math.max(0.01, Math.sqrt(x * x + y * y));
+                const force = ((distance * distance) / k) * Math.log2(1 + edge.weight);
+                dx[i] -= (x / distance) * force;
+                dy[i] -= (y / distance) * force;
+                dx[j] += (x / distance) * force;
+                dy[j] += (y / distance) * force;
+            });
+
+            nodes.forEach((node, i) => {
+                const distance = Math.max(0.01, Math.sqrt(dx[i] * dx[i] + dy[i] * dy[i]));
+                const move = Math.min(distance, temperature);
+                node.x = Math.min(this.width - 20, Math.max(20, node.x + (dx[i] / distance) * move));
+                node.y = Math.min(this.height - 20, Math.max(20, node.y + (dy[i] / distance) * move));
+            });
+
+            temperature -= cooling;
+        }
+    }
+
+    /**
+     * Rebuild the graph if the panel is open
+     */
+    async refresh() {
+        if (!this.isOpen()) return;
+
+        const token = ++this.renderToken;
+        const canvas = document.getElementById('graphCanvas');
+        const summary = document.getElementById('graphSummary');
+
+        const spaces = await this.getSpaces();
+        if (token !== this.renderToken) return;
+
+        const { nodes, edges } = this.buildGraph(spaces);
+        this.layout(nodes, edges);
+
+        if (summary) {
+            summary.textContent = `${nodes.length} people, ${edges.length} connections from ${spaces.length} spaces with participant data` +
+                (nodes.length === this.maxNodes ? ` (showing the ${this.maxNodes} most connected)` : '');
+        }
+        if (canvas) {
+            canvas.innerHTML = nodes.length === 0 ?
+                html`<p class="graph-empty">No shared stages found for these filters yet.</p>` :
+                this.createSVG(nodes, edges);
+        }
+    }
+
+    createSVG(nodes, edges) {
+        const byId = new Map(nodes.map(node => [node.id, node]));
+        const maxEdge = Math.max(...edges.map(edge => edge.weight));
+
+        const edgesSVG = edges.map(edge => {
+            const source = byId.get(edge.source);
+            const target = byId.get(edge.target);
+            const width = 0.5 + (edge.weight / maxEdge) * 4;
+            return html`<line class="graph-edge" x1="${source.x.toFixed(1)}" y1="${source.y.toFixed(1)}" x2="${target.x.toFixed(1)}" y2="${target.y.toFixed(1)}" stroke-width="${width.toFixed(2)}"><title>@${source.id} &amp; @${target.id}: ${edge.weight} shared space${edge.weight === 1 ? '' : 's'}</title></line>`;
+        });
+
+        const nodesSVG = nodes.map(node => {
+            const radius = 4 + Math.min(12, Math.sqrt(node.spaces) * 2);
+            const classes = ['graph-node', node.hosted > 0 ? 'host' : 'speaker', node.isAnchor ? 'anchor' : ''].join(' ').trim();
+            const label = node.weight >= 3 || node.isAnchor ?
+                html`<text x="${(node.x + radius + 2).toFixed(1)}" y="${(node.y + 3).toFixed(1)}">@${node.id}</text>` :
+                '';
+
+            return html`
+                <g class="${classes}" data-graph-person="${node.id}">
+                    <circle cx="${node.x.toFixed(1)}" cy="${node.y.toFixed(1)}" r="${radius.toFixed(1)}"></circle>
+                    ${label}
+                    <title>${node.name} (@${node.id}) · on stage in ${node.spaces} space${node.spaces === 1 ? '' : 's'}${node.hosted ? `, hosted ${node.hosted}` : ''}${node.isAnchor ? ' · anchor' : ''}</title>
+                </g>
+            `;
+        });
+
+        return html`
+            <svg viewBox="0 0 ${this.width} ${this.height}" role="img" aria-label="Speaker co-occurrence network">
+                ${edgesSVG}
+                ${nodesSVG}
+            </svg>
+        `;
+    }
+}
+
+// Create global instance
+const speakerGraph = new SpeakerGraph();
+window.speakerGraph = speakerGraph;
@@ -0,0 +1,83 @@
+/**
+ * Sync Status - "Last synced" indicator in the header
+ * - Shows how old the data on screen is when it was served from the cache
+ * - Shows when a background revalidation is in flight and when the browser is offline
+ */
+
+class SyncStatusIndicator {
+    constructor() {
+        this.element = null;
+        this.updateInterval = 15000;
+
+        this.init();
+    }
+
+    /**
+     * Initialize the indicator once the DOM is ready
+     */
+    init() {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.setup());
+        } else {
+            this.setup();
+        }
+    }
+
+    setup() {
+        const header = document.querySelector('.header');
+        if (!header) return;
+
+        this.element = document.createElement('div');
+        this.element.className = 'sync-status';
+        this.element.id = 'syncStatus';
+        header.appendChild(this.element);
+
+        api.onSync(() => this.update());
+        window.addEventListener('online', () => this.update());
+        window.addEventListener('offline', () => this.update());
+        setInterval(() => this.update(), this.updateInterval);
+
+        this.update();
+    }
+
+    /**
+     * Describe an age in minutes/hours/days
+     */
+    formatAge(timestamp) {
+        const seconds = Math.max(0, Math.floor((Date.now() - timestamp) / 1000));
+        if (seconds < 60) return 'just now';
+
+        const minutes = Math.floor(seconds / 60);
+        if (minutes < 60) return `${minutes}m ago`;
+
+        const hours = Math.floor(minutes / 60);
+        if (hours < 24) return `${hours}h ago`;
+
+        return `${Math.floor(hours / 24)}d ago`;
+    }
+
+    update() {
+        if (!this.element) return;
+
+        const status = api.getSyncStatus();
+        const parts = [];
+
+        if (status.syncedAt) {
+            parts.push(`Last synced ${this.formatAge(status.syncedAt)}`);
+        }
+        if (status.isRevalidating) {
+            parts.push('refreshing…');
+        }
+        if (!navigator.onLine) {
+            parts.push('offline');
+        }
+
+        this.element.textContent = parts.join(' · ');
+        this.element.title = status.syncedAt ? new Date(status.syncedAt).toLocaleString() : '';
+        this.element.classList.toggle('is-offline', !navigator.onLine);
+    }
+}
+
+// Create global instance
+const syncStatus = new SyncStatusIndicator();
+window.syncStatus = syncStatus;
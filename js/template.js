@@ -0,0 +1,116 @@
+/**
+ * Template - HTML templating with automatic escaping
+ * - html`...` escapes every interpolated value unless it is markup from another html`...`
+ * - Arrays are rendered item by item, and null, undefined and false render as nothing
+ * - Template.url() only lets http(s) and relative links through (and data: images where allowed)
+ * - Images marked with data-fallback get a letter avatar when they fail to load,
+ *   so no inline onerror handlers are needed
+ *
+ * Markup built without html`...` has to be passed through Template.raw() to be kept as is;
+ * only do that for strings the code itself put together.
+ */
+
+class SafeHTML {
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    toString() {
+        return this.markup;
+    }
+}
+
+const Template = {
+    /**
+     * Render a value for insertion into markup
+     * @param {*} value - SafeHTML is kept, arrays are joined, anything else is escaped
+     * @returns {string} Markup
+     */
+    render(value) {
+        if (value instanceof SafeHTML) return value.markup;
+        if (Array.isArray(value)) return value.map(item => Template.render(item)).join('');
+        if (value === null || value === undefined || value === false) return '';
+        return Utils.escapeHTML(value);
+    },
+
+    /**
+     * Trust markup that was put together by the code itself
+     * @param {string} markup - Markup
+     * @returns {SafeHTML} Markup that html`...` keeps as is
+     */
+    raw(markup) {
+        return new SafeHTML(String(markup ?? ''));
+    },
+
+    /**
+     * Render values with a separator between them, e.g. metadata parts joined with ' · '
+     * @param {Array} values - Markup from html`...` or text to escape
+     * @param {string} separator - Text put between the values
+     * @returns {SafeHTML} Markup
+     */
+    join(values, separator) {
+        return new SafeHTML(values.map(value => Template.render(value)).join(Utils.escapeHTML(separator)));
+    },
+
+    /**
+     * A URL that is safe for href and src attributes, or '' when it isn't
+     * @param {string} value - URL from data
+     * @param {Object} options - { allowDataImages } for img src
+     * @returns {string} The URL, or '' when it uses another scheme (javascript:, data:, ...)
+     */
+    url(value, options = {}) {
+        const url = String(value ?? '').trim();
+        if (!url) return '';
+
+        if (options.allowDataImages && /^data:image\/(png|jpe?g|gif|webp|svg\+xml)[;,]/i.test(url)) {
+            return url;
+        }
+
+        try {
+            const parsed = new URL(url, window.location.href);
+            return ['http:', 'https:'].includes(parsed.protocol) ? url : '';
+        } catch (error) {
+            return '';
+        }
+    },
+
+    /**
+     * Letter avatar for people without a (loadable) profile image
+     * @param {string} name - Name to take the letter from
+     * @returns {string} data: URL
+     */
+    avatar(name) {
+        const letter = Utils.escapeHTML(String(name || '?').trim().charAt(0).toUpperCase() || '?');
+        const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="40" height="40" viewBox="0 0 40 40"><rect width="40" height="40" fill="#ddd"/><text x="20" y="25" text-anchor="middle" font-size="16" fill="#666">${letter}</text></svg>`;
+        return `data:image/svg+xml,${encodeURIComponent(svg)}`;
+    },
+
+    /**
+     * Swap failed images marked with data-fallback="<name>" for a letter avatar
+     */
+    setupImageFallbacks() {
+        document.addEventListener('error', (event) => {
+            const image = event.target;
+            if (image.tagName !== 'IMG' || !image.hasAttribute('data-fallback') || image.dataset.fellBack) return;
+
+            image.dataset.fellBack = 'true';
+            image.src = Template.avatar(image.dataset.fallback);
+        }, true);
+    }
+};
+
+/**
+ * Tagged template that escapes interpolated values
+ * @returns {SafeHTML} Markup
+ */
+function html(strings, ...values) {
+    return new SafeHTML(strings.reduce((markup, string, index) =>
+        markup + string + (index < values.length ? Template.render(values[index]) : ''), ''));
+}
+
+Template.setupImageFallbacks();
+
+// Make available to every renderer
+window.SafeHTML = SafeHTML;
+window.Template = Template;
+window.html = html;
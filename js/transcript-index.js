@@ -0,0 +1,346 @@
+/**
+ * Transcript Index - Client-side full-text search over space transcripts
+ * - Parses every transcription file in api.transcriptionMap once and stores it in IndexedDB
+ * - Re-running indexing only fetches files that are new or changed since the last run
+ * - Transcripts whose spaces drop out of the listing are removed from memory and storage
+ * - Keeps an in-memory word index so the filter search can match spoken words synchronously
+ * - Indexing can be paused between files and picks up where it left off
+ */
+
+class TranscriptIndex {
+    constructor() {
+        this.dbName = 'audiohub-transcripts';
+        this.dbVersion = 1;
+        this.storeName = 'transcripts';
+        this.db = null;
+
+        // spaceId -> { spaceId, url, lastModified, segments, lowerTexts }
+        this.documents = new Map();
+        // word -> Set of spaceIds
+        this.wordIndex = new Map();
+
+        this.isIndexing = false;
+        this.pendingIndexRun = false;
+        this.isPaused = false;
+        this.resumePromise = null;
+        this.resolveResume = null;
+        this.readyPromise = this.loadFromStorage().catch(error => {
+            console.warn('⚠️ Failed to load the transcript index from storage:', error.message);
+        });
+        this.onIndexUpdated = null;
+    }
+
+    /**
+     * Open the database and rebuild the in-memory index from stored transcripts
+     */
+    async loadFromStorage() {
+        this.db = await IDB.open(this.dbName, this.dbVersion, (db) => {
+            if (!db.objectStoreNames.contains(this.storeName)) {
+                db.createObjectStore(this.storeName, { keyPath: 'spaceId' });
+            }
+        });
+
+        const records = await IDB.getAll(this.db, this.storeName);
+        records.forEach(record => this.addToMemory(record));
+
+        console.log(`✅ Transcript index loaded ${records.length} transcripts from storage`);
+    }
+
+    /**
+     * Split text into lower-cased search words
+     */
+    tokenize(text) {
+        return (text || '')
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .split(/[^\p{L}\p{N}']+/u)
+            .map(word => word.replace(/^'+|'+$/g, ''))
+            .filter(word => word.length > 1);
+    }
+
+    /**
+     * Add a stored record to the in-memory structures
+     */
+    addToMemory(record) {
+        this.removeFromMemory(record.spaceId);
+
+        const lowerTexts = record.segments.map(segment => segment.text.toLowerCase());
+        this.documents.set(record.spaceId, { ...record, lowerTexts });
+
+        const words = new Set();
+        record.segments.forEach(segment => {
+            this.tokenize(segment.text).forEach(word => words.add(word));
+        });
+
+        words.forEach(word => {
+            if (!this.wordIndex.has(word)) {
+                this.wordIndex.set(word, new Set());
+            }
+            this.wordIndex.get(word).add(record.spaceId);
+        });
+    }
+
+    removeFromMemory(spaceId) {
+        if (!this.documents.has(spaceId)) return;
+        this.documents.delete(spaceId);
+        this.wordIndex.forEach((spaceIds, word) => {
+            spaceIds.delete(spaceId);
+            if (spaceIds.size === 0) this.wordIndex.delete(word);
+        });
+    }
+
+    /**
+     * Index any transcripts that are new or changed since the last run
+     * Called after every api.loadAudioFiles
+     * @param {Object} transcriptionMap - api.transcriptionMap
+     */
+    async indexTranscripts(transcriptionMap) {
+        await this.readyPromise;
+
+        if (this.isIndexing) {
+            this.pendingIndexRun = true;
+            return;
+        }
+
+        this.isIndexing = true;
+
+        try {
+            // Composite host/date/spaceId keys point at the same files
+            const entries = Object.entries(transcriptionMap || {}).filter(([key]) => !key.includes('/'));
+            await this.removeStale(entries.map(([spaceId]) => spaceId));
+
+            const toIndex = entries.filter(([spaceId, info]) => {
+                const existing = this.documents.get(spaceId);
+                return !existing || existing.url !== info.url || existing.lastModified !== info.lastModified;
+            });
+
+            if (toIndex.length === 0) {
+                console.log('✅ Transcript index is up to date');
+                return;
+            }
+
+            console.log(`🔄 Indexing ${toIndex.length} new or changed transcripts`);
+            let indexed = 0;
+
+            for (const [spaceId, info] of toIndex) {
+                if (this.isPaused) {
+                    console.log(`⏸️ Transcript indexing paused (${indexed}/${toIndex.length})`);
+                    await this.resumePromise;
+                }
+
+                try {
+                    // Reuse what the viewer already parsed, but don't fill its cache with every transcript
+                    const segments = transcriptViewer.transcriptCache[info.url] ||
+                        await transcriptViewer.fetchTranscript(info);
+                    const record = {
+                        spaceId: spaceId,
+                        url: info.url,
+                        lastModified: info.lastModified,
+                        segments: segments.map(({ start, end, speaker, text }) => ({ start, end, speaker, text }))
+                    };
+
+                    this.addToMemory(record);
+                    await IDB.put(this.db, this.storeName, record);
+                    indexed++;
+
+                    // Let filters pick up results in batches rather than once per file
+                    if (indexed % 10 === 0) this.notifyUpdated();
+                } catch (error) {
+                    console.warn(`⚠️ Failed to index transcript for space ${spaceId}:`, error.message);
+                }
+            }
+
+            console.log(`✅ Indexed ${indexed} transcripts (${this.documents.size} total)`);
+            this.notifyUpdated();
+        } finally {
+            this.isIndexing = false;
+            if (this.pendingIndexRun) {
+                this.pendingIndexRun = false;
+                this.indexTranscripts(api.getTranscriptionMap()).catch(error => {
+                    console.warn('⚠️ Transcript indexing failed:', error.message);
+                });
+            }
+        }
+    }
+
+    /**
+     * Drop transcripts whose spaces are no longer in the transcription map
+     * An empty map (listing failed or not loaded yet) keeps everything
+     * @param {Array<string>} currentIds - Space ids in the current map
+     */
+    async removeStale(currentIds) {
+        if (currentIds.length === 0) return;
+
+        const current = new Set(currentIds);
+        const stale = [...this.documents.keys()].filter(spaceId => !current.has(spaceId));
+        if (stale.length === 0) return;
+
+        for (const spaceId of stale) {
+            this.removeFromMemory(spaceId);
+            await IDB.delete(this.db, this.storeName, spaceId);
+        }
+
+        console.log(`🧹 Removed ${stale.length} transcripts that are no longer listed`);
+        this.notifyUpdated();
+    }
+
+    /**
+     * Hold indexing before the next file until resume()
+     */
+    pause() {
+        if (this.isPaused) return;
+        this.isPaused = true;
+        this.resumePromise = new Promise(resolve => {
+            this.resolveResume = resolve;
+        });
+    }
+
+    resume() {
+        if (!this.isPaused) return;
+        this.isPaused = false;
+        this.resolveResume();
+    }
+
+    notifyUpdated() {
+        if (typeof this.onIndexUpdated === 'function') {
+            this.onIndexUpdated();
+        }
+    }
+
+    /**
+     * Set callback for when new transcripts land in the index
+     */
+    setOnIndexUpdated(callback) {
+        this.onIndexUpdated = callback;
+    }
+
+    /**
+     * Space ids whose transcripts could contain every word of the query
+     */
+    getCandidateSpaceIds(query) {
+        const words = this.tokenize(query);
+        if (words.length === 0) return new Set();
+
+        let candidates = null;
+        words.forEach((word, index) => {
+            const matches = new Set();
+            const isLastWord = index === words.length - 1;
+
+            // The last word may still be being typed, so prefix-match it
+            this.wordIndex.forEach((spaceIds, indexedWord) => {
+                if (isLastWord ? indexedWord.startsWith(word) : indexedWord === word) {
+                    spaceIds.forEach(spaceId => matches.add(spaceId));
+                }
+            });
+
+            candidates = candidates === null ?
+                matches :
+                new Set([...candidates].filter(spaceId => matches.has(spaceId)));
+        });
+
+        return candidates || new Set();
+    }
+
+    /**
+     * Whether a space's transcript contains the query as a phrase
+     * @param {string} spaceId - Space id
+     * @param {string} query - Lower-cased search text
+     * @returns {boolean}
+     */
+    matchesSpace(spaceId, query) {
+        const doc = this.documents.get(spaceId);
+        if (!doc || !query) return false;
+        return doc.lowerTexts.some(text => text.includes(query));
+    }
+
+    /**
+     * Find hits in one space's transcript with surrounding context
+     * @param {string} spaceId - Space id
+     * @param {string} query - Search text
+     * @param {number} limit - Maximum hits to return
+     * @returns {Array<{start: number, speaker: string, before: string, match: string, after: string}>}
+     */
+    searchSpace(spaceId, query, limit = 3) {
+        const doc = this.documents.get(spaceId);
+        const needle = (query || '').toLowerCase().trim();
+        if (!doc || !needle) return [];
+
+        const hits = [];
+        for (let i = 0; i < doc.segments.length && hits.length < limit; i++) {
+            const position = doc.lowerTexts[i].indexOf(needle);
+            if (position === -1) continue;
+
+            const segment = doc.segments[i];
+            const contextSize = 60;
+            const from = Math.max(0, position - contextSize);
+            const to = Math.min(segment.text.length, position + needle.length + contextSize);
+
+            hits.push({
+                start: segment.start,
+                speaker: segment.speaker,
+                before: (from > 0 ? '…' : '') + segment.text.slice(from, position),
+                match: segment.text.slice(position, position + needle.length),
+                after: segment.text.slice(position + needle.length, to) + (to < segment.text.length ? '…' : '')
+            });
+        }
+
+        return hits;
+    }
+
+    /**
+     * Count all hits in a space's transcript
+     */
+    countHits(spaceId, query) {
+        const doc = this.documents.get(spaceId);
+        const needle = (query || '').toLowerCase().trim();
+        if (!doc || !needle) return 0;
+        return doc.lowerTexts.filter(text => text.includes(needle)).length;
+    }
+
+    /**
+     * Search every indexed transcript
+     * @param {string} query - Search text
+     * @returns {Array<{spaceId: string, hitCount: number, hits: Array}>}
+     */
+    search(query, hitsPerSpace = 3) {
+        const needle = (query || '').toLowerCase().trim();
+        if (!needle) return [];
+
+        return [...this.getCandidateSpaceIds(needle)]
+            .filter(spaceId => this.matchesSpace(spaceId, needle))
+            .map(spaceId => ({
+                spaceId: spaceId,
+                hitCount: this.countHits(spaceId, needle),
+                hits: this.searchSpace(spaceId, needle, hitsPerSpace)
+            }))
+            .sort((a, b) => b.hitCount - a.hitCount);
+    }
+
+    hasTranscript(spaceId) {
+        return this.documents.has(spaceId);
+    }
+
+    getStatus() {
+        return {
+            isIndexing: this.isIndexing,
+            isPaused: this.isPaused,
+            transcripts: this.documents.size,
+            words: this.wordIndex.size
+        };
+    }
+
+    /**
+     * Drop everything from memory and storage
+     */
+    async clear() {
+        this.documents.clear();
+        this.wordIndex.clear();
+        await IDB.clear(this.db, this.storeName);
+        console.log('🧹 Transcript index cleared');
+    }
+}
+
+// Create global instance
+const transcriptIndex = new TranscriptIndex();
+window.transcriptIndex = transcriptIndex;
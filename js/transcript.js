@@ -0,0 +1,448 @@
+/**
+ * Transcript Viewer - Shows a space's transcription alongside the player
+ * - Loads the JSON/CSV transcription files found by api.loadAudioFiles
+ * - Normalizes both formats into speaker-attributed, timestamped segments
+ * - Highlights the current line during playback and seeks on click
+ */
+
+class TranscriptViewer {
+    constructor() {
+        this.panelElement = null;
+        this.listElement = null;
+        this.space = null;
+        this.segments = [];
+        this.activeIndex = -1;
+
+        // Parsed transcripts keyed by file URL
+        this.transcriptCache = {};
+
+        // Field names seen for segment times across transcript formats
+        this.startFields = ['start', 'start_time', 'starttime', 'startTime', 'start_ms', 'startms', 'startMs',
+            'begin', 'from', 'timestamp', 'time', 'offset', 'offset_ms', 'offsetms', 'offsetMs'];
+        this.endFields = ['end', 'end_time', 'endtime', 'endTime', 'end_ms', 'endms', 'endMs', 'to'];
+
+        // Don't fight the user's own scrolling
+        this.lastUserScroll = 0;
+        this.autoScrollPause = 4000;
+
+        this.init();
+    }
+
+    /**
+     * Initialize the viewer once the DOM is ready
+     */
+    init() {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.setup());
+        } else {
+            this.setup();
+        }
+    }
+
+    /**
+     * Create the panel and hook into the player
+     */
+    setup() {
+        this.createPanelHTML();
+        this.setupEventListeners();
+
+        if (window.player) {
+            player.onTimeUpdateCallback((currentTime) => this.onPlayerTimeUpdate(currentTime));
+        }
+    }
+
+    /**
+     * Create the transcript panel HTML
+     */
+    createPanelHTML() {
+        if (document.getElementById('transcriptPanel')) return;
+
+        const panelHTML = `
+            <div class="transcript-panel" id="transcriptPanel">
+                <div class="transcript-header">
+                    <div>
+                        <div class="transcript-title" id="transcriptTitle">Transcript</div>
+                        <div class="transcript-subtitle" id="transcriptSubtitle"></div>
+                    </div>
+                    <span class="modal-close transcript-close" id="transcriptClose">&times;</span>
+                </div>
+                <div class="transcript-list" id="transcriptList"></div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', panelHTML);
+
+        this.panelElement = document.getElementById('transcriptPanel');
+        this.listElement = document.getElementById('transcriptList');
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        document.getElementById('transcriptClose')?.addEventListener('click', () => this.close());
+
+        if (!this.listElement) return;
+
+        this.listElement.addEventListener('click', (e) => {
+            const line = e.target.closest('.transcript-line');
+            if (!line) return;
+            const segment = this.segments[parseInt(line.dataset.index, 10)];
+            if (segment) this.seekTo(segment.start);
+        });
+
+        ['wheel', 'touchmove'].forEach(eventName => {
+            this.listElement.addEventListener(eventName, () => {
+                this.lastUserScroll = Date.now();
+            }, { passive: true });
+        });
+    }
+
+    /**
+     * Open the transcript for a space
+     * @param {Object} space - Space object
+     */
+    async open(space) {
+        const transcription = api.getTranscriptionBySpaceId(space._id, space.host, space.createdAt);
+        if (!transcription) {
+            Utils.showMessage('No transcription available for this space');
+            return;
+        }
+
+        this.space = space;
+        this.segments = [];
+        this.activeIndex = -1;
+
+        document.getElementById('transcriptTitle').textContent = space.title || 'Untitled Space';
+        document.getElementById('transcriptSubtitle').textContent = 'Loading transcript...';
+        this.listElement.innerHTML = '<div class="loading">Loading transcript...</div>';
+        this.panelElement.classList.add('open');
+        document.body.classList.add('transcript-open');
+
+        try {
+            const segments = await this.loadTranscript(transcription);
+
+            // Another space may have been opened while we were loading
+            if (this.space !== space) return;
+
+            this.segments = segments;
+            this.render();
+
+            if (this.isPlayingThisSpace()) {
+                this.onPlayerTimeUpdate(player.getCurrentTime());
+            }
+        } catch (error) {
+            if (this.space !== space) return;
+            console.error('Transcript loading error:', error);
+            document.getElementById('transcriptSubtitle').textContent = '';
+            this.listElement.innerHTML = html`<div class="error">Failed to load transcript: ${error.message}</div>`;
+        }
+    }
+
+    /**
+     * Close the panel
+     */
+    close() {
+        this.space = null;
+        this.segments = [];
+        this.activeIndex = -1;
+        this.panelElement?.classList.remove('open');
+        document.body.classList.remove('transcript-open');
+    }
+
+    isOpen() {
+        return !!this.panelElement?.classList.contains('open');
+    }
+
+    /**
+     * Fetch and parse a transcription file, caching the result
+     * @param {Object} transcription - Transcription info from api.transcriptionMap
+     * @returns {Promise<Array>} Parsed segments
+     */
+    async loadTranscript(transcription) {
+        if (this.transcriptCache[transcription.url]) {
+            return this.transcriptCache[transcription.url];
+        }
+
+        const segments = await this.fetchTranscript(transcription);
+        this.transcriptCache[transcription.url] = segments;
+
+        console.log(`✅ Parsed ${segments.length} transcript segments from ${transcription.filename}`);
+        return segments;
+    }
+
+    /**
+     * Fetch and parse a transcription file without caching it (used by the search indexer)
+     * @param {Object} transcription - Transcription info from api.transcriptionMap
+     * @returns {Promise<Array>} Parsed segments
+     */
+    async fetchTranscript(transcription) {
+        const response = await fetch(transcription.url);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const text = await response.text();
+        return this.parseTranscript(text, transcription.filename);
+    }
+
+    /**
+     * Parse a transcription file into normalized segments
+     * @param {string} text - Raw file contents
+     * @param {string} filename - Used to pick the format
+     * @returns {Array<{start: number, end: number|null, speaker: string, text: string}>}
+     */
+    parseTranscript(text, filename = '') {
+        const isCsv = /\.csv$/i.test(filename) || (!/\.json$/i.test(filename) && !/^\s*[[{]/.test(text));
+        const rows = isCsv ? this.parseCsvRows(text) : this.parseJsonRows(text);
+        const timeScale = this.detectTimeScale(rows);
+
+        return rows
+            .map(row => this.normalizeSegment(row, timeScale))
+            .filter(segment => segment && segment.text)
+            .sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Extract segment-like objects from the JSON formats we've seen
+     */
+    parseJsonRows(text) {
+        const data = JSON.parse(text);
+        if (Array.isArray(data)) return data;
+
+        const candidates = ['segments', 'transcript', 'results', 'utterances', 'items', 'data'];
+        for (const key of candidates) {
+            if (Array.isArray(data?.[key])) return data[key];
+            if (Array.isArray(data?.[key]?.segments)) return data[key].segments;
+        }
+
+        return [];
+    }
+
+    /**
+     * Parse CSV with a header row into objects keyed by lower-cased column name
+     */
+    parseCsvRows(text) {
+        const records = [];
+        let record = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                record.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                record.push(field);
+                records.push(record);
+                record = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field || record.length > 0) {
+            record.push(field);
+            records.push(record);
+        }
+
+        const nonEmpty = records.filter(r => r.some(value => value.trim() !== ''));
+        if (nonEmpty.length === 0) return [];
+
+        const headers = nonEmpty[0].map(header => header.trim().toLowerCase());
+        return nonEmpty.slice(1).map(values => {
+            const row = {};
+            headers.forEach((header, index) => {
+                row[header] = values[index];
+            });
+            return row;
+        });
+    }
+
+    /**
+     * First of the given fields that has a value
+     * @returns {string|null} Field name
+     */
+    pickKey(row, keys) {
+        return keys.find(key => row[key] !== undefined && row[key] !== null && row[key] !== '') || null;
+    }
+
+    /**
+     * Whether a file's plain-number times are seconds (1) or milliseconds (1/1000)
+     * Decided once per file: *_ms field names mean milliseconds, otherwise a time past
+     * 100000 anywhere in the file does (no recording runs 27 hours)
+     */
+    detectTimeScale(rows) {
+        const fields = [this.startFields, this.endFields];
+        let max = 0;
+
+        for (const row of rows) {
+            if (!row || typeof row !== 'object') continue;
+
+            for (const keys of fields) {
+                const key = this.pickKey(row, keys);
+                if (!key) continue;
+                if (/_?ms$/i.test(key)) return 1 / 1000;
+
+                const value = String(row[key]).trim().replace(',', '.');
+                if (/^\d+(\.\d+)?$/.test(value)) max = Math.max(max, parseFloat(value));
+            }
+        }
+
+        return max > 100000 ? 1 / 1000 : 1;
+    }
+
+    /**
+     * Map the many possible field names onto one segment shape
+     * @param {Object} row - Raw row from the file
+     * @param {number} timeScale - From detectTimeScale
+     */
+    normalizeSegment(row, timeScale = 1) {
+        if (!row || typeof row !== 'object') return null;
+
+        const pick = (...keys) => {
+            const key = this.pickKey(row, keys);
+            return key ? row[key] : null;
+        };
+
+        const text = pick('text', 'transcript', 'content', 'sentence', 'utterance');
+        const start = this.parseTimestamp(pick(...this.startFields), timeScale);
+        const end = this.parseTimestamp(pick(...this.endFields), timeScale);
+        const speaker = pick('speaker', 'speaker_name', 'speakerName', 'speaker_label', 'name', 'username', 'user');
+
+        if (start === null) return null;
+
+        return {
+            start: start,
+            end: end,
+            speaker: speaker ? String(speaker).trim() : '',
+            text: String(text || '').trim()
+        };
+    }
+
+    /**
+     * Parse a plain number or h:mm:ss(.ms) into seconds
+     * @param {number} timeScale - Seconds per unit for plain numbers (see detectTimeScale)
+     */
+    parseTimestamp(value, timeScale = 1) {
+        if (value === null || value === undefined) return null;
+        if (typeof value === 'number') return value * timeScale;
+
+        const str = String(value).trim().replace(',', '.');
+        if (/^\d+(\.\d+)?$/.test(str)) {
+            return parseFloat(str) * timeScale;
+        }
+
+        const parts = str.split(':').map(parseFloat);
+        if (parts.some(isNaN)) return null;
+        return parts.reduce((total, part) => total * 60 + part, 0);
+    }
+
+    /**
+     * Render the loaded segments
+     */
+    render() {
+        if (!this.listElement) return;
+
+        const subtitle = document.getElementById('transcriptSubtitle');
+        if (subtitle) {
+            const speakers = new Set(this.segments.map(s => s.speaker).filter(Boolean));
+            subtitle.textContent = `${this.segments.length} segments${speakers.size ? ` · ${speakers.size} speakers` : ''}`;
+        }
+
+        if (this.segments.length === 0) {
+            this.listElement.innerHTML = '<div class="loading">Transcript is empty.</div>';
+            return;
+        }
+
+        this.listElement.innerHTML = html`${this.segments.map((segment, index) => html`
+            <div class="transcript-line" data-index="${index}" title="Play from ${Utils.formatTimestamp(segment.start)}">
+                <span class="transcript-time">${Utils.formatTimestamp(segment.start)}</span>
+                <div class="transcript-body">
+                    ${segment.speaker ? html`<span class="transcript-speaker">${segment.speaker}</span>` : ''}
+                    <span class="transcript-text">${segment.text}</span>
+                </div>
+            </div>
+        `)}`;
+    }
+
+    /**
+     * Find the segment being spoken at a given time
+     */
+    findSegmentIndex(seconds) {
+        let low = 0;
+        let high = this.segments.length - 1;
+        let found = -1;
+
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (this.segments[mid].start <= seconds) {
+                found = mid;
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        return found;
+    }
+
+    isPlayingThisSpace() {
+        return !!(window.player && player.space && this.space && player.space._id === this.space._id);
+    }
+
+    /**
+     * Highlight the current line as the player advances
+     */
+    onPlayerTimeUpdate(currentTime) {
+        if (!this.isOpen() || !this.isPlayingThisSpace() || this.segments.length === 0) return;
+
+        const index = this.findSegmentIndex(currentTime);
+        if (index === this.activeIndex) return;
+
+        this.listElement.querySelector('.transcript-line.active')?.classList.remove('active');
+        this.activeIndex = index;
+        if (index < 0) return;
+
+        const line = this.listElement.querySelector(`.transcript-line[data-index="${index}"]`);
+        if (!line) return;
+        line.classList.add('active');
+
+        if (Date.now() - this.lastUserScroll > this.autoScrollPause) {
+            line.scrollIntoView({ block: 'center', behavior: 'smooth' });
+        }
+    }
+
+    /**
+     * Seek the player to a transcript position, loading the space if needed
+     */
+    seekTo(seconds) {
+        if (!this.space) return;
+
+        if (this.isPlayingThisSpace()) {
+            player.seek(seconds, true);
+        } else {
+            dashboard.playSpace(this.space, seconds);
+        }
+        this.lastUserScroll = 0;
+    }
+}
+
+// Create global instance
+const transcriptViewer = new TranscriptViewer();
+window.transcriptViewer = transcriptViewer;
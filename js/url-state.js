@@ -0,0 +1,361 @@
+/**
+ * URL State Manager - Keeps the dashboard view in the query string
+ * - Filters and sort, the open details/participants modal, host/person/analytics pages and the player position
+ * - Pushes a history entry per user-visible change so back/forward walk through them
+ * - Restores the full view (including scroll position) on load or from a pasted link
+ *
+ * Query parameters:
+ *   privacy, host, q, override=1, from, to, sort   - FilterManager.filters
+ *   view=details|participants & space=<id>         - open modal
+ *   play=<id> & t=<seconds>                        - player space and position
+ *   profile=<handle>                               - open host profile page
+ *   people=1 | person=<handle>                     - open people directory or a person's page
+ *   analytics=24h|7d|30d|all                       - open analytics page on a range
+ *   env=<profile>                                  - environment profile, when not the default (see EnvironmentManager)
+ */
+
+class UrlStateManager {
+    constructor() {
+        this.isApplying = false;      // Suppresses pushes while we apply a popped state
+        this.isRestored = false;      // Nothing is written until the initial state is applied
+        this.lastTimeWrite = 0;
+        this.timeWriteInterval = 5000; // Player position is written at most this often
+        this.maxRestorePages = 10;    // Pages to load at most when restoring scroll
+
+        this.init();
+    }
+
+    /**
+     * Hook into history, the modal and the player
+     */
+    init() {
+        window.addEventListener('popstate', (event) => {
+            this.applyState(this.parse(window.location.search), event.state);
+        });
+
+        if (window.modal) {
+            modal.setOnViewChange(() => this.push());
+        }
+
+        if (window.player) {
+            player.onTimeUpdateCallback(() => this.onPlayerTimeUpdate());
+        }
+
+        if (window.hostProfile) {
+            hostProfile.setOnChange(() => this.push());
+        }
+
+        if (window.participantDirectory) {
+            participantDirectory.setOnChange(() => this.push());
+        }
+
+        if (window.analytics) {
+            analytics.setOnChange(() => this.push());
+        }
+
+        // Remember scroll position on the current entry so back/forward and reload return to it
+        window.addEventListener('scroll', Utils.debounce(() => {
+            if (!this.isRestored) return;
+            history.replaceState({ ...(history.state || {}), scrollY: window.scrollY }, '', window.location.href);
+        }, 200));
+    }
+
+    /**
+     * Parse a query string into a state object
+     * @param {string} search - window.location.search
+     * @returns {Object} State
+     */
+    parse(search) {
+        const params = new URLSearchParams(search);
+        const time = parseFloat(params.get('t'));
+
+        return {
+            filters: {
+                privacy: params.get('privacy') || '',
+                host: params.get('host') || '',
+                search: params.get('q') || '',
+                overrideOnly: params.get('override') === '1',
+                dateFrom: params.get('from') || '',
+                dateTo: params.get('to') || '',
+                sort: params.get('sort') || CONFIG.DEFAULT_SORT
+            },
+            view: params.get('view') && params.get('space') ?
+                { type: params.get('view'), spaceId: params.get('space') } : null,
+            play: params.get('play') || null,
+            time: isFinite(time) ? time : null,
+            profile: params.get('profile') || null,
+            people: params.get('person') ? { person: params.get('person') } :
+                params.get('people') === '1' ? { person: null } : null,
+            analytics: params.get('analytics') || null
+        };
+    }
+
+    /**
+     * Capture the current view as a state object
+     * @returns {Object} State
+     */
+    capture() {
+        const filters = window.filterManager ? filterManager.getFilters() : {};
+        const view = window.modal ? modal.getView() : null;
+        const playing = window.player && player.space ? player.space._id : null;
+        const profile = window.hostProfile ? hostProfile.getHandle() : null;
+        const people = window.participantDirectory ? participantDirectory.getState() : null;
+        const analyticsState = window.analytics ? analytics.getState() : null;
+
+        return {
+            // Links from a non-default profile should open against the same backend
+            env: window.environment && !environment.isDefault() ? environment.name : null,
+            filters: filters,
+            view: view,
+            play: playing,
+            time: playing ? Math.floor(player.getCurrentTime()) : null,
+            profile: profile,
+            people: people,
+            analytics: analyticsState ? analyticsState.range : null
+        };
+    }
+
+    /**
+     * Serialize a state object into a query string
+     * @param {Object} state - State
+     * @returns {string} Query string including the leading '?', or ''
+     */
+    serialize(state) {
+        const params = new URLSearchParams();
+        const filters = state.filters || {};
+
+        if (state.env) params.set('env', state.env);
+
+        if (filters.privacy) params.set('privacy', filters.privacy);
+        if (filters.host) params.set('host', filters.host);
+        if (filters.search) params.set('q', filters.search);
+        if (filters.overrideOnly) params.set('override', '1');
+        if (filters.dateFrom) params.set('from', filters.dateFrom);
+        if (filters.dateTo) params.set('to', filters.dateTo);
+        if (filters.sort && filters.sort !== CONFIG.DEFAULT_SORT) params.set('sort', filters.sort);
+
+        if (state.view) {
+            params.set('view', state.view.type);
+            params.set('space', state.view.spaceId);
+        }
+
+        if (state.play) {
+            params.set('play', state.play);
+            if (state.time) params.set('t', String(state.time));
+        }
+
+        if (state.profile) params.set('profile', state.profile);
+
+        if (state.people?.person) {
+            params.set('person', state.people.person);
+        } else if (state.people) {
+            params.set('people', '1');
+        }
+
+        if (state.analytics) params.set('analytics', state.analytics);
+
+        const query = params.toString();
+        return query ? `?${query}` : '';
+    }
+
+    /**
+     * Build a shareable link for the current view
+     * @returns {string} Absolute URL
+     */
+    getShareUrl() {
+        return `${window.location.origin}${window.location.pathname}${this.serialize(this.capture())}`;
+    }
+
+    /**
+     * Push a history entry for the current view if it changed
+     */
+    push() {
+        if (!this.isRestored || this.isApplying) return;
+
+        const query = this.serialize(this.capture());
+        if (query === window.location.search) return;
+
+        history.pushState({ scrollY: 0 }, '', `${window.location.pathname}${query}`);
+        this.lastTimeWrite = Date.now();
+    }
+
+    /**
+     * Keep t= in the URL current without flooding history
+     */
+    onPlayerTimeUpdate() {
+        if (!this.isRestored || this.isApplying) return;
+        if (Date.now() - this.lastTimeWrite < this.timeWriteInterval) return;
+
+        this.lastTimeWrite = Date.now();
+        const current = this.parse(window.location.search);
+        const query = this.serialize(this.capture());
+
+        if (query === window.location.search) return;
+
+        // Starting a different space deserves its own history entry; progress does not
+        if (current.play !== (player.space ? player.space._id : null)) {
+            history.pushState({ scrollY: window.scrollY }, '', `${window.location.pathname}${query}`);
+        } else {
+            history.replaceState(history.state, '', `${window.location.pathname}${query}`);
+        }
+    }
+
+    /**
+     * Apply the state in the URL when the app first loads.
+     * Filters are set before the first page is fetched so it isn't loaded twice.
+     */
+    restoreFilters() {
+        const state = this.parse(window.location.search);
+        if (window.filterManager) {
+            filterManager.setFilters(state.filters, false);
+        }
+    }
+
+    /**
+     * Apply the rest of the URL state once the first page of spaces is shown
+     */
+    async restoreView() {
+        const state = this.parse(window.location.search);
+        this.isApplying = true;
+
+        try {
+            await this.applyView(state);
+            await this.restoreScroll(history.state?.scrollY || 0);
+        } finally {
+            this.isApplying = false;
+            this.isRestored = true;
+        }
+    }
+
+    /**
+     * Apply a state popped from history
+     * @param {Object} state - Parsed URL state
+     * @param {Object} historyState - history.state for the entry
+     */
+    async applyState(state, historyState) {
+        this.isApplying = true;
+
+        try {
+            // Wait for the first filtered page so the modal and scroll apply to it
+            if (window.filterManager && filterManager.setFilters(state.filters, false)) {
+                await dashboard.loadSpaces();
+            }
+            await this.applyView(state);
+            if (historyState && typeof historyState.scrollY === 'number') {
+                await this.restoreScroll(historyState.scrollY);
+            }
+        } finally {
+            this.isApplying = false;
+        }
+    }
+
+    /**
+     * Open or close the host/person/analytics pages and modal and load the player to match a state
+     */
+    async applyView(state) {
+        this.applyProfile(state.profile);
+        this.applyPeople(state.people);
+        this.applyAnalytics(state.analytics);
+        await this.applyModal(state.view);
+        await this.applyPlayer(state.play, state.time);
+    }
+
+    applyProfile(handle) {
+        if (!window.hostProfile) return;
+
+        if (!handle) {
+            hostProfile.close();
+        } else if (hostProfile.getHandle() !== handle) {
+            hostProfile.show(handle);
+        }
+    }
+
+    applyPeople(people) {
+        if (!window.participantDirectory) return;
+
+        const current = participantDirectory.getState();
+        if (!people) {
+            participantDirectory.close();
+        } else if (people.person && current?.person !== people.person) {
+            participantDirectory.showPerson(people.person);
+        } else if (!people.person && (!current || current.person)) {
+            participantDirectory.showDirectory();
+        }
+    }
+
+    applyAnalytics(range) {
+        if (!window.analytics) return;
+
+        if (!range) {
+            analytics.close();
+        } else if (analytics.getState()?.range !== range) {
+            analytics.show(range);
+        }
+    }
+
+    async applyModal(view) {
+        if (!window.modal) return;
+
+        const current = modal.getView();
+        if (!view) {
+            if (modal.isOpen()) modal.closeAll();
+            return;
+        }
+
+        if (current && current.type === view.type && current.spaceId === view.spaceId && modal.isOpen()) return;
+
+        // Back to a view further down the stack
+        if (modal.closeTo(view)) return;
+
+        if (view.type === 'participants') {
+            const space = dashboard.findSpaceById(view.spaceId);
+            await dashboard.showParticipantsModal(view.spaceId, space?.title || 'Space');
+        } else if (view.type === 'details') {
+            await dashboard.viewSpaceDetails(view.spaceId);
+        }
+    }
+
+    async applyPlayer(spaceId, time) {
+        if (!window.player || !spaceId) return;
+
+        if (player.space && player.space._id === spaceId) {
+            if (time !== null && Math.abs(player.getCurrentTime() - time) > 2) {
+                player.seek(time);
+            }
+            return;
+        }
+
+        let space = dashboard.findSpaceById(spaceId);
+        if (!space) {
+            try {
+                const data = await api.getSpaceDetails(spaceId);
+                space = data.data;
+            } catch (error) {
+                console.warn(`⚠️ Could not load space ${spaceId} from URL:`, error.message);
+                return;
+            }
+        }
+
+        if (space) {
+            dashboard.playSpace(space, time || 0);
+        }
+    }
+
+    /**
+     * Scroll back to a saved position, paging in more spaces if the list is too short
+     */
+    async restoreScroll(scrollY) {
+        if (!scrollY) return;
+
+        for (let page = 0; page < this.maxRestorePages; page++) {
+            if (document.documentElement.scrollHeight >= scrollY + window.innerHeight || !dashboard.hasMore) break;
+            await dashboard.loadMoreSpaces();
+        }
+
+        window.scrollTo(0, scrollY);
+    }
+}
+
+// Create global instance
+const urlState = new UrlStateManager();
+window.urlState = urlState;
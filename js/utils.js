@@ -85,6 +85,64 @@ const Utils = {
         return new Date(dateString).toLocaleString();
     },
 
+    /**
+     * Local calendar date as YYYY-MM-DD, the form the date filters take
+     * @param {string|number|Date} value - Date to format
+     * @returns {string} Date string
+     */
+    formatDateInput(value) {
+        const date = new Date(value);
+        const pad = (number) => String(number).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    },
+
+    /**
+     * Escape text for safe insertion into HTML strings
+     * @param {*} value - Value to escape
+     * @returns {string} Escaped text
+     */
+    escapeHTML(value) {
+        if (value === null || value === undefined) return '';
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    },
+
+    /**
+     * Format a playback position as m:ss or h:mm:ss
+     * @param {number} seconds - Position in seconds
+     * @returns {string} Formatted timestamp
+     */
+    formatTimestamp(seconds) {
+        if (!isFinite(seconds) || seconds < 0) seconds = 0;
+        const total = Math.floor(seconds);
+        const h = Math.floor(total / 3600);
+        const m = Math.floor((total % 3600) / 60);
+        const s = String(total % 60).padStart(2, '0');
+        return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+    },
+
+    /**
+     * Save a blob as a file through a temporary download link
+     * @param {Blob} blob - File content
+     * @param {string} filename - Name to save it as
+     */
+    downloadBlob(blob, filename) {
+        const blobUrl = window.URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = blobUrl;
+        link.download = filename;
+        link.style.display = 'none';
+
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        window.URL.revokeObjectURL(blobUrl);
+    },
+
     /**
      * Get DOM element by ID with error handling
      * @param {string} id - Element ID
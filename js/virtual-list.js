@@ -0,0 +1,401 @@
+/**
+ * Virtual List - Windowed renderer for long lists scrolled with the page
+ * - Only items in or near the viewport are in the DOM; spacers stand in for the rest
+ * - Item heights are measured once rendered (and watched for changes), estimated before
+ * - Rendered nodes are reused by key, so cards that stay on screen aren't rebuilt
+ */
+
+class VirtualList {
+    /**
+     * @param {HTMLElement} container - Element the list renders into (owned by the list)
+     * @param {Object} options
+     * @param {Function} options.renderItem - item -> HTML (string or html`` markup) with a single root element
+     * @param {Function} options.getKey - item -> unique key
+     * @param {number} options.estimatedHeight - Height assumed for items not yet measured
+     * @param {number} options.overscan - Pixels rendered beyond each edge of the viewport
+     * @param {Function} options.onRender - Receives the elements created by a render
+     * @param {Function} options.onRemove - Receives each element taken out of the DOM
+     */
+    constructor(container, options) {
+        this.container = container;
+        this.renderItem = options.renderItem;
+        this.getKey = options.getKey;
+        this.estimatedHeight = options.estimatedHeight || 100;
+        this.overscan = options.overscan ?? 800;
+        this.onRender = options.onRender || null;
+        this.onRemove = options.onRemove || null;
+
+        this.items = [];
+        this.indexByKey = new Map();
+        this.heights = new Map();     // key -> measured height in px
+        this.offsets = [0];           // offsets[i] = top of item i, offsets[items.length] = total
+        this.rendered = new Map();    // key -> element
+        this.range = { start: 0, end: 0 };
+        this.frame = null;
+
+        this.resizeObserver = typeof ResizeObserver !== 'undefined' ?
+            new ResizeObserver((entries) => this.onResize(entries)) :
+            null;
+
+        this.mount();
+
+        window.addEventListener('scroll', () => this.scheduleUpdate(), { passive: true });
+        window.addEventListener('resize', () => this.scheduleUpdate());
+    }
+
+    /**
+     * Build the spacer/items/footer skeleton inside the container
+     */
+    mount() {
+        this.container.innerHTML = `
+            <div class="virtual-list-spacer"></div>
+            <div class="virtual-list-items"></div>
+            <div class="virtual-list-spacer"></div>
+            <div class="virtual-list-footer"></div>
+        `;
+
+        [this.topSpacer, this.itemsElement, this.bottomSpacer, this.footerElement] = this.container.children;
+    }
+
+    /**
+     * Replace all items
+     * @param {Array} items - New items
+     * @param {Object} options - { preserveScroll } keeps the first visible item in place if it's still listed
+     */
+    setItems(items, options = {}) {
+        const anchor = options.preserveScroll ? this.getScrollAnchor() : null;
+
+        this.clearRendered();
+        this.items = [...items];
+        this.reindex();
+        this.pruneHeights();
+        this.recomputeOffsets();
+        this.update(true);
+
+        if (anchor && this.indexByKey.has(anchor.key)) {
+            this.scrollToKey(anchor.key, anchor.viewportTop);
+        }
+    }
+
+    /**
+     * Add items to the end
+     */
+    append(items) {
+        if (!items || items.length === 0) return;
+
+        this.items.push(...items);
+        this.reindex();
+        this.recomputeOffsets();
+        this.update(true);
+    }
+
+    /**
+     * Re-render one item where it is
+     * @returns {HTMLElement|null} The new element if the item is on screen
+     */
+    updateItem(item) {
+        const key = this.getKey(item);
+        const index = this.indexByKey.get(key);
+        if (index === undefined) return null;
+
+        this.items[index] = item;
+        this.removeRendered(key);
+        this.update(true);
+        return this.rendered.get(key) || null;
+    }
+
+    /**
+     * Move (or add) an item to the top of the list
+     * @returns {HTMLElement|null} The new element if the item is on screen
+     */
+    moveToTop(item) {
+        const key = this.getKey(item);
+        const index = this.indexByKey.get(key);
+
+        if (index !== undefined) {
+            this.items.splice(index, 1);
+            this.removeRendered(key);
+        }
+        this.items.unshift(item);
+        this.reindex();
+        this.recomputeOffsets();
+        this.update(true);
+        return this.rendered.get(key) || null;
+    }
+
+    /**
+     * Rebuild every rendered element (e.g. when data they show changed)
+     */
+    refresh() {
+        this.clearRendered();
+        this.update(true);
+    }
+
+    getElement(key) {
+        return this.rendered.get(key) || null;
+    }
+
+    setFooter(html) {
+        this.footerElement.innerHTML = html;
+    }
+
+    reindex() {
+        this.indexByKey.clear();
+        this.items.forEach((item, index) => this.indexByKey.set(this.getKey(item), index));
+    }
+
+    /**
+     * Forget measurements for items no longer listed; kept ones avoid jumps when the same items come back re-sorted
+     */
+    pruneHeights() {
+        this.heights.forEach((height, key) => {
+            if (!this.indexByKey.has(key)) this.heights.delete(key);
+        });
+    }
+
+    recomputeOffsets() {
+        const offsets = new Array(this.items.length + 1);
+        offsets[0] = 0;
+
+        for (let i = 0; i < this.items.length; i++) {
+            const height = this.heights.get(this.getKey(this.items[i])) ?? this.estimatedHeight;
+            offsets[i + 1] = offsets[i] + height;
+        }
+
+        this.offsets = offsets;
+    }
+
+    /**
+     * Index of the item containing a list-relative position
+     */
+    findIndexAt(position) {
+        let low = 0;
+        let high = this.items.length - 1;
+        let found = 0;
+
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (this.offsets[mid] <= position) {
+                found = mid;
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        return found;
+    }
+
+    /**
+     * Page offset of the top of the list
+     */
+    getListTop() {
+        return this.topSpacer.getBoundingClientRect().top + window.scrollY;
+    }
+
+    scheduleUpdate() {
+        if (this.frame) return;
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.update();
+        });
+    }
+
+    /**
+     * Render the items overlapping the viewport (plus overscan)
+     * @param {boolean} force - Re-render even if the visible range hasn't changed
+     */
+    update(force = false) {
+        const count = this.items.length;
+        const listTop = this.getListTop();
+        const viewTop = window.scrollY - listTop - this.overscan;
+        const viewBottom = window.scrollY + window.innerHeight - listTop + this.overscan;
+
+        let start = 0;
+        let end = 0;
+        if (count > 0 && viewBottom > 0 && viewTop < this.offsets[count]) {
+            start = this.findIndexAt(Math.max(0, viewTop));
+            end = Math.min(count, this.findIndexAt(viewBottom) + 1);
+        }
+
+        if (!force && start === this.range.start && end === this.range.end) return;
+        this.range = { start, end };
+
+        this.renderRange(start, end);
+    }
+
+    renderRange(start, end) {
+        const keep = new Set();
+        const created = [];
+        let previous = null;
+
+        for (let i = start; i < end; i++) {
+            const item = this.items[i];
+            const key = this.getKey(item);
+            keep.add(key);
+
+            let element = this.rendered.get(key);
+            if (!element) {
+                element = this.createElement(item, key);
+                this.rendered.set(key, element);
+                created.push({ element, key, index: i });
+            }
+
+            const expected = previous ? previous.nextSibling : this.itemsElement.firstChild;
+            if (element !== expected) {
+                this.itemsElement.insertBefore(element, expected);
+            }
+            previous = element;
+        }
+
+        [...this.rendered.keys()].forEach(key => {
+            if (!keep.has(key)) this.removeRendered(key);
+        });
+
+        this.measure(created);
+        this.updateSpacers();
+
+        if (this.onRender) {
+            this.onRender(created.map(entry => entry.element));
+        }
+    }
+
+    createElement(item, key) {
+        const template = document.createElement('template');
+        template.innerHTML = String(this.renderItem(item)).trim();
+
+        const element = template.content.firstElementChild;
+        element.dataset.virtualKey = key;
+        if (this.resizeObserver) this.resizeObserver.observe(element);
+        return element;
+    }
+
+    removeRendered(key) {
+        const element = this.rendered.get(key);
+        if (!element) return;
+
+        if (this.resizeObserver) this.resizeObserver.unobserve(element);
+        element.remove();
+        this.rendered.delete(key);
+        if (this.onRemove) this.onRemove(element);
+    }
+
+    clearRendered() {
+        [...this.rendered.keys()].forEach(key => this.removeRendered(key));
+    }
+
+    /**
+     * Record real heights for newly rendered items.
+     * Items that grew or shrank above the viewport shift the page, so scroll by the difference.
+     */
+    measure(created) {
+        if (created.length === 0) return;
+
+        const anchorIndex = this.findIndexAt(Math.max(0, window.scrollY - this.getListTop()));
+        let shiftAbove = 0;
+        let changed = false;
+
+        created.forEach(({ element, key, index }) => {
+            const height = element.offsetHeight;
+            const previous = this.heights.get(key) ?? this.estimatedHeight;
+            if (height === previous) return;
+
+            this.heights.set(key, height);
+            changed = true;
+            if (index < anchorIndex) shiftAbove += height - previous;
+        });
+
+        if (!changed) return;
+
+        this.updateEstimate();
+        this.recomputeOffsets();
+
+        if (shiftAbove !== 0) {
+            window.scrollBy(0, shiftAbove);
+        }
+
+        // Smaller items than estimated may leave part of the viewport empty
+        this.scheduleUpdate();
+    }
+
+    /**
+     * Use the average measured height as the estimate for unmeasured items
+     */
+    updateEstimate() {
+        if (this.heights.size === 0) return;
+
+        let total = 0;
+        this.heights.forEach(height => {
+            total += height;
+        });
+        this.estimatedHeight = Math.round(total / this.heights.size);
+    }
+
+    /**
+     * Rendered items changed size (avatars loaded, text wrapped, ...)
+     */
+    onResize(entries) {
+        let changed = false;
+        let shiftAbove = 0;
+
+        entries.forEach(entry => {
+            const element = entry.target;
+            const key = element.dataset.virtualKey;
+            if (!element.isConnected || !this.rendered.has(key)) return;
+
+            const height = element.offsetHeight;
+            const previous = this.heights.get(key);
+            if (height === previous) return;
+
+            this.heights.set(key, height);
+            changed = true;
+            if (previous !== undefined && element.getBoundingClientRect().bottom <= 0) {
+                shiftAbove += height - previous;
+            }
+        });
+
+        if (!changed) return;
+
+        this.recomputeOffsets();
+        this.updateSpacers();
+        if (shiftAbove !== 0) {
+            window.scrollBy(0, shiftAbove);
+        }
+        this.scheduleUpdate();
+    }
+
+    updateSpacers() {
+        const total = this.offsets[this.items.length];
+        this.topSpacer.style.height = `${this.offsets[this.range.start]}px`;
+        this.bottomSpacer.style.height = `${Math.max(0, total - this.offsets[this.range.end])}px`;
+    }
+
+    /**
+     * The first item at or below the top of the viewport, and where it sits on screen
+     */
+    getScrollAnchor() {
+        let anchor = null;
+
+        this.rendered.forEach((element, key) => {
+            const top = element.getBoundingClientRect().top;
+            if (top >= 0 && (!anchor || top < anchor.viewportTop)) {
+                anchor = { key, viewportTop: top };
+            }
+        });
+
+        return anchor;
+    }
+
+    /**
+     * Scroll so an item's top is at the given viewport offset
+     */
+    scrollToKey(key, viewportTop = 0) {
+        const index = this.indexByKey.get(key);
+        if (index === undefined) return;
+
+        window.scrollTo(0, this.getListTop() + this.offsets[index] - viewportTop);
+        this.update();
+    }
+}
+
+window.VirtualList = VirtualList;
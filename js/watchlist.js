@@ -0,0 +1,444 @@
+/**
+ * Watchlist - Alerts when followed hosts or anchors go live
+ * - Hosts and anchors (the followed account behind a recording) are kept in localStorage
+ * - New live spaces from live updates are matched against the watchlist
+ * - Matches raise a desktop notification and an in-app toast
+ * - Spaces already live by the first poll are remembered silently rather than alerted
+ * - Entries can be muted individually, and alerts are held back during quiet hours
+ */
+
+class WatchlistManager {
+    constructor() {
+        this.storageKey = 'audiohub-watchlist';
+        this.maxNotifiedIds = 500;    // Remembered so a space only alerts once
+        this.toastDuration = 10000;
+
+        this.entries = [];            // [{ handle, type: 'host'|'anchor', muted }]
+        this.quietHours = { enabled: false, start: '22:00', end: '07:00' };
+        this.notifiedSpaceIds = [];
+        this.hasSeeded = false;       // Set once the first poll's live spaces are remembered
+
+        this.toggleElement = null;
+        this.panelElement = null;
+        this.toastContainer = null;
+
+        this.load();
+        this.init();
+    }
+
+    /**
+     * Initialize the watchlist once the DOM is ready
+     */
+    init() {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.setup());
+        } else {
+            this.setup();
+        }
+    }
+
+    setup() {
+        this.createWatchlistHTML();
+        this.setupEventListeners();
+        this.render();
+
+        if (window.liveUpdates) {
+            liveUpdates.onSpacesUpdated((spaces, source) => this.checkSpaces(spaces, source));
+        }
+    }
+
+    /**
+     * Read the watchlist from localStorage
+     */
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            if (!stored) return;
+
+            this.entries = Array.isArray(stored.entries) ? stored.entries : [];
+            this.quietHours = { ...this.quietHours, ...(stored.quietHours || {}) };
+            this.notifiedSpaceIds = Array.isArray(stored.notifiedSpaceIds) ? stored.notifiedSpaceIds : [];
+        } catch (error) {
+            console.warn('⚠️ Failed to read watchlist from storage:', error.message);
+        }
+    }
+
+    save() {
+        this.notifiedSpaceIds = this.notifiedSpaceIds.slice(-this.maxNotifiedIds);
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                entries: this.entries,
+                quietHours: this.quietHours,
+                notifiedSpaceIds: this.notifiedSpaceIds
+            }));
+        } catch (error) {
+            console.warn('⚠️ Failed to save watchlist:', error.message);
+        }
+    }
+
+    /**
+     * Normalize a handle for comparison
+     */
+    normalizeHandle(handle) {
+        return String(handle || '').replace(/^@/, '').trim().toLowerCase();
+    }
+
+    /**
+     * Add a host or anchor
+     * @param {string} handle - Username, with or without @
+     * @param {string} type - 'host' or 'anchor'
+     * @returns {boolean} Whether it was added
+     */
+    add(handle, type = 'host') {
+        const normalized = this.normalizeHandle(handle);
+        if (!normalized) return false;
+        if (this.find(normalized, type)) return false;
+
+        this.entries.push({ handle: normalized, type: type, muted: false });
+        this.save();
+        this.render();
+        return true;
+    }
+
+    remove(handle, type) {
+        const normalized = this.normalizeHandle(handle);
+        this.entries = this.entries.filter(entry => !(entry.handle === normalized && entry.type === type));
+        this.save();
+        this.render();
+    }
+
+    toggleMute(handle, type) {
+        const entry = this.find(handle, type);
+        if (!entry) return;
+        entry.muted = !entry.muted;
+        this.save();
+        this.render();
+    }
+
+    find(handle, type) {
+        const normalized = this.normalizeHandle(handle);
+        return this.entries.find(entry => entry.handle === normalized && entry.type === type) || null;
+    }
+
+    /**
+     * Handles that identify the anchor of a space
+     */
+    getAnchorHandles(space) {
+        if (!space.anchor) return [];
+        return [space.anchor.username, space.anchor.handle, space.anchor.displayName]
+            .map(handle => this.normalizeHandle(handle))
+            .filter(Boolean);
+    }
+
+    /**
+     * The watchlist entry that makes a space worth an alert, if any.
+     * A muted host silences its spaces even when an anchor matches.
+     * @param {Object} space - Space object
+     * @returns {Object|null} Matching entry
+     */
+    getMatch(space) {
+        const host = this.normalizeHandle(space.host);
+        const hostEntry = this.find(host, 'host');
+        if (hostEntry?.muted) return null;
+        if (hostEntry) return hostEntry;
+
+        const anchorHandles = this.getAnchorHandles(space);
+        return this.entries.find(entry =>
+            entry.type === 'anchor' && !entry.muted && anchorHandles.includes(entry.handle)
+        ) || null;
+    }
+
+    /**
+     * Whether the current time falls inside quiet hours (the range may wrap midnight)
+     */
+    isQuietTime(date = new Date()) {
+        if (!this.quietHours.enabled) return false;
+
+        const toMinutes = (time) => {
+            const [hours, minutes] = String(time).split(':').map(Number);
+            return (hours || 0) * 60 + (minutes || 0);
+        };
+
+        const now = date.getHours() * 60 + date.getMinutes();
+        const start = toMinutes(this.quietHours.start);
+        const end = toMinutes(this.quietHours.end);
+
+        if (start === end) return false;
+        return start < end ? now >= start && now < end : now >= start || now < end;
+    }
+
+    setQuietHours(values) {
+        this.quietHours = { ...this.quietHours, ...values };
+        this.save();
+    }
+
+    /**
+     * Alert for newly live spaces that match the watchlist
+     * @param {Array<Object>} spaces - Spaces from a live update
+     * @param {string} source - 'poll' or 'stream' (see LiveUpdater.onSpacesUpdated)
+     */
+    checkSpaces(spaces, source) {
+        // Spaces that were live before the page opened aren't news; remember them
+        // until the first poll has listed everything that's on air
+        if (!this.hasSeeded) {
+            this.seed(spaces);
+            this.hasSeeded = source === 'poll';
+            return;
+        }
+
+        if (this.entries.length === 0) return;
+
+        spaces.forEach(space => {
+            if (!space.isLive || !space._id || this.notifiedSpaceIds.includes(space._id)) return;
+
+            const match = this.getMatch(space);
+            if (!match) return;
+
+            // Remember it even during quiet hours so it doesn't alert the moment they end
+            this.notifiedSpaceIds.push(space._id);
+            this.save();
+
+            if (this.isQuietTime()) {
+                console.log(`🔕 Quiet hours, not alerting for ${space._id}`);
+                return;
+            }
+
+            this.notify(space, match);
+        });
+    }
+
+    /**
+     * Remember live spaces without alerting
+     */
+    seed(spaces) {
+        const liveIds = spaces
+            .filter(space => space.isLive && space._id && !this.notifiedSpaceIds.includes(space._id))
+            .map(space => space._id);
+        if (liveIds.length === 0) return;
+
+        this.notifiedSpaceIds.push(...liveIds);
+        this.save();
+        console.log(`🔕 ${liveIds.length} spaces were already live, not alerting for them`);
+    }
+
+    /**
+     * Raise the desktop notification and the in-app toast
+     */
+    notify(space, match) {
+        const title = `${space.host || 'A followed account'} is live`;
+        const reason = match.type === 'anchor' ? `Followed account @${match.handle} is in this space` : 'Followed host';
+        const body = `${space.title || 'Untitled Space'}\n${reason}`;
+
+        if ('Notification' in window && Notification.permission === 'granted') {
+            try {
+                const notification = new Notification(title, { body: body, tag: `space-${space._id}` });
+                notification.onclick = () => {
+                    window.focus();
+                    dashboard.viewSpaceDetails(space._id);
+                    notification.close();
+                };
+            } catch (error) {
+                console.warn('⚠️ Desktop notification failed:', error.message);
+            }
+        }
+
+        this.showToast(space, title, reason);
+    }
+
+    /**
+     * In-app toast with a link to the space
+     */
+    showToast(space, title, reason) {
+        if (!this.toastContainer) return;
+
+        const toast = document.createElement('div');
+        toast.className = 'watchlist-toast';
+        toast.innerHTML = html`
+            <div class="watchlist-toast-title">🔴 ${title}</div>
+            <div class="watchlist-toast-body">${space.title || 'Untitled Space'}</div>
+            <div class="watchlist-toast-reason">${reason}</div>
+            <span class="watchlist-toast-close" title="Dismiss">&times;</span>
+        `;
+
+        toast.addEventListener('click', (e) => {
+            if (!e.target.closest('.watchlist-toast-close')) {
+                dashboard.viewSpaceDetails(space._id);
+            }
+            toast.remove();
+        });
+
+        this.toastContainer.appendChild(toast);
+        setTimeout(() => toast.remove(), this.toastDuration);
+    }
+
+    /**
+     * Ask for desktop notification permission (needs a user gesture)
+     */
+    async requestPermission() {
+        if (!('Notification' in window)) {
+            Utils.showMessage('Desktop notifications are not supported in this browser');
+            return;
+        }
+
+        const permission = await Notification.requestPermission();
+        if (permission === 'granted') {
+            Utils.showMessage('Desktop notifications enabled', CONFIG.MESSAGE_TYPES.SUCCESS);
+        } else {
+            Utils.showMessage('Desktop notifications were not allowed');
+        }
+        this.render();
+    }
+
+    /**
+     * Create the watchlist panel and toast container
+     */
+    createWatchlistHTML() {
+        const spacesContainer = document.querySelector('.spaces-container');
+        if (!spacesContainer) {
+            console.warn('Watchlist: Required elements not found');
+            return;
+        }
+
+        const watchlistHTML = `
+            <div class="watchlist-dropdown">
+                <button class="filter-toggle" id="watchlistToggle">
+                    🔔 Watchlist
+                </button>
+                <div class="filter-panel" id="watchlistPanel">
+                    <div class="filter-group">
+                        <label for="watchlistInput">Watch a host or anchor</label>
+                        <div class="watchlist-add">
+                            <input type="text" class="filter-input" id="watchlistInput" placeholder="Enter username...">
+                            <select class="filter-select" id="watchlistType">
+                                <option value="host">Host</option>
+                                <option value="anchor">Anchor</option>
+                            </select>
+                            <button type="button" class="btn btn-secondary" id="watchlistAdd">Add</button>
+                        </div>
+                    </div>
+
+                    <div class="filter-group">
+                        <div class="watchlist-entries" id="watchlistEntries"></div>
+                    </div>
+
+                    <div class="filter-group">
+                        <div class="filter-switch">
+                            <label class="switch">
+                                <input type="checkbox" id="quietHoursEnabled">
+                                <span class="slider"></span>
+                            </label>
+                            <label for="quietHoursEnabled">Quiet hours</label>
+                        </div>
+                        <div class="filter-range watchlist-quiet-hours">
+                            <input type="time" class="filter-input" id="quietHoursStart" title="From">
+                            <span>to</span>
+                            <input type="time" class="filter-input" id="quietHoursEnd" title="To">
+                        </div>
+                    </div>
+
+                    <div class="filter-group">
+                        <button type="button" class="btn btn-secondary" id="watchlistPermission">Enable desktop notifications</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        spacesContainer.insertAdjacentHTML('beforebegin', watchlistHTML);
+        document.body.insertAdjacentHTML('beforeend', '<div class="watchlist-toasts" id="watchlistToasts"></div>');
+
+        this.toggleElement = document.getElementById('watchlistToggle');
+        this.panelElement = document.getElementById('watchlistPanel');
+        this.toastContainer = document.getElementById('watchlistToasts');
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        if (!this.toggleElement || !this.panelElement) return;
+
+        this.toggleElement.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleElement.classList.toggle('open');
+            this.panelElement.classList.toggle('open');
+        });
+
+        const input = document.getElementById('watchlistInput');
+        const typeSelect = document.getElementById('watchlistType');
+        const addEntry = () => {
+            if (this.add(input.value, typeSelect.value)) {
+                input.value = '';
+            }
+        };
+
+        document.getElementById('watchlistAdd')?.addEventListener('click', addEntry);
+        input?.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') addEntry();
+        });
+
+        document.getElementById('watchlistEntries')?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-watch-action]');
+            if (!button) return;
+
+            const { handle, type } = button.closest('.watchlist-entry').dataset;
+            if (button.dataset.watchAction === 'mute') {
+                this.toggleMute(handle, type);
+            } else if (button.dataset.watchAction === 'remove') {
+                this.remove(handle, type);
+            }
+        });
+
+        const quietEnabled = document.getElementById('quietHoursEnabled');
+        const quietStart = document.getElementById('quietHoursStart');
+        const quietEnd = document.getElementById('quietHoursEnd');
+        const updateQuietHours = () => this.setQuietHours({
+            enabled: quietEnabled.checked,
+            start: quietStart.value || this.quietHours.start,
+            end: quietEnd.value || this.quietHours.end
+        });
+
+        [quietEnabled, quietStart, quietEnd].forEach(element => {
+            element?.addEventListener('change', updateQuietHours);
+        });
+
+        document.getElementById('watchlistPermission')?.addEventListener('click', () => this.requestPermission());
+    }
+
+    /**
+     * Render entries and settings into the panel
+     */
+    render() {
+        const entriesElement = document.getElementById('watchlistEntries');
+        if (!entriesElement) return;
+
+        entriesElement.innerHTML = this.entries.length === 0 ?
+            html`<div class="watchlist-empty">Nobody on the watchlist yet.</div>` :
+            html`${this.entries.map(entry => html`
+                <div class="watchlist-entry${entry.muted ? ' muted' : ''}" data-handle="${entry.handle}" data-type="${entry.type}">
+                    <span class="watchlist-handle">@${entry.handle}</span>
+                    <span class="watchlist-type">${entry.type === 'anchor' ? 'anchor' : 'host'}</span>
+                    <button type="button" class="btn btn-secondary" data-watch-action="mute">${entry.muted ? 'Unmute' : 'Mute'}</button>
+                    <button type="button" class="btn btn-secondary" data-watch-action="remove">Remove</button>
+                </div>
+            `)}`;
+
+        const quietEnabled = document.getElementById('quietHoursEnabled');
+        if (quietEnabled) quietEnabled.checked = !!this.quietHours.enabled;
+        const quietStart = document.getElementById('quietHoursStart');
+        if (quietStart) quietStart.value = this.quietHours.start;
+        const quietEnd = document.getElementById('quietHoursEnd');
+        if (quietEnd) quietEnd.value = this.quietHours.end;
+
+        const permissionButton = document.getElementById('watchlistPermission');
+        if (permissionButton) {
+            const granted = 'Notification' in window && Notification.permission === 'granted';
+            permissionButton.disabled = granted;
+            permissionButton.textContent = granted ? 'Desktop notifications enabled' : 'Enable desktop notifications';
+        }
+    }
+}
+
+// Create global instance
+const watchlist = new WatchlistManager();
+window.watchlist = watchlist;
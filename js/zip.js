@@ -0,0 +1,111 @@
+/**
+ * Minimal ZIP writer for bundling downloads
+ * - Uses the "stored" method (no compression); audio is already compressed
+ * - Builds the archive in memory and returns a Blob
+ */
+
+class ZipArchive {
+    constructor() {
+        this.entries = [];
+    }
+
+    /**
+     * Add a file to the archive
+     * @param {string} name - Path of the file inside the archive
+     * @param {ArrayBuffer|Uint8Array} data - File contents
+     * @param {Date} modified - Optional modification date
+     */
+    addFile(name, data, modified = new Date()) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        this.entries.push({
+            name: new TextEncoder().encode(name),
+            data: bytes,
+            crc: ZipArchive.crc32(bytes),
+            modified: modified
+        });
+    }
+
+    /**
+     * Build the archive
+     * @returns {Blob} ZIP file
+     */
+    toBlob() {
+        const parts = [];
+        const centralDirectory = [];
+        let offset = 0;
+
+        this.entries.forEach(entry => {
+            const { time, date } = ZipArchive.toDosDateTime(entry.modified);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);      // Local file header signature
+            local.setUint16(4, 20, true);              // Version needed
+            local.setUint16(6, 0x0800, true);          // UTF-8 file names
+            local.setUint16(8, 0, true);               // Stored
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, entry.crc, true);
+            local.setUint32(18, entry.data.length, true);
+            local.setUint32(22, entry.data.length, true);
+            local.setUint16(26, entry.name.length, true);
+            local.setUint16(28, 0, true);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true);    // Central directory signature
+            central.setUint16(4, 20, true);            // Version made by
+            central.setUint16(6, 20, true);            // Version needed
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, time, true);
+            central.setUint16(14, date, true);
+            central.setUint32(16, entry.crc, true);
+            central.setUint32(20, entry.data.length, true);
+            central.setUint32(24, entry.data.length, true);
+            central.setUint16(28, entry.name.length, true);
+            central.setUint32(42, offset, true);       // Offset of local header
+
+            parts.push(local, entry.name, entry.data);
+            centralDirectory.push(central, entry.name);
+            offset += 30 + entry.name.length + entry.data.length;
+        });
+
+        const centralSize = centralDirectory.reduce((sum, part) => sum + part.byteLength, 0);
+
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);            // End of central directory signature
+        end.setUint16(8, this.entries.length, true);
+        end.setUint16(10, this.entries.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...parts, ...centralDirectory, end], { type: 'application/zip' });
+    }
+
+    static toDosDateTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    static crc32(bytes) {
+        if (!ZipArchive.crcTable) {
+            ZipArchive.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                ZipArchive.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = ZipArchive.crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+}
+
+window.ZipArchive = ZipArchive;
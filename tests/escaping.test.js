@@ -0,0 +1,422 @@
+/**
+ * Escaping tests - Malicious titles, names and URLs through every renderer
+ * - Open tests/escaping.html in a browser; results are listed on the page and logged to the console
+ * - Runs against the offline mock backend, so nothing is sent anywhere
+ * - Each case renders hostile data, then checks the markup for injected elements,
+ *   event handler attributes, attributes that broke out of their quotes and javascript: URLs
+ * - Some cases also check the path that leads to the markup, e.g. a live update raising a watchlist toast
+ * - window.testResults holds { passed, failed, results } once the run is done, for headless runners
+ */
+
+const Payloads = {
+    tag: '<img src=x onerror="window.xssFired=true"><b class="xss-marker">tag</b><script>window.xssFired=true</script>',
+    quote: '" onmouseover="window.xssFired=true" data-xss-quote="',
+    single: "' onfocus='window.xssFired=true' data-xss-single='",
+    url: 'javascript:window.xssFired=true'
+};
+
+// One string that tries all of it at once, for titles and names
+const EVIL = `${Payloads.tag}${Payloads.quote}${Payloads.single}`;
+
+class EscapingTests {
+    constructor() {
+        this.cases = [];
+        this.results = [];
+        this.sandbox = null;
+    }
+
+    test(name, run) {
+        this.cases.push({ name, run });
+    }
+
+    /**
+     * Everything wrong with some rendered markup
+     * @param {Element|Array<Element>} roots - What a case rendered
+     * @returns {Array<string>} Problems found, empty when the markup is safe
+     */
+    inspect(roots) {
+        const problems = [];
+        const elements = [];
+        [].concat(roots).filter(Boolean).forEach(root => elements.push(root, ...root.querySelectorAll('*')));
+
+        elements.forEach(element => {
+            const tag = element.tagName.toLowerCase();
+            if (element.classList.contains('xss-marker')) problems.push('injected <b class="xss-marker"> element');
+            if (tag === 'script') problems.push('injected <script> element');
+
+            [...element.attributes].forEach(attribute => {
+                const name = attribute.name.toLowerCase();
+                if (name.startsWith('on')) problems.push(`<${tag}> has a ${name} handler: ${attribute.value}`);
+                if (name.startsWith('data-xss')) problems.push(`<${tag}> has a ${name} attribute that broke out of its quotes`);
+                if (['href', 'src', 'action', 'formaction', 'xlink:href'].includes(name) &&
+                    /^\s*javascript:/i.test(attribute.value)) {
+                    problems.push(`<${tag}> ${name} is a javascript: URL`);
+                }
+            });
+        });
+
+        if (window.xssFired) problems.push('a payload ran');
+        return problems;
+    }
+
+    /**
+     * A fresh element to render into
+     */
+    createSandbox() {
+        if (this.sandbox) this.sandbox.remove();
+        this.sandbox = document.createElement('div');
+        this.sandbox.className = 'test-sandbox';
+        document.body.appendChild(this.sandbox);
+        return this.sandbox;
+    }
+
+    async run() {
+        if (environment.name !== 'mock') {
+            this.report(`Not running: the ${environment.name} environment is selected, and these tests only run against the mock backend.`);
+            return;
+        }
+
+        for (const testCase of this.cases) {
+            let problems;
+            try {
+                problems = this.inspect(await testCase.run(this.createSandbox()));
+            } catch (error) {
+                console.error(`Test "${testCase.name}" threw:`, error);
+                problems = [`threw ${error.name}: ${error.message}`];
+            }
+
+            modal.closeAll({ restoreFocus: false });
+            this.results.push({ name: testCase.name, problems });
+        }
+
+        if (this.sandbox) this.sandbox.remove();
+
+        const failed = this.results.filter(result => result.problems.length > 0).length;
+        window.testResults = { passed: this.results.length - failed, failed, results: this.results };
+        this.report(failed > 0 ?
+            `${failed} of ${this.results.length} failed` :
+            `All ${this.results.length} passed`, failed === 0);
+    }
+
+    report(summary, passed = false) {
+        console.log(`🧪 Escaping tests: ${summary}`);
+        this.results.filter(result => result.problems.length > 0)
+            .forEach(result => console.error(`❌ ${result.name}:\n  ${result.problems.join('\n  ')}`));
+
+        const summaryElement = document.getElementById('testSummary');
+        summaryElement.textContent = summary;
+        summaryElement.className = `test-summary ${passed ? 'passed' : 'failed'}`;
+
+        document.getElementById('testResultList').innerHTML = html`${this.results.map(result => html`
+            <li class="${result.problems.length > 0 ? 'failed' : 'passed'}">
+                ${result.name}
+                ${result.problems.length > 0 ? html`<div class="test-problems">${result.problems.join('\n')}</div>` : ''}
+            </li>
+        `)}`;
+    }
+}
+
+const tests = new EscapingTests();
+
+const evilSpace = {
+    _id: 'xss-space-0001',
+    spaceId: `xss-space-0001${Payloads.quote}`,
+    title: EVIL,
+    host: `xsshost${Payloads.quote}`,
+    hostName: EVIL,
+    isLive: false,
+    private: false,
+    participantCount: 2,
+    createdAt: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString(),
+    startedAt: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString(),
+    endedAt: new Date(Date.now() - 60 * 60 * 1000).toISOString(),
+    recordingStatus: EVIL,
+    isOverride: true,
+    anchor: { username: `xssanchor${Payloads.quote}`, displayName: EVIL, role: EVIL }
+};
+
+const evilParticipant = {
+    username: `@xssuser${Payloads.quote}`,
+    name: EVIL,
+    role: 'speaker',
+    profileImage: Payloads.url
+};
+
+const evilParticipants = {
+    participants: [{ ...evilParticipant, role: 'host' }, evilParticipant],
+    participantsByRole: { host: [{ ...evilParticipant, role: 'host' }], speaker: [evilParticipant] },
+    totalParticipants: 2
+};
+
+/**
+ * Put the malicious space and its participants where the renderers look for them
+ */
+function seedEvilData() {
+    if (!dashboard.findSpaceById(evilSpace._id)) dashboard.allSpaces.push(evilSpace);
+    api.getParticipantsCache()[evilSpace._id] = evilParticipants;
+    participantDirectory.isDirty = true;
+}
+
+// Template helpers themselves
+
+tests.test('html`` escapes text and attribute values', (sandbox) => {
+    sandbox.innerHTML = html`<a title="${Payloads.quote}" data-single='${Payloads.single}'>${Payloads.tag}</a>`;
+    return sandbox;
+});
+
+tests.test('Template.url drops javascript: and data: links', (sandbox) => {
+    const unsafe = [Payloads.url, ' JaVaScRiPt:alert(1)', 'data:text/html,<script>alert(1)</script>', 'vbscript:msgbox(1)']
+        .filter(url => Template.url(url) !== '');
+    if (unsafe.length > 0) throw new Error(`Let through: ${unsafe.join(', ')}`);
+    if (Template.url('data:image/png;base64,AAAA') !== '') throw new Error('Let a data: image through without allowDataImages');
+
+    sandbox.innerHTML = html`<a href="${Template.url(Payloads.url)}">link</a><img src="${Template.url(Payloads.url, { allowDataImages: true })}" alt="">`;
+    return sandbox;
+});
+
+// Space list
+
+tests.test('Space card', (sandbox) => {
+    seedEvilData();
+    sandbox.innerHTML = dashboard.renderSpaceItem(evilSpace);
+    return sandbox;
+});
+
+tests.test('Space list error footer', async () => {
+    const getSpacesOnly = api.getSpacesOnly;
+    api.getSpacesOnly = async () => {
+        throw new Error(EVIL);
+    };
+
+    try {
+        await dashboard.loadSpaces({ force: true });
+        return dashboard.spacesContent;
+    } finally {
+        api.getSpacesOnly = getSpacesOnly;
+    }
+});
+
+tests.test('Stats grid', (sandbox) => {
+    sandbox.innerHTML = dashboard.createStatsHTML({
+        overview: { totalSpaces: EVIL, liveSpaces: EVIL, recordingSuccessRate: EVIL, avgParticipants: EVIL },
+        privacy: { publicPercentage: EVIL },
+        discovery: { discoverySuccessRate: EVIL },
+        activity: { recentSpaces: EVIL, hostDiversity: EVIL }
+    });
+    return sandbox;
+});
+
+// Modals
+
+tests.test('Participants modal from a card', async () => {
+    seedEvilData();
+    await dashboard.showParticipantsModal(evilSpace._id, EVIL);
+    return modal.getTop().element;
+});
+
+tests.test('Participants modal', () => {
+    modal.showParticipantsModal(evilParticipants, EVIL);
+    return modal.getTop().element;
+});
+
+tests.test('Space details modal', () => {
+    modal.showSpaceDetails(evilSpace);
+    return modal.getTop().element;
+});
+
+tests.test('Person modal', async () => {
+    seedEvilData();
+    await participantDirectory.showPersonModal(evilParticipant.username);
+    return modal.getTop().element;
+});
+
+tests.test('Command palette', () => {
+    commandPalette.register({ id: 'xss-test', group: EVIL, title: EVIL, run: () => {} });
+    try {
+        commandPalette.open();
+        return modal.getTop().element;
+    } finally {
+        commandPalette.commands = commandPalette.commands.filter(command => command.id !== 'xss-test');
+    }
+});
+
+// Pages and panels
+
+tests.test('Transcript panel', () => {
+    transcriptViewer.space = evilSpace;
+    transcriptViewer.segments = [{ start: 0, speaker: EVIL, text: EVIL }];
+    transcriptViewer.render();
+    return transcriptViewer.listElement;
+});
+
+tests.test('Host profile', async () => {
+    seedEvilData();
+    const getSpacesOnly = api.getSpacesOnly;
+    api.getSpacesOnly = async () => ({ data: [evilSpace], hasMore: false });
+
+    try {
+        await hostProfile.show(evilSpace.host);
+        return hostProfile.element.cloneNode(true);
+    } finally {
+        api.getSpacesOnly = getSpacesOnly;
+        hostProfile.close();
+    }
+});
+
+tests.test('People directory', () => {
+    seedEvilData();
+    participantDirectory.query = EVIL.toLowerCase();
+    participantDirectory.showDirectory();
+    participantDirectory.query = 'xss';
+    participantDirectory.renderRanking();
+    try {
+        return participantDirectory.element.cloneNode(true);
+    } finally {
+        participantDirectory.query = '';
+        participantDirectory.close();
+    }
+});
+
+tests.test('Person page', async () => {
+    seedEvilData();
+    participantDirectory.showPerson(evilParticipant.username);
+    await participantDirectory.renderPerson(participantDirectory.normalizeHandle(evilParticipant.username));
+    try {
+        return participantDirectory.element.cloneNode(true);
+    } finally {
+        participantDirectory.close();
+    }
+});
+
+tests.test('Speaker graph', (sandbox) => {
+    const node = { id: EVIL, name: EVIL, x: 10, y: 10, spaces: 3, hosted: 1, isAnchor: true, weight: 3 };
+    const other = { ...node, id: `${EVIL}2`, x: 50, y: 50 };
+    sandbox.innerHTML = speakerGraph.createSVG([node, other], [{ source: node.id, target: other.id, weight: 2 }]);
+    return sandbox;
+});
+
+tests.test('Watchlist entries and toast', () => {
+    const entries = watchlist.entries;
+    watchlist.entries = [{ handle: EVIL, type: 'host', muted: false }];
+    watchlist.render();
+    watchlist.showToast(evilSpace, EVIL, EVIL);
+
+    const rendered = [document.getElementById('watchlistEntries').cloneNode(true), watchlist.toastContainer.cloneNode(true)];
+    watchlist.entries = entries;
+    watchlist.render();
+    watchlist.toastContainer.innerHTML = '';
+    return rendered;
+});
+
+tests.test('Watchlist alert from a live update', () => {
+    const state = {
+        entries: watchlist.entries,
+        quietHours: watchlist.quietHours,
+        notifiedSpaceIds: watchlist.notifiedSpaceIds,
+        hasSeeded: watchlist.hasSeeded
+    };
+    const alreadyLive = { ...evilSpace, _id: 'xss-space-live-1', isLive: true };
+    const newlyLive = { ...evilSpace, _id: 'xss-space-live-2', isLive: true };
+
+    watchlist.entries = [{ handle: watchlist.normalizeHandle(evilSpace.host), type: 'host', muted: false }];
+    watchlist.quietHours = { ...watchlist.quietHours, enabled: false };
+    watchlist.notifiedSpaceIds = [];
+    watchlist.hasSeeded = false;
+    watchlist.toastContainer.innerHTML = '';
+
+    try {
+        // The first poll only remembers what's already on air
+        watchlist.checkSpaces([alreadyLive], 'poll');
+        if (watchlist.toastContainer.children.length > 0) {
+            throw new Error('alerted for a space that was already live at the first poll');
+        }
+
+        watchlist.checkSpaces([alreadyLive, newlyLive], 'poll');
+        const toasts = watchlist.toastContainer.querySelectorAll('.watchlist-toast');
+        if (toasts.length !== 1) {
+            throw new Error(`expected one toast for the space that went live, got ${toasts.length}`);
+        }
+
+        return watchlist.toastContainer.cloneNode(true);
+    } finally {
+        Object.assign(watchlist, state);
+        watchlist.save();
+        watchlist.toastContainer.innerHTML = '';
+    }
+});
+
+tests.test('Sign-in bar', () => {
+    const session = auth.session;
+    auth.session = { accessToken: 'test', refreshToken: 'test', expiresAt: Date.now() + 60000, user: { username: EVIL, role: EVIL } };
+    auth.render();
+
+    const rendered = auth.barElement.cloneNode(true);
+    auth.session = session;
+    auth.render();
+    return rendered;
+});
+
+tests.test('Recording health panel', () => {
+    const { healthError, issues } = healthMonitor;
+    const issue = { key: EVIL, spaceId: EVIL, title: EVIL, host: EVIL, date: new Date().toISOString(), detail: EVIL, url: Payloads.url };
+    healthMonitor.healthError = EVIL;
+    healthMonitor.issues = { missing: [issue], failed: [issue], orphaned: [{ ...issue, spaceId: null }] };
+    healthMonitor.panelElement.classList.add('open');
+    healthMonitor.render();
+
+    const rendered = healthMonitor.contentElement.cloneNode(true);
+    healthMonitor.healthError = healthError;
+    healthMonitor.issues = issues;
+    healthMonitor.panelElement.classList.remove('open');
+    return rendered;
+});
+
+tests.test('Override queue entry', (sandbox) => {
+    sandbox.innerHTML = overrideManager.createEntryHTML({
+        spaceId: EVIL,
+        url: Payloads.url,
+        status: 'failed',
+        history: [{ at: Date.now(), status: 'failed', note: EVIL }]
+    });
+    return sandbox;
+});
+
+tests.test('Collections and bulk selection bar', () => {
+    const stored = collections.collections;
+    collections.collections = [{ name: EVIL, createdAt: null, updatedAt: null, spaces: [evilSpace] }];
+    collections.render();
+    bulkSelection.render();
+
+    const rendered = [document.getElementById('collectionsContent').cloneNode(true), bulkSelection.barElement.cloneNode(true)];
+    collections.collections = stored;
+    collections.render();
+    bulkSelection.render();
+    return rendered;
+});
+
+tests.test('Environment switcher', () => {
+    const customProfiles = environment.customProfiles;
+    environment.customProfiles = { [EVIL]: { label: EVIL, API_BASE_URL: Payloads.url, S3_BASE_URL: Payloads.url } };
+    environment.render();
+
+    const rendered = environment.element.cloneNode(true);
+    environment.customProfiles = customProfiles;
+    environment.render();
+    return rendered;
+});
+
+/**
+ * Run once the dashboard has loaded its first page
+ */
+function runWhenReady(startedAt = Date.now()) {
+    if (window.app && app.isInitialized) {
+        tests.run();
+    } else if (Date.now() - startedAt > 30000) {
+        tests.report('Not running: the dashboard did not finish loading');
+    } else {
+        setTimeout(() => runWhenReady(startedAt), 100);
+    }
+}
+
+runWhenReady();
+window.escapingTests = tests;